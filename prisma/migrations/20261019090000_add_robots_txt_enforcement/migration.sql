@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "public"."CrawlJob" ADD COLUMN     "respectRobotsTxt" BOOLEAN NOT NULL DEFAULT true;
+
+-- CreateTable
+CREATE TABLE "public"."RobotsBlockedUrl" (
+    "id" SERIAL NOT NULL,
+    "jobId" UUID NOT NULL,
+    "address" TEXT NOT NULL,
+    "matchedRule" TEXT NOT NULL,
+    "userAgent" TEXT,
+    "foundOn" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RobotsBlockedUrl_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RobotsBlockedUrl_jobId_idx" ON "public"."RobotsBlockedUrl"("jobId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RobotsBlockedUrl_jobId_address_key" ON "public"."RobotsBlockedUrl"("jobId", "address");
+
+-- AddForeignKey
+ALTER TABLE "public"."RobotsBlockedUrl" ADD CONSTRAINT "RobotsBlockedUrl_jobId_fkey" FOREIGN KEY ("jobId") REFERENCES "public"."CrawlJob"("id") ON DELETE CASCADE ON UPDATE CASCADE;
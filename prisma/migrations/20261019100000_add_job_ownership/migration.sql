@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "public"."CrawlJob" ADD COLUMN     "userId" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "CrawlJob_userId_idx" ON "public"."CrawlJob"("userId");
+
+-- AddForeignKey
+ALTER TABLE "public"."CrawlJob" ADD CONSTRAINT "CrawlJob_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "public"."CrawlJob" ADD COLUMN     "heartbeatAt" TIMESTAMP(3),
+ADD COLUMN     "workerId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "CrawlJob_status_idx" ON "public"."CrawlJob"("status");
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "public"."FrontierUrl" (
+    "id" SERIAL NOT NULL,
+    "jobId" UUID NOT NULL,
+    "url" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "depth" INTEGER,
+    "source" TEXT NOT NULL,
+    "foundOn" TEXT,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "FrontierUrl_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "FrontierUrl_jobId_status_idx" ON "public"."FrontierUrl"("jobId", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FrontierUrl_jobId_url_key" ON "public"."FrontierUrl"("jobId", "url");
+
+-- AddForeignKey
+ALTER TABLE "public"."FrontierUrl" ADD CONSTRAINT "FrontierUrl_jobId_fkey" FOREIGN KEY ("jobId") REFERENCES "public"."CrawlJob"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "public"."RedirectChain" (
+    "id" SERIAL NOT NULL,
+    "jobId" UUID NOT NULL,
+    "sourceUrl" TEXT NOT NULL,
+    "finalUrl" TEXT NOT NULL,
+    "redirectType" TEXT NOT NULL,
+    "hops" JSONB NOT NULL,
+    "hopCount" INTEGER NOT NULL DEFAULT 0,
+    "finalStatusCode" INTEGER,
+    "isLoop" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RedirectChain_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RedirectChain_jobId_idx" ON "public"."RedirectChain"("jobId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RedirectChain_jobId_sourceUrl_key" ON "public"."RedirectChain"("jobId", "sourceUrl");
+
+-- AddForeignKey
+ALTER TABLE "public"."RedirectChain" ADD CONSTRAINT "RedirectChain_jobId_fkey" FOREIGN KEY ("jobId") REFERENCES "public"."CrawlJob"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "public"."LinkCheck" (
+    "id" SERIAL NOT NULL,
+    "jobId" UUID NOT NULL,
+    "url" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "statusCode" INTEGER,
+    "status" TEXT,
+    "contentType" TEXT,
+    "finalUrl" TEXT,
+    "error" TEXT,
+    "checkedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LinkCheck_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "LinkCheck_jobId_idx" ON "public"."LinkCheck"("jobId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LinkCheck_jobId_url_key" ON "public"."LinkCheck"("jobId", "url");
+
+-- AddForeignKey
+ALTER TABLE "public"."LinkCheck" ADD CONSTRAINT "LinkCheck_jobId_fkey" FOREIGN KEY ("jobId") REFERENCES "public"."CrawlJob"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "public"."InternalLink" ADD COLUMN     "contentFingerprint" JSONB,
+ADD COLUMN     "contentHash" TEXT,
+ADD COLUMN     "duplicateGroupId" INTEGER,
+ADD COLUMN     "nearDuplicateSimilarity" DOUBLE PRECISION;
+
+-- CreateIndex
+CREATE INDEX "InternalLink_jobId_duplicateGroupId_idx" ON "public"."InternalLink"("jobId", "duplicateGroupId");
@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "public"."InternalLink" ADD COLUMN     "headings" JSONB;
+
+-- CreateTable
+CREATE TABLE "public"."Issue" (
+    "id" SERIAL NOT NULL,
+    "jobId" UUID NOT NULL,
+    "pageId" INTEGER,
+    "url" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "category" TEXT NOT NULL,
+    "severity" TEXT NOT NULL,
+    "message" TEXT NOT NULL,
+    "details" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Issue_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Issue_jobId_type_idx" ON "public"."Issue"("jobId", "type");
+
+-- CreateIndex
+CREATE INDEX "Issue_jobId_severity_idx" ON "public"."Issue"("jobId", "severity");
+
+-- CreateIndex
+CREATE INDEX "Issue_pageId_idx" ON "public"."Issue"("pageId");
+
+-- AddForeignKey
+ALTER TABLE "public"."Issue" ADD CONSTRAINT "Issue_jobId_fkey" FOREIGN KEY ("jobId") REFERENCES "public"."CrawlJob"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Issue" ADD CONSTRAINT "Issue_pageId_fkey" FOREIGN KEY ("pageId") REFERENCES "public"."InternalLink"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."CrawlJob" ADD COLUMN     "rules" JSONB;
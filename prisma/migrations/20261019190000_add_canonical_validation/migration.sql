@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "public"."InternalLink" ADD COLUMN     "canonicalChain" JSONB,
+ADD COLUMN     "canonicalIsLoop" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "canonicalLinkElements" JSONB,
+ADD COLUMN     "canonicalRedirectUrl" TEXT,
+ADD COLUMN     "canonicalSource" TEXT,
+ADD COLUMN     "canonicalTargetStatusCode" INTEGER,
+ADD COLUMN     "canonicalUrl" TEXT,
+ADD COLUMN     "httpCanonical" TEXT;
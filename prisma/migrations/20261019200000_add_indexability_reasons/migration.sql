@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "public"."InternalLink" ADD COLUMN     "blockedByRobotsTxt" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "botMetaRobots" JSONB,
+ADD COLUMN     "xRobotsTag" TEXT;
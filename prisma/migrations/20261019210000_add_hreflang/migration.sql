@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "public"."InternalLink" ADD COLUMN     "hreflangAlternates" JSONB,
+ADD COLUMN     "hreflangs" JSONB;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."InternalLink" ADD COLUMN     "structuredData" JSONB;
@@ -0,0 +1,66 @@
+-- AlterTable
+ALTER TABLE "public"."LinkCheck" ADD COLUMN     "contentLength" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."Image" (
+    "id" SERIAL NOT NULL,
+    "jobId" UUID NOT NULL,
+    "url" TEXT NOT NULL,
+    "format" TEXT,
+    "contentType" TEXT,
+    "statusCode" INTEGER,
+    "transferBytes" INTEGER,
+    "naturalWidth" INTEGER,
+    "naturalHeight" INTEGER,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Image_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."ImageOccurrence" (
+    "id" SERIAL NOT NULL,
+    "jobId" UUID NOT NULL,
+    "imageId" INTEGER NOT NULL,
+    "pageId" INTEGER NOT NULL,
+    "src" TEXT NOT NULL,
+    "alt" TEXT,
+    "widthAttribute" TEXT,
+    "heightAttribute" TEXT,
+    "renderedWidth" INTEGER,
+    "renderedHeight" INTEGER,
+    "loading" TEXT,
+    "srcset" TEXT,
+    "sizes" TEXT,
+
+    CONSTRAINT "ImageOccurrence_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Image_jobId_idx" ON "public"."Image"("jobId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Image_jobId_url_key" ON "public"."Image"("jobId", "url");
+
+-- CreateIndex
+CREATE INDEX "ImageOccurrence_jobId_idx" ON "public"."ImageOccurrence"("jobId");
+
+-- CreateIndex
+CREATE INDEX "ImageOccurrence_imageId_idx" ON "public"."ImageOccurrence"("imageId");
+
+-- CreateIndex
+CREATE INDEX "ImageOccurrence_pageId_idx" ON "public"."ImageOccurrence"("pageId");
+
+-- AddForeignKey
+ALTER TABLE "public"."Image" ADD CONSTRAINT "Image_jobId_fkey" FOREIGN KEY ("jobId") REFERENCES "public"."CrawlJob"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."ImageOccurrence" ADD CONSTRAINT "ImageOccurrence_jobId_fkey" FOREIGN KEY ("jobId") REFERENCES "public"."CrawlJob"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."ImageOccurrence" ADD CONSTRAINT "ImageOccurrence_imageId_fkey" FOREIGN KEY ("imageId") REFERENCES "public"."Image"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."ImageOccurrence" ADD CONSTRAINT "ImageOccurrence_pageId_fkey" FOREIGN KEY ("pageId") REFERENCES "public"."InternalLink"("id") ON DELETE CASCADE ON UPDATE CASCADE;
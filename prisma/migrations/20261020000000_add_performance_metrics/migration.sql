@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "public"."CrawlJob" ADD COLUMN     "performanceProfile" TEXT NOT NULL DEFAULT 'none';
+
+-- AlterTable
+ALTER TABLE "public"."InternalLink" ADD COLUMN     "cssBytes" INTEGER,
+ADD COLUMN     "cumulativeLayoutShift" DOUBLE PRECISION,
+ADD COLUMN     "domContentLoaded" INTEGER,
+ADD COLUMN     "firstContentfulPaint" INTEGER,
+ADD COLUMN     "fontBytes" INTEGER,
+ADD COLUMN     "imageBytes" INTEGER,
+ADD COLUMN     "jsBytes" INTEGER,
+ADD COLUMN     "largestContentfulPaint" INTEGER,
+ADD COLUMN     "loadTime" INTEGER,
+ADD COLUMN     "longTaskCount" INTEGER,
+ADD COLUMN     "longTaskDuration" INTEGER,
+ADD COLUMN     "requestCount" INTEGER,
+ADD COLUMN     "totalBlockingTime" INTEGER,
+ADD COLUMN     "ttfb" INTEGER;
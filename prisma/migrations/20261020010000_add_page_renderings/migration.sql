@@ -0,0 +1,44 @@
+-- AlterTable
+ALTER TABLE "public"."CrawlJob" ADD COLUMN     "device" TEXT NOT NULL DEFAULT 'desktop';
+
+-- AlterTable
+ALTER TABLE "public"."InternalLink" ADD COLUMN     "viewportMeta" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."PageRendering" (
+    "id" SERIAL NOT NULL,
+    "jobId" UUID NOT NULL,
+    "pageId" INTEGER NOT NULL,
+    "device" TEXT NOT NULL,
+    "userAgent" TEXT NOT NULL,
+    "viewportWidth" INTEGER,
+    "viewportHeight" INTEGER,
+    "statusCode" INTEGER,
+    "title" TEXT,
+    "metaDescription" TEXT,
+    "h1" TEXT,
+    "canonicalUrl" TEXT,
+    "metaRobots" TEXT,
+    "viewportMeta" TEXT,
+    "wordCount" INTEGER,
+    "linkCount" INTEGER,
+    "contentHash" TEXT,
+    "contentSimilarity" DOUBLE PRECISION,
+    "documentWidth" INTEGER,
+    "smallTapTargets" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PageRendering_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PageRendering_jobId_device_idx" ON "public"."PageRendering"("jobId", "device");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PageRendering_pageId_device_key" ON "public"."PageRendering"("pageId", "device");
+
+-- AddForeignKey
+ALTER TABLE "public"."PageRendering" ADD CONSTRAINT "PageRendering_jobId_fkey" FOREIGN KEY ("jobId") REFERENCES "public"."CrawlJob"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."PageRendering" ADD CONSTRAINT "PageRendering_pageId_fkey" FOREIGN KEY ("pageId") REFERENCES "public"."InternalLink"("id") ON DELETE CASCADE ON UPDATE CASCADE;
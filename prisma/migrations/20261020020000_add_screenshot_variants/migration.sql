@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "public"."CrawlJob" ADD COLUMN     "captureAboveTheFold" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "public"."InternalLink" ADD COLUMN     "aboveTheFoldScreenshotUrl" TEXT,
+ADD COLUMN     "thumbnailUrl" TEXT;
+
+-- Screenshots are now served by the API
+UPDATE "public"."InternalLink"
+SET "screenshotUrl" = regexp_replace("screenshotUrl", '^/screenshots/([^/]+)/', '/api/jobs/\1/screenshots/')
+WHERE "screenshotUrl" LIKE '/screenshots/%';
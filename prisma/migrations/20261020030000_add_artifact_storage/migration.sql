@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "public"."InternalLink" ADD COLUMN     "htmlKey" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."Artifact" (
+    "key" TEXT NOT NULL,
+    "contentType" TEXT NOT NULL,
+    "contentEncoding" TEXT,
+    "size" INTEGER NOT NULL,
+    "storedSize" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUsedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Artifact_pkey" PRIMARY KEY ("key")
+);
+
+-- CreateIndex
+CREATE INDEX "Artifact_lastUsedAt_idx" ON "public"."Artifact"("lastUsedAt");
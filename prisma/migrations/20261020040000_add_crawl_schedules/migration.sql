@@ -0,0 +1,34 @@
+-- AlterTable
+ALTER TABLE "public"."CrawlJob" ADD COLUMN     "scheduleId" UUID;
+
+-- CreateTable
+CREATE TABLE "public"."CrawlSchedule" (
+    "id" UUID NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "name" TEXT,
+    "cronExpression" TEXT NOT NULL,
+    "timezone" TEXT NOT NULL DEFAULT 'UTC',
+    "jobTemplate" JSONB NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'active',
+    "nextRunAt" TIMESTAMP(3),
+    "lastRunAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CrawlSchedule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CrawlSchedule_status_nextRunAt_idx" ON "public"."CrawlSchedule"("status", "nextRunAt");
+
+-- CreateIndex
+CREATE INDEX "CrawlSchedule_userId_idx" ON "public"."CrawlSchedule"("userId");
+
+-- CreateIndex
+CREATE INDEX "CrawlJob_scheduleId_createdAt_idx" ON "public"."CrawlJob"("scheduleId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."CrawlJob" ADD CONSTRAINT "CrawlJob_scheduleId_fkey" FOREIGN KEY ("scheduleId") REFERENCES "public"."CrawlSchedule"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."CrawlSchedule" ADD CONSTRAINT "CrawlSchedule_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
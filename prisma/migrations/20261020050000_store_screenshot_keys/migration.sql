@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "public"."InternalLink" ADD COLUMN     "aboveTheFoldKey" TEXT,
+ADD COLUMN     "screenshotKey" TEXT,
+ADD COLUMN     "thumbnailKey" TEXT;
+
+-- Pages stored the API path of each screenshot; keep the artifact key (or legacy file name) it ends with
+UPDATE "public"."InternalLink"
+SET "screenshotKey" = regexp_replace("screenshotUrl", '^.*/', ''),
+    "thumbnailKey" = regexp_replace("thumbnailUrl", '^.*/', ''),
+    "aboveTheFoldKey" = regexp_replace("aboveTheFoldScreenshotUrl", '^.*/', '')
+WHERE "screenshotUrl" IS NOT NULL OR "thumbnailUrl" IS NOT NULL OR "aboveTheFoldScreenshotUrl" IS NOT NULL;
+
+-- AlterTable
+ALTER TABLE "public"."InternalLink" DROP COLUMN "aboveTheFoldScreenshotUrl",
+DROP COLUMN "screenshotUrl",
+DROP COLUMN "thumbnailUrl";
+
+-- CreateIndex
+CREATE INDEX "InternalLink_screenshotKey_idx" ON "public"."InternalLink"("screenshotKey");
+
+-- CreateIndex
+CREATE INDEX "InternalLink_thumbnailKey_idx" ON "public"."InternalLink"("thumbnailKey");
+
+-- CreateIndex
+CREATE INDEX "InternalLink_aboveTheFoldKey_idx" ON "public"."InternalLink"("aboveTheFoldKey");
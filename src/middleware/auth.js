@@ -205,6 +205,85 @@ const requireUser = (req, res, next) => {
   next();
 };
 
+/**
+ * Check whether a user may access a crawl job
+ * Admins can access every job, standard users only the jobs they own
+ */
+const canAccessJob = (user, job) => {
+  return !!user && !!job && (user.role === 'ADMIN' || job.userId === user.id);
+};
+
+/**
+ * Whether a value is a UUID, the format of job and schedule IDs
+ * Lets lookups answer 404 for malformed IDs instead of failing in PostgreSQL
+ */
+const isUuid = (value) => {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value || '');
+};
+
+/**
+ * Middleware to require access to the crawl job identified by req.params.id
+ * Must be used after requireUser. The job is attached to the request as req.job
+ */
+const requireJobAccess = async (req, res, next) => {
+  try {
+    const jobId = req.params.id;
+    const job = isUuid(jobId)
+      ? await prisma.crawlJob.findUnique({ where: { id: jobId } })
+      : null;
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (!canAccessJob(req.user, job)) {
+      return res.status(403).json({ 
+        error: 'Access denied',
+        message: 'You do not have access to this job.'
+      });
+    }
+
+    req.job = job;
+    next();
+
+  } catch (error) {
+    console.error('Job access middleware error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Middleware to require access to the crawl schedule identified by req.params.id
+ * Must be used after requireUser. The schedule is attached to the request as req.schedule
+ */
+const requireScheduleAccess = async (req, res, next) => {
+  try {
+    const scheduleId = req.params.id;
+    const schedule = isUuid(scheduleId)
+      ? await prisma.crawlSchedule.findUnique({ where: { id: scheduleId } })
+      : null;
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    // Schedules follow the same ownership rule as jobs
+    if (!canAccessJob(req.user, schedule)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You do not have access to this schedule.'
+      });
+    }
+
+    req.schedule = schedule;
+    next();
+
+  } catch (error) {
+    console.error('Schedule access middleware error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
 /**
  * Generate a new JWT token for a user
  */
@@ -303,6 +382,10 @@ module.exports = {
   optionalAuth,
   requireAdmin,
   requireUser,
+  canAccessJob,
+  isUuid,
+  requireJobAccess,
+  requireScheduleAccess,
   generateToken,
   createApiToken,
   revokeToken
@@ -0,0 +1,159 @@
+const express = require('express');
+const RetentionService = require('../services/retentionService');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+const retentionService = new RetentionService();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StorageUsage:
+ *       type: object
+ *       properties:
+ *         databaseBytes:
+ *           type: integer
+ *           description: Size of the job rows and of every row belonging to the jobs (pages, links, issues, images, ...)
+ *         artifactBytes:
+ *           type: integer
+ *           description: Stored size of the screenshots and HTML the jobs use; artifacts shared by several jobs or users count towards each of them
+ *         legacyScreenshotBytes:
+ *           type: integer
+ *           description: Screenshot files taken before artifact storage, in storage/screenshots
+ *         totalBytes:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /api/admin/storage:
+ *   get:
+ *     summary: Get storage usage per job and per user (Admin only)
+ *     description: Reports the total database, artifact and screenshot storage with the retention policy in effect, the jobs, pages and storage of each user, and the storage used by each job, jobs with the most pages first. Sizes are measured on request; of the jobs, only the returned ones are measured.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 100
+ *         description: Number of jobs to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         description: Number of jobs to skip
+ *     responses:
+ *       200:
+ *         description: Storage usage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     jobs:
+ *                       type: integer
+ *                     databaseBytes:
+ *                       type: integer
+ *                       description: Disk space of the job tables, including indexes
+ *                     artifactCount:
+ *                       type: integer
+ *                     artifactBytes:
+ *                       type: integer
+ *                       description: Stored size of every artifact, each counted once
+ *                     artifactUncompressedBytes:
+ *                       type: integer
+ *                     legacyScreenshotBytes:
+ *                       type: integer
+ *                     totalBytes:
+ *                       type: integer
+ *                     retentionPolicy:
+ *                       type: object
+ *                       description: Days after which the HTML, the screenshots and whole jobs are deleted (null keeps them)
+ *                       properties:
+ *                         htmlDays:
+ *                           type: integer
+ *                           nullable: true
+ *                         screenshotDays:
+ *                           type: integer
+ *                           nullable: true
+ *                         jobDays:
+ *                           type: integer
+ *                           nullable: true
+ *                 users:
+ *                   type: array
+ *                   description: Users using the most storage first. An artifact used by several jobs of a user counts once for that user.
+ *                   items:
+ *                     allOf:
+ *                       - type: object
+ *                         properties:
+ *                           userId:
+ *                             type: integer
+ *                             nullable: true
+ *                             description: Null for jobs created before ownership was tracked
+ *                           email:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           jobs:
+ *                             type: integer
+ *                           pagesCrawled:
+ *                             type: integer
+ *                       - $ref: '#/components/schemas/StorageUsage'
+ *                 jobs:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - type: object
+ *                         properties:
+ *                           jobId:
+ *                             type: string
+ *                             format: uuid
+ *                           url:
+ *                             type: string
+ *                           status:
+ *                             type: string
+ *                           userId:
+ *                             type: integer
+ *                             nullable: true
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *                           pagesCrawled:
+ *                             type: integer
+ *                       - $ref: '#/components/schemas/StorageUsage'
+ *                 total:
+ *                   type: integer
+ *                 hasMore:
+ *                   type: boolean
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Server error
+ */
+router.get('/storage', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    res.json(await retentionService.getStorageReport({ limit, offset }));
+  } catch (error) {
+    console.error('Error fetching storage usage:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,26 @@
 const express = require("express");
 const { PrismaClient } = require("@prisma/client");
-const { authenticateToken, requireUser } = require('../middleware/auth');
+const { authenticateToken, requireUser, requireJobAccess, canAccessJob, isUuid } = require('../middleware/auth');
+const ReportService = require('../services/reportService');
+const PageQueryService = require('../services/pageQueryService');
+const ExportService = require('../services/exportService');
+const JobTemplateService = require('../services/jobTemplateService');
+const ScreenshotService = require('../services/screenshotService');
+const ArtifactStorage = require('../services/artifactStorage');
+const RetentionService = require('../services/retentionService');
+const ComparisonService = require('../services/comparisonService');
+const { listRules } = require('../rules');
 
 const router = express.Router();
 const prisma = new PrismaClient();
+const reportService = new ReportService();
+const pageQueryService = new PageQueryService();
+const exportService = new ExportService();
+const jobTemplateService = new JobTemplateService();
+const screenshotService = new ScreenshotService();
+const artifactStorage = new ArtifactStorage();
+const retentionService = new RetentionService();
+const comparisonService = new ComparisonService();
 
 /**
  * @swagger
@@ -68,89 +85,23 @@ const prisma = new PrismaClient();
  */
 router.post("/", authenticateToken, requireUser, async (req, res) => {
   try {
-    const { url, maxPages, ai, email, takeScreenshots = true, sampledCrawl = false, ignoreUrlParameters = false, requireEmailVerification = true } = req.body;
-
-    // Validate required fields
-    if (!url || !maxPages || ai === undefined || !email) {
-      return res.status(400).json({
-        error: "Missing required fields",
-        required: ["url", "maxPages", "ai", "email"]
-      });
-    }
-
-    // Validate field types
-    if (typeof url !== "string" || typeof maxPages !== "number" || typeof ai !== "boolean" || typeof email !== "string") {
-      return res.status(400).json({
-        error: "Invalid field types",
-        expected: {
-          url: "string",
-          maxPages: "number", 
-          ai: "boolean",
-          email: "string",
-          takeScreenshots: "boolean (optional, default: true)",
-          ignoreUrlParameters: "boolean (optional, default: false)"
-        }
-      });
-    }
-
-    // Validate takeScreenshots if provided
-    if (takeScreenshots !== undefined && typeof takeScreenshots !== "boolean") {
-      return res.status(400).json({
-        error: "Invalid field types",
-        expected: {
-          takeScreenshots: "boolean"
-        }
-      });
-    }
-
-    // Validate sampledCrawl if provided
-    if (sampledCrawl !== undefined && typeof sampledCrawl !== "boolean") {
-      return res.status(400).json({
-        error: "Invalid field types",
-        expected: {
-          sampledCrawl: "boolean"
-        }
-      });
-    }
-
-    // Validate ignoreUrlParameters if provided
-    if (ignoreUrlParameters !== undefined && typeof ignoreUrlParameters !== "boolean") {
-      return res.status(400).json({
-        error: "Invalid field types",
-        expected: {
-          ignoreUrlParameters: "boolean"
-        }
-      });
-    }
-
-    // Validate requireEmailVerification if provided
-    if (requireEmailVerification !== undefined && typeof requireEmailVerification !== "boolean") {
-      return res.status(400).json({
-        error: "Invalid field types",
-        expected: {
-          requireEmailVerification: "boolean"
-        }
-      });
+    const { template, error, ...details } = jobTemplateService.parseJobTemplate(req.body);
+    if (error) {
+      return res.status(400).json({ error, ...details });
     }
 
     // Create crawl job in database
     // Note: robots.txt and sitemaps are always crawled automatically
     const crawlJob = await prisma.crawlJob.create({
       data: {
-        url,
-        maxPages,
-        ai,
-        email,
-        takeScreenshots,
+        ...template,
         crawlSitemap: true, // Always enabled now
-        sampledCrawl,
-        ignoreUrlParameters,
-        requireEmailVerification
+        userId: req.user.id
       }
     });
 
     // If email verification is required, send verification email
-    if (requireEmailVerification) {
+    if (template.requireEmailVerification) {
       const EmailVerificationService = require('../services/emailVerificationService');
       const verificationService = new EmailVerificationService();
       
@@ -243,9 +194,14 @@ router.post("/", authenticateToken, requireUser, async (req, res) => {
  *           example: "test@example.com"
  *         takeScreenshots:
  *           type: boolean
- *           description: Whether to capture screenshots of pages (optional, default true)
+ *           description: Whether to capture screenshots of pages (optional, default true). Each page gets a full-page screenshot and a thumbnail.
  *           example: true
  *           default: true
+ *         captureAboveTheFold:
+ *           type: boolean
+ *           description: Whether to also capture the area above the fold (the visible viewport) of each page (optional, default false)
+ *           example: false
+ *           default: false
  *         sampledCrawl:
  *           type: boolean
  *           description: Whether to crawl only 3 pages of each post type for large sites (optional, default false)
@@ -261,6 +217,43 @@ router.post("/", authenticateToken, requireUser, async (req, res) => {
  *           description: Whether to require email verification before starting the crawl (optional, default true)
  *           example: true
  *           default: true
+ *         respectRobotsTxt:
+ *           type: boolean
+ *           description: Whether to obey robots.txt Allow/Disallow rules and Crawl-delay for SiteScope-Bot (optional, default true)
+ *           example: true
+ *           default: true
+ *         device:
+ *           type: string
+ *           enum: [desktop, mobile, both]
+ *           description: Device pages are rendered as (viewport, device scale factor, touch and user agent). With both, every page is rendered as mobile and as desktop; the mobile rendering is stored on the page, the way mobile-first indexing sees it, and differences between the two are reported (optional, defaults to the device of performanceProfile, otherwise desktop)
+ *           example: both
+ *         performanceProfile:
+ *           type: string
+ *           enum: [none, desktop, mobile, mobile-slow-4g, mobile-slow-3g]
+ *           description: Device and throttling used while measuring page performance. mobile-slow-4g and mobile-slow-3g also slow the CPU down 4x and throttle the network. The profile's device must be the primary device of the job (mobile for both) (optional, default none)
+ *           example: mobile-slow-4g
+ *           default: none
+ *         rules:
+ *           type: object
+ *           description: Audit rule overrides keyed by rule id (see GET /api/jobs/rules). Use true/false to enable or disable a rule, or an object to change its severity or options. Rules that are not listed keep their defaults.
+ *           additionalProperties:
+ *             oneOf:
+ *               - type: boolean
+ *               - type: object
+ *                 properties:
+ *                   enabled:
+ *                     type: boolean
+ *                   severity:
+ *                     type: string
+ *                     enum: [high, medium, low]
+ *                   options:
+ *                     type: object
+ *           example:
+ *             page-noindex: false
+ *             title-too-long:
+ *               severity: medium
+ *               options:
+ *                 maxLength: 65
  *     CrawlJob:
  *       type: object
  *       properties:
@@ -285,6 +278,27 @@ router.post("/", authenticateToken, requireUser, async (req, res) => {
  *           type: string
  *           description: Notification email
  *           example: "test@example.com"
+ *         userId:
+ *           type: integer
+ *           description: ID of the user who owns the job
+ *           example: 1
+ *         scheduleId:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: Crawl schedule that created the job (null for jobs created directly)
+ *         rules:
+ *           type: object
+ *           nullable: true
+ *           description: Audit rule overrides the job was created with
+ *         device:
+ *           type: string
+ *           description: Device pages are rendered as (desktop, mobile or both)
+ *           example: "desktop"
+ *         performanceProfile:
+ *           type: string
+ *           description: Device and throttling profile used for performance metrics
+ *           example: "none"
  *         status:
  *           type: string
  *           description: Job status
@@ -338,35 +352,63 @@ router.post("/", authenticateToken, requireUser, async (req, res) => {
  *         createdAt:
  *           type: string
  *           format: date-time
- *         crawledPages:
- *           type: array
- *           items:
- *             $ref: '#/components/schemas/CrawledPageSummary'
+ *         pageSummary:
+ *           $ref: '#/components/schemas/PageSummary'
  *         aiReport:
  *           $ref: '#/components/schemas/AIReport'
- *     CrawledPageSummary:
+ *         blockedByRobotsTxt:
+ *           type: array
+ *           description: URLs that were not crawled because robots.txt disallows them
+ *           items:
+ *             $ref: '#/components/schemas/RobotsBlockedUrl'
+ *     RobotsBlockedUrl:
  *       type: object
  *       properties:
- *         id:
- *           type: string
- *           format: uuid
  *         url:
  *           type: string
- *         title:
+ *           example: "https://example.com/private/page"
+ *         matchedRule:
  *           type: string
- *         statusCode:
+ *           example: "Disallow: /private"
+ *         userAgent:
+ *           type: string
+ *           description: robots.txt user-agent group the rule belongs to
+ *           example: "*"
+ *         foundOn:
+ *           type: string
+ *           description: Page URL, 'sitemap' or 'start-url' the URL was discovered from
+ *           example: "https://example.com/"
+ *     PageSummary:
+ *       type: object
+ *       description: Page counts of the job. Use GET /api/jobs/{id}/pages to list the pages themselves.
+ *       properties:
+ *         total:
  *           type: integer
- *         responseTime:
+ *           description: Number of crawled pages
+ *         statusCodes:
+ *           type: object
+ *           properties:
+ *             2xx:
+ *               type: integer
+ *             3xx:
+ *               type: integer
+ *             4xx:
+ *               type: integer
+ *             5xx:
+ *               type: integer
+ *             other:
+ *               type: integer
+ *               description: Pages without a response status
+ *         indexable:
  *           type: integer
- *         wordCount:
+ *         nonIndexable:
  *           type: integer
- *         crawledAt:
- *           type: string
- *           format: date-time
- *         readability:
- *           type: string
- *         fleschReadingEaseScore:
- *           type: number
+ *         nonIndexableByReason:
+ *           type: object
+ *           description: Non-indexable pages per reason
+ *           additionalProperties:
+ *             type: integer
+ *           example: { "non-200": 3, "redirected": 5, "non-html": 0, "blocked-by-robots-txt": 1, "noindex-meta": 2, "noindex-x-robots-tag": 0, "canonicalized": 4 }
  *     AIReport:
  *       type: object
  *       properties:
@@ -393,255 +435,2502 @@ router.post("/", authenticateToken, requireUser, async (req, res) => {
  *         error:
  *           type: string
  *           description: Error message if AI report generation failed
- *     VerificationStatus:
+ *     JobControlResponse:
  *       type: object
  *       properties:
- *         requiresVerification:
+ *         message:
+ *           type: string
+ *           example: "Crawl job paused"
+ *         jobId:
+ *           type: string
+ *           format: uuid
+ *         status:
+ *           type: string
+ *           enum: [stopped, paused, pending]
+ *           description: The job status after the action
+ *     JobDeletionResult:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *           example: "Deleted 3 jobs"
+ *         deletedJobs:
+ *           type: integer
+ *         jobIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *             format: uuid
+ *         removedArtifacts:
+ *           type: integer
+ *           description: Stored screenshots and HTML removed because no remaining job uses them
+ *         freedBytes:
+ *           type: integer
+ *           description: Bytes of artifact storage freed
+ *     RedirectHop:
+ *       type: object
+ *       properties:
+ *         url:
+ *           type: string
+ *           description: URL that redirected
+ *         statusCode:
+ *           type: integer
+ *           nullable: true
+ *           description: Status code returned by the URL (3xx for HTTP redirects)
+ *         location:
+ *           type: string
+ *           nullable: true
+ *           description: Absolute URL the hop redirects to (Location header, meta refresh or script target)
+ *         type:
+ *           type: string
+ *           enum: [http, meta-refresh, javascript]
+ *     RedirectReportEntry:
+ *       type: object
+ *       properties:
+ *         sourceUrl:
+ *           type: string
+ *           description: URL that was requested
+ *         finalUrl:
+ *           type: string
+ *           description: URL the redirect chain ends on
+ *         redirectType:
+ *           type: string
+ *           enum: [http, meta-refresh, javascript]
+ *           description: Type of the first hop
+ *         hopCount:
+ *           type: integer
+ *         hops:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/RedirectHop'
+ *         targetStatusCode:
+ *           type: integer
+ *           nullable: true
+ *           description: Status code of the final URL, null when unknown
+ *         inlinks:
+ *           type: integer
+ *           description: Internal links pointing at the source URL
+ *         isChain:
  *           type: boolean
- *           description: Whether the job requires email verification.
- *         isVerified:
+ *           description: The source URL redirects more than once before reaching its target
+ *         isLoop:
  *           type: boolean
- *           description: Whether the email has been verified.
- *         verifiedAt:
+ *           description: The chain comes back to a URL it already passed through
+ *         redirectsToNon200:
+ *           type: boolean
+ *           description: The final URL does not return 200
+ *     BrokenLinkSource:
+ *       type: object
+ *       properties:
+ *         page:
  *           type: string
- *           format: date-time
- *           description: The timestamp when the email was verified.
- *         codeSentAt:
+ *           description: Page the link was found on
+ *         anchorText:
  *           type: string
- *           format: date-time
- *           description: The timestamp when the verification code was sent.
- *         codeExpiresAt:
+ *           nullable: true
+ *         altText:
  *           type: string
- *           format: date-time
- *           description: The timestamp when the verification code expires.
- *         isCodeExpired:
+ *           nullable: true
+ *           description: Alt text of the linked image, if any
+ *         follow:
  *           type: boolean
- *           description: Whether the verification code has expired.
- *         attemptsMade:
+ *         linkPosition:
  *           type: integer
- *           description: The number of verification attempts made.
- *         attemptsRemaining:
+ *           nullable: true
+ *     BrokenLink:
+ *       type: object
+ *       properties:
+ *         url:
+ *           type: string
+ *           description: Broken link target
+ *         type:
+ *           type: string
+ *           enum: [internal, external]
+ *         statusCode:
  *           type: integer
- *           description: The number of verification attempts remaining.
- *         canRequestNewCode:
- *           type: boolean
- *           description: Whether a new code can be requested.
- *         jobStatus:
+ *           nullable: true
+ *           description: Status code of the target, null if it did not respond
+ *         status:
  *           type: string
- *           description: The current status of the job.
- *         email:
+ *           nullable: true
+ *           description: Status text, or Timeout / Connection Error / Blocked (a private or reserved address)
+ *         contentType:
  *           type: string
- *           format: email
- *           description: The email address associated with the job.
- */
-
-/**
- * @swagger
- * /api/jobs:
- *   get:
- *     summary: Get all crawl jobs
- *     description: Retrieve all crawl jobs with their basic information
- *     tags:
- *       - Jobs
- *     security:
- *       - BearerAuth: []
- *     parameters:
- *       - in: query
- *         name: status
- *         schema:
+ *           nullable: true
+ *         finalUrl:
  *           type: string
- *           enum: [pending, running, completed, failed, waiting_verification]
- *         description: Filter jobs by status
- *       - in: query
- *         name: limit
- *         schema:
+ *           nullable: true
+ *           description: Final target if the URL redirected
+ *         error:
+ *           type: string
+ *           nullable: true
+ *           description: Why the request failed when there was no response
+ *         crawled:
+ *           type: boolean
+ *           description: Whether the target is a crawled page (otherwise it was checked after the crawl)
+ *         inlinks:
  *           type: integer
- *           minimum: 1
- *           maximum: 100
- *           default: 20
- *         description: Number of jobs to return
- *       - in: query
- *         name: offset
- *         schema:
+ *           description: Number of links pointing at the target
+ *         sources:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/BrokenLinkSource'
+ *     DuplicateCluster:
+ *       type: object
+ *       properties:
+ *         groupId:
  *           type: integer
- *           minimum: 0
- *           default: 0
- *         description: Number of jobs to skip
- *     responses:
- *       200:
- *         description: List of crawl jobs
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 jobs:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/CrawlJobWithPages'
- *                 total:
- *                   type: integer
- *                 hasMore:
- *                   type: boolean
- */
-router.get("/", authenticateToken, requireUser, async (req, res) => {
-  try {
-    const { status, limit = 20, offset = 0 } = req.query;
-    
-    const where = status ? { status } : {};
-    const take = Math.min(parseInt(limit), 100);
-    const skip = Math.max(parseInt(offset), 0);
-
-    const [jobs, total] = await Promise.all([
-      prisma.crawlJob.findMany({
-        where,
-        orderBy: { createdAt: "desc" },
-        take,
-        skip,
-        include: {
-          internalLinks: {
-            select: {
-              id: true,
-              address: true,
-              title: true,
-              statusCode: true,
-              responseTime: true,
-              wordCount: true,
-              crawlTimestamp: true
-            },
-            orderBy: { crawlTimestamp: "asc" }
-          }
-        }
-      }),
-      prisma.crawlJob.count({ where })
-    ]);
-
-    // Format the response to map internalLinks to crawledPages
-    const formattedJobs = jobs.map(job => ({
-      ...job,
-      crawledPages: job.internalLinks.map(link => ({
-        id: link.id,
-        url: link.address,
-        title: link.title,
-        statusCode: link.statusCode,
-        responseTime: link.responseTime,
-        wordCount: link.wordCount,
-        crawledAt: link.crawlTimestamp
-      }))
-    }));
-
-    // Remove internalLinks from response
-    formattedJobs.forEach(job => delete job.internalLinks);
-
-    res.json({
-      jobs: formattedJobs,
-      total,
-      hasMore: skip + take < total
-    });
-  } catch (error) {
-    console.error("Error fetching jobs:", error);
-    res.status(500).json({ error: "Internal server error" });
-  }
-});
-
-/**
- * @swagger
- * /api/jobs/{id}:
- *   get:
- *     summary: Get a specific crawl job
- *     description: Retrieve detailed information about a specific crawl job including all crawled pages
- *     tags:
- *       - Jobs
- *     security:
- *       - BearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
+ *           description: Lowest page ID in the cluster
+ *         type:
  *           type: string
- *           format: uuid
- *         description: Job ID
- *     responses:
- *       200:
- *         description: Crawl job details
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/CrawlJobWithPages'
- *       404:
- *         description: Job not found
- */
-router.get("/:id", authenticateToken, requireUser, async (req, res) => {
-  try {
-    const jobId = req.params.id;
-    
-    const job = await prisma.crawlJob.findUnique({
-      where: { id: jobId },
-      include: {
-        internalLinks: {
-          select: {
-            id: true,
-            address: true,
-            title: true,
-            statusCode: true,
-            responseTime: true,
-            wordCount: true,
-            crawlTimestamp: true,
-            readability: true,
-            fleschReadingEaseScore: true
-          },
-          orderBy: { crawlTimestamp: "asc" }
-        }
+ *           enum: [exact, near]
+ *           description: exact when every page in the cluster has identical main text
+ *         size:
+ *           type: integer
+ *         pages:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *               url:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               wordCount:
+ *                 type: integer
+ *               closestMatch:
+ *                 type: string
+ *                 description: Most similar other page
+ *               similarity:
+ *                 type: number
+ *                 description: Estimated similarity (0-1) to the closest match
+ *               numberOfDuplicates:
+ *                 type: integer
+ *                 description: Pages above the similarity threshold
+ *     Issue:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         pageId:
+ *           type: integer
+ *           nullable: true
+ *           description: Crawled page the issue was found on
+ *         url:
+ *           type: string
+ *         type:
+ *           type: string
+ *           description: Id of the audit rule that reported the issue
+ *           example: title-too-long
+ *         category:
+ *           type: string
+ *           example: titles
+ *         severity:
+ *           type: string
+ *           enum: [high, medium, low]
+ *         message:
+ *           type: string
+ *           example: Title is 72 characters long
+ *         details:
+ *           type: object
+ *           nullable: true
+ *           description: Type-specific data such as the measured length
+ *     AuditRule:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: title-too-long
+ *         category:
+ *           type: string
+ *           example: titles
+ *         severity:
+ *           type: string
+ *           enum: [high, medium, low]
+ *           description: Default severity
+ *         description:
+ *           type: string
+ *         enabledByDefault:
+ *           type: boolean
+ *         options:
+ *           type: object
+ *           description: Default options
+ *           example:
+ *             maxLength: 60
+ *     CanonicalEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         url:
+ *           type: string
+ *         indexability:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [self, canonicalized, missing]
+ *           description: self when the canonical is the page itself, canonicalized when it points elsewhere
+ *         canonicalUrl:
+ *           type: string
+ *           nullable: true
+ *           description: Absolute canonical; the HTML element wins over the HTTP Link header
+ *         source:
+ *           type: string
+ *           enum: [html, http]
+ *           nullable: true
+ *         htmlCanonicals:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Every canonical link element as written in the HTML
+ *         httpCanonical:
+ *           type: string
+ *           nullable: true
+ *           description: Canonical from the HTTP Link header
+ *         targetStatusCode:
+ *           type: integer
+ *           nullable: true
+ *           description: Final status of the canonical target, null when it was not crawled or checked
+ *         redirectUrl:
+ *           type: string
+ *           nullable: true
+ *           description: Where the canonical target redirects to
+ *         chain:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: string
+ *           description: Canonical URLs followed when the target canonicalizes elsewhere in turn
+ *         isLoop:
+ *           type: boolean
+ *         issues:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [canonical-to-redirect]
+ *     HreflangAlternate:
+ *       type: object
+ *       properties:
+ *         hreflang:
+ *           type: string
+ *           example: en-GB
+ *         url:
+ *           type: string
+ *           description: Absolute alternate URL
+ *         sources:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [html, http, sitemap]
+ *         invalidCode:
+ *           type: string
+ *           enum: [malformed, unknown-language, unknown-region]
+ *           nullable: true
+ *         suggestion:
+ *           type: string
+ *           nullable: true
+ *           description: Code that was probably meant, e.g. en-GB for en-UK
+ *         isSelf:
+ *           type: boolean
+ *         targetStatusCode:
+ *           type: integer
+ *           nullable: true
+ *           description: Final status of the alternate, null when it was not crawled or checked
+ *         targetRedirectUrl:
+ *           type: string
+ *           nullable: true
+ *         targetCanonicalUrl:
+ *           type: string
+ *           nullable: true
+ *           description: Canonical of the alternate when it points elsewhere
+ *         hasReturnLink:
+ *           type: boolean
+ *           nullable: true
+ *           description: Whether the alternate lists this page in turn, null when the alternate was not crawled successfully
+ *     HreflangRow:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         url:
+ *           type: string
+ *         statusCode:
+ *           type: integer
+ *         language:
+ *           type: string
+ *           nullable: true
+ *           description: lang attribute of the html element
+ *         self:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: hreflang values that reference the page itself
+ *         alternates:
+ *           type: object
+ *           description: Lowercased hreflang value -> alternate URLs
+ *           additionalProperties:
+ *             type: array
+ *             items:
+ *               type: string
+ *           example: { "en": ["https://example.com/"], "fr": ["https://example.com/fr/"], "x-default": ["https://example.com/"] }
+ *         details:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/HreflangAlternate'
+ *         issues:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [hreflang-missing-return-link]
+ *     StructuredDataEntity:
+ *       type: object
+ *       properties:
+ *         format:
+ *           type: string
+ *           enum: [json-ld, microdata, rdfa]
+ *         type:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: schema.org types without the vocabulary prefix; other vocabularies keep their full IRI
+ *           example: [Product]
+ *         id:
+ *           type: string
+ *           nullable: true
+ *         properties:
+ *           type: object
+ *           description: Property values are strings, nested entities ({ type, id, properties }) or arrays of those
+ *           example: { "name": "Blue Widget", "offers": { "type": ["Offer"], "id": null, "properties": { "price": "9.99", "priceCurrency": "USD" } } }
+ *     StructuredDataPage:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         url:
+ *           type: string
+ *         types:
+ *           type: array
+ *           items:
+ *             type: string
+ *         formats:
+ *           type: array
+ *           items:
+ *             type: string
+ *         entities:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/StructuredDataEntity'
+ *         errors:
+ *           type: array
+ *           description: JSON-LD blocks that are not valid JSON and items without a type
+ *           items:
+ *             type: object
+ *             properties:
+ *               format:
+ *                 type: string
+ *               block:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Index of the JSON-LD script on the page
+ *               message:
+ *                 type: string
+ *         issues:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [structured-data-missing-required]
+ *     ImageEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         url:
+ *           type: string
+ *           description: Absolute URL the browser loaded
+ *         format:
+ *           type: string
+ *           nullable: true
+ *           example: webp
+ *         contentType:
+ *           type: string
+ *           nullable: true
+ *         statusCode:
+ *           type: integer
+ *           nullable: true
+ *         transferBytes:
+ *           type: integer
+ *           nullable: true
+ *           description: Bytes transferred while crawling, or Content-Length for images only checked after the crawl
+ *         naturalWidth:
+ *           type: integer
+ *           nullable: true
+ *         naturalHeight:
+ *           type: integer
+ *           nullable: true
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         issues:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [image-too-large, image-legacy-format]
+ *         pageCount:
+ *           type: integer
+ *         pages:
+ *           type: array
+ *           description: Every <img> showing the image
+ *           items:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               pageId:
+ *                 type: integer
+ *               src:
+ *                 type: string
+ *               alt:
+ *                 type: string
+ *                 nullable: true
+ *                 description: null when the alt attribute is missing
+ *               widthAttribute:
+ *                 type: string
+ *                 nullable: true
+ *               heightAttribute:
+ *                 type: string
+ *                 nullable: true
+ *               renderedWidth:
+ *                 type: integer
+ *               renderedHeight:
+ *                 type: integer
+ *               loading:
+ *                 type: string
+ *                 nullable: true
+ *               srcset:
+ *                 type: string
+ *                 nullable: true
+ *               sizes:
+ *                 type: string
+ *                 nullable: true
+ *     PagePerformance:
+ *       type: object
+ *       description: Performance of a page; timings are milliseconds from navigation start, sizes are transferred bytes
+ *       properties:
+ *         id:
+ *           type: integer
+ *         url:
+ *           type: string
+ *         ttfb:
+ *           type: integer
+ *         firstContentfulPaint:
+ *           type: integer
+ *           nullable: true
+ *         largestContentfulPaint:
+ *           type: integer
+ *           nullable: true
+ *         cumulativeLayoutShift:
+ *           type: number
+ *           nullable: true
+ *         totalBlockingTime:
+ *           type: integer
+ *           nullable: true
+ *         domContentLoaded:
+ *           type: integer
+ *           nullable: true
+ *         loadTime:
+ *           type: integer
+ *           nullable: true
+ *         responseTime:
+ *           type: integer
+ *           nullable: true
+ *           description: Time until the HTML document finished downloading
+ *         requestCount:
+ *           type: integer
+ *           nullable: true
+ *         totalTransferredBytes:
+ *           type: integer
+ *           nullable: true
+ *         jsBytes:
+ *           type: integer
+ *           nullable: true
+ *         cssBytes:
+ *           type: integer
+ *           nullable: true
+ *         imageBytes:
+ *           type: integer
+ *           nullable: true
+ *         fontBytes:
+ *           type: integer
+ *           nullable: true
+ *         ratings:
+ *           type: object
+ *           description: good, needs-improvement or poor per metric (null when not measured)
+ *           additionalProperties:
+ *             type: string
+ *             nullable: true
+ *           example:
+ *             ttfb: good
+ *             firstContentfulPaint: good
+ *             largestContentfulPaint: needs-improvement
+ *             cumulativeLayoutShift: good
+ *             totalBlockingTime: poor
+ *         rating:
+ *           type: string
+ *           nullable: true
+ *           enum: [good, needs-improvement, poor]
+ *           description: Worst rating of LCP, CLS and TBT
+ *     VerificationStatus:
+ *       type: object
+ *       properties:
+ *         requiresVerification:
+ *           type: boolean
+ *           description: Whether the job requires email verification.
+ *         isVerified:
+ *           type: boolean
+ *           description: Whether the email has been verified.
+ *         verifiedAt:
+ *           type: string
+ *           format: date-time
+ *           description: The timestamp when the email was verified.
+ *         codeSentAt:
+ *           type: string
+ *           format: date-time
+ *           description: The timestamp when the verification code was sent.
+ *         codeExpiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: The timestamp when the verification code expires.
+ *         isCodeExpired:
+ *           type: boolean
+ *           description: Whether the verification code has expired.
+ *         attemptsMade:
+ *           type: integer
+ *           description: The number of verification attempts made.
+ *         attemptsRemaining:
+ *           type: integer
+ *           description: The number of verification attempts remaining.
+ *         canRequestNewCode:
+ *           type: boolean
+ *           description: Whether a new code can be requested.
+ *         jobStatus:
+ *           type: string
+ *           description: The current status of the job.
+ *         email:
+ *           type: string
+ *           format: email
+ *           description: The email address associated with the job.
+ */
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   get:
+ *     summary: Get all crawl jobs
+ *     description: Retrieve crawl jobs with their basic information. Standard users only see the jobs they own, admins see every job.
+ *     tags:
+ *       - Jobs
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, running, completed, failed, paused, stopped, waiting_verification]
+ *         description: Filter jobs by status
+ *       - in: query
+ *         name: ownerId
+ *         schema:
+ *           type: integer
+ *         description: Filter jobs by owner user ID (admin only, ignored for standard users)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of jobs to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         description: Number of jobs to skip
+ *     responses:
+ *       200:
+ *         description: List of crawl jobs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 jobs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CrawlJobWithPages'
+ *                 total:
+ *                   type: integer
+ *                 hasMore:
+ *                   type: boolean
+ */
+router.get("/", authenticateToken, requireUser, async (req, res) => {
+  try {
+    const { status, ownerId, limit = 20, offset = 0 } = req.query;
+    
+    const where = status ? { status } : {};
+
+    // Standard users only see their own jobs, admins can filter by owner
+    if (req.user.role !== 'ADMIN') {
+      where.userId = req.user.id;
+    } else if (ownerId !== undefined) {
+      const ownerIdNumber = parseInt(ownerId);
+      if (isNaN(ownerIdNumber)) {
+        return res.status(400).json({ error: "Invalid ownerId" });
+      }
+      where.userId = ownerIdNumber;
+    }
+
+    const take = Math.min(parseInt(limit), 100);
+    const skip = Math.max(parseInt(offset), 0);
+
+    const [jobs, total] = await Promise.all([
+      prisma.crawlJob.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        take,
+        skip
+      }),
+      prisma.crawlJob.count({ where })
+    ]);
+
+    // Only page counts are included; pages are listed through GET /api/jobs/:id/pages
+    const pageSummaries = await pageQueryService.getPageSummaries(jobs.map(job => job.id));
+    const formattedJobs = jobs.map(job => ({
+      ...job,
+      pageSummary: pageSummaries.get(job.id)
+    }));
+
+    res.json({
+      jobs: formattedJobs,
+      total,
+      hasMore: skip + take < total
+    });
+  } catch (error) {
+    console.error("Error fetching jobs:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   delete:
+ *     summary: Delete crawl jobs matching a filter
+ *     description: Deletes every job matching the filters, with its pages, links, issues, screenshots and stored HTML. Standard users can only delete the jobs they own. Running jobs are skipped; stop them first. At least one of status, ownerId or createdBefore is required.
+ *     tags:
+ *       - Jobs
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, completed, failed, paused, stopped, waiting_verification]
+ *         description: Only delete jobs with this status
+ *       - in: query
+ *         name: ownerId
+ *         schema:
+ *           type: integer
+ *         description: Only delete jobs of this owner (admin only, ignored for standard users)
+ *       - in: query
+ *         name: createdBefore
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only delete jobs created before this date
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: List the jobs that would be deleted without deleting them
+ *     responses:
+ *       200:
+ *         description: Jobs deleted, or the jobs that would be deleted for a dry run
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/JobDeletionResult'
+ *                 - type: object
+ *                   properties:
+ *                     dryRun:
+ *                       type: boolean
+ *                     matchedJobs:
+ *                       type: integer
+ *                     jobIds:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                         format: uuid
+ *       400:
+ *         description: Missing or invalid filter
+ */
+router.delete("/", authenticateToken, requireUser, async (req, res) => {
+  try {
+    const { status, ownerId, createdBefore, dryRun = "false" } = req.query;
+
+    if (status === undefined && createdBefore === undefined && (ownerId === undefined || req.user.role !== 'ADMIN')) {
+      return res.status(400).json({
+        error: "At least one filter is required",
+        allowed: ["status", "ownerId", "createdBefore"]
+      });
+    }
+
+    if (!["true", "false"].includes(dryRun)) {
+      return res.status(400).json({ error: "Invalid dryRun", allowed: ["true", "false"] });
+    }
+
+    const where = {};
+    if (status !== undefined) {
+      where.status = status;
+    }
+
+    if (createdBefore !== undefined) {
+      const date = new Date(createdBefore);
+      if (isNaN(date.getTime())) {
+        return res.status(400).json({ error: "Invalid createdBefore", expected: "ISO 8601 date" });
+      }
+      where.createdAt = { lt: date };
+    }
+
+    // Standard users only delete their own jobs, admins can filter by owner
+    if (req.user.role !== 'ADMIN') {
+      where.userId = req.user.id;
+    } else if (ownerId !== undefined) {
+      const ownerIdNumber = parseInt(ownerId);
+      if (isNaN(ownerIdNumber)) {
+        return res.status(400).json({ error: "Invalid ownerId" });
+      }
+      where.userId = ownerIdNumber;
+    }
+
+    if (dryRun === "true") {
+      const jobIds = await retentionService.findDeletableJobs(where);
+      return res.json({ dryRun: true, matchedJobs: jobIds.length, jobIds });
+    }
+
+    const result = await retentionService.deleteJobs(where);
+    res.json({ message: `Deleted ${result.deletedJobs} jobs`, ...result });
+  } catch (error) {
+    console.error("Error deleting jobs:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/rules:
+ *   get:
+ *     summary: List the audit rules
+ *     description: Lists the audit rules that run when a crawl completes, with their default severity and options. Use the rule ids as keys of the `rules` object when creating a job.
+ *     tags:
+ *       - Jobs
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Available audit rules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 rules:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditRule'
+ */
+router.get("/rules", authenticateToken, requireUser, (req, res) => {
+  res.json({ rules: listRules() });
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}:
+ *   get:
+ *     summary: Get a specific crawl job
+ *     description: Retrieve detailed information about a specific crawl job with a summary of its crawled pages
+ *     tags:
+ *       - Jobs
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Crawl job details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CrawlJobWithPages'
+ *       403:
+ *         description: Access denied - the job belongs to another user
+ *       404:
+ *         description: Job not found
+ */
+router.get("/:id", authenticateToken, requireUser, requireJobAccess, async (req, res) => {
+  try {
+    const jobId = req.params.id;
+    
+    const job = await prisma.crawlJob.findUnique({
+      where: { id: jobId },
+      include: {
+        robotsBlockedUrls: {
+          select: {
+            address: true,
+            matchedRule: true,
+            userAgent: true,
+            foundOn: true
+          },
+          orderBy: { createdAt: "asc" }
+        }
+      }
+    });
+
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    const pageSummaries = await pageQueryService.getPageSummaries([jobId]);
+
+    // Format the response to include AI report information
+    const response = {
+      ...job,
+      pageSummary: pageSummaries.get(jobId),
+      aiReport: {
+        status: job.aiReportStatus,
+        data: job.aiReportData,
+        generatedAt: job.aiReportGeneratedAt,
+        error: job.aiReportError
+      },
+      blockedByRobotsTxt: job.robotsBlockedUrls.map(blocked => ({
+        url: blocked.address,
+        matchedRule: blocked.matchedRule,
+        userAgent: blocked.userAgent,
+        foundOn: blocked.foundOn
+      }))
+    };
+
+    // Remove internal fields from response
+    delete response.robotsBlockedUrls;
+    delete response.aiReportStatus;
+    delete response.aiReportData;
+    delete response.aiReportGeneratedAt;
+    delete response.aiReportError;
+
+    res.json(response);
+  } catch (error) {
+    console.error("Error fetching job:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}:
+ *   delete:
+ *     summary: Delete a crawl job
+ *     description: Deletes the job with its pages, links, issues, screenshots and stored HTML. Screenshots and HTML shared with other jobs are kept for them. A running job must be stopped first.
+ *     tags:
+ *       - Jobs
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Job deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobDeletionResult'
+ *       403:
+ *         description: Access denied - the job belongs to another user
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: The job is running
+ */
+router.delete("/:id", authenticateToken, requireUser, requireJobAccess, async (req, res) => {
+  try {
+    const jobId = req.params.id;
+
+    if (req.job.status === 'running') {
+      return res.status(409).json({
+        error: "Job is running, stop it before deleting it",
+        currentStatus: req.job.status
+      });
+    }
+
+    const result = await retentionService.deleteJobs({ id: jobId });
+    if (result.deletedJobs === 0) {
+      // A worker claimed the job after the check above
+      return res.status(409).json({ error: "Job is running, stop it before deleting it" });
+    }
+
+    res.json({ message: "Crawl job deleted", ...result });
+  } catch (error) {
+    console.error(`Error deleting job ${req.params.id}:`, error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/pages:
+ *   get:
+ *     summary: List the crawled pages of a job
+ *     description: Returns crawled pages with cursor pagination, field selection, sorting and filters. Pass the nextCursor of a response as cursor (with the same sort and filters) to get the next page.
+ *     tags:
+ *       - Jobs
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Job ID
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *           example: "id,address,statusCode,title,wordCount"
+ *         description: Comma-separated page columns to return (defaults to id, address, statusCode, status, indexability, title, wordCount, responseTime, crawlDepth, crawlTimestamp)
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: crawlTimestamp
+ *         description: Column to sort by (address, title, statusCode, responseTime, wordCount, sizeBytes, linkScore, inlinks, crawlDepth and other metric columns)
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *         description: Sort order; pages without a value are listed last
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous response
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 50
+ *         description: Number of pages to return
+ *       - in: query
+ *         name: statusCode
+ *         schema:
+ *           type: string
+ *           example: "4xx,500-599"
+ *         description: Comma-separated status codes (404), classes (4xx) or ranges (500-599)
+ *       - in: query
+ *         name: indexability
+ *         schema:
+ *           type: string
+ *           enum: [Indexable, Non-Indexable]
+ *       - in: query
+ *         name: indexabilityStatus
+ *         schema:
+ *           type: string
+ *           enum: [non-200, redirected, non-html, blocked-by-robots-txt, noindex-meta, noindex-x-robots-tag, canonicalized]
+ *         description: Reason a page is not indexable
+ *       - in: query
+ *         name: minWordCount
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: maxWordCount
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: minResponseTime
+ *         schema:
+ *           type: integer
+ *         description: Minimum response time in milliseconds
+ *       - in: query
+ *         name: maxResponseTime
+ *         schema:
+ *           type: integer
+ *         description: Maximum response time in milliseconds
+ *       - in: query
+ *         name: title
+ *         schema:
+ *           type: string
+ *           enum: [missing, duplicate]
+ *         description: Only pages whose title is missing, or shared with another page
+ *       - in: query
+ *         name: metaDescription
+ *         schema:
+ *           type: string
+ *           enum: [missing, duplicate]
+ *         description: Only pages whose meta description is missing, or shared with another page
+ *       - in: query
+ *         name: addressPrefix
+ *         schema:
+ *           type: string
+ *           example: "https://example.com/blog/"
+ *         description: Only pages whose URL starts with this prefix
+ *       - in: query
+ *         name: addressRegex
+ *         schema:
+ *           type: string
+ *           example: "/products/[0-9]+$"
+ *         description: Only pages whose URL matches this (POSIX) regular expression, at most 200 characters
+ *     responses:
+ *       200:
+ *         description: Crawled pages
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 jobId:
+ *                   type: string
+ *                   format: uuid
+ *                 pages:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     description: The selected page columns
+ *                 total:
+ *                   type: integer
+ *                   description: Number of pages matching the filters
+ *                 limit:
+ *                   type: integer
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                 hasMore:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid query parameter
+ *       403:
+ *         description: Access denied - the job belongs to another user
+ *       404:
+ *         description: Job not found
+ */
+router.get("/:id/pages", authenticateToken, requireUser, requireJobAccess, async (req, res) => {
+  try {
+    const { options, error, expected } = await pageQueryService.parsePageQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error, expected });
+    }
+
+    const result = await pageQueryService.listPages(req.params.id, options);
+
+    res.json({ jobId: req.params.id, ...result });
+  } catch (error) {
+    console.error("Error fetching pages:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/export:
+ *   get:
+ *     summary: Export crawl data
+ *     description: Downloads a dataset of the job as CSV, XLSX or JSON Lines. Rows are streamed in batches, so large jobs can be exported in one request.
+ *     tags:
+ *       - Jobs
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Job ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx, jsonl]
+ *           default: csv
+ *         description: File format
+ *       - in: query
+ *         name: dataset
+ *         schema:
+ *           type: string
+ *           enum: [pages, inlinks, external, sitemaps, issues]
+ *           default: pages
+ *         description: Data to export (crawled pages, link relationships, external links, sitemaps or crawl issues). Issues are grouped by source - broken links, redirects, duplicates, robots.txt blocks, then audit findings - in the order they were found.
+ *       - in: query
+ *         name: columns
+ *         schema:
+ *           type: string
+ *           example: "address,statusCode,title,wordCount"
+ *         description: Comma-separated columns to export. Defaults to every column of the dataset except raw HTML (pages) and raw XML (sitemaps).
+ *     responses:
+ *       200:
+ *         description: Export file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid format, dataset or columns
+ *       403:
+ *         description: Access denied - the job belongs to another user
+ *       404:
+ *         description: Job not found
+ */
+router.get("/:id/export", authenticateToken, requireUser, requireJobAccess, async (req, res) => {
+  try {
+    const { options, error, expected } = exportService.parseExportQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error, expected });
+    }
+
+    res.setHeader('Content-Type', exportService.FORMATS[options.format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportService.getFilename(req.params.id, options)}"`);
+
+    const rowCount = await exportService.streamExport(req.params.id, options, res);
+    console.log(`📤 Exported ${rowCount} ${options.dataset} rows of job ${req.params.id} as ${options.format}`);
+
+    if (!res.writableEnded) {
+      res.end();
+    }
+  } catch (error) {
+    console.error("Error exporting job data:", error);
+
+    // Once streaming has started the status can't change; cut the download short instead
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/pages/{pageId}:
+ *   get:
+ *     summary: Get detailed page data
+ *     description: Retrieve complete information about a specific crawled page, including how it rendered on each device the job crawled with
+ *     tags:
+ *       - Jobs
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Job ID
+ *       - in: path
+ *         name: pageId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Page ID
+ *     responses:
+ *       200:
+ *         description: Complete page data
+ *       403:
+ *         description: Access denied - the job belongs to another user
+ *       404:
+ *         description: Page not found
+ */
+router.get("/:id/pages/:pageId", authenticateToken, requireUser, requireJobAccess, async (req, res) => {
+  try {
+    const jobId = req.params.id;
+    const pageId = parseInt(req.params.pageId);
+    
+    const page = await prisma.internalLink.findFirst({
+      where: {
+        id: pageId,
+        jobId: jobId
+      },
+      include: {
+        incomingLinks: true,
+        outgoingLinks: true,
+        renderings: { orderBy: { device: 'asc' } }
+      }
+    });
+
+    if (!page) {
+      return res.status(404).json({ error: "Page not found" });
+    }
+
+    res.json(screenshotService.withUrls(jobId, page));
+  } catch (error) {
+    console.error("Error fetching page:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/pages/{pageId}/html:
+ *   get:
+ *     summary: Download the raw HTML of a page
+ *     description: Returns the HTML of the page as rendered by the crawler, read from artifact storage
+ *     tags:
+ *       - Jobs
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Job ID
+ *       - in: path
+ *         name: pageId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Page ID
+ *     responses:
+ *       200:
+ *         description: The HTML of the page
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       403:
+ *         description: Access denied - the job belongs to another user
+ *       404:
+ *         description: Page not found, or no HTML was stored for it
+ */
+router.get("/:id/pages/:pageId/html", authenticateToken, requireUser, requireJobAccess, async (req, res) => {
+  try {
+    const page = await prisma.internalLink.findFirst({
+      where: { id: parseInt(req.params.pageId), jobId: req.params.id },
+      select: { htmlKey: true, htmlContent: true }
+    });
+
+    if (!page) {
+      return res.status(404).json({ error: "Page not found" });
+    }
+
+    // Pages crawled before artifact storage still keep their HTML in the database
+    const html = page.htmlKey ? await artifactStorage.getText(page.htmlKey) : page.htmlContent;
+    if (!html) {
+      return res.status(404).json({ error: "HTML not found" });
+    }
+
+    res.set("Cache-Control", "private, max-age=86400");
+    res.type("html").send(html);
+  } catch (error) {
+    console.error("Error fetching page HTML:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/screenshots/{file}:
+ *   get:
+ *     summary: Download a page screenshot
+ *     description: Streams a screenshot of the job. The screenshotUrl, thumbnailUrl and aboveTheFoldScreenshotUrl of a page point here.
+ *     tags:
+ *       - Jobs
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Job ID
+ *       - in: path
+ *         name: file
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 3a7bd3e2360a3d29eea436fcfb7e44c735d117c42d1c1835420b6b9942dd4f1b.png
+ *         description: Artifact key of the screenshot (file name for screenshots taken before artifact storage)
+ *     responses:
+ *       200:
+ *         description: The screenshot
+ *         content:
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           image/jpeg:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Access denied - the job belongs to another user
+ *       404:
+ *         description: Job or screenshot not found
+ */
+router.get("/:id/screenshots/:file", authenticateToken, requireUser, requireJobAccess, async (req, res) => {
+  try {
+    const screenshot = await screenshotService.getScreenshot(req.params.id, req.params.file);
+    if (!screenshot) {
+      return res.status(404).json({ error: "Screenshot not found" });
+    }
+
+    res.set("Cache-Control", "private, max-age=86400");
+    if (!screenshot.filePath) {
+      return res.type(screenshot.contentType).send(screenshot.body);
+    }
+
+    res.sendFile(screenshot.filePath, (error) => {
+      if (error && !res.headersSent) {
+        console.error("Error sending screenshot:", error);
+        res.status(500).json({ error: "Internal server error" });
       }
     });
+  } catch (error) {
+    console.error("Error fetching screenshot:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/redirects:
+ *   get:
+ *     summary: Get the redirect report
+ *     description: Lists every crawled URL that redirected, with each hop of its chain (HTTP 3xx, meta refresh or JavaScript), and flags redirect chains, loops and redirects to targets that do not return 200
+ *     tags:
+ *       - Jobs
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Job ID
+ *       - in: query
+ *         name: issue
+ *         schema:
+ *           type: string
+ *           enum: [chain, loop, non200]
+ *         description: Only return redirects with this issue
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [http, meta-refresh, javascript]
+ *         description: Only return redirects whose first hop has this type
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 50
+ *         description: Number of redirects to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         description: Number of redirects to skip
+ *     responses:
+ *       200:
+ *         description: Redirect report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 jobId:
+ *                   type: string
+ *                   format: uuid
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     totalRedirects:
+ *                       type: integer
+ *                     chains:
+ *                       type: integer
+ *                     loops:
+ *                       type: integer
+ *                     redirectsToNon200:
+ *                       type: integer
+ *                     byType:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: integer
+ *                 redirects:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RedirectReportEntry'
+ *                 total:
+ *                   type: integer
+ *                 hasMore:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Access denied - the job belongs to another user
+ *       404:
+ *         description: Job not found
+ */
+router.get("/:id/redirects", authenticateToken, requireUser, requireJobAccess, async (req, res) => {
+  try {
+    const { issue, type, limit = 50, offset = 0 } = req.query;
+
+    if (issue !== undefined && !reportService.REDIRECT_ISSUES.includes(issue)) {
+      return res.status(400).json({ error: "Invalid issue", allowed: reportService.REDIRECT_ISSUES });
+    }
+    if (type !== undefined && !reportService.REDIRECT_TYPES.includes(type)) {
+      return res.status(400).json({ error: "Invalid type", allowed: reportService.REDIRECT_TYPES });
+    }
+
+    const report = await reportService.getRedirectReport(req.params.id, {
+      issue,
+      type,
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 500),
+      offset: Math.max(parseInt(offset) || 0, 0)
+    });
+
+    res.json({ jobId: req.params.id, ...report });
+  } catch (error) {
+    console.error("Error fetching redirect report:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/broken-links:
+ *   get:
+ *     summary: Get the broken links report
+ *     description: Lists every internal or external link target that returned a 4xx/5xx status or no response, together with every page and anchor text linking to it. Targets that were not crawled are checked after the crawl finishes.
+ *     tags:
+ *       - Jobs
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Job ID
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [internal, external]
+ *         description: Only return internal or external targets
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 50
+ *         description: Number of broken targets to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         description: Number of broken targets to skip
+ *     responses:
+ *       200:
+ *         description: Broken links report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 jobId:
+ *                   type: string
+ *                   format: uuid
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     brokenTargets:
+ *                       type: integer
+ *                     internal:
+ *                       type: integer
+ *                     external:
+ *                       type: integer
+ *                     brokenLinks:
+ *                       type: integer
+ *                       description: Total links pointing at broken targets
+ *                 brokenLinks:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BrokenLink'
+ *                 total:
+ *                   type: integer
+ *                 hasMore:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Access denied - the job belongs to another user
+ *       404:
+ *         description: Job not found
+ */
+router.get("/:id/broken-links", authenticateToken, requireUser, requireJobAccess, async (req, res) => {
+  try {
+    const { type, limit = 50, offset = 0 } = req.query;
+
+    if (type !== undefined && !reportService.LINK_TYPES.includes(type)) {
+      return res.status(400).json({ error: "Invalid type", allowed: reportService.LINK_TYPES });
+    }
+
+    const report = await reportService.getBrokenLinksReport(req.params.id, {
+      type,
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 500),
+      offset: Math.max(parseInt(offset) || 0, 0)
+    });
+
+    res.json({ jobId: req.params.id, ...report });
+  } catch (error) {
+    console.error("Error fetching broken links report:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/duplicates:
+ *   get:
+ *     summary: Get the duplicate content report
+ *     description: Lists clusters of pages whose main text is identical or near-identical (MinHash similarity above the configured NEAR_DUPLICATE_THRESHOLD). Computed when the crawl completes.
+ *     tags:
+ *       - Jobs
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Job ID
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [exact, near]
+ *         description: Only return exact or near-duplicate clusters
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 50
+ *         description: Number of clusters to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         description: Number of clusters to skip
+ *     responses:
+ *       200:
+ *         description: Duplicate content report, largest clusters first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 jobId:
+ *                   type: string
+ *                   format: uuid
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     threshold:
+ *                       type: number
+ *                     clusters:
+ *                       type: integer
+ *                     exactClusters:
+ *                       type: integer
+ *                     nearClusters:
+ *                       type: integer
+ *                     pagesWithDuplicates:
+ *                       type: integer
+ *                 clusters:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DuplicateCluster'
+ *                 total:
+ *                   type: integer
+ *                 hasMore:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Access denied - the job belongs to another user
+ *       404:
+ *         description: Job not found
+ */
+router.get("/:id/duplicates", authenticateToken, requireUser, requireJobAccess, async (req, res) => {
+  try {
+    const { type, limit = 50, offset = 0 } = req.query;
+
+    if (type !== undefined && !reportService.DUPLICATE_TYPES.includes(type)) {
+      return res.status(400).json({ error: "Invalid type", allowed: reportService.DUPLICATE_TYPES });
+    }
+
+    const report = await reportService.getDuplicatesReport(req.params.id, {
+      type,
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 500),
+      offset: Math.max(parseInt(offset) || 0, 0)
+    });
+
+    res.json({ jobId: req.params.id, ...report });
+  } catch (error) {
+    console.error("Error fetching duplicates report:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/issues:
+ *   get:
+ *     summary: Get the SEO issues of a job
+ *     description: Lists the issues found by the audit rules that run when the crawl completes, one entry per page and issue type.
+ *     tags:
+ *       - Jobs
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Job ID
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Only return issues of this type (e.g. title-duplicate)
+ *       - in: query
+ *         name: severity
+ *         schema:
+ *           type: string
+ *           enum: [high, medium, low]
+ *         description: Only return issues of this severity
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Only return issues of this category (e.g. titles, meta-descriptions, headings)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 50
+ *         description: Number of issues to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         description: Number of issues to skip
+ *     responses:
+ *       200:
+ *         description: SEO issues sorted by URL, with counts for the whole job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 jobId:
+ *                   type: string
+ *                   format: uuid
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     totalIssues:
+ *                       type: integer
+ *                     bySeverity:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: integer
+ *                     byType:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: integer
+ *                 issues:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Issue'
+ *                 total:
+ *                   type: integer
+ *                 hasMore:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Access denied - the job belongs to another user
+ *       404:
+ *         description: Job not found
+ */
+router.get("/:id/issues", authenticateToken, requireUser, requireJobAccess, async (req, res) => {
+  try {
+    const { type, severity, category, limit = 50, offset = 0 } = req.query;
+
+    if (severity !== undefined && !reportService.ISSUE_SEVERITIES.includes(severity)) {
+      return res.status(400).json({ error: "Invalid severity", allowed: reportService.ISSUE_SEVERITIES });
+    }
+
+    if (category !== undefined && !reportService.ISSUE_CATEGORIES.includes(category)) {
+      return res.status(400).json({ error: "Invalid category", allowed: reportService.ISSUE_CATEGORIES });
+    }
+
+    const report = await reportService.getIssuesReport(req.params.id, {
+      type,
+      severity,
+      category,
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 500),
+      offset: Math.max(parseInt(offset) || 0, 0)
+    });
+
+    res.json({ jobId: req.params.id, ...report });
+  } catch (error) {
+    console.error("Error fetching issues report:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/canonicals:
+ *   get:
+ *     summary: Get the canonicalization report
+ *     description: Lists the canonical of every successfully crawled page (from the HTML or the HTTP Link header), resolved against the crawled pages, redirects and checked links when the crawl completes. Problems such as canonicals to non-200 or redirected URLs, chains, loops, missing, relative, cross-domain or multiple canonicals and noindex conflicts are also reported as issues.
+ *     tags:
+ *       - Jobs
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Job ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [self, canonicalized, missing]
+ *         description: Only return pages with this canonical status
+ *       - in: query
+ *         name: issue
+ *         schema:
+ *           type: string
+ *           enum: [canonical-chain, canonical-cross-domain, canonical-loop, canonical-missing, canonical-multiple, canonical-noindex-conflict, canonical-relative, canonical-to-non-200, canonical-to-redirect]
+ *         description: Only return pages with this canonical issue
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 50
+ *         description: Number of pages to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         description: Number of pages to skip
+ *     responses:
+ *       200:
+ *         description: Canonicalization report sorted by URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 jobId:
+ *                   type: string
+ *                   format: uuid
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     totalPages:
+ *                       type: integer
+ *                     self:
+ *                       type: integer
+ *                     canonicalized:
+ *                       type: integer
+ *                     missing:
+ *                       type: integer
+ *                     byIssue:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: integer
+ *                 canonicals:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CanonicalEntry'
+ *                 total:
+ *                   type: integer
+ *                 hasMore:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Access denied - the job belongs to another user
+ *       404:
+ *         description: Job not found
+ */
+router.get("/:id/canonicals", authenticateToken, requireUser, requireJobAccess, async (req, res) => {
+  try {
+    const { status, issue, limit = 50, offset = 0 } = req.query;
+
+    if (status !== undefined && !reportService.CANONICAL_STATUSES.includes(status)) {
+      return res.status(400).json({ error: "Invalid status", allowed: reportService.CANONICAL_STATUSES });
+    }
+
+    if (issue !== undefined && !reportService.CANONICAL_ISSUES.includes(issue)) {
+      return res.status(400).json({ error: "Invalid issue", allowed: reportService.CANONICAL_ISSUES });
+    }
+
+    const report = await reportService.getCanonicalsReport(req.params.id, {
+      status,
+      issue,
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 500),
+      offset: Math.max(parseInt(offset) || 0, 0)
+    });
+
+    res.json({ jobId: req.params.id, ...report });
+  } catch (error) {
+    console.error("Error fetching canonicals report:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/hreflang:
+ *   get:
+ *     summary: Get the hreflang matrix
+ *     description: Lists every page that declares hreflang annotations (HTML link elements, HTTP Link headers or sitemap xhtml:link entries) with the URL it gives for each language. Invalid language or region codes, missing return links, self-references and x-default, and alternates that are not 200 or not canonical are also reported as issues.
+ *     tags:
+ *       - Jobs
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Job ID
+ *       - in: query
+ *         name: hreflang
+ *         schema:
+ *           type: string
+ *           example: fr-CA
+ *         description: Only return pages that list this hreflang value
+ *       - in: query
+ *         name: issue
+ *         schema:
+ *           type: string
+ *           enum: [hreflang-invalid-code, hreflang-missing-return-link, hreflang-missing-self-reference, hreflang-missing-x-default, hreflang-to-non-200, hreflang-to-non-canonical]
+ *         description: Only return pages with this hreflang issue
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 50
+ *         description: Number of pages to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         description: Number of pages to skip
+ *     responses:
+ *       200:
+ *         description: Hreflang matrix sorted by URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 jobId:
+ *                   type: string
+ *                   format: uuid
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     totalPages:
+ *                       type: integer
+ *                     byHreflang:
+ *                       type: object
+ *                       description: Number of pages listing each hreflang value
+ *                       additionalProperties:
+ *                         type: integer
+ *                     byIssue:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: integer
+ *                 hreflangs:
+ *                   type: array
+ *                   description: Every hreflang value used on the site, i.e. the matrix columns
+ *                   items:
+ *                     type: string
+ *                 matrix:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/HreflangRow'
+ *                 total:
+ *                   type: integer
+ *                 hasMore:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Access denied - the job belongs to another user
+ *       404:
+ *         description: Job not found
+ */
+router.get("/:id/hreflang", authenticateToken, requireUser, requireJobAccess, async (req, res) => {
+  try {
+    const { hreflang, issue, limit = 50, offset = 0 } = req.query;
+
+    if (issue !== undefined && !reportService.HREFLANG_ISSUES.includes(issue)) {
+      return res.status(400).json({ error: "Invalid issue", allowed: reportService.HREFLANG_ISSUES });
+    }
+
+    const report = await reportService.getHreflangReport(req.params.id, {
+      hreflang,
+      issue,
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 500),
+      offset: Math.max(parseInt(offset) || 0, 0)
+    });
+
+    res.json({ jobId: req.params.id, ...report });
+  } catch (error) {
+    console.error("Error fetching hreflang report:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/images:
+ *   get:
+ *     summary: Get the image inventory
+ *     description: Lists every distinct image of the crawl with its format, transfer size, intrinsic size and status, and the pages it appears on with the alt text, width and height attributes, rendered size, loading and srcset of each img element. Missing alt text, broken, oversized and too large images, images without dimensions and non-modern formats are also reported as issues.
+ *     tags:
+ *       - Jobs
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Job ID
+ *       - in: query
+ *         name: issue
+ *         schema:
+ *           type: string
+ *           enum: [image-broken, image-legacy-format, image-missing-alt, image-missing-dimensions, image-oversized, image-too-large]
+ *         description: Only return images with this issue
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           example: png
+ *         description: Only return images in this format (unknown for images whose format could not be determined)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 50
+ *         description: Number of images to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         description: Number of images to skip
+ *     responses:
+ *       200:
+ *         description: Image inventory sorted by URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 jobId:
+ *                   type: string
+ *                   format: uuid
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     totalImages:
+ *                       type: integer
+ *                     totalOccurrences:
+ *                       type: integer
+ *                     totalBytes:
+ *                       type: integer
+ *                     byFormat:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: integer
+ *                     byIssue:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: integer
+ *                 images:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ImageEntry'
+ *                 total:
+ *                   type: integer
+ *                 hasMore:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Access denied - the job belongs to another user
+ *       404:
+ *         description: Job not found
+ */
+router.get("/:id/images", authenticateToken, requireUser, requireJobAccess, async (req, res) => {
+  try {
+    const { issue, format, limit = 50, offset = 0 } = req.query;
+
+    if (issue !== undefined && !reportService.IMAGE_ISSUES.includes(issue)) {
+      return res.status(400).json({ error: "Invalid issue", allowed: reportService.IMAGE_ISSUES });
+    }
+
+    const report = await reportService.getImagesReport(req.params.id, {
+      issue,
+      format,
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 500),
+      offset: Math.max(parseInt(offset) || 0, 0)
+    });
+
+    res.json({ jobId: req.params.id, ...report });
+  } catch (error) {
+    console.error("Error fetching images report:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/structured-data:
+ *   get:
+ *     summary: Get the structured data report
+ *     description: Shows the schema.org type coverage across the site and lists the JSON-LD, Microdata and RDFa entities of every successfully crawled page. Parse errors, unrecognized types and properties missing for rich results (Product, Article, FAQPage, BreadcrumbList and more) are also reported as issues.
+ *     tags:
+ *       - Jobs
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Job ID
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           example: Product
+ *         description: Only return pages with an entity of this type
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json-ld, microdata, rdfa]
+ *         description: Only return pages using this format
+ *       - in: query
+ *         name: issue
+ *         schema:
+ *           type: string
+ *           enum: [structured-data-missing-recommended, structured-data-missing-required, structured-data-parse-error, structured-data-unknown-type]
+ *         description: Only return pages with this structured data issue
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 50
+ *         description: Number of pages to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         description: Number of pages to skip
+ *     responses:
+ *       200:
+ *         description: Structured data report, pages sorted by URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 jobId:
+ *                   type: string
+ *                   format: uuid
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     totalPages:
+ *                       type: integer
+ *                     pagesWithStructuredData:
+ *                       type: integer
+ *                     pagesWithErrors:
+ *                       type: integer
+ *                     byFormat:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: integer
+ *                     byIssue:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: integer
+ *                 coverage:
+ *                   type: array
+ *                   description: Every type used on the site, most used first
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                       richResult:
+ *                         type: boolean
+ *                         description: Whether the type's rich result requirements are validated
+ *                       pages:
+ *                         type: integer
+ *                       entities:
+ *                         type: integer
+ *                       pagesWithIssues:
+ *                         type: integer
+ *                       formats:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                 pages:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StructuredDataPage'
+ *                 total:
+ *                   type: integer
+ *                 hasMore:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Access denied - the job belongs to another user
+ *       404:
+ *         description: Job not found
+ */
+router.get("/:id/structured-data", authenticateToken, requireUser, requireJobAccess, async (req, res) => {
+  try {
+    const { type, format, issue, limit = 50, offset = 0 } = req.query;
+
+    if (format !== undefined && !reportService.STRUCTURED_DATA_FORMATS.includes(format)) {
+      return res.status(400).json({ error: "Invalid format", allowed: reportService.STRUCTURED_DATA_FORMATS });
+    }
+
+    if (issue !== undefined && !reportService.STRUCTURED_DATA_ISSUES.includes(issue)) {
+      return res.status(400).json({ error: "Invalid issue", allowed: reportService.STRUCTURED_DATA_ISSUES });
+    }
+
+    const report = await reportService.getStructuredDataReport(req.params.id, {
+      type,
+      format,
+      issue,
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 500),
+      offset: Math.max(parseInt(offset) || 0, 0)
+    });
+
+    res.json({ jobId: req.params.id, ...report });
+  } catch (error) {
+    console.error("Error fetching structured data report:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/performance:
+ *   get:
+ *     summary: Get the performance report
+ *     description: Aggregates the performance metrics measured in the browser for every page (TTFB, FCP, LCP, CLS, TBT, DOMContentLoaded, load, request count and bytes per resource type) into p50, p75, p90 and p95 percentiles, counts the pages that are good, need improvement or are poor for each web vital, and lists the pages sorted by a metric, slowest first. Pages are measured with the job's performanceProfile.
+ *     tags:
+ *       - Jobs
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Job ID
+ *       - in: query
+ *         name: rating
+ *         schema:
+ *           type: string
+ *           enum: [good, needs-improvement, poor]
+ *         description: Only return pages with this overall rating
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [ttfb, firstContentfulPaint, largestContentfulPaint, cumulativeLayoutShift, totalBlockingTime, domContentLoaded, loadTime, responseTime, requestCount, totalTransferredBytes, jsBytes, cssBytes, imageBytes, fontBytes]
+ *           default: largestContentfulPaint
+ *         description: Metric to sort the pages by, highest first
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 50
+ *         description: Number of pages to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         description: Number of pages to skip
+ *     responses:
+ *       200:
+ *         description: Performance report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 jobId:
+ *                   type: string
+ *                   format: uuid
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     profile:
+ *                       type: string
+ *                       example: mobile-slow-4g
+ *                     measuredPages:
+ *                       type: integer
+ *                     percentiles:
+ *                       type: object
+ *                       description: p50, p75, p90 and p95 of each metric
+ *                       additionalProperties:
+ *                         type: object
+ *                         additionalProperties:
+ *                           type: number
+ *                           nullable: true
+ *                       example:
+ *                         largestContentfulPaint: { p50: 1850, p75: 2600, p90: 3400, p95: 4100 }
+ *                     webVitals:
+ *                       type: object
+ *                       description: Pages per rating for TTFB, FCP, LCP, CLS and TBT
+ *                       additionalProperties:
+ *                         type: object
+ *                         additionalProperties:
+ *                           type: integer
+ *                       example:
+ *                         largestContentfulPaint: { good: 31, needs-improvement: 12, poor: 4 }
+ *                     byRating:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: integer
+ *                 pages:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PagePerformance'
+ *                 total:
+ *                   type: integer
+ *                 hasMore:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid filter or sort
+ *       403:
+ *         description: Access denied - the job belongs to another user
+ *       404:
+ *         description: Job not found
+ */
+router.get("/:id/performance", authenticateToken, requireUser, requireJobAccess, async (req, res) => {
+  try {
+    const { rating, sort = "largestContentfulPaint", limit = 50, offset = 0 } = req.query;
 
-    if (!job) {
-      return res.status(404).json({ error: "Job not found" });
+    if (rating !== undefined && !reportService.PERFORMANCE_RATINGS.includes(rating)) {
+      return res.status(400).json({ error: "Invalid rating", allowed: reportService.PERFORMANCE_RATINGS });
     }
 
-    // Format the response to include AI report information
-    const response = {
-      ...job,
-      crawledPages: job.internalLinks.map(link => ({
-        id: link.id,
-        url: link.address,
-        title: link.title,
-        statusCode: link.statusCode,
-        responseTime: link.responseTime,
-        wordCount: link.wordCount,
-        crawledAt: link.crawlTimestamp,
-        readability: link.readability,
-        fleschReadingEaseScore: link.fleschReadingEaseScore
-      })),
-      aiReport: {
-        status: job.aiReportStatus,
-        data: job.aiReportData,
-        generatedAt: job.aiReportGeneratedAt,
-        error: job.aiReportError
-      }
-    };
+    if (!reportService.PERFORMANCE_METRICS.includes(sort)) {
+      return res.status(400).json({ error: "Invalid sort", allowed: reportService.PERFORMANCE_METRICS });
+    }
 
-    // Remove internal fields from response
-    delete response.internalLinks;
-    delete response.aiReportStatus;
-    delete response.aiReportData;
-    delete response.aiReportGeneratedAt;
-    delete response.aiReportError;
+    const report = await reportService.getPerformanceReport(req.params.id, {
+      rating,
+      sort,
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 500),
+      offset: Math.max(parseInt(offset) || 0, 0)
+    });
 
-    res.json(response);
+    res.json({ jobId: req.params.id, ...report });
   } catch (error) {
-    console.error("Error fetching job:", error);
+    console.error("Error fetching performance report:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
 /**
  * @swagger
- * /api/jobs/{id}/pages/{pageId}:
+ * components:
+ *   schemas:
+ *     FieldChange:
+ *       type: object
+ *       properties:
+ *         before:
+ *           nullable: true
+ *           description: Value in the baseline job
+ *         after:
+ *           nullable: true
+ *           description: Value in the compared job
+ *         delta:
+ *           type: integer
+ *           nullable: true
+ *           description: after - before (counts only)
+ *     IssueChange:
+ *       type: object
+ *       properties:
+ *         issue:
+ *           type: string
+ *           example: title-missing
+ *         severity:
+ *           type: string
+ *         detail:
+ *           type: string
+ *           nullable: true
+ *     UrlChange:
+ *       type: object
+ *       properties:
+ *         url:
+ *           type: string
+ *         change:
+ *           type: string
+ *           enum: [added, removed, changed]
+ *           description: added and removed pages were crawled by one of the jobs only; changed URLs were crawled by both or carry issues in both (e.g. broken link targets)
+ *         pageId:
+ *           type: integer
+ *           nullable: true
+ *           description: Page in the compared job
+ *         baselinePageId:
+ *           type: integer
+ *           nullable: true
+ *           description: Page in the baseline job
+ *         changes:
+ *           type: object
+ *           description: Fields that changed (statusCode, title, metaDescription, h1, canonical, indexability, wordCount, inlinks, internalOutlinks)
+ *           additionalProperties:
+ *             $ref: '#/components/schemas/FieldChange'
+ *           example:
+ *             title: { before: "Old title", after: "New title" }
+ *             wordCount: { before: 820, after: 1045, delta: 225 }
+ *         newIssues:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/IssueChange'
+ *         resolvedIssues:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/IssueChange'
+ */
+
+/**
+ * @swagger
+ * /api/jobs/{id}/compare/{otherId}:
  *   get:
- *     summary: Get detailed page data
- *     description: Retrieve complete information about a specific crawled page
+ *     summary: Compare a crawl with another crawl
+ *     description: Reports what changed between job otherId (the baseline, usually an earlier crawl of the same site) and job id. Pages are matched by normalized address (no fragment, sorted query parameters, no trailing slash; no query parameters when either job ignores them). Added and removed pages, status code, title, meta description, H1, canonical and indexability changes, word count and internal link count deltas and new and resolved issues are listed per URL, sorted by URL. Unchanged pages are only counted. The comparison is kept for 10 minutes, or until either job is updated, so paging through it does not compare the crawls again; comparisons with very many changes are not kept. With format=csv the whole comparison is downloaded with one row per change. Consecutive runs of a schedule are listed by GET /api/schedules/{id}/runs.
  *     tags:
  *       - Jobs
  *     security:
@@ -655,41 +2944,322 @@ router.get("/:id", authenticateToken, requireUser, async (req, res) => {
  *           format: uuid
  *         description: Job ID
  *       - in: path
- *         name: pageId
+ *         name: otherId
  *         required: true
  *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID of the baseline job
+ *       - in: query
+ *         name: change
+ *         schema:
+ *           type: string
+ *           enum: [added, removed, statusCode, title, metaDescription, h1, canonical, indexability, wordCount, inlinks, internalOutlinks, newIssues, resolvedIssues]
+ *         description: Only return URLs with this kind of change
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *         description: Response format. The CSV has the columns url, change, before, after, delta and detail and is not paginated
+ *       - in: query
+ *         name: limit
+ *         schema:
  *           type: integer
- *         description: Page ID
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 100
+ *         description: Number of URLs to return (json)
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         description: Number of URLs to skip (json)
  *     responses:
  *       200:
- *         description: Complete page data
+ *         description: Comparison of the two jobs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 jobId:
+ *                   type: string
+ *                   format: uuid
+ *                 baselineJobId:
+ *                   type: string
+ *                   format: uuid
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     pages:
+ *                       type: integer
+ *                     baselinePages:
+ *                       type: integer
+ *                     added:
+ *                       type: integer
+ *                     removed:
+ *                       type: integer
+ *                     changed:
+ *                       type: integer
+ *                       description: Pages crawled by both jobs with at least one change
+ *                     unchanged:
+ *                       type: integer
+ *                     byChange:
+ *                       type: object
+ *                       description: URLs per kind of change
+ *                       additionalProperties:
+ *                         type: integer
+ *                     newIssues:
+ *                       type: integer
+ *                     resolvedIssues:
+ *                       type: integer
+ *                 changes:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UrlChange'
+ *                 total:
+ *                   type: integer
+ *                 hasMore:
+ *                   type: boolean
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid change or format, or both IDs are the same job
+ *       403:
+ *         description: Access denied - one of the jobs belongs to another user
  *       404:
- *         description: Page not found
+ *         description: Job not found
  */
-router.get("/:id/pages/:pageId", authenticateToken, requireUser, async (req, res) => {
+router.get("/:id/compare/:otherId", authenticateToken, requireUser, requireJobAccess, async (req, res) => {
   try {
-    const jobId = req.params.id;
-    const pageId = parseInt(req.params.pageId);
-    
-    const page = await prisma.internalLink.findFirst({
-      where: {
-        id: pageId,
-        jobId: jobId
-      },
-      include: {
-        incomingLinks: true,
-        outgoingLinks: true
+    const { change, format = "json", limit = 100, offset = 0 } = req.query;
+
+    if (change !== undefined && !comparisonService.CHANGE_TYPES.includes(change)) {
+      return res.status(400).json({ error: "Invalid change", allowed: comparisonService.CHANGE_TYPES });
+    }
+
+    if (!["json", "csv"].includes(format)) {
+      return res.status(400).json({ error: "Invalid format", allowed: ["json", "csv"] });
+    }
+
+    const otherId = req.params.otherId;
+    if (otherId === req.job.id) {
+      return res.status(400).json({ error: "A job cannot be compared with itself" });
+    }
+
+    const baselineJob = isUuid(otherId) ? await prisma.crawlJob.findUnique({ where: { id: otherId } }) : null;
+    if (!baselineJob) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    if (!canAccessJob(req.user, baselineJob)) {
+      return res.status(403).json({
+        error: "Access denied",
+        message: "You do not have access to this job."
+      });
+    }
+
+    const comparison = await comparisonService.compareJobs(req.job, baselineJob, { change });
+
+    if (format === "csv") {
+      const writer = exportService.createWriter("csv", "comparison", comparisonService.CSV_COLUMNS, res);
+
+      res.setHeader("Content-Type", exportService.FORMATS.csv.contentType);
+      res.setHeader("Content-Disposition", `attachment; filename="job-${req.job.id}-compare-${baselineJob.id}.csv"`);
+
+      await writer.start();
+      // Rows are flattened one change at a time as the client reads them
+      for (const row of comparisonService.toCsvRows(comparison.changes, change)) {
+        await writer.writeRow(row);
       }
+      await writer.end();
+      return res.end();
+    }
+
+    const take = Math.min(Math.max(parseInt(limit) || 100, 1), 1000);
+    const skip = Math.max(parseInt(offset) || 0, 0);
+
+    res.json({
+      jobId: req.job.id,
+      baselineJobId: baselineJob.id,
+      summary: comparison.summary,
+      changes: comparison.changes.slice(skip, skip + take),
+      total: comparison.changes.length,
+      hasMore: skip + take < comparison.changes.length
     });
+  } catch (error) {
+    console.error("Error comparing jobs:", error);
 
-    if (!page) {
-      return res.status(404).json({ error: "Page not found" });
+    // Once the CSV download has started the status can't change; cut it short instead
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/stop:
+ *   post:
+ *     summary: Stop a crawl job
+ *     description: Stops a pending or running crawl job and tears down its live crawler. The pending request queue is kept, so the job can be resumed later.
+ *     tags:
+ *       - Jobs
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Job stopped
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobControlResponse'
+ *       400:
+ *         description: Job cannot be stopped in its current status
+ *       403:
+ *         description: Access denied - the job belongs to another user
+ *       404:
+ *         description: Job not found
+ */
+router.post("/:id/stop", authenticateToken, requireUser, requireJobAccess, async (req, res) => {
+  try {
+    const jobId = req.params.id;
+    const job = req.job;
+
+    if (!['pending', 'running', 'paused'].includes(job.status)) {
+      return res.status(400).json({
+        error: "Job cannot be stopped",
+        currentStatus: job.status
+      });
     }
 
-    res.json(page);
+    await req.app.locals.crawlProcessor.haltJob(jobId, 'stopped');
+
+    res.json({ message: "Crawl job stopped", jobId, status: 'stopped' });
   } catch (error) {
-    console.error("Error fetching page:", error);
-    res.status(500).json({ error: "Internal server error" });
+    console.error(`Error stopping job ${req.params.id}:`, error);
+    res.status(500).json({ error: "Failed to stop job" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/pause:
+ *   post:
+ *     summary: Pause a crawl job
+ *     description: Pauses a pending or running crawl job and tears down its live crawler. The pending request queue is kept for resuming.
+ *     tags:
+ *       - Jobs
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Job paused
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobControlResponse'
+ *       400:
+ *         description: Job cannot be paused in its current status
+ *       403:
+ *         description: Access denied - the job belongs to another user
+ *       404:
+ *         description: Job not found
+ */
+router.post("/:id/pause", authenticateToken, requireUser, requireJobAccess, async (req, res) => {
+  try {
+    const jobId = req.params.id;
+    const job = req.job;
+
+    if (!['pending', 'running'].includes(job.status)) {
+      return res.status(400).json({
+        error: "Job cannot be paused",
+        currentStatus: job.status
+      });
+    }
+
+    await req.app.locals.crawlProcessor.haltJob(jobId, 'paused');
+
+    res.json({ message: "Crawl job paused", jobId, status: 'paused' });
+  } catch (error) {
+    console.error(`Error pausing job ${req.params.id}:`, error);
+    res.status(500).json({ error: "Failed to pause job" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/resume:
+ *   post:
+ *     summary: Resume a crawl job
+ *     description: Queues a paused or stopped crawl job to continue from its saved crawl frontier instead of starting over. A failed job can be resumed too while its frontier still has URLs to crawl.
+ *     tags:
+ *       - Jobs
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Job queued for resuming
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobControlResponse'
+ *       400:
+ *         description: Job cannot be resumed in its current status
+ *       403:
+ *         description: Access denied - the job belongs to another user
+ *       404:
+ *         description: Job not found
+ */
+router.post("/:id/resume", authenticateToken, requireUser, requireJobAccess, async (req, res) => {
+  try {
+    const jobId = req.params.id;
+    const job = req.job;
+
+    // canContinue is cleared when a job completes or fails with nothing left in its frontier
+    if (!['paused', 'stopped', 'failed'].includes(job.status) || !job.canContinue) {
+      return res.status(400).json({
+        error: "Job cannot be resumed",
+        currentStatus: job.status
+      });
+    }
+
+    await req.app.locals.crawlProcessor.resumeJob(jobId);
+
+    res.json({ message: "Crawl job will resume shortly", jobId, status: 'pending' });
+  } catch (error) {
+    console.error(`Error resuming job ${req.params.id}:`, error);
+    res.status(500).json({ error: "Failed to resume job" });
   }
 });
 
@@ -742,6 +3312,8 @@ router.get("/:id/pages/:pageId", authenticateToken, requireUser, async (req, res
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Access denied - the job belongs to another user
  *       500:
  *         description: Email service error
  *         content:
@@ -749,19 +3321,13 @@ router.get("/:id/pages/:pageId", authenticateToken, requireUser, async (req, res
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post("/:id/send-email-report", authenticateToken, requireUser, async (req, res) => {
+router.post("/:id/send-email-report", authenticateToken, requireUser, requireJobAccess, async (req, res) => {
   try {
     const jobId = req.params.id;
     const { recipient } = req.body;
 
-    // Check if job exists and is completed
-    const job = await prisma.crawlJob.findUnique({
-      where: { id: jobId }
-    });
-
-    if (!job) {
-      return res.status(400).json({ error: "Job not found" });
-    }
+    // Check if job is completed
+    const job = req.job;
 
     if (job.status !== 'completed') {
       return res.status(400).json({ 
@@ -847,12 +3413,14 @@ router.post("/:id/send-email-report", authenticateToken, requireUser, async (req
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Access denied - the job belongs to another user
  *       404:
  *         description: Job not found.
  *       500:
  *         description: Internal server error.
  */
-router.post("/:id/verify", authenticateToken, requireUser, async (req, res) => {
+router.post("/:id/verify", authenticateToken, requireUser, requireJobAccess, async (req, res) => {
   try {
     const { id } = req.params;
     const { code } = req.body;
@@ -905,12 +3473,14 @@ router.post("/:id/verify", authenticateToken, requireUser, async (req, res) => {
  *         description: Verification email sent successfully.
  *       400:
  *         description: Bad request, such as if the email is already verified or rate limit is exceeded.
+ *       403:
+ *         description: Access denied - the job belongs to another user
  *       404:
  *         description: Job not found.
  *       500:
  *         description: Internal server error.
  */
-router.post("/:id/resend-verification", authenticateToken, requireUser, async (req, res) => {
+router.post("/:id/resend-verification", authenticateToken, requireUser, requireJobAccess, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -958,12 +3528,14 @@ router.post("/:id/resend-verification", authenticateToken, requireUser, async (r
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/VerificationStatus'
+ *       403:
+ *         description: Access denied - the job belongs to another user
  *       404:
  *         description: Job not found.
  *       500:
  *         description: Internal server error.
  */
-router.get("/:id/verification-status", authenticateToken, requireUser, async (req, res) => {
+router.get("/:id/verification-status", authenticateToken, requireUser, requireJobAccess, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -0,0 +1,679 @@
+const express = require('express');
+const ScheduleService = require('../services/scheduleService');
+const { authenticateToken, requireUser, requireScheduleAccess } = require('../middleware/auth');
+
+const router = express.Router();
+const scheduleService = new ScheduleService();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CrawlScheduleRequest:
+ *       type: object
+ *       required:
+ *         - cronExpression
+ *         - jobTemplate
+ *       properties:
+ *         name:
+ *           type: string
+ *           nullable: true
+ *           example: "Weekly audit"
+ *         cronExpression:
+ *           type: string
+ *           description: 'Standard 5-field cron expression: minute hour day-of-month month day-of-week. Supports *, lists, ranges, steps and month/day names. When both the day of month and the day of week are restricted, either one matching is enough.'
+ *           example: "0 6 * * mon"
+ *         timezone:
+ *           type: string
+ *           description: IANA time zone the expression is evaluated in (optional, default UTC)
+ *           example: "Europe/Paris"
+ *         jobTemplate:
+ *           allOf:
+ *             - $ref: '#/components/schemas/CrawlJobRequest'
+ *           description: Settings of the job created on every run, validated like POST /api/jobs. requireEmailVerification defaults to false for schedules.
+ *     CrawlSchedule:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         userId:
+ *           type: integer
+ *           description: ID of the user who owns the schedule and its jobs
+ *         name:
+ *           type: string
+ *           nullable: true
+ *         cronExpression:
+ *           type: string
+ *           example: "0 6 * * mon"
+ *         timezone:
+ *           type: string
+ *           example: "Europe/Paris"
+ *         jobTemplate:
+ *           $ref: '#/components/schemas/CrawlJobRequest'
+ *         status:
+ *           type: string
+ *           enum: [active, paused]
+ *         nextRunAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the next job is created (null while paused)
+ *         lastRunAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         runCount:
+ *           type: integer
+ *           description: Number of jobs the schedule created
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/schedules:
+ *   post:
+ *     summary: Create a crawl schedule
+ *     description: Creates a schedule that starts a new crawl job with the given settings every time its cron expression matches. The jobs belong to the schedule's owner and are linked to the schedule, so consecutive runs can be compared. A run is skipped while the previous one is still pending or running.
+ *     tags:
+ *       - Schedules
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CrawlScheduleRequest'
+ *     responses:
+ *       201:
+ *         description: Schedule created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 schedule:
+ *                   $ref: '#/components/schemas/CrawlSchedule'
+ *       400:
+ *         description: Invalid cron expression, time zone or job template
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *       500:
+ *         description: Server error
+ */
+router.post('/', authenticateToken, requireUser, async (req, res) => {
+  try {
+    const { data, error, ...details } = scheduleService.parseScheduleInput(req.body);
+    if (error) {
+      return res.status(400).json({ error, ...details });
+    }
+
+    const schedule = await scheduleService.createSchedule(req.user.id, data);
+
+    res.status(201).json({
+      message: 'Crawl schedule created successfully',
+      schedule: scheduleService.formatSchedule(schedule)
+    });
+  } catch (error) {
+    console.error('Error creating crawl schedule:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/schedules:
+ *   get:
+ *     summary: Get crawl schedules
+ *     description: Standard users only see the schedules they own, admins see every schedule.
+ *     tags:
+ *       - Schedules
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, paused]
+ *         description: Filter schedules by status
+ *       - in: query
+ *         name: ownerId
+ *         schema:
+ *           type: integer
+ *         description: Filter schedules by owner user ID (admin only, ignored for standard users)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of schedules to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         description: Number of schedules to skip
+ *     responses:
+ *       200:
+ *         description: List of crawl schedules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 schedules:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CrawlSchedule'
+ *                 total:
+ *                   type: integer
+ *                 hasMore:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid status or ownerId
+ *       401:
+ *         description: Authentication required
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authenticateToken, requireUser, async (req, res) => {
+  try {
+    const { status, ownerId, limit = 20, offset = 0 } = req.query;
+
+    if (status !== undefined && !scheduleService.STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status', allowed: scheduleService.STATUSES });
+    }
+    const where = status ? { status } : {};
+
+    // Standard users only see their own schedules, admins can filter by owner
+    if (req.user.role !== 'ADMIN') {
+      where.userId = req.user.id;
+    } else if (ownerId !== undefined) {
+      const ownerIdNumber = parseInt(ownerId);
+      if (isNaN(ownerIdNumber)) {
+        return res.status(400).json({ error: 'Invalid ownerId' });
+      }
+      where.userId = ownerIdNumber;
+    }
+
+    const take = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const skip = Math.max(parseInt(offset) || 0, 0);
+
+    const { schedules, total } = await scheduleService.listSchedules(where, { take, skip });
+
+    res.json({
+      schedules,
+      total,
+      hasMore: skip + take < total
+    });
+  } catch (error) {
+    console.error('Error fetching crawl schedules:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/schedules/{id}:
+ *   get:
+ *     summary: Get a crawl schedule
+ *     tags:
+ *       - Schedules
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Schedule ID
+ *     responses:
+ *       200:
+ *         description: The schedule
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CrawlSchedule'
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Schedule not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', authenticateToken, requireUser, requireScheduleAccess, async (req, res) => {
+  try {
+    res.json(await scheduleService.getSchedule(req.schedule.id));
+  } catch (error) {
+    console.error('Error fetching crawl schedule:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/schedules/{id}:
+ *   put:
+ *     summary: Update a crawl schedule
+ *     description: Updates the fields present in the body; the others keep their values. A new cron expression or time zone moves the next run of an active schedule. Jobs already created are not changed.
+ *     tags:
+ *       - Schedules
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Schedule ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 nullable: true
+ *               cronExpression:
+ *                 type: string
+ *               timezone:
+ *                 type: string
+ *               jobTemplate:
+ *                 $ref: '#/components/schemas/CrawlJobRequest'
+ *     responses:
+ *       200:
+ *         description: Schedule updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 schedule:
+ *                   $ref: '#/components/schemas/CrawlSchedule'
+ *       400:
+ *         description: Invalid cron expression, time zone or job template
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Schedule not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', authenticateToken, requireUser, requireScheduleAccess, async (req, res) => {
+  try {
+    const { data, error, ...details } = scheduleService.parseScheduleInput(req.body, req.schedule);
+    if (error) {
+      return res.status(400).json({ error, ...details });
+    }
+
+    await scheduleService.updateSchedule(req.schedule.id, data);
+
+    res.json({
+      message: 'Crawl schedule updated successfully',
+      schedule: await scheduleService.getSchedule(req.schedule.id)
+    });
+  } catch (error) {
+    console.error('Error updating crawl schedule:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/schedules/{id}:
+ *   delete:
+ *     summary: Delete a crawl schedule
+ *     description: Stops future runs. The jobs the schedule created are kept and no longer linked to it; delete them through DELETE /api/jobs/{id}.
+ *     tags:
+ *       - Schedules
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Schedule ID
+ *     responses:
+ *       200:
+ *         description: Schedule deleted
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Schedule not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', authenticateToken, requireUser, requireScheduleAccess, async (req, res) => {
+  try {
+    await scheduleService.deleteSchedule(req.schedule.id);
+
+    res.json({
+      message: 'Crawl schedule deleted successfully',
+      scheduleId: req.schedule.id
+    });
+  } catch (error) {
+    console.error('Error deleting crawl schedule:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/schedules/{id}/pause:
+ *   post:
+ *     summary: Pause a crawl schedule
+ *     description: No job is created until the schedule is resumed. A run already started keeps running.
+ *     tags:
+ *       - Schedules
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Schedule ID
+ *     responses:
+ *       200:
+ *         description: Schedule paused
+ *       400:
+ *         description: Schedule is already paused
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Schedule not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/pause', authenticateToken, requireUser, requireScheduleAccess, async (req, res) => {
+  try {
+    if (req.schedule.status !== 'active') {
+      return res.status(400).json({
+        error: 'Schedule cannot be paused',
+        currentStatus: req.schedule.status
+      });
+    }
+
+    const schedule = await scheduleService.pauseSchedule(req.schedule.id);
+
+    res.json({
+      message: 'Crawl schedule paused successfully',
+      schedule: scheduleService.formatSchedule(schedule)
+    });
+  } catch (error) {
+    console.error('Error pausing crawl schedule:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/schedules/{id}/resume:
+ *   post:
+ *     summary: Resume a paused crawl schedule
+ *     description: The schedule runs again from the next time its cron expression matches; runs missed while it was paused are not made up.
+ *     tags:
+ *       - Schedules
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Schedule ID
+ *     responses:
+ *       200:
+ *         description: Schedule resumed
+ *       400:
+ *         description: Schedule is not paused
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Schedule not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/resume', authenticateToken, requireUser, requireScheduleAccess, async (req, res) => {
+  try {
+    if (req.schedule.status !== 'paused') {
+      return res.status(400).json({
+        error: 'Schedule cannot be resumed',
+        currentStatus: req.schedule.status
+      });
+    }
+
+    const schedule = await scheduleService.resumeSchedule(req.schedule);
+
+    res.json({
+      message: 'Crawl schedule resumed successfully',
+      schedule: scheduleService.formatSchedule(schedule)
+    });
+  } catch (error) {
+    console.error('Error resuming crawl schedule:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/schedules/{id}/run:
+ *   post:
+ *     summary: Run a crawl schedule now
+ *     description: Creates a job from the schedule's template right away, also for a paused schedule. The next scheduled run is not moved.
+ *     tags:
+ *       - Schedules
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Schedule ID
+ *     responses:
+ *       201:
+ *         description: Job created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 job:
+ *                   $ref: '#/components/schemas/CrawlJob'
+ *       400:
+ *         description: The stored job template is no longer valid
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Schedule not found
+ *       409:
+ *         description: The previous run is still pending or running
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/run', authenticateToken, requireUser, requireScheduleAccess, async (req, res) => {
+  try {
+    const { job, activeRun, error } = await scheduleService.createRun(req.schedule);
+
+    if (activeRun) {
+      return res.status(409).json({
+        error: 'The previous run of this schedule is still in progress',
+        jobId: activeRun.id,
+        currentStatus: activeRun.status
+      });
+    }
+
+    if (error) {
+      return res.status(400).json({ error: `Invalid jobTemplate: ${error}` });
+    }
+
+    res.status(201).json({
+      message: 'Crawl job created successfully',
+      job
+    });
+  } catch (error) {
+    console.error('Error running crawl schedule:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/schedules/{id}/runs:
+ *   get:
+ *     summary: Get the runs of a crawl schedule
+ *     description: Jobs created by the schedule, newest first. Each run has the ID of the run before it, to compare the two with GET /api/jobs/{id}/compare/{previousJobId}.
+ *     tags:
+ *       - Schedules
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Schedule ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of runs to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         description: Number of runs to skip
+ *     responses:
+ *       200:
+ *         description: Runs of the schedule
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 runs:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         format: uuid
+ *                       url:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                       startedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       completedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       pagesCrawled:
+ *                         type: integer
+ *                       totalUniquePagesFound:
+ *                         type: integer
+ *                       errorMessage:
+ *                         type: string
+ *                         nullable: true
+ *                       previousJobId:
+ *                         type: string
+ *                         format: uuid
+ *                         nullable: true
+ *                         description: The run before this one (null for the first run)
+ *                 total:
+ *                   type: integer
+ *                 hasMore:
+ *                   type: boolean
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Schedule not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/runs', authenticateToken, requireUser, requireScheduleAccess, async (req, res) => {
+  try {
+    const take = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const skip = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { runs, total } = await scheduleService.getRuns(req.schedule.id, { take, skip });
+
+    res.json({
+      runs,
+      total,
+      hasMore: skip + take < total
+    });
+  } catch (error) {
+    console.error('Error fetching crawl schedule runs:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,20 @@
+/**
+ * Canonical target that canonicalizes to yet another URL
+ */
+module.exports = {
+  id: 'canonical-chain',
+  category: 'canonicals',
+  severity: 'medium',
+  description: 'The canonical target declares a different canonical in turn',
+  fields: ['canonicalChain', 'canonicalIsLoop'],
+
+  check(page) {
+    if (Array.isArray(page.canonicalChain) && page.canonicalChain.length > 1 && !page.canonicalIsLoop) {
+      return [{
+        message: `Canonical chain of ${page.canonicalChain.length} URLs ends on ${page.canonicalChain[page.canonicalChain.length - 1]}`,
+        details: { chain: page.canonicalChain }
+      }];
+    }
+    return [];
+  }
+};
@@ -0,0 +1,19 @@
+const { getSiteHost } = require('./helpers/pageSignals');
+
+/**
+ * Canonical pointing to another domain
+ */
+module.exports = {
+  id: 'canonical-cross-domain',
+  category: 'canonicals',
+  severity: 'medium',
+  description: 'The canonical points to another domain',
+  fields: ['address', 'canonicalUrl'],
+
+  check(page) {
+    if (page.canonicalUrl && getSiteHost(page.canonicalUrl) !== getSiteHost(page.address)) {
+      return [{ message: `Canonical points to ${getSiteHost(page.canonicalUrl)}`, details: { canonicalUrl: page.canonicalUrl } }];
+    }
+    return [];
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * Canonicals that lead back to a URL already in the chain
+ */
+module.exports = {
+  id: 'canonical-loop',
+  category: 'canonicals',
+  severity: 'high',
+  description: 'Following the canonical leads back to an earlier URL',
+  fields: ['canonicalUrl', 'canonicalRedirectUrl', 'canonicalChain', 'canonicalIsLoop'],
+
+  check(page) {
+    if (page.canonicalIsLoop) {
+      return [{
+        message: `Canonical ${page.canonicalUrl} loops back`,
+        details: { chain: page.canonicalChain || [page.canonicalUrl], redirectUrl: page.canonicalRedirectUrl }
+      }];
+    }
+    return [];
+  }
+};
@@ -0,0 +1,20 @@
+const { getIndexability, getCanonicalDeclarations, CANONICAL_DECLARATION_FIELDS, INDEXABILITY_FIELDS } = require('./helpers/pageSignals');
+
+/**
+ * Indexable page without a canonical
+ */
+module.exports = {
+  id: 'canonical-missing',
+  category: 'canonicals',
+  severity: 'low',
+  description: 'The page declares no canonical URL',
+  fields: [...CANONICAL_DECLARATION_FIELDS, ...INDEXABILITY_FIELDS],
+
+  check(page) {
+    const { elements, http } = getCanonicalDeclarations(page);
+    if (elements.length === 0 && !http && getIndexability(page) !== 'Non-Indexable') {
+      return [{ message: 'The page has no canonical link element or canonical HTTP header' }];
+    }
+    return [];
+  }
+};
@@ -0,0 +1,42 @@
+const { getCanonicalDeclarations, CANONICAL_DECLARATION_FIELDS } = require('./helpers/pageSignals');
+
+/**
+ * More than one canonical declared, in the HTML or between the HTML and the HTTP header
+ */
+module.exports = {
+  id: 'canonical-multiple',
+  category: 'canonicals',
+  severity: 'medium',
+  description: 'The page declares more than one canonical',
+  fields: ['address', ...CANONICAL_DECLARATION_FIELDS],
+
+  check(page) {
+    const { elements, http } = getCanonicalDeclarations(page);
+    const resolve = (href) => {
+      try {
+        const url = new URL(href.trim(), page.address);
+        url.hash = '';
+        return url.toString().replace(/\/$/, '');
+      } catch (error) {
+        return href;
+      }
+    };
+
+    if (elements.length > 1) {
+      const distinct = new Set(elements.map(resolve));
+      return [{
+        message: `The page has ${elements.length} canonical link elements${distinct.size > 1 ? ' pointing to different URLs' : ''}`,
+        details: { canonicals: elements, conflicting: distinct.size > 1 }
+      }];
+    }
+
+    if (elements.length === 1 && http && resolve(elements[0]) !== resolve(http)) {
+      return [{
+        message: 'The canonical link element and the canonical HTTP header point to different URLs',
+        details: { html: elements[0], http, conflicting: true }
+      }];
+    }
+
+    return [];
+  }
+};
@@ -0,0 +1,39 @@
+const { findNoindex, NOINDEX_FIELDS } = require('./helpers/pageSignals');
+
+/**
+ * Canonical combined with noindex, which sends search engines contradicting signals
+ */
+module.exports = {
+  id: 'canonical-noindex-conflict',
+  category: 'canonicals',
+  severity: 'medium',
+  description: 'The canonical conflicts with a noindex directive',
+  fields: ['address', 'canonicalUrl', 'canonicalRedirectUrl', ...NOINDEX_FIELDS],
+
+  linkedPages(page) {
+    return [page.canonicalRedirectUrl || page.canonicalUrl];
+  },
+
+  check(page, siteContext) {
+    if (!page.canonicalUrl || page.canonicalUrl === page.address) {
+      return [];
+    }
+
+    if (findNoindex(page)) {
+      return [{
+        message: 'The page is noindex but canonicalizes to another URL',
+        details: { canonicalUrl: page.canonicalUrl }
+      }];
+    }
+
+    const target = siteContext.getPage(page.canonicalRedirectUrl || page.canonicalUrl);
+    if (target && findNoindex(target)) {
+      return [{
+        message: `Canonical ${target.address} is noindex`,
+        details: { canonicalUrl: page.canonicalUrl, noindex: findNoindex(target) }
+      }];
+    }
+
+    return [];
+  }
+};
@@ -0,0 +1,21 @@
+const { getCanonicalDeclarations, CANONICAL_DECLARATION_FIELDS } = require('./helpers/pageSignals');
+
+/**
+ * Canonical given as a relative URL
+ */
+module.exports = {
+  id: 'canonical-relative',
+  category: 'canonicals',
+  severity: 'low',
+  description: 'The canonical URL is relative instead of absolute',
+  fields: [...CANONICAL_DECLARATION_FIELDS],
+
+  check(page) {
+    const { elements, http } = getCanonicalDeclarations(page);
+    const relative = [...elements, ...(http ? [http] : [])].filter(href => !/^https?:\/\//i.test(href.trim()));
+    if (relative.length > 0) {
+      return [{ message: `Canonical "${relative[0]}" is a relative URL`, details: { canonicals: relative } }];
+    }
+    return [];
+  }
+};
@@ -0,0 +1,18 @@
+/**
+ * Canonical target that does not return 200
+ */
+module.exports = {
+  id: 'canonical-to-non-200',
+  category: 'canonicals',
+  severity: 'high',
+  description: 'The canonical target does not return 200',
+  fields: ['address', 'canonicalUrl', 'canonicalTargetStatusCode'],
+
+  check(page) {
+    const statusCode = page.canonicalTargetStatusCode;
+    if (page.canonicalUrl && page.canonicalUrl !== page.address && statusCode !== null && statusCode !== undefined && statusCode !== 200) {
+      return [{ message: `Canonical ${page.canonicalUrl} returns ${statusCode}`, details: { canonicalUrl: page.canonicalUrl, statusCode } }];
+    }
+    return [];
+  }
+};
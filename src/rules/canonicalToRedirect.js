@@ -0,0 +1,20 @@
+/**
+ * Canonical target that redirects
+ */
+module.exports = {
+  id: 'canonical-to-redirect',
+  category: 'canonicals',
+  severity: 'medium',
+  description: 'The canonical target redirects to another URL',
+  fields: ['canonicalUrl', 'canonicalRedirectUrl'],
+
+  check(page) {
+    if (page.canonicalRedirectUrl) {
+      return [{
+        message: `Canonical ${page.canonicalUrl} redirects to ${page.canonicalRedirectUrl}`,
+        details: { canonicalUrl: page.canonicalUrl, redirectUrl: page.canonicalRedirectUrl }
+      }];
+    }
+    return [];
+  }
+};
@@ -0,0 +1,17 @@
+const { getHeadings, HEADING_FIELDS } = require('./helpers/pageSignals');
+
+/**
+ * Page without an H1
+ */
+module.exports = {
+  id: 'h1-missing',
+  category: 'headings',
+  severity: 'medium',
+  description: 'The page has no H1',
+  fields: [...HEADING_FIELDS],
+
+  check(page) {
+    const hasH1 = getHeadings(page).some(heading => heading.level === 1 && heading.text);
+    return hasH1 ? [] : [{ message: 'The page has no H1' }];
+  }
+};
@@ -0,0 +1,20 @@
+const { getHeadings, HEADING_FIELDS } = require('./helpers/pageSignals');
+
+/**
+ * Page with more than one H1
+ */
+module.exports = {
+  id: 'h1-multiple',
+  category: 'headings',
+  severity: 'low',
+  description: 'The page has more than one H1',
+  fields: [...HEADING_FIELDS],
+
+  check(page) {
+    const h1s = getHeadings(page).filter(heading => heading.level === 1 && heading.text);
+    if (h1s.length > 1) {
+      return [{ message: `The page has ${h1s.length} H1s`, details: { count: h1s.length, h1s: h1s.map(heading => heading.text) } }];
+    }
+    return [];
+  }
+};
@@ -0,0 +1,20 @@
+const { getHeadings, normalizeText, HEADING_FIELDS } = require('./helpers/pageSignals');
+
+/**
+ * H1 repeating the title word for word
+ */
+module.exports = {
+  id: 'h1-same-as-title',
+  category: 'headings',
+  severity: 'low',
+  description: 'The H1 is identical to the title',
+  fields: ['title', ...HEADING_FIELDS],
+
+  check(page) {
+    const title = normalizeText(page.title);
+    if (title && getHeadings(page).some(heading => heading.level === 1 && normalizeText(heading.text) === title)) {
+      return [{ message: 'The H1 is identical to the title' }];
+    }
+    return [];
+  }
+};
@@ -0,0 +1,26 @@
+const { getHeadings, HEADING_FIELDS } = require('./helpers/pageSignals');
+
+/**
+ * Heading followed by a heading more than one level deeper (e.g. H2 -> H4)
+ * Reported once per page, for the first skip
+ */
+module.exports = {
+  id: 'heading-level-skip',
+  category: 'headings',
+  severity: 'low',
+  description: 'A heading level is skipped in the page outline',
+  fields: [...HEADING_FIELDS],
+
+  check(page) {
+    const headings = getHeadings(page);
+    for (let i = 1; i < headings.length; i++) {
+      if (headings[i].level > headings[i - 1].level + 1) {
+        return [{
+          message: `H${headings[i - 1].level} is followed by H${headings[i].level}`,
+          details: { from: headings[i - 1].level, to: headings[i].level, heading: headings[i].text }
+        }];
+      }
+    }
+    return [];
+  }
+};
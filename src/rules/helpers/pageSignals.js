@@ -0,0 +1,199 @@
+/**
+ * Page signals shared by the crawl processor and the audit rules
+ */
+
+// Search engine crawlers whose robots meta tags and X-Robots-Tag directives decide indexability
+const SEARCH_ENGINE_BOTS = ['googlebot', 'bingbot'];
+
+// Why a page is not indexable, in order of precedence
+const INDEXABILITY_STATUSES = [
+  'non-200',
+  'redirected',
+  'non-html',
+  'blocked-by-robots-txt',
+  'noindex-meta',
+  'noindex-x-robots-tag',
+  'canonicalized'
+];
+
+// Page fields read by the helpers below, for the `fields` of the rules that use them
+const NOINDEX_FIELDS = ['metaRobots', 'botMetaRobots', 'xRobotsTag', 'responseHeaders'];
+const INDEXABILITY_FIELDS = ['address', 'statusCode', 'redirectUrl', 'contentType', 'blockedByRobotsTxt', ...NOINDEX_FIELDS, 'canonicalUrl'];
+const HEADING_FIELDS = ['headings', 'h1'];
+const CANONICAL_DECLARATION_FIELDS = ['canonicalLinkElements', 'canonicalLinkElement', 'httpCanonical'];
+
+// X-Robots-Tag directives that take a value after a colon, so the part before it is not a user agent
+const VALUED_DIRECTIVES = ['unavailable_after', 'max-snippet', 'max-image-preview', 'max-video-preview'];
+
+/**
+ * Split a robots directive list ("noindex, nofollow") into lowercase directives
+ */
+function parseRobotsDirectives(value) {
+  return (value || '').toLowerCase().split(',').map(directive => directive.trim()).filter(Boolean);
+}
+
+/**
+ * Parse an X-Robots-Tag header; several headers arrive separated by newlines
+ * @param {string} value - Header value, e.g. "noindex" or "googlebot: noindex, nofollow"
+ * @returns {Array} Array of { userAgent, directives }, userAgent is '*' when the line names none
+ */
+function parseXRobotsTag(value) {
+  return (value || '').split('\n').map(line => {
+    const match = line.match(/^\s*([a-z0-9_-]+)\s*:\s*(.*)$/i);
+    if (match && !VALUED_DIRECTIVES.includes(match[1].toLowerCase())) {
+      return { userAgent: match[1].toLowerCase(), directives: parseRobotsDirectives(match[2]) };
+    }
+    return { userAgent: '*', directives: parseRobotsDirectives(line) };
+  });
+}
+
+/**
+ * Find the directive that keeps the page out of search results
+ * Checks the robots meta tag, search engine specific meta tags (e.g. googlebot) and the X-Robots-Tag header
+ * @param {Object} page - Page with metaRobots, botMetaRobots and xRobotsTag (or responseHeaders)
+ * @returns {Object|null} { source: meta or x-robots-tag, userAgent } or null when nothing says noindex
+ */
+function findNoindex(page) {
+  const isNoindex = directives => directives.includes('noindex') || directives.includes('none');
+
+  if (isNoindex(parseRobotsDirectives(page.metaRobots))) {
+    return { source: 'meta', userAgent: 'robots' };
+  }
+
+  const botMetaRobots = page.botMetaRobots || {};
+  const bot = SEARCH_ENGINE_BOTS.find(name => isNoindex(parseRobotsDirectives(botMetaRobots[name])));
+  if (bot) {
+    return { source: 'meta', userAgent: bot };
+  }
+
+  const xRobotsTag = page.xRobotsTag ?? page.responseHeaders?.['x-robots-tag'];
+  const header = parseXRobotsTag(xRobotsTag).find(entry => (
+    (entry.userAgent === '*' || SEARCH_ENGINE_BOTS.includes(entry.userAgent)) && isNoindex(entry.directives)
+  ));
+  if (header) {
+    return { source: 'x-robots-tag', userAgent: header.userAgent };
+  }
+
+  return null;
+}
+
+/**
+ * Why search engines can't index the page
+ * @param {Object} page - Page with address, statusCode, contentType, redirectUrl, blockedByRobotsTxt,
+ *                        robots directives and canonicalUrl
+ * @returns {string|null} One of INDEXABILITY_STATUSES, or null when the page is indexable
+ */
+function getIndexabilityStatus(page) {
+  if (page.statusCode >= 300 && page.statusCode < 400) return 'redirected';
+  if (!(page.statusCode >= 200 && page.statusCode < 300)) return 'non-200';
+  if (page.redirectUrl) return 'redirected';
+  if (page.contentType && !/html/i.test(page.contentType)) return 'non-html';
+  if (page.blockedByRobotsTxt) return 'blocked-by-robots-txt';
+
+  const noindex = findNoindex(page);
+  if (noindex) {
+    return noindex.source === 'meta' ? 'noindex-meta' : 'noindex-x-robots-tag';
+  }
+
+  if (page.canonicalUrl && page.canonicalUrl !== page.address) return 'canonicalized';
+  return null;
+}
+
+/**
+ * Whether search engines may index the page
+ * @param {Object} page - Page data, see getIndexabilityStatus
+ * @returns {string} Indexable or Non-Indexable
+ */
+function getIndexability(page) {
+  return getIndexabilityStatus(page) ? 'Non-Indexable' : 'Indexable';
+}
+
+/**
+ * Readability band of a Flesch Reading Ease score
+ * @param {number} fleschScore - Flesch Reading Ease score
+ * @returns {string} Rating from Very Easy to Very Difficult
+ */
+function getReadabilityRating(fleschScore) {
+  if (fleschScore >= 90) return 'Very Easy';
+  if (fleschScore >= 80) return 'Easy';
+  if (fleschScore >= 70) return 'Fairly Easy';
+  if (fleschScore >= 60) return 'Standard';
+  if (fleschScore >= 50) return 'Fairly Difficult';
+  if (fleschScore >= 30) return 'Difficult';
+  return 'Very Difficult';
+}
+
+/**
+ * Heading outline of a page
+ * Pages saved before the outline was stored only have their first H1
+ * @param {Object} page - Page with headings and h1
+ * @returns {Array} Array of { level, text } in document order
+ */
+function getHeadings(page) {
+  if (Array.isArray(page.headings)) {
+    return page.headings;
+  }
+  return page.h1 ? [{ level: 1, text: page.h1 }] : [];
+}
+
+/**
+ * Canonical declarations of a page as written
+ * @param {Object} page - Page with canonicalLinkElements, canonicalLinkElement and httpCanonical
+ * @returns {Object} { elements, http } - raw hrefs of the HTML elements and the HTTP Link header canonical
+ */
+function getCanonicalDeclarations(page) {
+  const elements = Array.isArray(page.canonicalLinkElements)
+    ? page.canonicalLinkElements
+    : (page.canonicalLinkElement ? [page.canonicalLinkElement] : []);
+  return { elements, http: page.httpCanonical || null };
+}
+
+/**
+ * Host name without a leading www., or null for an invalid URL
+ */
+function getSiteHost(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The distinct images shown on a page (an image used several times is returned once)
+ * @returns {Array} Image occurrences, see siteContext.getImages
+ */
+function getDistinctImages(page, siteContext) {
+  const seen = new Set();
+  return siteContext.getImages(page).filter(occurrence => {
+    if (seen.has(occurrence.image.url)) return false;
+    seen.add(occurrence.image.url);
+    return true;
+  });
+}
+
+/**
+ * Normalize text for comparisons: trimmed, single-spaced and lowercase
+ */
+function normalizeText(value) {
+  return (value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+module.exports = {
+  SEARCH_ENGINE_BOTS,
+  INDEXABILITY_STATUSES,
+  NOINDEX_FIELDS,
+  INDEXABILITY_FIELDS,
+  HEADING_FIELDS,
+  CANONICAL_DECLARATION_FIELDS,
+  parseXRobotsTag,
+  findNoindex,
+  getIndexabilityStatus,
+  getIndexability,
+  getReadabilityRating,
+  getHeadings,
+  getCanonicalDeclarations,
+  getSiteHost,
+  getDistinctImages,
+  normalizeText
+};
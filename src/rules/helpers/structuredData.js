@@ -0,0 +1,190 @@
+/**
+ * schema.org vocabulary and rich result requirements used by the structured data rules
+ */
+
+// schema.org types commonly found on websites; anything else is reported as unrecognized
+const SCHEMA_TYPES = new Set((
+  'Thing Action SearchAction ReadAction WatchAction BuyAction OrderAction ViewAction CommunicateAction ' +
+  'CreativeWork Article NewsArticle BlogPosting Report ScholarlyArticle TechArticle SocialMediaPosting ' +
+  'LiveBlogPosting DiscussionForumPosting AnalysisNewsArticle OpinionNewsArticle ReviewNewsArticle ' +
+  'Blog Book Chapter Claim ClaimReview Clip Code Comment Answer Question Course CourseInstance ' +
+  'CreativeWorkSeries Dataset DataDownload DigitalDocument EducationalOccupationalCredential Episode ' +
+  'Guide HowTo HowToDirection HowToSection HowToStep HowToSupply HowToTool HowToTip ImageObject ' +
+  'AudioObject VideoObject MediaObject MusicAlbum MusicGroup MusicPlaylist MusicRecording Movie ' +
+  'MovieSeries TVSeries TVEpisode TVSeason CreativeWorkSeason Podcast PodcastEpisode PodcastSeries ' +
+  'Photograph Recipe Review EmployerReview CriticReview UserReview Rating AggregateRating ' +
+  'EndorsementRating SoftwareApplication MobileApplication WebApplication VideoGame SoftwareSourceCode ' +
+  'WebPage AboutPage CheckoutPage CollectionPage ContactPage FAQPage ItemPage MedicalWebPage ProfilePage ' +
+  'QAPage RealEstateListing SearchResultsPage WebPageElement SiteNavigationElement WPHeader WPFooter ' +
+  'WPSideBar Table WebContent WebSite Quotation Map Menu MenuSection MenuItem Message EmailMessage ' +
+  'Legislation LearningResource Quiz Collection SpecialAnnouncement Thesis Poster ' +
+  'Event BusinessEvent ChildrensEvent ComedyEvent CourseInstance DanceEvent DeliveryEvent EducationEvent ' +
+  'ExhibitionEvent Festival FoodEvent Hackathon LiteraryEvent MusicEvent PublicationEvent SaleEvent ' +
+  'ScreeningEvent SocialEvent SportsEvent TheaterEvent VisualArtsEvent EventSeries OnlineEventAttendanceMode ' +
+  'Intangible Audience Brand BreadcrumbList ItemList ListItem OfferCatalog HowToItem Offer AggregateOffer ' +
+  'Demand Order OrderItem Invoice PriceSpecification UnitPriceSpecification CompoundPriceSpecification ' +
+  'DeliveryChargeSpecification PaymentChargeSpecification MonetaryAmount MonetaryAmountDistribution ' +
+  'QuantitativeValue QuantitativeValueDistribution PropertyValue PropertyValueSpecification ' +
+  'StructuredValue ContactPoint PostalAddress GeoCoordinates GeoShape GeoCircle OpeningHoursSpecification ' +
+  'NutritionInformation InteractionCounter OfferShippingDetails ShippingDeliveryTime DefinedRegion ' +
+  'MerchantReturnPolicy MemberProgram MemberProgramTier ShippingRateSettings DefinedTerm DefinedTermSet ' +
+  'CategoryCode Enumeration ItemAvailability OfferItemCondition DayOfWeek Duration Language Occupation ' +
+  'JobPosting Service BroadcastService CableOrSatelliteService FinancialProduct FoodService GovernmentService ' +
+  'Trip Flight TouristTrip Reservation Ticket Seat Grant Role OrganizationRole PerformanceRole ' +
+  'ProgramMembership EntryPoint VirtualLocation Schedule SpeakableSpecification Distance Energy Mass ' +
+  'Product ProductGroup ProductModel IndividualProduct SomeProducts Vehicle Car Motorcycle ' +
+  'Organization Corporation EducationalOrganization CollegeOrUniversity HighSchool School ' +
+  'GovernmentOrganization NGO NewsMediaOrganization OnlineBusiness OnlineStore PerformingGroup ' +
+  'SportsOrganization SportsTeam MedicalOrganization Airline Consortium FundingScheme LibrarySystem ' +
+  'WorkersUnion ResearchOrganization Project ' +
+  'LocalBusiness AnimalShelter AutomotiveBusiness AutoDealer AutoRepair ChildCare DryCleaningOrLaundry ' +
+  'EmergencyService EmploymentAgency EntertainmentBusiness FinancialService BankOrCreditUnion ' +
+  'AccountingService InsuranceAgency FoodEstablishment Bakery BarOrPub CafeOrCoffeeShop FastFoodRestaurant ' +
+  'IceCreamShop Restaurant Winery Brewery GovernmentOffice HealthAndBeautyBusiness BeautySalon DaySpa ' +
+  'HairSalon HealthClub NailSalon HomeAndConstructionBusiness Electrician GeneralContractor HVACBusiness ' +
+  'HousePainter Locksmith MovingCompany Plumber RoofingContractor InternetCafe LegalService Attorney ' +
+  'Notary Library LodgingBusiness Hotel Motel Hostel BedAndBreakfast Campground Resort VacationRental ' +
+  'MedicalBusiness Dentist Pharmacy Physician Optician MedicalClinic ProfessionalService RadioStation ' +
+  'RealEstateAgent RecyclingCenter SelfStorage ShoppingCenter SportsActivityLocation ExerciseGym ' +
+  'GolfCourse StadiumOrArena TelevisionStation TouristInformationCenter TravelAgency Store AutoPartsStore ' +
+  'BikeStore BookStore ClothingStore ComputerStore ConvenienceStore DepartmentStore ElectronicsStore ' +
+  'Florist FurnitureStore GardenStore GroceryStore HardwareStore HobbyShop HomeGoodsStore JewelryStore ' +
+  'LiquorStore MensClothingStore MobilePhoneStore MovieRentalStore MusicStore OfficeEquipmentStore ' +
+  'OutletStore PawnShop PetStore ShoeStore SportingGoodsStore TireShop ToyStore WholesaleStore ' +
+  'Person Patient Place Accommodation Apartment House Room SingleFamilyResidence AdministrativeArea City ' +
+  'Country State CivicStructure Airport Museum Park ParkingFacility PlaceOfWorship Church Mosque ' +
+  'Synagogue HinduTemple BuddhistTemple Zoo Landform LandmarksOrHistoricalBuildings Residence ' +
+  'TouristAttraction TouristDestination MedicalEntity Drug MedicalCondition MedicalProcedure ' +
+  'PhysicalActivity ExercisePlan Diet Taxon BioChemEntity'
+).split(/\s+/).filter(Boolean));
+
+// Subtypes checked with the requirements of their parent type
+const RICH_RESULT_PARENTS = {
+  NewsArticle: 'Article', BlogPosting: 'Article', Report: 'Article', TechArticle: 'Article',
+  ScholarlyArticle: 'Article', AnalysisNewsArticle: 'Article', OpinionNewsArticle: 'Article',
+  ReviewNewsArticle: 'Article', LiveBlogPosting: 'Article',
+  ProductGroup: 'Product', IndividualProduct: 'Product', ProductModel: 'Product', Vehicle: 'Product', Car: 'Product',
+  Restaurant: 'LocalBusiness', Store: 'LocalBusiness', Hotel: 'LocalBusiness', Dentist: 'LocalBusiness',
+  MedicalClinic: 'LocalBusiness', FoodEstablishment: 'LocalBusiness', ProfessionalService: 'LocalBusiness',
+  CafeOrCoffeeShop: 'LocalBusiness', BarOrPub: 'LocalBusiness', AutoDealer: 'LocalBusiness',
+  MusicEvent: 'Event', SportsEvent: 'Event', BusinessEvent: 'Event', EducationEvent: 'Event',
+  TheaterEvent: 'Event', Festival: 'Event', SocialEvent: 'Event', ComedyEvent: 'Event',
+  MobileApplication: 'SoftwareApplication', WebApplication: 'SoftwareApplication', VideoGame: 'SoftwareApplication'
+};
+
+/**
+ * Properties Google needs for rich results, per type
+ * required: all must be present; anyOf: at least one of each group; recommended: reported as low severity
+ */
+const RICH_RESULT_REQUIREMENTS = {
+  Product: {
+    required: ['name'],
+    anyOf: [['offers', 'review', 'aggregateRating']],
+    recommended: ['image', 'description', 'brand', 'sku']
+  },
+  Offer: { required: ['price', 'priceCurrency'], recommended: ['availability', 'url'] },
+  AggregateOffer: { required: ['lowPrice', 'priceCurrency'], recommended: ['highPrice', 'offerCount'] },
+  Article: { required: ['headline'], recommended: ['image', 'datePublished', 'dateModified', 'author'] },
+  FAQPage: { required: ['mainEntity'] },
+  Question: { required: ['name', 'acceptedAnswer'] },
+  Answer: { required: ['text'] },
+  BreadcrumbList: { required: ['itemListElement'] },
+  ListItem: { required: ['position'], anyOf: [['name', 'item']] },
+  Review: { required: ['itemReviewed', 'author', 'reviewRating'] },
+  AggregateRating: { required: ['ratingValue'], anyOf: [['ratingCount', 'reviewCount']] },
+  Rating: { required: ['ratingValue'] },
+  Recipe: { required: ['name', 'image'], recommended: ['recipeIngredient', 'recipeInstructions', 'author', 'totalTime'] },
+  Event: { required: ['name', 'startDate', 'location'], recommended: ['endDate', 'image', 'description', 'offers'] },
+  LocalBusiness: { required: ['name', 'address'], recommended: ['telephone', 'openingHoursSpecification', 'geo', 'url'] },
+  Organization: { recommended: ['name', 'url', 'logo'] },
+  JobPosting: { required: ['title', 'description', 'datePosted', 'hiringOrganization', 'jobLocation'], recommended: ['validThrough', 'employmentType', 'baseSalary'] },
+  VideoObject: { required: ['name', 'thumbnailUrl', 'uploadDate'], recommended: ['description', 'contentUrl', 'duration'] },
+  SoftwareApplication: { required: ['name'], anyOf: [['offers'], ['aggregateRating', 'review']], recommended: ['applicationCategory', 'operatingSystem'] },
+  Course: { required: ['name', 'description'], recommended: ['provider'] },
+  HowTo: { required: ['name', 'step'] },
+  WebSite: { recommended: ['name', 'url'] }
+};
+
+const RICH_RESULT_TYPES = Object.keys(RICH_RESULT_REQUIREMENTS);
+
+/**
+ * The structured data stored for a page
+ * @returns {Object} { entities, errors }
+ */
+function getStructuredData(page) {
+  const data = page.structuredData && typeof page.structuredData === 'object' ? page.structuredData : {};
+  return {
+    entities: Array.isArray(data.entities) ? data.entities : [],
+    errors: Array.isArray(data.errors) ? data.errors : []
+  };
+}
+
+function isEntity(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && Array.isArray(value.type);
+}
+
+function hasValue(value) {
+  if (Array.isArray(value)) return value.some(hasValue);
+  if (typeof value === 'string') return value.trim().length > 0;
+  return value !== null && value !== undefined;
+}
+
+/**
+ * Check an entity and the entities nested in it against the rich result requirements
+ * @param {Object} entity - Normalized entity { type, properties }
+ * @param {string} path - Path of the entity, used in the findings
+ * @param {boolean} nested - Recommended properties are only checked on top-level entities
+ * @returns {Object} { missingRequired: [{ path, type, property }], missingRecommended: [...], unknownTypes: [{ path, type }] }
+ */
+function validateEntity(entity, path = entity.type.join(','), nested = false) {
+  const result = { missingRequired: [], missingRecommended: [], unknownTypes: [] };
+
+  for (const type of entity.type) {
+    if (/^https?:|:/.test(type)) continue; // Other vocabularies are not validated
+    if (!SCHEMA_TYPES.has(type)) {
+      result.unknownTypes.push({ path, type });
+      continue;
+    }
+
+    const requirements = RICH_RESULT_REQUIREMENTS[type] || RICH_RESULT_REQUIREMENTS[RICH_RESULT_PARENTS[type]];
+    if (!requirements) continue;
+
+    const properties = entity.properties || {};
+    for (const property of requirements.required || []) {
+      // A nested review or rating describes the entity it is nested in
+      if (nested && property === 'itemReviewed') continue;
+      if (!hasValue(properties[property])) {
+        result.missingRequired.push({ path, type, property });
+      }
+    }
+    for (const group of requirements.anyOf || []) {
+      if (!group.some(property => hasValue(properties[property]))) {
+        result.missingRequired.push({ path, type, property: group.join(' or ') });
+      }
+    }
+    for (const property of nested ? [] : requirements.recommended || []) {
+      if (!hasValue(properties[property])) {
+        result.missingRecommended.push({ path, type, property });
+      }
+    }
+  }
+
+  for (const [property, value] of Object.entries(entity.properties || {})) {
+    [].concat(value).forEach((item, index) => {
+      if (!isEntity(item)) return;
+      const nested = validateEntity(item, `${path}.${property}${Array.isArray(value) ? `[${index}]` : ''}`, true);
+      result.missingRequired.push(...nested.missingRequired);
+      result.missingRecommended.push(...nested.missingRecommended);
+      result.unknownTypes.push(...nested.unknownTypes);
+    });
+  }
+
+  return result;
+}
+
+module.exports = {
+  SCHEMA_TYPES,
+  RICH_RESULT_TYPES,
+  getStructuredData,
+  validateEntity
+};
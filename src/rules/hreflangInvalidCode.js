@@ -0,0 +1,20 @@
+/**
+ * hreflang values that are not valid ISO 639-1 language / ISO 3166-1 region codes
+ */
+module.exports = {
+  id: 'hreflang-invalid-code',
+  category: 'hreflang',
+  severity: 'high',
+  description: 'An hreflang value is not a valid language or language-region code',
+  fields: ['hreflangAlternates'],
+
+  check(page) {
+    const alternates = Array.isArray(page.hreflangAlternates) ? page.hreflangAlternates : [];
+    return alternates
+      .filter(alternate => alternate.invalidCode)
+      .map(alternate => ({
+        message: `Invalid hreflang "${alternate.hreflang}" (${alternate.invalidCode})${alternate.suggestion ? `, did you mean "${alternate.suggestion}"?` : ''}`,
+        details: { hreflang: alternate.hreflang, url: alternate.url, reason: alternate.invalidCode, suggestion: alternate.suggestion }
+      }));
+  }
+};
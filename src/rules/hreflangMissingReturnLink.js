@@ -0,0 +1,20 @@
+/**
+ * Alternates that do not link back to the page
+ */
+module.exports = {
+  id: 'hreflang-missing-return-link',
+  category: 'hreflang',
+  severity: 'high',
+  description: 'An hreflang alternate does not link back to the page',
+  fields: ['hreflangAlternates'],
+
+  check(page) {
+    const alternates = Array.isArray(page.hreflangAlternates) ? page.hreflangAlternates : [];
+    return alternates
+      .filter(alternate => alternate.hasReturnLink === false)
+      .map(alternate => ({
+        message: `${alternate.url} (${alternate.hreflang}) has no hreflang pointing back to this page`,
+        details: { hreflang: alternate.hreflang, url: alternate.url }
+      }));
+  }
+};
@@ -0,0 +1,21 @@
+/**
+ * Pages with hreflang annotations that leave out the page itself
+ */
+module.exports = {
+  id: 'hreflang-missing-self-reference',
+  category: 'hreflang',
+  severity: 'medium',
+  description: 'The hreflang annotations do not include the page itself',
+  fields: ['hreflangAlternates'],
+
+  check(page) {
+    const alternates = Array.isArray(page.hreflangAlternates) ? page.hreflangAlternates : [];
+    if (alternates.length > 0 && !alternates.some(alternate => alternate.isSelf)) {
+      return [{
+        message: 'hreflang annotations do not reference this page',
+        details: { hreflangs: alternates.map(alternate => alternate.hreflang) }
+      }];
+    }
+    return [];
+  }
+};
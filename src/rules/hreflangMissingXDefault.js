@@ -0,0 +1,21 @@
+/**
+ * Pages with hreflang annotations but no x-default fallback
+ */
+module.exports = {
+  id: 'hreflang-missing-x-default',
+  category: 'hreflang',
+  severity: 'low',
+  description: 'The hreflang annotations have no x-default',
+  fields: ['hreflangAlternates'],
+
+  check(page) {
+    const alternates = Array.isArray(page.hreflangAlternates) ? page.hreflangAlternates : [];
+    if (alternates.length > 0 && !alternates.some(alternate => alternate.hreflang.toLowerCase() === 'x-default')) {
+      return [{
+        message: 'hreflang annotations have no x-default',
+        details: { hreflangs: alternates.map(alternate => alternate.hreflang) }
+      }];
+    }
+    return [];
+  }
+};
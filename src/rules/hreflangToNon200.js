@@ -0,0 +1,28 @@
+/**
+ * Alternates that redirect or do not return 200
+ */
+module.exports = {
+  id: 'hreflang-to-non-200',
+  category: 'hreflang',
+  severity: 'high',
+  description: 'An hreflang alternate redirects or does not return 200',
+  fields: ['hreflangAlternates'],
+
+  check(page) {
+    const alternates = Array.isArray(page.hreflangAlternates) ? page.hreflangAlternates : [];
+    return alternates
+      .filter(alternate => alternate.targetRedirectUrl
+        || (alternate.targetStatusCode !== null && alternate.targetStatusCode !== undefined && alternate.targetStatusCode !== 200))
+      .map(alternate => ({
+        message: alternate.targetRedirectUrl
+          ? `hreflang ${alternate.hreflang} ${alternate.url} redirects to ${alternate.targetRedirectUrl}`
+          : `hreflang ${alternate.hreflang} ${alternate.url} returns ${alternate.targetStatusCode}`,
+        details: {
+          hreflang: alternate.hreflang,
+          url: alternate.url,
+          statusCode: alternate.targetStatusCode,
+          redirectUrl: alternate.targetRedirectUrl
+        }
+      }));
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * Alternates that canonicalize to another URL
+ */
+module.exports = {
+  id: 'hreflang-to-non-canonical',
+  category: 'hreflang',
+  severity: 'medium',
+  description: 'An hreflang alternate is canonicalized to another URL',
+  fields: ['hreflangAlternates'],
+
+  check(page) {
+    const alternates = Array.isArray(page.hreflangAlternates) ? page.hreflangAlternates : [];
+    return alternates
+      .filter(alternate => alternate.targetCanonicalUrl)
+      .map(alternate => ({
+        message: `hreflang ${alternate.hreflang} ${alternate.url} is canonicalized to ${alternate.targetCanonicalUrl}`,
+        details: { hreflang: alternate.hreflang, url: alternate.url, canonicalUrl: alternate.targetCanonicalUrl }
+      }));
+  }
+};
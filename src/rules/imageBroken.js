@@ -0,0 +1,23 @@
+const { getDistinctImages } = require('./helpers/pageSignals');
+
+/**
+ * Images that fail to load
+ */
+module.exports = {
+  id: 'image-broken',
+  category: 'images',
+  severity: 'high',
+  description: 'An image returns an error or fails to load',
+  fields: [],
+
+  check(page, siteContext) {
+    return getDistinctImages(page, siteContext)
+      .filter(({ image }) => image.statusCode >= 400 || image.error)
+      .map(({ image }) => ({
+        message: image.statusCode >= 400
+          ? `Image ${image.url} returns ${image.statusCode}`
+          : `Image ${image.url} failed to load: ${image.error}`,
+        details: { imageUrl: image.url, statusCode: image.statusCode, error: image.error }
+      }));
+  }
+};
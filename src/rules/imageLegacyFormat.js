@@ -0,0 +1,23 @@
+const { getDistinctImages } = require('./helpers/pageSignals');
+
+/**
+ * Raster images not served in a modern format such as WebP or AVIF
+ */
+module.exports = {
+  id: 'image-legacy-format',
+  category: 'images',
+  severity: 'low',
+  description: 'An image is not served in a modern format (WebP, AVIF)',
+  fields: [],
+  options: { formats: 'jpeg,png,gif,bmp,tiff' },
+
+  check(page, siteContext, options) {
+    const legacy = options.formats.split(',').map(format => format.trim().toLowerCase());
+    return getDistinctImages(page, siteContext)
+      .filter(({ image }) => image.format && legacy.includes(image.format))
+      .map(({ image }) => ({
+        message: `Image ${image.url} is served as ${image.format.toUpperCase()}`,
+        details: { imageUrl: image.url, format: image.format, bytes: image.transferBytes }
+      }));
+  }
+};
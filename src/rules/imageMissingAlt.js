@@ -0,0 +1,19 @@
+/**
+ * Images without an alt attribute (an empty alt marks a decorative image and is fine)
+ */
+module.exports = {
+  id: 'image-missing-alt',
+  category: 'images',
+  severity: 'medium',
+  description: 'An image has no alt attribute',
+  fields: [],
+
+  check(page, siteContext) {
+    return siteContext.getImages(page)
+      .filter(occurrence => occurrence.alt === null)
+      .map(occurrence => ({
+        message: `Image ${occurrence.image.url} has no alt text`,
+        details: { imageUrl: occurrence.image.url, src: occurrence.src }
+      }));
+  }
+};
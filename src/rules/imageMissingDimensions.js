@@ -0,0 +1,25 @@
+/**
+ * Images without width and height attributes, which lets the layout shift while they load
+ */
+module.exports = {
+  id: 'image-missing-dimensions',
+  category: 'images',
+  severity: 'low',
+  description: 'An image has no width or height attribute',
+  fields: [],
+
+  check(page, siteContext) {
+    return siteContext.getImages(page)
+      .filter(occurrence => !occurrence.widthAttribute || !occurrence.heightAttribute)
+      .map(occurrence => ({
+        message: `Image ${occurrence.image.url} has no ${occurrence.widthAttribute ? 'height' : occurrence.heightAttribute ? 'width' : 'width and height'} attribute`,
+        details: {
+          imageUrl: occurrence.image.url,
+          width: occurrence.widthAttribute,
+          height: occurrence.heightAttribute,
+          renderedWidth: occurrence.renderedWidth,
+          renderedHeight: occurrence.renderedHeight
+        }
+      }));
+  }
+};
@@ -0,0 +1,30 @@
+const { getDistinctImages } = require('./helpers/pageSignals');
+
+/**
+ * Images whose file is much larger than the size they are displayed at
+ */
+module.exports = {
+  id: 'image-oversized',
+  category: 'images',
+  severity: 'medium',
+  description: 'An image is much larger than its rendered size',
+  fields: [],
+  options: { maxScale: 2 },
+
+  check(page, siteContext, options) {
+    return getDistinctImages(page, siteContext)
+      .filter(({ image, renderedWidth, renderedHeight }) => renderedWidth > 0 && renderedHeight > 0
+        && image.naturalWidth > renderedWidth * options.maxScale
+        && image.naturalHeight > renderedHeight * options.maxScale)
+      .map(({ image, renderedWidth, renderedHeight }) => ({
+        message: `Image ${image.url} is ${image.naturalWidth}x${image.naturalHeight} but displayed at ${renderedWidth}x${renderedHeight}`,
+        details: {
+          imageUrl: image.url,
+          naturalWidth: image.naturalWidth,
+          naturalHeight: image.naturalHeight,
+          renderedWidth,
+          renderedHeight
+        }
+      }));
+  }
+};
@@ -0,0 +1,22 @@
+const { getDistinctImages } = require('./helpers/pageSignals');
+
+/**
+ * Image files over a size threshold
+ */
+module.exports = {
+  id: 'image-too-large',
+  category: 'images',
+  severity: 'medium',
+  description: 'An image file is larger than the size threshold',
+  fields: [],
+  options: { maxKb: 200 },
+
+  check(page, siteContext, options) {
+    return getDistinctImages(page, siteContext)
+      .filter(({ image }) => image.transferBytes > options.maxKb * 1024)
+      .map(({ image }) => ({
+        message: `Image ${image.url} is ${Math.round(image.transferBytes / 1024)} KB (max ${options.maxKb} KB)`,
+        details: { imageUrl: image.url, bytes: image.transferBytes, maxKb: options.maxKb }
+      }));
+  }
+};
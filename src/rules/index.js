@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Audit rule registry
+ *
+ * Every .js file in this directory (except this one) is an audit rule:
+ *
+ *   module.exports = {
+ *     id: 'title-missing',          // Unique id, stored as the issue type
+ *     category: 'titles',           // Groups rules in reports
+ *     severity: 'high',             // high, medium or low; can be overridden per job
+ *     description: '...',
+ *     fields: ['title'],            // Page fields check() reads; only these are loaded
+ *     countedFields: ['title'],     // Optional: fields siteContext.countValues() is used for
+ *     linkedPages(page) {           // Optional: addresses of other pages siteContext.getPage() is used for
+ *       return [page.canonicalUrl];
+ *     },
+ *     options: { maxLength: 60 },   // Optional defaults, can be overridden per job
+ *     enabledByDefault: true,       // Optional, defaults to true
+ *     check(page, siteContext, options) {
+ *       return [{ message: '...', details: { ... } }];
+ *     }
+ *   };
+ *
+ * check() receives one successfully crawled page, with its id, address,
+ * statusCode and the declared fields, and the site context built by
+ * SeoAuditService, and returns zero or more findings for that page.
+ *
+ * The registry also validates and resolves the per-job `rules` configuration,
+ * so job settings can be checked without the audit service.
+ */
+
+const SEVERITIES = ['high', 'medium', 'low'];
+
+const rules = fs.readdirSync(__dirname)
+  .filter(file => file.endsWith('.js') && file !== 'index.js')
+  .sort()
+  .map(file => {
+    const rule = require(path.join(__dirname, file));
+
+    // Fail at startup rather than halfway through an audit
+    if (!rule.id || !rule.category || !SEVERITIES.includes(rule.severity) || !Array.isArray(rule.fields) || typeof rule.check !== 'function') {
+      throw new Error(`Invalid audit rule in ${file}: id, category, severity (${SEVERITIES.join(', ')}), fields and check() are required`);
+    }
+
+    return { options: {}, enabledByDefault: true, countedFields: [], linkedPages: null, ...rule };
+  });
+
+const ids = new Set();
+for (const rule of rules) {
+  if (ids.has(rule.id)) {
+    throw new Error(`Duplicate audit rule id: ${rule.id}`);
+  }
+  ids.add(rule.id);
+}
+
+/**
+ * Describe the available rules and their defaults
+ * @returns {Array} Array of { id, category, severity, description, enabledByDefault, options }
+ */
+function listRules() {
+  return rules.map(rule => ({
+    id: rule.id,
+    category: rule.category,
+    severity: rule.severity,
+    description: rule.description || null,
+    enabledByDefault: rule.enabledByDefault,
+    options: rule.options
+  }));
+}
+
+/**
+ * Validate the `rules` object of a job
+ * Each key is a rule id; the value is true/false to enable or disable the rule,
+ * or { enabled, severity, options } to configure it.
+ * @param {Object} config - Rules configuration from the request body
+ * @returns {Object} { rules } on success, { error, expected } when invalid
+ */
+function parseRulesConfig(config) {
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    return { error: 'Invalid rules', expected: 'Object keyed by rule id' };
+  }
+
+  for (const [id, value] of Object.entries(config)) {
+    const rule = rules.find(candidate => candidate.id === id);
+    if (!rule) {
+      return { error: `Unknown rule: ${id}`, expected: rules.map(candidate => candidate.id).join(', ') };
+    }
+
+    if (typeof value === 'boolean') {
+      continue;
+    }
+
+    const expected = `true, false or { enabled: boolean, severity: ${SEVERITIES.join('|')}, options: { ${Object.keys(rule.options).join(', ')} } }`;
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      return { error: `Invalid configuration for rule ${id}`, expected };
+    }
+
+    const { enabled, severity, options, ...unknown } = value;
+    if (Object.keys(unknown).length > 0
+      || (enabled !== undefined && typeof enabled !== 'boolean')
+      || (severity !== undefined && !SEVERITIES.includes(severity))
+      || (options !== undefined && (options === null || typeof options !== 'object' || Array.isArray(options)))) {
+      return { error: `Invalid configuration for rule ${id}`, expected };
+    }
+
+    // Options must be known and keep the type of their default
+    for (const [name, optionValue] of Object.entries(options || {})) {
+      if (!(name in rule.options) || typeof optionValue !== typeof rule.options[name]) {
+        return { error: `Invalid option ${name} for rule ${id}`, expected };
+      }
+    }
+  }
+
+  return { rules: config };
+}
+
+/**
+ * Resolve the rules to run for a job
+ * @param {Object|null} config - The job's rules configuration
+ * @returns {Array} Array of { rule, severity, options }
+ */
+function resolveRules(config) {
+  return rules
+    .map(rule => {
+      const value = config?.[rule.id];
+      const settings = typeof value === 'object' && value !== null ? value : {};
+      const enabled = typeof value === 'boolean' ? value : (settings.enabled ?? rule.enabledByDefault);
+
+      return enabled
+        ? { rule, severity: settings.severity || rule.severity, options: { ...rule.options, ...settings.options } }
+        : null;
+    })
+    .filter(Boolean);
+}
+
+module.exports = { rules, SEVERITIES, listRules, parseRulesConfig, resolveRules };
@@ -0,0 +1,25 @@
+const { getIndexability, normalizeText, INDEXABILITY_FIELDS } = require('./helpers/pageSignals');
+
+/**
+ * Meta description shared with other indexable pages
+ */
+module.exports = {
+  id: 'meta-description-duplicate',
+  category: 'meta-descriptions',
+  severity: 'medium',
+  description: 'The meta description is shared with other indexable pages',
+  fields: ['metaDescription', ...INDEXABILITY_FIELDS],
+  countedFields: ['metaDescription'],
+
+  check(page, siteContext) {
+    if (!page.metaDescription?.trim() || getIndexability(page) === 'Non-Indexable') {
+      return [];
+    }
+
+    const sharedWith = siteContext.countValues('metaDescription').get(normalizeText(page.metaDescription)) - 1;
+    if (sharedWith > 0) {
+      return [{ message: `Meta description is shared with ${sharedWith} other page(s)`, details: { duplicates: sharedWith } }];
+    }
+    return [];
+  }
+};
@@ -0,0 +1,14 @@
+/**
+ * Page without a meta description
+ */
+module.exports = {
+  id: 'meta-description-missing',
+  category: 'meta-descriptions',
+  severity: 'medium',
+  description: 'The page has no meta description',
+  fields: ['metaDescription'],
+
+  check(page) {
+    return page.metaDescription?.trim() ? [] : [{ message: 'The page has no meta description' }];
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * Meta description longer than search results usually display
+ */
+module.exports = {
+  id: 'meta-description-too-long',
+  category: 'meta-descriptions',
+  severity: 'low',
+  description: 'The meta description is longer than search results usually display',
+  fields: ['metaDescription'],
+  options: { maxLength: 160 },
+
+  check(page, siteContext, { maxLength }) {
+    const length = (page.metaDescription || '').trim().length;
+    if (length > maxLength) {
+      return [{ message: `Meta description is ${length} characters long`, details: { length, maxLength } }];
+    }
+    return [];
+  }
+};
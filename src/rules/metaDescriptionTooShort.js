@@ -0,0 +1,19 @@
+/**
+ * Meta description too short to summarize the page
+ */
+module.exports = {
+  id: 'meta-description-too-short',
+  category: 'meta-descriptions',
+  severity: 'low',
+  description: 'The meta description is too short to summarize the page',
+  fields: ['metaDescription'],
+  options: { minLength: 70 },
+
+  check(page, siteContext, { minLength }) {
+    const length = (page.metaDescription || '').trim().length;
+    if (length > 0 && length < minLength) {
+      return [{ message: `Meta description is ${length} characters long`, details: { length, minLength } }];
+    }
+    return [];
+  }
+};
@@ -0,0 +1,50 @@
+const { normalizeText } = require('./helpers/pageSignals');
+
+// Fields search engines use from the mobile version under mobile-first indexing
+const COMPARED_FIELDS = ['title', 'metaDescription', 'h1', 'canonicalUrl', 'metaRobots'];
+
+/**
+ * Pages whose mobile version differs from the desktop version (jobs crawled as both devices)
+ */
+module.exports = {
+  id: 'mobile-content-mismatch',
+  category: 'mobile',
+  severity: 'medium',
+  description: 'The mobile version of the page differs from the desktop version',
+  fields: [],
+  options: { minSimilarity: 0.8 },
+
+  check(page, siteContext, options) {
+    const mobile = siteContext.getRendering(page, 'mobile');
+    const desktop = siteContext.getRendering(page, 'desktop');
+    if (!mobile || !desktop) {
+      return [];
+    }
+
+    const differences = COMPARED_FIELDS
+      .filter(field => normalizeText(mobile[field]) !== normalizeText(desktop[field]))
+      .map(field => ({ field, mobile: mobile[field], desktop: desktop[field] }));
+    const similarity = mobile.contentSimilarity;
+    const textDiffers = similarity !== null && similarity < options.minSimilarity;
+    if (differences.length === 0 && !textDiffers) {
+      return [];
+    }
+
+    const changed = differences.map(difference => difference.field);
+    if (textDiffers) {
+      changed.push(`main text (${Math.round(similarity * 100)}% similar)`);
+    }
+
+    return [{
+      message: `The mobile version differs from desktop: ${changed.join(', ')}`,
+      details: {
+        differences,
+        contentSimilarity: similarity,
+        mobileWordCount: mobile.wordCount,
+        desktopWordCount: desktop.wordCount,
+        mobileLinkCount: mobile.linkCount,
+        desktopLinkCount: desktop.linkCount
+      }
+    }];
+  }
+};
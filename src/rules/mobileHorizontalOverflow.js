@@ -0,0 +1,22 @@
+/**
+ * Content wider than the mobile viewport, which makes visitors scroll sideways
+ */
+module.exports = {
+  id: 'mobile-horizontal-overflow',
+  category: 'mobile',
+  severity: 'high',
+  description: 'The page is wider than the mobile viewport',
+  fields: [],
+
+  check(page, siteContext) {
+    const rendering = siteContext.getRendering(page, 'mobile');
+    if (!rendering?.viewportWidth || !rendering.documentWidth || rendering.documentWidth <= rendering.viewportWidth) {
+      return [];
+    }
+
+    return [{
+      message: `The page is ${rendering.documentWidth}px wide on a ${rendering.viewportWidth}px mobile viewport`,
+      details: { documentWidth: rendering.documentWidth, viewportWidth: rendering.viewportWidth }
+    }];
+  }
+};
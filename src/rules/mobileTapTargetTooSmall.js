@@ -0,0 +1,26 @@
+/**
+ * Links, buttons and form fields too small to tap reliably on mobile
+ * Links inside a sentence are exempt. Targets are recorded up to 48x48 pixels, so minSize can't be set higher.
+ */
+module.exports = {
+  id: 'mobile-tap-target-too-small',
+  category: 'mobile',
+  severity: 'medium',
+  description: 'Tap targets are smaller than the minimum size on mobile',
+  fields: [],
+  options: { minSize: 48 },
+
+  check(page, siteContext, options) {
+    const rendering = siteContext.getRendering(page, 'mobile');
+    const targets = (rendering?.smallTapTargets || [])
+      .filter(target => target.width < options.minSize || target.height < options.minSize);
+    if (targets.length === 0) {
+      return [];
+    }
+
+    return [{
+      message: `${targets.length} tap target${targets.length === 1 ? ' is' : 's are'} smaller than ${options.minSize}x${options.minSize} pixels on mobile`,
+      details: { count: targets.length, minSize: options.minSize, targets: targets.slice(0, 10) }
+    }];
+  }
+};
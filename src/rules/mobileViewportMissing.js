@@ -0,0 +1,29 @@
+/**
+ * Pages without a viewport meta tag set to the device width, which mobile browsers render zoomed out at desktop width
+ */
+module.exports = {
+  id: 'mobile-viewport-missing',
+  category: 'mobile',
+  severity: 'high',
+  description: 'The page has no viewport meta tag with width=device-width',
+  fields: ['contentType', 'viewportMeta'],
+
+  check(page) {
+    if (page.contentType && !/html/i.test(page.contentType)) {
+      return [];
+    }
+
+    if (!page.viewportMeta?.trim()) {
+      return [{ message: 'The page has no viewport meta tag' }];
+    }
+
+    if (!/(^|[\s,;])width\s*=\s*device-width/i.test(page.viewportMeta)) {
+      return [{
+        message: `The viewport meta tag does not set width=device-width: "${page.viewportMeta}"`,
+        details: { viewport: page.viewportMeta }
+      }];
+    }
+
+    return [];
+  }
+};
@@ -0,0 +1,24 @@
+const { findNoindex, NOINDEX_FIELDS } = require('./helpers/pageSignals');
+
+/**
+ * Page excluded from search results by a noindex directive
+ */
+module.exports = {
+  id: 'page-noindex',
+  category: 'indexability',
+  severity: 'low',
+  description: 'The page asks search engines not to index it',
+  fields: [...NOINDEX_FIELDS],
+
+  check(page) {
+    const noindex = findNoindex(page);
+    if (!noindex) {
+      return [];
+    }
+
+    const where = noindex.source === 'meta'
+      ? `the ${noindex.userAgent} meta tag`
+      : `the X-Robots-Tag header${noindex.userAgent === '*' ? '' : ` for ${noindex.userAgent}`}`;
+    return [{ message: `The page is marked noindex by ${where}`, details: noindex }];
+  }
+};
@@ -0,0 +1,29 @@
+const { getReadabilityRating } = require('./helpers/pageSignals');
+
+/**
+ * Text that is hard to read (low Flesch Reading Ease score)
+ */
+module.exports = {
+  id: 'readability-difficult',
+  category: 'content',
+  severity: 'low',
+  description: 'The text of the page is difficult to read',
+  fields: ['fleschReadingEaseScore', 'wordCount'],
+  options: { minScore: 30, minWords: 100 },
+
+  check(page, siteContext, { minScore, minWords }) {
+    // Scores of short texts say little about readability
+    if (page.fleschReadingEaseScore === null || page.fleschReadingEaseScore === undefined || (page.wordCount || 0) < minWords) {
+      return [];
+    }
+
+    if (page.fleschReadingEaseScore < minScore) {
+      const score = Math.round(page.fleschReadingEaseScore * 10) / 10;
+      return [{
+        message: `Flesch Reading Ease score is ${score} (${getReadabilityRating(page.fleschReadingEaseScore)})`,
+        details: { score, minScore }
+      }];
+    }
+    return [];
+  }
+};
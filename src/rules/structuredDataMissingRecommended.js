@@ -0,0 +1,26 @@
+const { getStructuredData, validateEntity } = require('./helpers/structuredData');
+
+/**
+ * Top-level entities missing properties recommended for rich results
+ */
+module.exports = {
+  id: 'structured-data-missing-recommended',
+  category: 'structured-data',
+  severity: 'low',
+  description: 'A schema.org entity lacks properties recommended for rich results',
+  fields: ['structuredData'],
+
+  check(page) {
+    const findings = [];
+    for (const entity of getStructuredData(page).entities) {
+      const missing = validateEntity(entity).missingRecommended;
+      if (missing.length > 0) {
+        findings.push({
+          message: `${entity.type.join(', ')} is missing recommended ${missing.map(item => item.property).join(', ')}`,
+          details: { format: entity.format, type: entity.type, properties: missing.map(item => item.property) }
+        });
+      }
+    }
+    return findings;
+  }
+};
@@ -0,0 +1,19 @@
+const { getStructuredData, validateEntity } = require('./helpers/structuredData');
+
+/**
+ * Entities missing properties required for rich results
+ */
+module.exports = {
+  id: 'structured-data-missing-required',
+  category: 'structured-data',
+  severity: 'high',
+  description: 'A schema.org entity lacks a property required for rich results',
+  fields: ['structuredData'],
+
+  check(page) {
+    return getStructuredData(page).entities.flatMap(entity => validateEntity(entity).missingRequired.map(missing => ({
+      message: `${missing.path} is missing required property ${missing.property}`,
+      details: { format: entity.format, ...missing }
+    })));
+  }
+};
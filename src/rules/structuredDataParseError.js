@@ -0,0 +1,19 @@
+const { getStructuredData } = require('./helpers/structuredData');
+
+/**
+ * JSON-LD blocks that are not valid JSON and items without a type
+ */
+module.exports = {
+  id: 'structured-data-parse-error',
+  category: 'structured-data',
+  severity: 'high',
+  description: 'Structured data could not be parsed',
+  fields: ['structuredData'],
+
+  check(page) {
+    return getStructuredData(page).errors.map(error => ({
+      message: `${error.format === 'json-ld' ? 'JSON-LD' : error.format === 'rdfa' ? 'RDFa' : 'Microdata'}: ${error.message}`,
+      details: error
+    }));
+  }
+};
@@ -0,0 +1,19 @@
+const { getStructuredData, validateEntity } = require('./helpers/structuredData');
+
+/**
+ * Types that are not (common) schema.org types, usually typos such as "Prodcut"
+ */
+module.exports = {
+  id: 'structured-data-unknown-type',
+  category: 'structured-data',
+  severity: 'medium',
+  description: 'A structured data entity uses an unrecognized schema.org type',
+  fields: ['structuredData'],
+
+  check(page) {
+    return getStructuredData(page).entities.flatMap(entity => validateEntity(entity).unknownTypes.map(unknown => ({
+      message: `Unrecognized schema.org type ${unknown.type}`,
+      details: { format: entity.format, ...unknown }
+    })));
+  }
+};
@@ -0,0 +1,26 @@
+const { getIndexability, normalizeText, INDEXABILITY_FIELDS } = require('./helpers/pageSignals');
+
+/**
+ * Title shared with other indexable pages
+ * Non-indexable pages, such as canonicalized variants, are expected to share titles
+ */
+module.exports = {
+  id: 'title-duplicate',
+  category: 'titles',
+  severity: 'medium',
+  description: 'The title is shared with other indexable pages',
+  fields: ['title', ...INDEXABILITY_FIELDS],
+  countedFields: ['title'],
+
+  check(page, siteContext) {
+    if (!page.title?.trim() || getIndexability(page) === 'Non-Indexable') {
+      return [];
+    }
+
+    const sharedWith = siteContext.countValues('title').get(normalizeText(page.title)) - 1;
+    if (sharedWith > 0) {
+      return [{ message: `Title is shared with ${sharedWith} other page(s)`, details: { title: page.title.trim(), duplicates: sharedWith } }];
+    }
+    return [];
+  }
+};
@@ -0,0 +1,14 @@
+/**
+ * Page without a title
+ */
+module.exports = {
+  id: 'title-missing',
+  category: 'titles',
+  severity: 'high',
+  description: 'The page has no title',
+  fields: ['title'],
+
+  check(page) {
+    return page.title?.trim() ? [] : [{ message: 'The page has no title' }];
+  }
+};
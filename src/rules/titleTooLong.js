@@ -0,0 +1,19 @@
+/**
+ * Title longer than search results usually display
+ */
+module.exports = {
+  id: 'title-too-long',
+  category: 'titles',
+  severity: 'low',
+  description: 'The title is longer than search results usually display',
+  fields: ['title'],
+  options: { maxLength: 60 },
+
+  check(page, siteContext, { maxLength }) {
+    const length = (page.title || '').trim().length;
+    if (length > maxLength) {
+      return [{ message: `Title is ${length} characters long`, details: { length, maxLength } }];
+    }
+    return [];
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * Title too short to describe the page
+ */
+module.exports = {
+  id: 'title-too-short',
+  category: 'titles',
+  severity: 'low',
+  description: 'The title is too short to describe the page',
+  fields: ['title'],
+  options: { minLength: 30 },
+
+  check(page, siteContext, { minLength }) {
+    const length = (page.title || '').trim().length;
+    if (length > 0 && length < minLength) {
+      return [{ message: `Title is ${length} characters long`, details: { length, minLength } }];
+    }
+    return [];
+  }
+};
@@ -11,6 +11,9 @@ const userService = new UserService();
 const cronService = new CronService();
 const migrationService = new MigrationService();
 
+// Share the crawl processor with routes that control running jobs
+app.locals.crawlProcessor = crawlProcessor;
+
 const PORT = process.env.PORT || 3000;
 const BASE_URL = process.env.BASE_URL || `http://localhost:${PORT}`;
 app.use(express.json());
@@ -47,6 +50,14 @@ apiRouter.use('/users', userRoutes);
 const jobRoutes = require("./routes/jobs");
 apiRouter.use('/jobs', jobRoutes);
 
+// Schedule Routes (auth required)
+const scheduleRoutes = require("./routes/schedules");
+apiRouter.use('/schedules', scheduleRoutes);
+
+// Admin Routes (admin auth required)
+const adminRoutes = require("./routes/admin");
+apiRouter.use('/admin', adminRoutes);
+
 // Health Routes (no auth required)
 const healthRoutes = require("./routes/health");
 app.use('/health', healthRoutes);
@@ -1,4 +1,5 @@
 const { PrismaClient } = require("@prisma/client");
+const ArtifactStorage = require("./artifactStorage");
 
 /**
  * AI Webhook Service
@@ -9,6 +10,7 @@ const { PrismaClient } = require("@prisma/client");
 class AIWebhookService {
   constructor() {
     this.prisma = new PrismaClient();
+    this.artifactStorage = new ArtifactStorage();
     this.pageAnalyzerUrl = process.env.PAGE_ANALYZER_WEBHOOK_URL || null;
     this.crawlAnalyzerUrl = process.env.CRAWL_ANALYZER_WEBHOOK_URL || null;
     this.webhookTimeout = parseInt(process.env.AI_WEBHOOK_TIMEOUT) || 30000; // 30 seconds
@@ -73,7 +75,7 @@ class AIWebhookService {
         data: { pageAnalysisStatus: 'pending', pageAnalysisStartedAt: new Date() },
       });
 
-      const payload = this.buildPageWebhookPayload(link, job);
+      const payload = await this.buildPageWebhookPayload(link, job);
       const analysisData = await this.sendWebhookWithRetry(payload, link.jobId, this.pageAnalyzerUrl);
 
       await this.prisma.internalLink.update({
@@ -136,11 +138,12 @@ class AIWebhookService {
    * @param {Object} job - The crawl job with internal links
    * @returns {Object} Webhook payload
    */
-  buildPageWebhookPayload(link, job) {
+  async buildPageWebhookPayload(link, job) {
     return {
       jobId: link.jobId,
       pageId: link.id,
-      pageContent: link.htmlContent,
+      // Pages crawled before artifact storage still keep their HTML in the database
+      pageContent: link.htmlKey ? await this.artifactStorage.getText(link.htmlKey) : link.htmlContent,
       crawlMetadata: {
         url: link.address,
         title: link.title,
@@ -148,6 +151,7 @@ class AIWebhookService {
         h1: link.h1,
         wordCount: link.wordCount,
         fleschReadingEaseScore: link.fleschReadingEaseScore,
+        structuredData: link.structuredData,
       },
       robotsTxt: job.robotsTxtContent,
       sitemap: job.sitemaps.map(s => s.content).join('\n'),
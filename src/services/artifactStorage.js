@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { PrismaClient } = require('@prisma/client');
+const LocalDriver = require('./storageDrivers/localDriver');
+const S3Driver = require('./storageDrivers/s3Driver');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Artifact Storage
+ *
+ * Stores the files produced by crawls (screenshots, raw HTML) outside the
+ * database. Artifacts are content-addressed: the key is the SHA-256 of the
+ * content plus its extension, so identical files (the same page in two jobs,
+ * the thumbnails of identical templates) are stored once. Text artifacts are
+ * gzip-compressed. The Artifact table records every stored key with its
+ * content type and sizes; pages only hold the keys.
+ *
+ * The backend is chosen with STORAGE_DRIVER: "local" (default) writes under
+ * storage/artifacts, "s3" uses any S3-compatible bucket.
+ */
+class ArtifactStorage {
+  constructor(prisma = new PrismaClient()) {
+    this.prisma = prisma;
+    this.driver = this.createDriver(process.env.STORAGE_DRIVER || 'local');
+
+    this.CONTENT_TYPES = {
+      png: 'image/png',
+      jpg: 'image/jpeg',
+      html: 'text/html; charset=utf-8'
+    };
+    // Images are already compressed; gzip only pays off for text
+    this.COMPRESSED_EXTENSIONS = ['html'];
+    this.KEY_PATTERN = /^[0-9a-f]{64}\.(png|jpg|html)$/;
+
+    // Unreferenced artifacts used more recently than this may belong to a page that is still being saved
+    this.GC_GRACE_PERIOD = 24 * 60 * 60 * 1000; // 24 hours
+    this.GC_BATCH_SIZE = 1000;
+  }
+
+  createDriver(name) {
+    if (name === 'local') {
+      return new LocalDriver({ directory: process.env.STORAGE_LOCAL_DIR });
+    }
+
+    if (name === 's3') {
+      return new S3Driver({
+        endpoint: process.env.S3_ENDPOINT,
+        region: process.env.S3_REGION,
+        bucket: process.env.S3_BUCKET,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        timeout: parseInt(process.env.S3_TIMEOUT) || undefined
+      });
+    }
+
+    throw new Error(`Unknown STORAGE_DRIVER "${name}" (expected local or s3)`);
+  }
+
+  /**
+   * Store content, unless an artifact with the same content already exists
+   * @param {Buffer|Uint8Array|string} content - File content; strings are stored as UTF-8
+   * @param {string} extension - One of the CONTENT_TYPES keys
+   * @returns {Promise<string>} Artifact key
+   */
+  async put(content, extension) {
+    const contentType = this.CONTENT_TYPES[extension];
+    if (!contentType) {
+      throw new Error(`Unsupported artifact type: ${extension}`);
+    }
+
+    const body = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    const key = `${crypto.createHash('sha256').update(body).digest('hex')}.${extension}`;
+
+    // Marking an existing artifact as used keeps it out of the cleanup until the page that reuses it is saved
+    const { count: existing } = await this.prisma.artifact.updateMany({ where: { key }, data: { lastUsedAt: new Date() } });
+    if (existing > 0) {
+      return key;
+    }
+
+    const compressed = this.COMPRESSED_EXTENSIONS.includes(extension);
+    const stored = compressed ? await gzip(body) : body;
+    await this.driver.put(key, stored, { contentType: compressed ? 'application/gzip' : contentType });
+
+    // Two pages with the same content can be saved at the same time; both wrote identical bytes
+    await this.prisma.artifact.upsert({
+      where: { key },
+      create: {
+        key,
+        contentType,
+        contentEncoding: compressed ? 'gzip' : null,
+        size: body.length,
+        storedSize: stored.length
+      },
+      update: {}
+    });
+
+    return key;
+  }
+
+  /**
+   * Read an artifact
+   * @param {string} key - Artifact key
+   * @returns {Promise<Object|null>} { body, contentType, size } with the uncompressed content, or null if it does not exist
+   */
+  async get(key) {
+    if (!this.isKey(key)) {
+      return null;
+    }
+
+    const artifact = await this.prisma.artifact.findUnique({ where: { key } });
+    if (!artifact) {
+      return null;
+    }
+
+    const stored = await this.driver.get(key);
+    if (!stored) {
+      console.error(`❌ Artifact ${key} is recorded but missing from storage`);
+      return null;
+    }
+
+    const body = artifact.contentEncoding === 'gzip' ? await gunzip(stored) : stored;
+    return { body, contentType: artifact.contentType, size: artifact.size };
+  }
+
+  /**
+   * Read a text artifact
+   * @returns {Promise<string|null>} Content, or null if the key is empty or the artifact does not exist
+   */
+  async getText(key) {
+    const artifact = key ? await this.get(key) : null;
+    return artifact ? artifact.body.toString('utf8') : null;
+  }
+
+  isKey(value) {
+    return this.KEY_PATTERN.test(value || '');
+  }
+
+  // ==================== CLEANUP ====================
+
+  /**
+   * Delete the artifacts no page refers to any more
+   * @param {Object} options - { keys, gracePeriod }: only consider these keys (all artifacts by default)
+   *   and keep artifacts used within the grace period in milliseconds (GC_GRACE_PERIOD by default)
+   * @returns {Promise<Object>} { count, bytes } removed
+   */
+  async removeUnreferencedArtifacts({ keys = null, gracePeriod = this.GC_GRACE_PERIOD } = {}) {
+    const referenced = await this.getReferencedKeys();
+    const usedBefore = new Date(Date.now() - gracePeriod);
+    const removed = { count: 0, bytes: 0 };
+
+    if (keys) {
+      const candidates = keys.filter(key => !referenced.has(key));
+      for (let i = 0; i < candidates.length; i += this.GC_BATCH_SIZE) {
+        const batch = await this.prisma.artifact.findMany({
+          where: { key: { in: candidates.slice(i, i + this.GC_BATCH_SIZE) }, lastUsedAt: { lt: usedBefore } },
+          select: { key: true, storedSize: true }
+        });
+        await this.removeArtifacts(batch, usedBefore, removed);
+      }
+      return removed;
+    }
+
+    let lastKey = '';
+    while (true) {
+      const batch = await this.prisma.artifact.findMany({
+        where: { key: { gt: lastKey }, lastUsedAt: { lt: usedBefore } },
+        select: { key: true, storedSize: true },
+        orderBy: { key: 'asc' },
+        take: this.GC_BATCH_SIZE
+      });
+
+      await this.removeArtifacts(batch.filter(artifact => !referenced.has(artifact.key)), usedBefore, removed);
+
+      if (batch.length < this.GC_BATCH_SIZE) {
+        return removed;
+      }
+      lastKey = batch[batch.length - 1].key;
+    }
+  }
+
+  /**
+   * Delete unreferenced artifacts, adding them to the removed totals
+   */
+  async removeArtifacts(artifacts, usedBefore, removed) {
+    for (const artifact of artifacts) {
+      // Forget the artifact first, unless a page reused it meanwhile; a page saved afterwards stores it again
+      const { count: deleted } = await this.prisma.artifact.deleteMany({
+        where: { key: artifact.key, lastUsedAt: { lt: usedBefore } }
+      });
+      if (deleted === 0) continue;
+
+      await this.driver.delete(artifact.key);
+      removed.count++;
+      removed.bytes += artifact.storedSize;
+    }
+  }
+
+  /**
+   * Keys of the artifacts pages refer to: the HTML key and the screenshot keys
+   * @param {Object} where - Pages to read (every page by default)
+   * @returns {Promise<Set>} Artifact keys
+   */
+  async getReferencedKeys(where = {}) {
+    const keys = new Set();
+
+    let lastId = 0;
+    while (true) {
+      const batch = await this.prisma.internalLink.findMany({
+        where: { ...where, id: { gt: lastId } },
+        select: { id: true, htmlKey: true, screenshotKey: true, thumbnailKey: true, aboveTheFoldKey: true },
+        orderBy: { id: 'asc' },
+        take: this.GC_BATCH_SIZE
+      });
+
+      for (const page of batch) {
+        // Screenshots taken before artifact storage hold a file name instead of a key
+        [page.htmlKey, page.screenshotKey, page.thumbnailKey, page.aboveTheFoldKey].forEach(key => {
+          if (this.isKey(key)) {
+            keys.add(key);
+          }
+        });
+      }
+
+      if (batch.length < this.GC_BATCH_SIZE) {
+        return keys;
+      }
+      lastId = batch[batch.length - 1].id;
+    }
+  }
+}
+
+module.exports = ArtifactStorage;
@@ -0,0 +1,184 @@
+/**
+ * Canonical Validator
+ *
+ * Resolves the canonical each page declares (a <link rel="canonical"> element
+ * or a canonical HTTP Link header) against the crawled pages, redirects and
+ * link checks of a job, following canonical chains until they settle.
+ */
+class CanonicalValidator {
+  constructor() {
+    // Canonical hops followed before giving up on a chain
+    this.MAX_CHAIN_LENGTH = 10;
+  }
+
+  // ==================== DECLARATIONS ====================
+
+  /**
+   * Parse an HTTP Link header
+   * @param {string} value - Header value, e.g. <https://example.com/>; rel="canonical"
+   * @returns {Object} rel -> array of URLs, in header order
+   */
+  parseLinkHeader(value) {
+    const links = {};
+    if (!value) {
+      return links;
+    }
+
+    // Several headers are joined with newlines by the browser, entries within one header with commas
+    const entryPattern = /<([^>]*)>([^,<]*)/g;
+    let match;
+    while ((match = entryPattern.exec(value)) !== null) {
+      const relMatch = match[2].match(/;\s*rel\s*=\s*("([^"]*)"|[^;\s]+)/i);
+      if (!relMatch) continue;
+
+      const rels = (relMatch[2] ?? relMatch[1]).toLowerCase().split(/\s+/).filter(Boolean);
+      for (const rel of rels) {
+        if (!links[rel]) {
+          links[rel] = [];
+        }
+        links[rel].push(match[1].trim());
+      }
+    }
+
+    return links;
+  }
+
+  /**
+   * The canonical a page declares, resolved to an absolute URL
+   * The HTML element wins over the HTTP header when both are present
+   * @param {Object} page - Page with address, canonicalLinkElements, canonicalLinkElement and httpCanonical
+   * @param {Function} normalize - URL normalizer used for page addresses
+   * @returns {Object|null} { url, source } or null when the page declares no (valid) canonical
+   */
+  resolveCanonical(page, normalize) {
+    const elements = Array.isArray(page.canonicalLinkElements)
+      ? page.canonicalLinkElements
+      : (page.canonicalLinkElement ? [page.canonicalLinkElement] : []);
+
+    const declared = elements.length > 0
+      ? { href: elements[0], source: 'html' }
+      : (page.httpCanonical ? { href: page.httpCanonical, source: 'http' } : null);
+    if (!declared || !declared.href?.trim()) {
+      return null;
+    }
+
+    try {
+      const url = new URL(declared.href.trim(), page.address);
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        return null;
+      }
+      return { url: normalize(url.toString()), source: declared.source };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // ==================== VALIDATION ====================
+
+  /**
+   * Validate the canonicals of every page of a job
+   * @param {Array} pages - Every crawled page with address, statusCode and canonical declarations
+   * @param {Object} data - { redirectChains, linkChecks, normalize }
+   * @returns {Map} page id -> { canonicalUrl, canonicalSource, canonicalTargetStatusCode, canonicalRedirectUrl, canonicalChain, canonicalIsLoop }
+   */
+  validate(pages, { redirectChains = [], linkChecks = [], normalize = url => url }) {
+    const pagesByAddress = new Map(pages.map(page => [page.address, page]));
+    const chainsBySource = new Map(redirectChains.map(chain => [chain.sourceUrl, chain]));
+    const checksByUrl = new Map(linkChecks.map(check => [check.url, check]));
+
+    const canonicals = new Map();
+    for (const page of pages) {
+      const canonical = this.resolveCanonical(page, normalize);
+      if (canonical) {
+        canonicals.set(page.address, canonical);
+      }
+    }
+
+    const results = new Map();
+    for (const page of pages) {
+      const canonical = canonicals.get(page.address);
+      if (!canonical) continue;
+
+      const result = {
+        canonicalUrl: canonical.url,
+        canonicalSource: canonical.source,
+        canonicalTargetStatusCode: page.statusCode,
+        canonicalRedirectUrl: null,
+        canonicalChain: null,
+        canonicalIsLoop: false
+      };
+
+      if (canonical.url !== page.address) {
+        const target = this.lookupTarget(canonical.url, { pagesByAddress, chainsBySource, checksByUrl, normalize });
+        result.canonicalTargetStatusCode = target.statusCode;
+        result.canonicalRedirectUrl = target.redirectUrl;
+
+        // Follow the canonicals of the target pages until they point to themselves
+        const chain = [canonical.url];
+        const visited = new Set([page.address, canonical.url]);
+        let current = target.resolvedUrl;
+
+        if (current === page.address) {
+          // The canonical redirects back to the page
+          result.canonicalIsLoop = true;
+        }
+
+        while (!result.canonicalIsLoop && chain.length < this.MAX_CHAIN_LENGTH) {
+          visited.add(current);
+          const next = canonicals.get(current)?.url;
+          if (!next || next === current) break;
+
+          chain.push(next);
+          if (visited.has(next)) {
+            result.canonicalIsLoop = true;
+            break;
+          }
+          current = this.lookupTarget(next, { pagesByAddress, chainsBySource, checksByUrl, normalize }).resolvedUrl;
+        }
+
+        if (chain.length > 1) {
+          result.canonicalChain = chain;
+        }
+      }
+
+      results.set(page.id, result);
+    }
+
+    return results;
+  }
+
+  /**
+   * Find what is known about a canonical target
+   * @returns {Object} { statusCode, redirectUrl, resolvedUrl } - statusCode is the final status after redirects
+   */
+  lookupTarget(url, { pagesByAddress, chainsBySource, checksByUrl, normalize }) {
+    const chain = chainsBySource.get(url);
+    if (chain && chain.finalUrl !== url) {
+      return {
+        statusCode: chain.finalStatusCode ?? pagesByAddress.get(chain.finalUrl)?.statusCode ?? null,
+        redirectUrl: chain.finalUrl,
+        resolvedUrl: chain.finalUrl
+      };
+    }
+
+    const page = pagesByAddress.get(url);
+    if (page) {
+      return { statusCode: page.statusCode, redirectUrl: null, resolvedUrl: url };
+    }
+
+    const check = checksByUrl.get(url);
+    if (check) {
+      const finalUrl = check.finalUrl ? normalize(check.finalUrl) : null;
+      const redirected = finalUrl && finalUrl !== url;
+      return {
+        statusCode: check.statusCode,
+        redirectUrl: redirected ? finalUrl : null,
+        resolvedUrl: redirected ? finalUrl : url
+      };
+    }
+
+    return { statusCode: null, redirectUrl: null, resolvedUrl: url };
+  }
+}
+
+module.exports = CanonicalValidator;
@@ -0,0 +1,380 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const ReportService = require('./reportService');
+
+/**
+ * Crawl Comparison Service
+ *
+ * Compares a crawl with an earlier crawl of the same site (the baseline):
+ * pages are matched by normalized address, and each URL that was added,
+ * removed or changed between the two is reported with the fields that
+ * changed and the issues that appeared or were resolved.
+ */
+class ComparisonService {
+  constructor(prisma = new PrismaClient()) {
+    this.prisma = prisma;
+    this.BATCH_SIZE = 1000;
+    this.reportService = new ReportService(prisma);
+
+    // Fields compared as values
+    this.VALUE_FIELDS = {
+      statusCode: page => page.statusCode,
+      title: page => page.title,
+      metaDescription: page => page.metaDescription,
+      h1: page => page.h1,
+      canonical: page => page.canonicalUrl ?? page.canonicalLinkElement,
+      indexability: page => (page.indexabilityStatus ? `${page.indexability} (${page.indexabilityStatus})` : page.indexability)
+    };
+    // Fields compared as counts, reported with their delta
+    this.COUNT_FIELDS = {
+      wordCount: page => page.wordCount,
+      inlinks: page => page.inlinks,
+      internalOutlinks: page => (page.outlinks === null ? null : page.outlinks - (page.externalOutlinks || 0))
+    };
+    // Page columns the fields above are read from
+    this.PAGE_COLUMNS = [
+      'statusCode', 'title', 'metaDescription', 'h1', 'canonicalUrl', 'canonicalLinkElement', 'indexability',
+      'indexabilityStatus', 'wordCount', 'inlinks', 'outlinks', 'externalOutlinks'
+    ];
+
+    this.CHANGE_TYPES = [
+      'added', 'removed', ...Object.keys(this.VALUE_FIELDS), ...Object.keys(this.COUNT_FIELDS), 'newIssues', 'resolvedIssues'
+    ];
+    this.CSV_COLUMNS = ['url', 'change', 'before', 'after', 'delta', 'detail'];
+
+    // Comparisons are kept per job pair so paging through the changes doesn't recompare the crawls
+    this.CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+    this.CACHE_SIZE = 20;
+    // URLs with changes kept across all cached comparisons; larger comparisons are not kept
+    this.CACHE_MAX_CHANGES = 50000;
+    this.cache = new Map();
+  }
+
+  /**
+   * Compare a job with a baseline job
+   * The comparison is cached until either job is updated or CACHE_TTL has passed
+   * @param {Object} job - The job to compare
+   * @param {Object} baselineJob - The job it is compared with, usually an earlier crawl of the same site
+   * @param {Object} options - { change }: only return URLs with this kind of change
+   * @returns {Promise<Object>} { summary, changes } with the changes sorted by URL
+   */
+  async compareJobs(job, baselineJob, { change = null } = {}) {
+    const { summary, changes } = await this.getComparison(job, baselineJob);
+
+    return {
+      summary,
+      changes: change ? changes.filter(entry => this.hasChange(entry, change)) : changes
+    };
+  }
+
+  /**
+   * Cached comparison of two jobs; concurrent requests for the same pair share one computation
+   * @returns {Promise<Object>} { summary, changes } with every change
+   */
+  getComparison(job, baselineJob) {
+    const key = [job, baselineJob].map(({ id, updatedAt }) => `${id}@${new Date(updatedAt).getTime()}`).join(':');
+    const now = Date.now();
+
+    for (const [cachedKey, cached] of this.cache) {
+      if (cached.expiresAt <= now) this.cache.delete(cachedKey);
+    }
+
+    let cached = this.cache.get(key);
+    if (!cached) {
+      // The size is only known once the comparison is done
+      const entry = { expiresAt: now + this.CACHE_TTL, size: 0, comparison: this.buildComparison(job, baselineJob) };
+      entry.comparison.then(
+        ({ changes }) => {
+          entry.size = changes.length;
+          this.evictComparisons();
+        },
+        () => {
+          if (this.cache.get(key) === entry) this.cache.delete(key);
+        }
+      );
+      this.cache.set(key, entry);
+      this.evictComparisons();
+      cached = entry;
+    }
+
+    return cached.comparison;
+  }
+
+  /**
+   * Drop the oldest comparisons until the cache holds at most CACHE_SIZE comparisons and CACHE_MAX_CHANGES changes
+   */
+  evictComparisons() {
+    let cachedChanges = [...this.cache.values()].reduce((sum, cached) => sum + cached.size, 0);
+
+    // Maps iterate in insertion order, so the first key is the oldest comparison
+    for (const [key, cached] of this.cache) {
+      if (this.cache.size <= this.CACHE_SIZE && cachedChanges <= this.CACHE_MAX_CHANGES) break;
+      this.cache.delete(key);
+      cachedChanges -= cached.size;
+    }
+  }
+
+  /**
+   * Compare the pages and issues of two jobs
+   * Pages are matched in SQL, which only returns the pairs that differ, so neither crawl is loaded
+   * @returns {Promise<Object>} { summary, changes } with every change, sorted by URL
+   */
+  async buildComparison(job, baselineJob) {
+    // Addresses only match if both crawls treat URL parameters the same way
+    const ignoreUrlParameters = job.ignoreUrlParameters || baselineJob.ignoreUrlParameters;
+    const normalize = url => this.normalizeAddress(url, ignoreUrlParameters);
+
+    const [issues, baselineIssues] = await Promise.all([
+      this.loadIssues(job.id, normalize),
+      this.loadIssues(baselineJob.id, normalize)
+    ]);
+    const issueChanges = this.compareIssues(baselineIssues, issues);
+
+    const pagePairs = this.pagePairs(job.id, baselineJob.id, ignoreUrlParameters);
+    const [rows, [counts]] = await Promise.all([
+      this.prisma.$queryRaw`
+        ${pagePairs}
+        SELECT row_to_json("current") AS "page", row_to_json("baseline") AS "baselinePage"
+        FROM "current" FULL JOIN "baseline" ON "current"."key" = "baseline"."key"
+        WHERE "current"."key" IS NULL OR "baseline"."key" IS NULL
+          OR ${Prisma.join(this.PAGE_COLUMNS.map(column => Prisma.raw(`"current"."${column}" IS DISTINCT FROM "baseline"."${column}"`)), ' OR ')}
+          OR "current"."key" = ANY(${[...issueChanges.keys()]}::text[])
+      `,
+      this.prisma.$queryRaw`
+        ${pagePairs}
+        SELECT COUNT("current"."key")::int AS "pages", COUNT("baseline"."key")::int AS "baselinePages",
+          COUNT("current"."key") FILTER (WHERE "baseline"."key" IS NOT NULL)::int AS "matchedPages"
+        FROM "current" FULL JOIN "baseline" ON "current"."key" = "baseline"."key"
+      `
+    ]);
+
+    const all = [];
+    for (const { page, baselinePage } of rows) {
+      const key = (page || baselinePage).key;
+      const issueChange = issueChanges.get(key);
+      issueChanges.delete(key);
+
+      // A page found by one crawl only is reported as added or removed, not with all of its issues
+      if (!page || !baselinePage) {
+        all.push({
+          url: (page || baselinePage).address,
+          change: page ? 'added' : 'removed',
+          pageId: page?.id || null,
+          baselinePageId: baselinePage?.id || null,
+          changes: {},
+          newIssues: [],
+          resolvedIssues: []
+        });
+        continue;
+      }
+
+      const changes = this.comparePages(baselinePage, page);
+      if (Object.keys(changes).length > 0 || issueChange) {
+        all.push({
+          url: page.address,
+          change: 'changed',
+          pageId: page.id,
+          baselinePageId: baselinePage.id,
+          changes,
+          newIssues: issueChange?.newIssues || [],
+          resolvedIssues: issueChange?.resolvedIssues || []
+        });
+      }
+    }
+
+    // URLs neither crawl has a page for, such as broken external links
+    for (const { url, newIssues, resolvedIssues } of issueChanges.values()) {
+      all.push({ url, change: 'changed', pageId: null, baselinePageId: null, changes: {}, newIssues, resolvedIssues });
+    }
+
+    all.sort((a, b) => a.url.localeCompare(b.url));
+
+    const changedPages = all.filter(entry => entry.change === 'changed' && entry.pageId && entry.baselinePageId).length;
+    const summary = {
+      pages: counts.pages,
+      baselinePages: counts.baselinePages,
+      added: all.filter(entry => entry.change === 'added').length,
+      removed: all.filter(entry => entry.change === 'removed').length,
+      changed: changedPages,
+      unchanged: counts.matchedPages - changedPages,
+      byChange: Object.fromEntries(this.CHANGE_TYPES.map(type => [type, all.filter(entry => this.hasChange(entry, type)).length])),
+      newIssues: all.reduce((sum, entry) => sum + entry.newIssues.length, 0),
+      resolvedIssues: all.reduce((sum, entry) => sum + entry.resolvedIssues.length, 0)
+    };
+
+    return { summary, changes: all };
+  }
+
+  /**
+   * WITH clause of the pages of both jobs keyed by normalized address, as "current" and "baseline"
+   * The first page wins when two addresses normalize the same
+   */
+  pagePairs(jobId, baselineJobId, ignoreUrlParameters) {
+    const columns = Prisma.raw(['id', 'address', ...this.PAGE_COLUMNS].map(column => `"${column}"`).join(', '));
+    const pages = id => Prisma.sql`
+      SELECT DISTINCT ON ("key") * FROM (
+        SELECT ${this.addressKeySql(ignoreUrlParameters)} AS "key", ${columns}
+        FROM "InternalLink" WHERE "jobId" = ${id}::uuid
+      ) AS "pages"
+      ORDER BY "key", "id"
+    `;
+
+    return Prisma.sql`WITH "current" AS (${pages(jobId)}), "baseline" AS (${pages(baselineJobId)})`;
+  }
+
+  /**
+   * normalizeAddress in SQL, applied to "address"
+   */
+  addressKeySql(ignoreUrlParameters) {
+    const withoutFragment = Prisma.sql`split_part("address", '#', 1)`;
+    const path = Prisma.sql`split_part(${withoutFragment}, '?', 1)`;
+    const normalizedPath = Prisma.sql`CASE WHEN ${path} ~ '^[^:/?#]+://[^/?#]*/$' THEN ${path} ELSE regexp_replace(${path}, '/$', '') END`;
+
+    if (ignoreUrlParameters) {
+      return normalizedPath;
+    }
+
+    // Parameters sorted by name, keeping the order of parameters with the same name
+    const sortedQuery = Prisma.sql`(
+      SELECT string_agg("param", '&' ORDER BY split_part("param", '=', 1) COLLATE "C", "position")
+      FROM unnest(string_to_array(substring(${withoutFragment} from '\\?(.*)$'), '&')) WITH ORDINALITY AS "params"("param", "position")
+      WHERE "param" <> ''
+    )`;
+    return Prisma.sql`${normalizedPath} || COALESCE('?' || ${sortedQuery}, '')`;
+  }
+
+  /**
+   * Issues that appeared or were resolved, per normalized URL
+   * @returns {Map} normalized URL -> { url, newIssues, resolvedIssues } for the URLs whose issues changed
+   */
+  compareIssues(baselineIssues, issues) {
+    const changes = new Map();
+
+    for (const key of new Set([...issues.keys(), ...baselineIssues.keys()])) {
+      const current = issues.get(key);
+      const baseline = baselineIssues.get(key);
+      const newIssues = current ? [...current.issues.values()].filter(issue => !baseline?.issues.has(issue.issue)) : [];
+      const resolvedIssues = baseline ? [...baseline.issues.values()].filter(issue => !current?.issues.has(issue.issue)) : [];
+
+      if (newIssues.length > 0 || resolvedIssues.length > 0) {
+        changes.set(key, { url: (current || baseline).url, newIssues, resolvedIssues });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Fields that differ between two versions of a page
+   * @returns {Object} { [field]: { before, after } }, with a delta for count fields
+   */
+  comparePages(baselinePage, page) {
+    const changes = {};
+
+    for (const [field, read] of Object.entries(this.VALUE_FIELDS)) {
+      const before = read(baselinePage) ?? null;
+      const after = read(page) ?? null;
+      if (before !== after) {
+        changes[field] = { before, after };
+      }
+    }
+
+    for (const [field, read] of Object.entries(this.COUNT_FIELDS)) {
+      const before = read(baselinePage) ?? null;
+      const after = read(page) ?? null;
+      if (before !== after) {
+        changes[field] = { before, after, delta: before !== null && after !== null ? after - before : null };
+      }
+    }
+
+    return changes;
+  }
+
+  hasChange(entry, type) {
+    if (type === 'added' || type === 'removed') return entry.change === type;
+    if (type === 'newIssues' || type === 'resolvedIssues') return entry[type].length > 0;
+    return type in entry.changes;
+  }
+
+  /**
+   * Address used to match the pages of two crawls: no fragment, query parameters sorted by name
+   * (or none when URL parameters are ignored) and no trailing slash except for the root
+   * Stored addresses are already normalized by the crawler, so plain string operations are
+   * enough, and addressKeySql does the same in SQL
+   */
+  normalizeAddress(url, ignoreUrlParameters = false) {
+    const [withoutFragment] = url.split('#');
+    const queryStart = withoutFragment.indexOf('?');
+    let path = queryStart === -1 ? withoutFragment : withoutFragment.slice(0, queryStart);
+
+    if (!/^[^:/?#]+:\/\/[^/?#]*\/$/.test(path) && path.endsWith('/')) {
+      path = path.slice(0, -1);
+    }
+    if (ignoreUrlParameters || queryStart === -1) {
+      return path;
+    }
+
+    const params = withoutFragment.slice(queryStart + 1).split('&').filter(Boolean);
+    const name = param => param.split('=')[0];
+    // Array.prototype.sort is stable, so parameters with the same name keep their order
+    params.sort((a, b) => (name(a) < name(b) ? -1 : name(a) > name(b) ? 1 : 0));
+
+    return params.length > 0 ? `${path}?${params.join('&')}` : path;
+  }
+
+  /**
+   * Issues of a job (audit findings, broken links, redirects, duplicates, robots.txt blocks) keyed by normalized URL
+   * @returns {Promise<Map>} normalized URL -> { url, issues: Map of issue type -> { issue, severity, detail } }
+   */
+  async loadIssues(jobId, normalize) {
+    const issues = new Map();
+
+    for await (const { issue, severity, url, detail } of this.reportService.streamCrawlIssues(jobId, this.BATCH_SIZE)) {
+      const key = normalize(url);
+      if (!issues.has(key)) {
+        issues.set(key, { url, issues: new Map() });
+      }
+      // An issue type is compared once per URL
+      if (!issues.get(key).issues.has(issue)) {
+        issues.get(key).issues.set(issue, { issue, severity, detail: detail ?? null });
+      }
+    }
+
+    return issues;
+  }
+
+  // ==================== CSV ====================
+
+  /**
+   * Flatten changes to one CSV row per changed field or issue
+   * @param {Array} changes - Changes returned by compareJobs
+   * @param {string|null} change - Only keep the rows of this kind of change
+   * @returns {Generator<Object>} Rows with the CSV_COLUMNS
+   */
+  *toCsvRows(changes, change = null) {
+    const detail = issue => (issue.detail ? `${issue.severity}: ${issue.detail}` : issue.severity);
+    const rowsOf = function* (entry) {
+      if (entry.change !== 'changed') {
+        yield { url: entry.url, change: entry.change };
+      }
+
+      for (const [field, { before, after, delta }] of Object.entries(entry.changes)) {
+        yield { url: entry.url, change: field, before, after, delta };
+      }
+
+      for (const issue of entry.newIssues) {
+        yield { url: entry.url, change: 'newIssues', after: issue.issue, detail: detail(issue) };
+      }
+      for (const issue of entry.resolvedIssues) {
+        yield { url: entry.url, change: 'resolvedIssues', before: issue.issue, detail: detail(issue) };
+      }
+    };
+
+    for (const entry of changes) {
+      for (const row of rowsOf(entry)) {
+        if (!change || row.change === change) yield row;
+      }
+    }
+  }
+}
+
+module.exports = ComparisonService;
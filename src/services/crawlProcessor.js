@@ -1,9 +1,20 @@
 const { PuppeteerCrawler, Configuration } = require("crawlee");
-const { PrismaClient } = require("@prisma/client");
-const path = require("path");
-const fs = require("fs");
+const { PrismaClient, Prisma } = require("@prisma/client");
+const http = require("http");
 const RobotsCrawler = require("./robotsCrawler");
 const SitemapCrawler = require("./sitemapCrawler");
+const LinkChecker = require("./linkChecker");
+const DuplicateDetector = require("./duplicateDetector");
+const SeoAuditService = require("./seoAuditService");
+const CanonicalValidator = require("./canonicalValidator");
+const HreflangValidator = require("./hreflangValidator");
+const StructuredDataParser = require("./structuredDataParser");
+const PerformanceCollector = require("./performanceCollector");
+const DeviceEmulator = require("./deviceEmulator");
+const ScreenshotService = require("./screenshotService");
+const ArtifactStorage = require("./artifactStorage");
+const WorkerPool = require("./workerPool");
+const { getIndexabilityStatus, getReadabilityRating } = require("../rules/helpers/pageSignals");
 Configuration.set('systemInfoV2', true);
 
 /**
@@ -18,13 +29,42 @@ Configuration.set('systemInfoV2', true);
 class CrawlProcessor {
   constructor() {
     this.prisma = new PrismaClient();
-    this.isProcessing = false;
     this.processingInterval = null;
     this.PROCESSING_INTERVAL = 10000; // 10 seconds
+    // Claims pending jobs and keeps their leases alive while this processor crawls them
+    this.workerPool = new WorkerPool(this.prisma, this);
     // Get sampled crawl configuration from environment
     this.SAMPLED_CRAWL_PAGES_PER_TYPE = parseInt(process.env.SAMPLED_CRAWL_PAGES_PER_TYPE) || 3;
     // Track running crawlers for stop functionality
     this.runningCrawlers = new Map(); // jobId -> crawler instance
+    // Used to evaluate robots.txt rules for our user agent during crawling
+    this.robotsCrawler = new RobotsCrawler();
+    // Verifies uncrawled link targets after the crawl
+    this.linkChecker = new LinkChecker();
+    // Fingerprints page text and finds near-duplicate pages
+    this.duplicateDetector = new DuplicateDetector();
+    // Resolves page canonicals against the crawled set after the crawl
+    this.canonicalValidator = new CanonicalValidator();
+    this.hreflangValidator = new HreflangValidator();
+    this.structuredDataParser = new StructuredDataParser();
+    // Applies the job's throttling profile and reads Core Web Vitals in the browser
+    this.performanceCollector = new PerformanceCollector();
+    // Renders pages as the job's desktop and/or mobile device
+    this.deviceEmulator = new DeviceEmulator();
+    // Captures full-page, thumbnail and above-the-fold screenshots into artifact storage
+    this.screenshotService = new ScreenshotService();
+    // Keeps the raw HTML of pages outside the database
+    this.artifactStorage = new ArtifactStorage();
+    // Runs the audit rules in src/rules once all pages are stored
+    this.seoAuditService = new SeoAuditService();
+    // Search engine crawler whose robots.txt rules decide whether a page can be indexed
+    this.INDEXABILITY_USER_AGENT = 'Googlebot';
+    // Redirect hops followed before a chain is reported as too long
+    this.MAX_REDIRECT_HOPS = 10;
+    // Link and image check results written per UPDATE
+    this.RESULT_BATCH_SIZE = 500;
+    // Network activity recorded over CDP for each open page: page -> tracker
+    this.networkTrackers = new WeakMap();
   }
 
   // ==================== LIFECYCLE MANAGEMENT ====================
@@ -45,6 +85,7 @@ class CrawlProcessor {
 
   /**
    * Stop the crawl processor and cleanup resources
+   * Jobs claimed by this worker are released so another worker can pick them up right away
    */
   async stop() {
     console.log('⏹️ Stopping crawl processor...');
@@ -52,51 +93,76 @@ class CrawlProcessor {
       clearInterval(this.processingInterval);
       this.processingInterval = null;
     }
+
+    await this.workerPool.release();
+
+    await this.seoAuditService.close();
     await this.prisma.$disconnect();
   }
 
-  // ==================== JOB PROCESSING ====================
+  // ==================== JOB CONTROL ====================
 
   /**
-   * Process all pending crawl jobs
-   * Only processes one job at a time to prevent resource conflicts
+   * Stop or pause a job and tear down its live crawler if it runs in this process.
+   * The job's crawl frontier is kept so it can be resumed later. The worker claim is
+   * released in the same update: a worker in another process sees its claim gone at
+   * its next heartbeat and tears its crawler down (it also checks before every page).
+   * @param {string} jobId - The job ID
+   * @param {string} status - 'stopped' or 'paused'
    */
-  async processPendingJobs() {
-    if (this.isProcessing) {
-      return; // Prevent concurrent processing
-    }
-
-    try {
-      this.isProcessing = true;
-      const pendingJobs = await this.findPendingJobs();
+  async haltJob(jobId, status) {
+    await this.updateJobStatus(jobId, status, { workerId: null, heartbeatAt: null });
+    await this.teardownCrawler(jobId, status);
+  }
 
-      for (const job of pendingJobs) {
-        console.log(`🚀 Processing job ${job.id}: ${job.url}`);
-        await this.processJob(job);
+  /**
+   * Tear down the crawler of a job if it runs in this process
+   * @param {string} jobId - The job ID
+   * @param {string} reason - Logged with the teardown
+   */
+  async teardownCrawler(jobId, reason) {
+    const crawler = this.runningCrawlers.get(jobId);
+    if (crawler) {
+      console.log(`⏹️ Tearing down crawler for job ${jobId} (${reason})`);
+      this.runningCrawlers.delete(jobId);
+      try {
+        await crawler.teardown();
+      } catch (error) {
+        console.error(`❌ Error tearing down crawler for job ${jobId}:`, error.message);
       }
-    } catch (error) {
-      console.error('❌ Error processing jobs:', error);
-    } finally {
-      this.isProcessing = false;
     }
   }
 
   /**
-   * Find jobs that need processing
-   * @returns {Promise<Array>} List of pending jobs
+   * Queue a stopped, paused or failed job to continue from where it left off
+   * @param {string} jobId - The job ID
    */
-  async findPendingJobs() {
-    return await this.executeWithRetry(
-      () => this.prisma.crawlJob.findMany({
-        where: {
-          status: { in: ["pending", "running"] },
-          canContinue: true
-        },
-        orderBy: { createdAt: "asc" },
-        take: 1 // Process one job at a time
-      }),
-      'find pending jobs'
-    );
+  async resumeJob(jobId) {
+    await this.updateJobStatus(jobId, 'pending', {
+      canContinue: true,
+      completedAt: null,
+      errorMessage: null
+    });
+  }
+
+  /**
+   * Check whether a job was stopped or paused since it started running,
+   * or was reclaimed by another worker after this one missed its heartbeats
+   * @param {string} jobId - The job ID
+   * @returns {Promise<boolean>} True if the crawl should not continue
+   */
+  async isJobHalted(jobId) {
+    return await this.workerPool.isJobHalted(jobId);
+  }
+
+  // ==================== JOB PROCESSING ====================
+
+  /**
+   * Fill the worker pool with pending crawl jobs
+   * Claims jobs until CRAWL_WORKER_CONCURRENCY are running in this process
+   */
+  async processPendingJobs() {
+    await this.workerPool.fill();
   }
 
   /**
@@ -106,31 +172,39 @@ class CrawlProcessor {
   async processJob(job) {
     try {
       // Check if job was stopped before processing
-      const currentJob = await this.prisma.crawlJob.findUnique({ where: { id: job.id } });
-      if (currentJob.status === 'stopped') {
+      if (await this.isJobHalted(job.id)) {
         console.log(`⏹️ Job ${job.id} was stopped before processing`);
         return;
       }
 
+      // A job with a saved frontier (resumed, or picked up again after a restart) continues from it
+      const isResuming = await this.prisma.frontierUrl.count({ where: { jobId: job.id } }) > 0;
+
       // Mark job as running
       await this.updateJobStatus(job.id, 'running', {
         startedAt: job.startedAt || new Date(),
         pagesRemaining: job.maxPages - job.pagesCrawled
       });
 
-      // Always crawl robots.txt and sitemaps first
-      console.log(`🤖 Processing robots.txt and sitemaps for: ${job.url}`);
-      const { robotsData, sitemaps, sitemapUrls } = await this.processRobotsAndSitemaps(job);
+      // Always crawl robots.txt and sitemaps first (reuse the stored robots.txt when resuming)
+      let robotsData;
+      let sitemapUrls = [];
+      if (isResuming) {
+        console.log(`⏯️ Resuming job ${job.id} from its saved crawl frontier`);
+        robotsData = job.robotsTxtContent ? this.robotsCrawler.parseRobotsTxt(job.robotsTxtContent) : null;
+      } else {
+        console.log(`🤖 Processing robots.txt and sitemaps for: ${job.url}`);
+        ({ robotsData, sitemapUrls } = await this.processRobotsAndSitemaps(job));
+      }
 
       // Check again if job was stopped during robots/sitemap processing
-      const jobAfterRobots = await this.prisma.crawlJob.findUnique({ where: { id: job.id } });
-      if (jobAfterRobots.status === 'stopped') {
+      if (await this.isJobHalted(job.id)) {
         console.log(`⏹️ Job ${job.id} was stopped during robots.txt/sitemap processing`);
         return;
       }
 
-      // Setup crawler and start crawling
-      const crawledUrls = new Set();
+      // Setup crawler and start crawling (pages saved by an earlier run count as crawled)
+      const crawledUrls = await this.loadCrawledUrls(job.id);
       
       // Track the canonical domain after redirect resolution
       const domainTracker = { 
@@ -139,36 +213,51 @@ class CrawlProcessor {
         domains: new Set()
       };
       
-      const crawler = await this.setupCrawler(job, crawledUrls, domainTracker);
+      const crawler = await this.setupCrawler(job, crawledUrls, domainTracker, robotsData);
       
       // Register the crawler for potential stopping
       this.runningCrawlers.set(job.id, crawler);
       
       try {
-        // Get initial URLs to crawl
-        const initialUrls = [{ url: this.normalizeUrl(job.url, job.ignoreUrlParameters) }];
-        
-        // Add sitemap URLs (now always included)
-        if (sitemapUrls.length > 0) {
-          console.log(`🗺️ Adding ${sitemapUrls.length} URLs from sitemaps`);
-          initialUrls.push(...sitemapUrls.map(url => ({ url })));
+        if (!isResuming) {
+          // Seed the frontier with the start URL
+          const startUrls = await this.applyRobotsTxt(
+            [this.normalizeUrl(job.url, job.ignoreUrlParameters)], job, robotsData, 'start-url'
+          );
+          await this.addToFrontier(job.id, startUrls, { depth: 0, source: 'start-url' });
+          
+          // Add sitemap URLs (now always included)
+          if (sitemapUrls.length > 0) {
+            const allowedSitemapUrls = await this.applyRobotsTxt(sitemapUrls, job, robotsData, 'sitemap');
+            console.log(`🗺️ Adding ${allowedSitemapUrls.length} URLs from sitemaps`);
+            // Sitemap URLs are treated as one click away from the start URL
+            await this.addToFrontier(job.id, allowedSitemapUrls, { depth: 1, source: 'sitemap' });
+          }
         }
+
+        // Load everything still waiting in the frontier. URLs that were in flight when
+        // the previous run ended are queued again.
+        const initialRequests = await this.loadFrontierRequests(job.id);
         
-        console.log(`🕷️ Starting crawl for: ${job.url}`);
-        await crawler.run(initialUrls);
+        console.log(`🕷️ Starting crawl for: ${job.url} (${initialRequests.length} URLs in frontier)`);
+        await crawler.run(initialRequests);
         
         // Clean up crawler tracking
         this.runningCrawlers.delete(job.id);
         
-        // Check final status before post-processing
-        const finalJob = await this.prisma.crawlJob.findUnique({ where: { id: job.id } });
-        if (finalJob.status === 'stopped') {
-          console.log(`⏹️ Job ${job.id} was stopped during crawling`);
+        // Check final status before post-processing (the frontier is kept for resuming)
+        if (await this.isJobHalted(job.id)) {
+          console.log(`⏹️ Job ${job.id} was stopped or paused during crawling`);
           return;
         }
         
-        // Post-processing
-        await this.finalizeCrawl(job.id);
+        // Post-processing; a job halted meanwhile keeps its request queue for resuming
+        if (!await this.finalizeCrawl(job.id)) {
+          return;
+        }
+
+        // The job is done, its request queue is no longer needed
+        await crawler.requestQueue?.drop();
         
         console.log(`✅ Completed job ${job.id}`);
         
@@ -181,12 +270,16 @@ class CrawlProcessor {
     } catch (error) {
       console.error(`❌ Job ${job.id} failed:`, error.message);
       
-      // Don't update to failed if job was manually stopped
-      const finalJob = await this.prisma.crawlJob.findUnique({ where: { id: job.id } });
-      if (finalJob.status !== 'stopped') {
+      // Don't update to failed if job was manually stopped or paused
+      if (!await this.isJobHalted(job.id)) {
+        // A failed job can be resumed from its frontier, unless nothing is left to crawl
+        const frontierLeft = await this.prisma.frontierUrl.count({
+          where: { jobId: job.id, status: { in: ['queued', 'in_progress'] } }
+        });
         await this.updateJobStatus(job.id, 'failed', {
           completedAt: new Date(),
-          errorMessage: error.message
+          errorMessage: error.message,
+          canContinue: frontierLeft > 0
         });
       }
     }
@@ -199,27 +292,64 @@ class CrawlProcessor {
    * @param {Object} job - The crawl job
    * @param {Set} crawledUrls - Set to track crawled URLs
    * @param {Object} domainTracker - Object to track domain redirects
+   * @param {Object|null} robotsData - Parsed robots.txt data for the job's site
    * @returns {PuppeteerCrawler} Configured crawler instance
    */
-  async setupCrawler(job, crawledUrls, domainTracker) {
+  async setupCrawler(job, crawledUrls, domainTracker, robotsData = null) {
     const { RequestQueue } = require("crawlee");
     
-    // Create a unique request queue for this job
-    const uniqueQueueId = `job-${job.id}-${Date.now()}`;
-    const requestQueue = await RequestQueue.open(uniqueQueueId);
+    // The frontier in the database is the source of truth for what is left to crawl,
+    // so the job's Crawlee queue always starts empty and is filled from it
+    const queueName = `job-${job.id}`;
+    const staleQueue = await RequestQueue.open(queueName);
+    await staleQueue.drop();
+    const requestQueue = await RequestQueue.open(queueName);
     
-    // Initialize post type counters for sampled crawling
-    const postTypeCounters = new Map();
+    // Initialize post type counters for sampled crawling (restored from saved pages when resuming)
+    const postTypeCounters = job.sampledCrawl
+      ? this.buildPostTypeCounters(crawledUrls)
+      : new Map();
+
+    // Honor Crawl-delay by crawling one page at a time with the declared gap between requests
+    const throttleOptions = {};
+    const crawlDelay = job.respectRobotsTxt && robotsData
+      ? this.robotsCrawler.getCrawlDelay(robotsData, this.robotsCrawler.userAgent)
+      : null;
+    if (crawlDelay > 0) {
+      console.log(`🐢 Applying robots.txt crawl-delay of ${crawlDelay}s for job ${job.id}`);
+      throttleOptions.maxConcurrency = 1;
+      throttleOptions.sameDomainDelaySecs = crawlDelay;
+    }
     
+    // Jobs crawled as both devices render every page twice
+    const [primaryDevice, secondaryDevice] = this.deviceEmulator.getDevices(job.device);
+
     return new PuppeteerCrawler({
-      requestHandlerTimeoutSecs: 60,
+      requestHandlerTimeoutSecs: secondaryDevice ? 120 : 60,
       navigationTimeoutSecs: 30,
-      requestQueue, // Use the unique request queue
+      requestQueue, // Use the job's request queue
+      ...throttleOptions,
+      // Random browser fingerprints would override the emulated device
+      browserPoolOptions: { useFingerprints: false },
+      preNavigationHooks: [
+        async ({ page }) => {
+          await this.attachNetworkTracker(page);
+          await this.deviceEmulator.emulate(page, primaryDevice);
+          await this.performanceCollector.prepare(page, job.performanceProfile);
+        }
+      ],
       requestHandler: async ({ request, page, response, enqueueLinks, log, crawler }) => {
-        await this.handlePageCrawl(job, request, page, response, enqueueLinks, log, crawledUrls, postTypeCounters, domainTracker, crawler);
+        await this.handlePageCrawl(job, request, page, response, enqueueLinks, log, crawledUrls, postTypeCounters, domainTracker, crawler, robotsData);
       },
       failedRequestHandler: async ({ request, error, log }) => {
         log.error(`Failed to crawl ${request.url}: ${error.message}`);
+        await this.updateFrontierStatus(job.id, request.url, 'failed', error.message);
+
+        // The browser does not expose hops of a failed navigation (e.g. a redirect loop), so trace them directly
+        const redirectChain = await this.traceHttpRedirects(job, request.url);
+        if (redirectChain) {
+          await this.saveRedirectChain(job.id, redirectChain);
+        }
       }
     });
   }
@@ -227,11 +357,29 @@ class CrawlProcessor {
   /**
    * Handle crawling of a single page
    */
-  async handlePageCrawl(job, request, page, response, enqueueLinks, log, crawledUrls, postTypeCounters = new Map(), domainTracker = null, crawler = null) {
+  async handlePageCrawl(job, request, page, response, enqueueLinks, log, crawledUrls, postTypeCounters = new Map(), domainTracker = null, crawler = null, robotsData = null) {
     const startTime = Date.now();
     const normalizedUrl = this.normalizeUrl(request.loadedUrl || request.url, job.ignoreUrlParameters);
 
+    // Stop here if the job was stopped or paused (possibly from another process).
+    // Throwing keeps the request in the queue so it is crawled when the job resumes.
+    if (await this.isJobHalted(job.id)) {
+      if (crawler) {
+        log.info(`⏸️ Job ${job.id} was halted, tearing down crawler`);
+        await crawler.teardown();
+      }
+      throw new Error(`Job ${job.id} was halted`);
+    }
+
+    await this.updateFrontierStatus(job.id, request.url, 'in_progress');
+
     try {
+      // Record how the browser got to this page, even if the page itself is skipped below
+      const redirectChain = await this.captureRedirectChain(job, request, page, response);
+      if (redirectChain) {
+        await this.saveRedirectChain(job.id, redirectChain);
+      }
+
       // Track domain redirects on first page
       if (domainTracker && !domainTracker.originalDomain) {
         const originalUrlObj = new URL(job.url);
@@ -256,11 +404,13 @@ class CrawlProcessor {
           log.info(`🛑 Stopping crawler - reached max pages limit: ${job.maxPages}`);
           await crawler.teardown();
         }
+        await this.updateFrontierStatus(job.id, request.url, 'skipped');
         return;
       }
 
       // For sampled crawl, check if we should skip based on post type limits
       if (job.sampledCrawl && await this.shouldSkipForSampledCrawl(normalizedUrl, postTypeCounters, log)) {
+        await this.updateFrontierStatus(job.id, request.url, 'skipped');
         return;
       }
 
@@ -270,7 +420,15 @@ class CrawlProcessor {
       await this.waitForPageLoad(page);
 
       // Extract all page data
-      const pageData = await this.extractAllPageData(page, normalizedUrl, response, startTime, job);
+      const pageData = await this.extractAllPageData(page, normalizedUrl, response, job);
+      pageData.crawlDepth = request.userData?.depth ?? null;
+
+      // A meta refresh or JavaScript redirect leaves from this page, so it is stored on the page itself
+      const lastHop = redirectChain?.hops[redirectChain.hops.length - 1];
+      if (lastHop && lastHop.type !== 'http') {
+        pageData.redirectUrl = lastHop.location;
+        pageData.redirectType = lastHop.type;
+      }
 
       // For sampled crawl, increment the post type counter only for second-level and deeper pages
       if (job.sampledCrawl) {
@@ -290,9 +448,20 @@ class CrawlProcessor {
 
       // Save page to database
       const internalLink = await this.savePageData(job.id, normalizedUrl, pageData, response, startTime);
+      await this.saveImages(job.id, internalLink.id, pageData.images);
+
+      // With both devices, the page is rendered again as the second device to compare the two
+      const [primaryDevice, secondaryDevice] = this.deviceEmulator.getDevices(job.device);
+      const renderings = { [primaryDevice]: { ...pageData, statusCode: response?.status() ?? null } };
+      if (secondaryDevice) {
+        renderings[secondaryDevice] = await this.renderAsDevice(page, normalizedUrl, secondaryDevice);
+      }
+      await this.savePageRenderings(job.id, internalLink.id, renderings);
 
       // Process links and enqueue new ones (with sampling logic if enabled)
-      await this.processPageLinks(job, internalLink, page, normalizedUrl, enqueueLinks, crawledUrls, postTypeCounters, domainTracker);
+      await this.processPageLinks(job, internalLink, page, normalizedUrl, enqueueLinks, crawledUrls, postTypeCounters, domainTracker, robotsData, pageData.crawlDepth);
+
+      await this.updateFrontierStatus(job.id, request.url, 'done');
 
       // Update job progress
       await this.updateJobProgress(job.id, normalizedUrl);
@@ -301,6 +470,7 @@ class CrawlProcessor {
 
     } catch (error) {
       log.error(`❌ Error crawling ${normalizedUrl}:`, error.message);
+      await this.updateFrontierStatus(job.id, request.url, 'failed', error.message);
     }
   }
 
@@ -309,25 +479,70 @@ class CrawlProcessor {
   /**
    * Extract all data from a page
    */
-  async extractAllPageData(page, url, response, startTime, job) {
+  async extractAllPageData(page, url, response, job) {
     // Extract basic page content
     const basicData = await this.extractBasicPageData(page, url);
     
-    // Calculate metrics
-    const metrics = await this.calculatePageMetrics(basicData, response, startTime);
+    // Calculate metrics from the network activity recorded while the page loaded
+    const networkData = this.collectNetworkData(page, response);
+    const metrics = await this.calculatePageMetrics(basicData, response, networkData);
+    const performanceMetrics = await this.performanceCollector.collect(page, networkData);
     
-    // Take screenshot if enabled
-    const screenshotUrl = job.takeScreenshots 
-      ? await this.takeScreenshot(page, job.id, url) 
-      : null;
+    // Fingerprint the main text for duplicate detection after the crawl
+    const fingerprint = this.duplicateDetector.fingerprint(basicData.mainText);
+
+    // Take screenshots if enabled
+    const screenshots = job.takeScreenshots
+      ? await this.screenshotService.capture(page, { aboveTheFold: job.captureAboveTheFold })
+      : {};
+
+    // Images take their status and size from the requests recorded while the page loaded
+    const images = (basicData.images || []).map(image => ({ ...image, ...networkData?.images.get(image.url) }));
 
     return {
       ...basicData,
       ...metrics,
-      screenshotUrl
+      ...performanceMetrics,
+      images,
+      contentHash: fingerprint?.contentHash || null,
+      contentFingerprint: fingerprint?.signature || null,
+      screenshotKey: screenshots.screenshotKey || null,
+      thumbnailKey: screenshots.thumbnailKey || null,
+      aboveTheFoldKey: screenshots.aboveTheFoldKey || null
     };
   }
 
+  /**
+   * Load a page again in a new tab emulating another device
+   * @returns {Promise<Object|null>} Basic page data with statusCode, wordCount and fingerprint, or null if it failed
+   */
+  async renderAsDevice(crawledPage, url, device) {
+    let page = null;
+    try {
+      page = await crawledPage.browser().newPage();
+      await this.deviceEmulator.emulate(page, device);
+      const response = await page.goto(url, { waitUntil: 'load', timeout: 30000 });
+      await this.waitForPageLoad(page);
+
+      const data = await this.extractBasicPageData(page, url);
+      const fingerprint = this.duplicateDetector.fingerprint(data.mainText);
+      return {
+        ...data,
+        statusCode: response?.status() ?? null,
+        wordCount: data.textContent ? this.analyzeTextContent(data.textContent).wordCount : null,
+        contentHash: fingerprint?.contentHash || null,
+        contentFingerprint: fingerprint?.signature || null
+      };
+    } catch (error) {
+      console.error(`❌ Failed to render ${url} as ${device}:`, error.message);
+      return null;
+    } finally {
+      if (page) {
+        await page.close().catch(() => {});
+      }
+    }
+  }
+
   /**
    * Extract basic content and structure from page
    */
@@ -353,6 +568,17 @@ class CrawlProcessor {
       result.metaDescription = getMetaContent('description');
       result.metaKeywords = getMetaContent('keywords');
       result.metaRobots = getMetaContent('robots');
+      result.viewportMeta = getMetaContent('viewport');
+
+      // Crawler specific robots meta tags such as googlebot or bingbot
+      result.botMetaRobots = {};
+      document.querySelectorAll('meta[name][content]').forEach(meta => {
+        const name = meta.getAttribute('name').trim().toLowerCase();
+        if (/bot(-news)?$/.test(name)) {
+          const content = meta.getAttribute('content');
+          result.botMetaRobots[name] = result.botMetaRobots[name] ? `${result.botMetaRobots[name]}, ${content}` : content;
+        }
+      });
       result.language = document.documentElement.getAttribute('lang');
 
       // Link elements
@@ -362,10 +588,17 @@ class CrawlProcessor {
       };
 
       result.canonicalUrl = getLink('canonical');
+      // Every canonical element as written, so relative and conflicting canonicals can be reported
+      result.canonicalTags = Array.from(document.querySelectorAll('link[rel="canonical" i]'))
+        .map(link => link.getAttribute('href') || '');
       result.relNext = getLink('next');
       result.relPrev = getLink('prev');
       result.amphtmlLinkElement = getLink('amphtml');
-      result.mobileAlternateLink = getLink('alternate') || null;
+      // Mobile alternates carry a media query; hreflang alternates are collected separately
+      const mobileAlternate = document.querySelector('link[rel="alternate"][media]:not([hreflang])');
+      result.mobileAlternateLink = mobileAlternate ? mobileAlternate.getAttribute('href') : null;
+      result.hreflangs = Array.from(document.querySelectorAll('link[rel~="alternate" i][hreflang]'))
+        .map(link => ({ hreflang: link.getAttribute('hreflang'), href: link.getAttribute('href') || '' }));
 
       // Extract headings
       ['h1', 'h2', 'h3'].forEach(tag => {
@@ -375,26 +608,217 @@ class CrawlProcessor {
           .filter(text => text.length > 0);
       });
 
+      // Heading outline in document order, used to find skipped heading levels
+      result.headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+        .map(h => ({
+          level: parseInt(h.tagName.substring(1)),
+          text: h.textContent.replace(/\s+/g, ' ').trim().substring(0, 500)
+        }));
+
+      // Main text without navigation and boilerplate, used to fingerprint the content
+      const mainElement = document.querySelector('main, [role="main"], article') || document.body;
+      if (mainElement) {
+        const mainClone = mainElement.cloneNode(true);
+        mainClone.querySelectorAll('nav, header, footer, aside, script, style, noscript, template')
+          .forEach(element => element.remove());
+        result.mainText = mainClone.textContent.replace(/\s+/g, ' ').trim();
+      }
+
+      // Structured data, normalized and validated outside the browser
+      result.structuredData = { jsonLd: [], microdata: [], rdfa: [] };
+      document.querySelectorAll('script[type="application/ld+json" i]').forEach(script => {
+        result.structuredData.jsonLd.push(script.textContent);
+      });
+
+      const urlAttributes = { A: 'href', LINK: 'href', AREA: 'href', IMG: 'src', AUDIO: 'src', VIDEO: 'src', SOURCE: 'src', IFRAME: 'src', EMBED: 'src', OBJECT: 'data' };
+      const readValue = (element, scopeAttribute) => {
+        if (element.hasAttribute('content')) return element.getAttribute('content');
+        if (scopeAttribute === 'typeof' && element.hasAttribute('resource')) return element.getAttribute('resource');
+        const urlAttribute = urlAttributes[element.tagName];
+        if (urlAttribute && element.hasAttribute(urlAttribute)) return element[urlAttribute];
+        if (element.tagName === 'TIME' && element.hasAttribute('datetime')) return element.getAttribute('datetime');
+        if (['DATA', 'METER'].includes(element.tagName) && element.hasAttribute('value')) return element.getAttribute('value');
+        return element.textContent.replace(/\s+/g, ' ').trim();
+      };
+
+      // Properties belong to the closest enclosing item; nested items become nested objects
+      const readItem = (scope, scopeAttribute, typeAttribute, propertyAttribute, depth = 0) => {
+        const item = { type: (scope.getAttribute(typeAttribute) || '').trim(), properties: {} };
+        if (depth > 10) return item;
+
+        scope.querySelectorAll(`[${propertyAttribute}]`).forEach(element => {
+          if (element.parentElement.closest(`[${scopeAttribute}]`) !== scope) return;
+          const value = element.hasAttribute(scopeAttribute) && element !== scope
+            ? readItem(element, scopeAttribute, typeAttribute, propertyAttribute, depth + 1)
+            : readValue(element, scopeAttribute);
+
+          element.getAttribute(propertyAttribute).trim().split(/\s+/).filter(Boolean).forEach(name => {
+            item.properties[name] = [...(item.properties[name] || []), value];
+          });
+        });
+        return item;
+      };
+
+      document.querySelectorAll('[itemscope]:not([itemprop])').forEach(scope => {
+        result.structuredData.microdata.push(readItem(scope, 'itemscope', 'itemtype', 'itemprop'));
+      });
+      document.querySelectorAll('[typeof]:not([property])').forEach(scope => {
+        const item = readItem(scope, 'typeof', 'typeof', 'property');
+        item.vocab = scope.closest('[vocab]')?.getAttribute('vocab') || null;
+        result.structuredData.rdfa.push(item);
+      });
+
+      // Mobile usability: content wider than the viewport and tap targets smaller than 48x48 CSS pixels
+      result.viewportWidth = window.innerWidth;
+      result.viewportHeight = window.innerHeight;
+      result.documentWidth = Math.max(document.documentElement.scrollWidth, document.body ? document.body.scrollWidth : 0);
+      result.smallTapTargets = [];
+      document.querySelectorAll('a[href], button, input:not([type="hidden"]), select, textarea, [role="button"], [onclick]').forEach(element => {
+        const rect = element.getBoundingClientRect();
+        const style = getComputedStyle(element);
+        if (rect.width === 0 || rect.height === 0 || style.visibility === 'hidden' || result.smallTapTargets.length >= 100) return;
+        // Links inside a sentence are exempt, as in WCAG 2.5.8
+        const parentText = element.parentElement ? element.parentElement.textContent.trim() : '';
+        if (element.tagName === 'A' && style.display === 'inline' && parentText.length > element.textContent.trim().length) return;
+
+        if (rect.width < 48 || rect.height < 48) {
+          result.smallTapTargets.push({
+            tag: element.tagName.toLowerCase(),
+            text: (element.textContent || element.value || element.getAttribute('aria-label') || '').trim().slice(0, 100),
+            href: element.getAttribute('href'),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height)
+          });
+        }
+      });
+
       // Count elements
       result.linkCount = document.querySelectorAll('a[href]').length;
       result.imageCount = document.querySelectorAll('img').length;
 
+      // Image inventory; inline data: images are skipped
+      result.images = Array.from(document.querySelectorAll('img'))
+        .filter(img => (img.currentSrc || img.src) && /^https?:/i.test(img.currentSrc || img.src))
+        .map(img => {
+          const rect = img.getBoundingClientRect();
+          return {
+            url: img.currentSrc || img.src,
+            src: img.getAttribute('src') || '',
+            alt: img.getAttribute('alt'),
+            widthAttribute: img.getAttribute('width'),
+            heightAttribute: img.getAttribute('height'),
+            renderedWidth: Math.round(rect.width),
+            renderedHeight: Math.round(rect.height),
+            naturalWidth: img.naturalWidth || null,
+            naturalHeight: img.naturalHeight || null,
+            // Loaded images have a natural size; a completed image without one failed to load
+            failed: img.complete && img.naturalWidth === 0,
+            loading: img.getAttribute('loading'),
+            srcset: img.getAttribute('srcset'),
+            sizes: img.getAttribute('sizes')
+          };
+        });
+
       return result;
     }, url);
   }
 
+  /**
+   * Record network activity of a page over CDP before it navigates
+   * Captures the protocol of each response and the bytes that went over the wire
+   */
+  async attachNetworkTracker(page) {
+    const tracker = { requests: new Map() };
+
+    try {
+      const client = await page.createCDPSession();
+
+      client.on('Network.responseReceived', ({ requestId, type, response }) => {
+        const entry = tracker.requests.get(requestId) || {};
+        tracker.requests.set(requestId, {
+          ...entry,
+          url: response.url,
+          type,
+          status: response.status,
+          mimeType: response.mimeType || null,
+          protocol: response.protocol || null
+        });
+      });
+
+      client.on('Network.loadingFailed', ({ requestId, type, errorText }) => {
+        const entry = tracker.requests.get(requestId) || {};
+        tracker.requests.set(requestId, { ...entry, type: entry.type || type, errorText });
+      });
+
+      client.on('Network.loadingFinished', ({ requestId, encodedDataLength }) => {
+        const entry = tracker.requests.get(requestId) || {};
+        tracker.requests.set(requestId, { ...entry, encodedDataLength });
+      });
+
+      await client.send('Network.enable');
+      this.networkTrackers.set(page, tracker);
+    } catch (error) {
+      console.error('❌ Failed to attach network tracker:', error.message);
+    }
+  }
+
+  /**
+   * Summarize the network activity recorded for a page
+   * @returns {Object|null} { protocol, documentBytes, totalBytes, bytesByType, resourceCount, images } or null if nothing was recorded
+   */
+  collectNetworkData(page, response) {
+    const tracker = this.networkTrackers.get(page);
+    if (!tracker) {
+      return null;
+    }
+
+    const documentUrl = response?.url();
+    let documentEntry = null;
+    let totalBytes = 0;
+    const bytesByType = {};
+    const images = new Map();
+
+    for (const entry of tracker.requests.values()) {
+      totalBytes += entry.encodedDataLength || 0;
+      if (entry.type) {
+        bytesByType[entry.type] = (bytesByType[entry.type] || 0) + (entry.encodedDataLength || 0);
+      }
+      if (entry.type === 'Document' && entry.url === documentUrl) {
+        documentEntry = entry;
+      }
+      if (entry.type === 'Image' && entry.url) {
+        images.set(entry.url, {
+          statusCode: entry.status ?? null,
+          contentType: entry.mimeType || null,
+          transferBytes: entry.encodedDataLength ?? null,
+          error: entry.errorText || null
+        });
+      }
+    }
+
+    return {
+      protocol: documentEntry?.protocol || null,
+      documentBytes: documentEntry?.encodedDataLength ?? null,
+      totalBytes,
+      bytesByType,
+      resourceCount: tracker.requests.size,
+      images
+    };
+  }
+
   /**
    * Calculate page metrics and analysis
    */
-  async calculatePageMetrics(data, response, startTime) {
+  async calculatePageMetrics(data, response, networkData = null) {
     const metrics = {
       // Size metrics
-      sizeBytes: Buffer.byteLength(data.htmlContent || '', 'utf8'),
-      responseTime: Date.now() - startTime
+      sizeBytes: Buffer.byteLength(data.htmlContent || '', 'utf8')
     };
 
-    metrics.transferredBytes = metrics.sizeBytes;
-    metrics.totalTransferredBytes = metrics.sizeBytes;
+    // Bytes on the wire (compressed, including headers); fall back to the rendered HTML size
+    // when the network activity could not be recorded
+    metrics.transferredBytes = networkData?.documentBytes ?? metrics.sizeBytes;
+    metrics.totalTransferredBytes = networkData?.totalBytes || metrics.transferredBytes;
 
     // Text analysis
     if (data.textContent) {
@@ -407,15 +831,18 @@ class CrawlProcessor {
         : 0;
     }
 
-    // Performance ratings
-    metrics.co2Mg = this.calculateCO2(metrics.transferredBytes);
-    metrics.carbonRating = this.getCarbonRating(metrics.transferredBytes);
+    // Performance ratings are based on everything the page downloaded
+    metrics.co2Mg = this.calculateCO2(metrics.totalTransferredBytes);
+    metrics.carbonRating = this.getCarbonRating(metrics.totalTransferredBytes);
 
     // HTTP data
     if (response) {
       const headers = response.headers();
-      metrics.httpVersion = '1.1';
-      metrics.lastModified = headers['last-modified'] ? new Date(headers['last-modified']) : null;
+      const lastModified = headers['last-modified'] ? new Date(headers['last-modified']) : null;
+
+      metrics.responseHeaders = headers;
+      metrics.httpVersion = this.getHttpVersion(networkData?.protocol);
+      metrics.lastModified = lastModified && !isNaN(lastModified.getTime()) ? lastModified : null;
       metrics.cookies = headers['set-cookie'] || null;
     }
 
@@ -457,14 +884,14 @@ class CrawlProcessor {
   /**
    * Process all links found on a page
    */
-  async processPageLinks(job, internalLinkRecord, page, sourceUrl, enqueueLinks, crawledUrls, postTypeCounters = new Map(), domainTracker = null) {
+  async processPageLinks(job, internalLinkRecord, page, sourceUrl, enqueueLinks, crawledUrls, postTypeCounters = new Map(), domainTracker = null, robotsData = null, depth = null) {
     const links = await this.extractAllLinks(page, sourceUrl);
     
     // Save link relationships
     await this.saveLinkRelationships(job, internalLinkRecord, links);
     
     // Enqueue internal links for further crawling (with sampling logic if enabled)
-    await this.enqueueInternalLinks(links.internal, enqueueLinks, crawledUrls, job, postTypeCounters, domainTracker);
+    await this.enqueueInternalLinks(links.internal, enqueueLinks, crawledUrls, job, postTypeCounters, domainTracker, robotsData, sourceUrl, depth);
   }
 
   /**
@@ -548,35 +975,208 @@ class CrawlProcessor {
     await this.prisma.inlink.create({ data: linkData });
   }
 
+  // ==================== REDIRECT CHAINS ====================
+
+  /**
+   * Capture the redirect chain that led the browser to the loaded page
+   * Covers HTTP 3xx hops as well as a meta refresh or JavaScript redirect on the landing page
+   * @returns {Object|null} Redirect chain, or null if the URL did not redirect
+   */
+  async captureRedirectChain(job, request, page, response) {
+    const hops = [];
+
+    if (response) {
+      for (const redirectRequest of response.request().redirectChain()) {
+        const redirectResponse = redirectRequest.response();
+        const location = redirectResponse?.headers()?.location;
+
+        hops.push({
+          url: redirectRequest.url(),
+          statusCode: redirectResponse?.status() ?? null,
+          location: location ? new URL(location, redirectRequest.url()).toString() : null,
+          type: 'http'
+        });
+      }
+    }
+
+    const landedUrl = response ? response.url() : (request.loadedUrl || request.url);
+    const clientRedirect = await this.detectClientSideRedirect(page, landedUrl);
+    if (clientRedirect) {
+      hops.push({
+        url: landedUrl,
+        statusCode: response?.status() ?? null,
+        location: clientRedirect.location,
+        type: clientRedirect.type
+      });
+    }
+
+    if (hops.length === 0) {
+      return null;
+    }
+
+    // The status of a client-side redirect target is unknown until that page is crawled
+    const finalStatusCode = clientRedirect ? null : (response?.status() ?? null);
+    return this.buildRedirectChain(job, request.url, hops, finalStatusCode);
+  }
+
+  /**
+   * Detect a meta refresh or JavaScript redirect away from the landed URL
+   * @returns {Object|null} { type, location } or null
+   */
+  async detectClientSideRedirect(page, landedUrl) {
+    const withoutHash = (url) => {
+      const urlObj = new URL(url);
+      urlObj.hash = '';
+      return urlObj.toString();
+    };
+
+    try {
+      const refreshContent = await page.evaluate(() => {
+        const meta = document.querySelector('meta[http-equiv="refresh" i]');
+        return meta ? meta.getAttribute('content') : null;
+      });
+
+      const match = refreshContent && refreshContent.match(/url\s*=\s*['"]?([^'"]+)/i);
+      if (match) {
+        const location = new URL(match[1].trim(), landedUrl).toString();
+        if (withoutHash(location) !== withoutHash(landedUrl)) {
+          return { type: 'meta-refresh', location };
+        }
+      }
+    } catch (error) {
+      // The execution context is destroyed when a script navigates away mid-evaluation
+    }
+
+    try {
+      const currentUrl = page.url();
+      if (currentUrl && currentUrl !== 'about:blank' && withoutHash(currentUrl) !== withoutHash(landedUrl)) {
+        return { type: 'javascript', location: currentUrl };
+      }
+    } catch (error) {
+      // Ignore invalid URLs
+    }
+
+    return null;
+  }
+
+  /**
+   * Follow HTTP redirects for a URL without the browser
+   * Used for failed navigations, where the browser reports no hops (e.g. redirect loops)
+   * @returns {Promise<Object|null>} Redirect chain, or null if the URL did not redirect
+   */
+  async traceHttpRedirects(job, url) {
+    const hops = [];
+    let currentUrl = url;
+
+    try {
+      while (hops.length < this.MAX_REDIRECT_HOPS) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), 10000);
+
+        const response = await fetch(currentUrl, {
+          redirect: 'manual',
+          headers: {
+            'User-Agent': this.robotsCrawler.userAgent
+          },
+          signal: controller.signal
+        });
+
+        clearTimeout(timeout);
+        await response.body?.cancel();
+
+        const location = response.headers.get('location');
+        if (response.status < 300 || response.status >= 400 || !location) {
+          return hops.length > 0 ? this.buildRedirectChain(job, url, hops, response.status) : null;
+        }
+
+        const nextUrl = new URL(location, currentUrl).toString();
+        hops.push({ url: currentUrl, statusCode: response.status, location: nextUrl, type: 'http' });
+
+        // Stop following once the chain comes back to a URL it already passed through
+        if (hops.some(hop => hop.url === nextUrl)) {
+          break;
+        }
+        currentUrl = nextUrl;
+      }
+    } catch (error) {
+      console.error(`❌ Failed to trace redirects for ${url}:`, error.message);
+    }
+
+    return hops.length > 0 ? this.buildRedirectChain(job, url, hops, null) : null;
+  }
+
+  /**
+   * Build a redirect chain record from its hops
+   * @param {Object} job - The crawl job
+   * @param {string} sourceUrl - URL that was requested
+   * @param {Array} hops - Array of { url, statusCode, location, type } objects
+   * @param {number|null} finalStatusCode - Status of the final URL if known
+   */
+  buildRedirectChain(job, sourceUrl, hops, finalStatusCode) {
+    const finalUrl = hops[hops.length - 1].location || hops[hops.length - 1].url;
+
+    return {
+      sourceUrl: this.normalizeUrl(sourceUrl, job.ignoreUrlParameters),
+      finalUrl: this.normalizeUrl(finalUrl, job.ignoreUrlParameters),
+      redirectType: hops[0].type,
+      hops,
+      finalStatusCode,
+      // Compare raw URLs: normalization would turn a trailing-slash redirect into a false loop
+      isLoop: hops.some(hop => hop.url === finalUrl)
+    };
+  }
+
   // ==================== DATABASE OPERATIONS ====================
 
   /**
    * Save page data to database
    */
   async savePageData(jobId, url, pageData, response, startTime) {
-    const crawlDepth = this.calculateCrawlDepth(url, pageData.startUrl);
+    const crawlDepth = pageData.crawlDepth ?? this.calculateCrawlDepth(url, pageData.startUrl);
     const folderDepth = this.calculateFolderDepth(url);
+    const httpLinks = this.canonicalValidator.parseLinkHeader(pageData.responseHeaders?.link);
+    const contentType = response?.headers()?.['content-type'] || 'text/html';
+    const statusCode = response?.status() ?? null;
+    const xRobotsTag = pageData.responseHeaders?.['x-robots-tag'] || null;
+    const hreflangs = [
+      ...(pageData.hreflangs || []).map(alternate => ({ ...alternate, source: 'html' })),
+      ...this.hreflangValidator.parseLinkHeader(pageData.responseHeaders?.link).map(alternate => ({ ...alternate, source: 'http' }))
+    ];
+
+    // Canonicals and robots.txt are taken into account once the crawl completes (see evaluateIndexability)
+    const indexabilityStatus = getIndexabilityStatus({ ...pageData, address: url, statusCode, contentType, xRobotsTag });
+    const htmlKey = await this.storeHtml(pageData.htmlContent);
 
     return await this.prisma.internalLink.create({
       data: {
         jobId,
         address: url,
-        contentType: response?.headers()?.['content-type'] || 'text/html',
-        statusCode: response?.status() || 200,
-        status: this.getStatusText(response?.status() || 200),
-        indexability: this.determineIndexability(pageData),
-        indexabilityStatus: this.getIndexabilityStatus(pageData),
+        contentType,
+        statusCode,
+        status: response ? this.getStatusText(response.status()) : null,
+        indexability: indexabilityStatus ? 'Non-Indexable' : 'Indexable',
+        indexabilityStatus,
         
         // Content Data
         title: pageData.title,
         metaDescription: pageData.metaDescription,
         metaKeywords: pageData.metaKeywords,
         h1: pageData.h1Tags?.[0] || null,
+        headings: pageData.headings ?? undefined,
         metaRobots: pageData.metaRobots,
+        viewportMeta: pageData.viewportMeta,
+        botMetaRobots: pageData.botMetaRobots && Object.keys(pageData.botMetaRobots).length > 0 ? pageData.botMetaRobots : undefined,
+        xRobotsTag,
         canonicalLinkElement: pageData.canonicalUrl,
+        canonicalLinkElements: pageData.canonicalTags ?? undefined,
+        httpCanonical: httpLinks.canonical?.[0] || null,
         relNext: pageData.relNext,
         relPrev: pageData.relPrev,
+        httpRelNext: httpLinks.next?.[0] || null,
+        httpRelPrev: httpLinks.prev?.[0] || null,
         amphtmlLinkElement: pageData.amphtmlLinkElement,
+        hreflangs: hreflangs.length > 0 ? hreflangs : undefined,
+        structuredData: this.structuredDataParser.parse(pageData.structuredData) ?? undefined,
         
         // Size & Performance
         sizeBytes: pageData.sizeBytes,
@@ -585,13 +1185,27 @@ class CrawlProcessor {
         co2Mg: pageData.co2Mg,
         carbonRating: pageData.carbonRating,
         responseTime: pageData.responseTime,
+        ttfb: pageData.ttfb,
+        firstContentfulPaint: pageData.firstContentfulPaint,
+        largestContentfulPaint: pageData.largestContentfulPaint,
+        cumulativeLayoutShift: pageData.cumulativeLayoutShift,
+        totalBlockingTime: pageData.totalBlockingTime,
+        longTaskCount: pageData.longTaskCount,
+        longTaskDuration: pageData.longTaskDuration,
+        domContentLoaded: pageData.domContentLoaded,
+        loadTime: pageData.loadTime,
+        requestCount: pageData.requestCount,
+        jsBytes: pageData.jsBytes,
+        cssBytes: pageData.cssBytes,
+        imageBytes: pageData.imageBytes,
+        fontBytes: pageData.fontBytes,
         
         // Content Analysis
         wordCount: pageData.wordCount,
         sentenceCount: pageData.sentenceCount,
         avgWordsPerSentence: pageData.avgWordsPerSentence,
         fleschReadingEaseScore: pageData.fleschReadingEaseScore,
-        readability: this.getReadabilityRating(pageData.fleschReadingEaseScore),
+        readability: getReadabilityRating(pageData.fleschReadingEaseScore),
         textRatio: pageData.textRatio,
         
         // Structure
@@ -601,21 +1215,47 @@ class CrawlProcessor {
         
         // Technical
         lastModified: pageData.lastModified,
+        redirectUrl: pageData.redirectUrl || null,
+        redirectType: pageData.redirectType || null,
         language: pageData.language,
         httpVersion: pageData.httpVersion,
+        responseHeaders: pageData.responseHeaders,
         mobileAlternateLink: pageData.mobileAlternateLink,
         urlEncodedAddress: encodeURIComponent(url),
         cookies: pageData.cookies,
         
+        // Duplicate detection
+        contentHash: pageData.contentHash,
+        contentFingerprint: pageData.contentFingerprint ?? undefined,
+
         // Raw Data
-        htmlContent: pageData.htmlContent,
-        screenshotUrl: pageData.screenshotUrl,
+        htmlKey,
+        screenshotKey: pageData.screenshotKey,
+        thumbnailKey: pageData.thumbnailKey,
+        aboveTheFoldKey: pageData.aboveTheFoldKey,
         
         crawlTimestamp: new Date()
       }
     });
   }
 
+  /**
+   * Store the raw HTML of a page in artifact storage
+   * @returns {Promise<string|null>} Artifact key, or null if there is no HTML or it could not be stored
+   */
+  async storeHtml(htmlContent) {
+    if (!htmlContent) {
+      return null;
+    }
+
+    try {
+      return await this.artifactStorage.put(htmlContent, 'html');
+    } catch (error) {
+      console.error('❌ Failed to store page HTML:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Update job status and metadata
    */
@@ -630,20 +1270,146 @@ class CrawlProcessor {
    * Update job progress counters
    */
   async updateJobProgress(jobId, lastCrawledUrl) {
-    const count = await this.prisma.internalLink.count({ where: { jobId } });
-    const job = await this.prisma.crawlJob.findUnique({ where: { id: jobId } });
+    const [count, job, frontier] = await Promise.all([
+      this.prisma.internalLink.count({ where: { jobId } }),
+      this.prisma.crawlJob.findUnique({ where: { id: jobId } }),
+      this.prisma.frontierUrl.groupBy({
+        by: ['status'],
+        where: { jobId },
+        _count: { _all: true }
+      })
+    ]);
+
+    const frontierCounts = frontier.reduce((acc, group) => {
+      acc[group.status] = group._count._all;
+      return acc;
+    }, {});
+    const totalFound = Object.values(frontierCounts).reduce((sum, value) => sum + value, 0);
+    const waiting = (frontierCounts.queued || 0) + (frontierCounts.in_progress || 0);
     
     await this.prisma.crawlJob.update({
       where: { id: jobId },
       data: {
         pagesCrawled: count,
-        pagesRemaining: job.maxPages - count,
+        pagesRemaining: Math.max(0, Math.min(waiting, job.maxPages - count)),
         lastCrawledUrl,
-        totalUniquePagesFound: count
+        totalUniquePagesFound: totalFound
       }
     });
   }
 
+  /**
+   * Add URLs to the job's persistent crawl frontier
+   * @param {string} jobId - The job ID
+   * @param {Array<string>} urls - Normalized URLs to add
+   * @param {Object} options - Discovery details
+   * @param {number|null} options.depth - Clicks from the start URL
+   * @param {string} options.source - How the URLs were discovered ('start-url', 'sitemap' or 'link')
+   * @param {string|null} options.foundOn - Page the URLs were found on
+   * @returns {Promise<Array<string>>} URLs that were not in the frontier yet
+   */
+  async addToFrontier(jobId, urls, { depth = null, source, foundOn = null }) {
+    if (urls.length === 0) {
+      return [];
+    }
+
+    const added = await this.prisma.frontierUrl.createManyAndReturn({
+      data: urls.map(url => ({ jobId, url, depth, source, foundOn })),
+      skipDuplicates: true,
+      select: { url: true }
+    });
+
+    return added.map(entry => entry.url);
+  }
+
+  /**
+   * Load the URLs still waiting in a job's frontier as crawler requests.
+   * URLs left in flight by an interrupted run are queued again first.
+   * @param {string} jobId - The job ID
+   * @returns {Promise<Array>} Requests ({ url, userData }) to start the crawler with
+   */
+  async loadFrontierRequests(jobId) {
+    await this.prisma.frontierUrl.updateMany({
+      where: { jobId, status: 'in_progress' },
+      data: { status: 'queued' }
+    });
+
+    const queued = await this.prisma.frontierUrl.findMany({
+      where: { jobId, status: 'queued' },
+      select: { url: true, depth: true },
+      orderBy: { id: 'asc' }
+    });
+
+    return queued.map(entry => ({ url: entry.url, userData: { depth: entry.depth } }));
+  }
+
+  /**
+   * Update the state of a URL in the job's frontier
+   * @param {string} jobId - The job ID
+   * @param {string} url - The URL as it was enqueued
+   * @param {string} status - queued, in_progress, done, failed or skipped
+   * @param {string|null} error - Error message for failed URLs
+   */
+  async updateFrontierStatus(jobId, url, status, error = null) {
+    try {
+      await this.prisma.frontierUrl.updateMany({
+        where: { jobId, url },
+        data: { status, error }
+      });
+    } catch (updateError) {
+      console.error(`❌ Failed to update frontier status for ${url}:`, updateError.message);
+    }
+  }
+
+  /**
+   * Record URLs that were not crawled because robots.txt disallows them
+   * @param {string} jobId - The job ID
+   * @param {Array} blocked - Array of { address, rule } objects
+   * @param {string|null} foundOn - Where the URLs were discovered
+   */
+  async saveRobotsBlockedUrls(jobId, blocked, foundOn = null) {
+    try {
+      await this.prisma.robotsBlockedUrl.createMany({
+        data: blocked.map(({ address, rule }) => ({
+          jobId,
+          address,
+          matchedRule: `Disallow: ${rule.path}`,
+          userAgent: rule.userAgent,
+          foundOn
+        })),
+        skipDuplicates: true
+      });
+    } catch (error) {
+      console.error(`❌ Failed to record robots.txt blocked URLs for job ${jobId}:`, error.message);
+    }
+  }
+
+  /**
+   * Save the redirect chain of a requested URL
+   * @param {string} jobId - The job ID
+   * @param {Object} redirectChain - Chain built by buildRedirectChain
+   */
+  async saveRedirectChain(jobId, redirectChain) {
+    const data = {
+      finalUrl: redirectChain.finalUrl,
+      redirectType: redirectChain.redirectType,
+      hops: redirectChain.hops,
+      hopCount: redirectChain.hops.length,
+      finalStatusCode: redirectChain.finalStatusCode,
+      isLoop: redirectChain.isLoop
+    };
+
+    try {
+      await this.prisma.redirectChain.upsert({
+        where: { jobId_sourceUrl: { jobId, sourceUrl: redirectChain.sourceUrl } },
+        update: data,
+        create: { jobId, sourceUrl: redirectChain.sourceUrl, ...data }
+      });
+    } catch (error) {
+      console.error(`❌ Failed to save redirect chain for ${redirectChain.sourceUrl}:`, error.message);
+    }
+  }
+
   /**
    * Find or create external link record
    */
@@ -661,22 +1427,155 @@ class CrawlProcessor {
     return externalLink;
   }
 
+  /**
+   * Save the images of a page
+   * Each image URL is stored once per job; every <img> that shows it is stored as an occurrence
+   */
+  async saveImages(jobId, pageId, images = []) {
+    if (images.length === 0) {
+      return;
+    }
+
+    const imageIds = new Map();
+    for (const image of images) {
+      if (imageIds.has(image.url)) continue;
+
+      const known = {
+        format: this.getImageFormat(image.contentType, image.url),
+        contentType: image.contentType,
+        statusCode: image.statusCode,
+        transferBytes: image.transferBytes,
+        naturalWidth: image.naturalWidth,
+        naturalHeight: image.naturalHeight,
+        error: image.error || (image.failed ? 'Image failed to load' : null)
+      };
+      // Another page may have loaded the image already; only fill in what this page learned
+      const update = Object.fromEntries(Object.entries(known).filter(([, value]) => value !== null && value !== undefined));
+
+      let record;
+      try {
+        record = await this.prisma.image.upsert({
+          where: { jobId_url: { jobId, url: image.url } },
+          create: { jobId, url: image.url, ...known },
+          update,
+          select: { id: true }
+        });
+      } catch (error) {
+        // Another page of the same crawl created the image at the same moment
+        if (error.code !== 'P2002') throw error;
+        record = await this.prisma.image.update({ where: { jobId_url: { jobId, url: image.url } }, data: update, select: { id: true } });
+      }
+      imageIds.set(image.url, record.id);
+    }
+
+    await this.prisma.imageOccurrence.createMany({
+      data: images.map(image => ({
+        jobId,
+        pageId,
+        imageId: imageIds.get(image.url),
+        src: image.src,
+        alt: image.alt,
+        widthAttribute: image.widthAttribute,
+        heightAttribute: image.heightAttribute,
+        renderedWidth: image.renderedWidth,
+        renderedHeight: image.renderedHeight,
+        loading: image.loading,
+        srcset: image.srcset,
+        sizes: image.sizes
+      }))
+    });
+  }
+
+  /**
+   * Save how a page rendered on each device
+   * When both devices rendered, each row records how similar its main text is to the other one
+   * @param {string} jobId - The job ID
+   * @param {number} pageId - The page the renderings belong to
+   * @param {Object} renderings - device -> page data (null when the device failed to render)
+   */
+  async savePageRenderings(jobId, pageId, renderings) {
+    const rendered = Object.entries(renderings).filter(([, data]) => data);
+    const [first, second] = rendered.map(([, data]) => data.contentFingerprint);
+    const contentSimilarity = first && second ? this.duplicateDetector.similarity(first, second) : null;
+
+    await this.prisma.pageRendering.createMany({
+      data: rendered.map(([device, data]) => ({
+        jobId,
+        pageId,
+        device,
+        userAgent: this.deviceEmulator.DEVICES[device].userAgent,
+        viewportWidth: data.viewportWidth,
+        viewportHeight: data.viewportHeight,
+        statusCode: data.statusCode,
+        title: data.title,
+        metaDescription: data.metaDescription,
+        h1: data.h1Tags?.[0] || null,
+        canonicalUrl: data.canonicalUrl,
+        metaRobots: data.metaRobots,
+        viewportMeta: data.viewportMeta,
+        wordCount: data.wordCount ?? null,
+        linkCount: data.linkCount,
+        contentHash: data.contentHash,
+        contentSimilarity,
+        documentWidth: data.documentWidth,
+        smallTapTargets: data.smallTapTargets
+      }))
+    });
+  }
+
   // ==================== POST-PROCESSING ====================
 
   /**
    * Finalize crawl and calculate relationships
+   * Checks between the post-processing phases whether the job was stopped, paused or
+   * reclaimed meanwhile; a halted job is left as it is so it can be resumed.
+   * @returns {Promise<boolean>} True if the job was completed
    */
   async finalizeCrawl(jobId) {
-    console.log(`📊 Calculating link scores for job ${jobId}...`);
-    await this.calculateLinkScoresAndRelationships(jobId);
+    const phases = [
+      [null, () => this.verifyLinkTargets(jobId)],
+      ['🖼️ Checking images', () => this.checkImages(jobId)],
+      ['📊 Calculating link scores', () => this.calculateLinkScoresAndRelationships(jobId)],
+      ['🧬 Detecting duplicate content', () => this.detectDuplicateContent(jobId)],
+      ['🔖 Validating canonicals', () => this.validateCanonicals(jobId)],
+      ['🌐 Validating hreflang', () => this.validateHreflang(jobId)],
+      ['🔎 Evaluating indexability', () => this.evaluateIndexability(jobId)],
+      ['🚩 Running audit rules', async () => {
+        const issueCounts = await this.seoAuditService.auditJob(jobId);
+        const issueTotal = Object.values(issueCounts).reduce((sum, count) => sum + count, 0);
+        console.log(`✅ Found ${issueTotal} SEO issues for job ${jobId}`);
+      }]
+    ];
+
+    for (const [label, run] of phases) {
+      if (await this.isJobHalted(jobId)) {
+        console.log(`⏸️ Job ${jobId} was halted during post-processing`);
+        return false;
+      }
+      if (label) {
+        console.log(`${label} for job ${jobId}...`);
+      }
+      await run();
+    }
 
     const finalCount = await this.prisma.internalLink.count({ where: { jobId } });
 
-    await this.updateJobStatus(jobId, 'completed', {
-      completedAt: new Date(),
-      pagesCrawled: finalCount,
-      pagesRemaining: 0
+    // Only complete the job if it is still running under this worker: a stop or pause
+    // sent during the last phase must not be overwritten
+    const { count: completed } = await this.prisma.crawlJob.updateMany({
+      where: { id: jobId, status: 'running', workerId: this.workerPool.workerId },
+      data: {
+        status: 'completed',
+        completedAt: new Date(),
+        pagesCrawled: finalCount,
+        pagesRemaining: 0,
+        canContinue: false
+      }
     });
+    if (completed === 0) {
+      console.log(`⏸️ Job ${jobId} was halted during post-processing`);
+      return false;
+    }
 
     // Process AI report if requested
     const job = await this.prisma.crawlJob.findUnique({ where: { id: jobId } });
@@ -688,6 +1587,7 @@ class CrawlProcessor {
 
     // Send email report if enabled
     await this.sendEmailReport(jobId);
+    return true;
   }
 
   /**
@@ -770,6 +1670,219 @@ class CrawlProcessor {
     };
   }
 
+  /**
+   * Find exact and near-duplicate pages of a job
+   * Fills closestNearDuplicateMatch, numberOfNearDuplicates, nearDuplicateSimilarity and duplicateGroupId
+   */
+  async detectDuplicateContent(jobId) {
+    // Only successful pages are compared; error pages share templates by design
+    const pages = await this.prisma.internalLink.findMany({
+      where: {
+        jobId,
+        statusCode: { gte: 200, lt: 300 },
+        contentHash: { not: null }
+      },
+      select: { id: true, address: true, contentHash: true, contentFingerprint: true }
+    });
+
+    await this.prisma.internalLink.updateMany({
+      where: { jobId },
+      data: {
+        closestNearDuplicateMatch: null,
+        numberOfNearDuplicates: 0,
+        nearDuplicateSimilarity: null,
+        duplicateGroupId: null
+      }
+    });
+
+    const duplicates = this.duplicateDetector.findNearDuplicates(
+      pages
+        .filter(page => Array.isArray(page.contentFingerprint))
+        .map(page => ({ id: page.id, contentHash: page.contentHash, signature: page.contentFingerprint }))
+    );
+
+    const addressById = new Map(pages.map(page => [page.id, page.address]));
+    for (const [pageId, duplicate] of duplicates) {
+      await this.prisma.internalLink.update({
+        where: { id: pageId },
+        data: {
+          closestNearDuplicateMatch: addressById.get(duplicate.closestId),
+          numberOfNearDuplicates: duplicate.count,
+          nearDuplicateSimilarity: duplicate.similarity,
+          duplicateGroupId: duplicate.groupId
+        }
+      });
+    }
+
+    console.log(`✅ Found ${duplicates.size} pages with duplicate content for job ${jobId}`);
+  }
+
+  /**
+   * Resolve the canonical of every page of a job against the crawled pages, redirects and link checks
+   * Fills canonicalUrl, canonicalSource, canonicalTargetStatusCode, canonicalRedirectUrl, canonicalChain and canonicalIsLoop
+   */
+  async validateCanonicals(jobId) {
+    const job = await this.prisma.crawlJob.findUnique({ where: { id: jobId }, select: { ignoreUrlParameters: true } });
+
+    const [pages, redirectChains, linkChecks] = await Promise.all([
+      this.prisma.internalLink.findMany({
+        where: { jobId },
+        select: { id: true, address: true, statusCode: true, canonicalLinkElement: true, canonicalLinkElements: true, httpCanonical: true }
+      }),
+      this.prisma.redirectChain.findMany({
+        where: { jobId },
+        select: { sourceUrl: true, finalUrl: true, finalStatusCode: true }
+      }),
+      this.prisma.linkCheck.findMany({
+        where: { jobId },
+        select: { url: true, statusCode: true, finalUrl: true }
+      })
+    ]);
+
+    await this.prisma.internalLink.updateMany({
+      where: { jobId },
+      data: {
+        canonicalUrl: null,
+        canonicalSource: null,
+        canonicalTargetStatusCode: null,
+        canonicalRedirectUrl: null,
+        canonicalChain: Prisma.DbNull,
+        canonicalIsLoop: false
+      }
+    });
+
+    const results = this.canonicalValidator.validate(pages, {
+      redirectChains,
+      linkChecks,
+      normalize: url => this.normalizeUrl(url, job.ignoreUrlParameters)
+    });
+
+    for (const [pageId, result] of results) {
+      await this.prisma.internalLink.update({
+        where: { id: pageId },
+        data: { ...result, canonicalChain: result.canonicalChain ?? Prisma.DbNull }
+      });
+    }
+
+    console.log(`✅ Validated ${results.size} canonicals for job ${jobId}`);
+  }
+
+  /**
+   * Validate the hreflang annotations of every page
+   * Combines the HTML and HTTP annotations stored with each page with the xhtml:link entries of the
+   * job's sitemaps, and stores the validated alternates on the page
+   */
+  async validateHreflang(jobId) {
+    const job = await this.prisma.crawlJob.findUnique({ where: { id: jobId }, select: { ignoreUrlParameters: true } });
+    const normalize = url => this.normalizeUrl(url, job.ignoreUrlParameters);
+
+    const [pages, sitemaps, redirectChains, linkChecks] = await Promise.all([
+      this.prisma.internalLink.findMany({
+        where: { jobId },
+        select: { id: true, address: true, statusCode: true, canonicalUrl: true, hreflangs: true }
+      }),
+      this.prisma.sitemap.findMany({ where: { jobId }, select: { urls: true } }),
+      this.prisma.redirectChain.findMany({
+        where: { jobId },
+        select: { sourceUrl: true, finalUrl: true, finalStatusCode: true }
+      }),
+      this.prisma.linkCheck.findMany({
+        where: { jobId },
+        select: { url: true, statusCode: true, finalUrl: true }
+      })
+    ]);
+
+    const sitemapAlternates = this.getSitemapAlternates(sitemaps, normalize);
+
+    await this.prisma.internalLink.updateMany({
+      where: { jobId },
+      data: { hreflangAlternates: Prisma.DbNull }
+    });
+
+    const results = this.hreflangValidator.validate(pages, { sitemapAlternates, redirectChains, linkChecks, normalize });
+
+    for (const [pageId, alternates] of results) {
+      await this.prisma.internalLink.update({
+        where: { id: pageId },
+        data: { hreflangAlternates: alternates }
+      });
+    }
+
+    console.log(`✅ Validated hreflang on ${results.size} pages for job ${jobId}`);
+  }
+
+  /**
+   * Collect the hreflang alternates listed in a job's sitemaps
+   * @param {Array} sitemaps - Sitemaps with their parsed urls
+   * @param {Function} normalize - URL normalizer used for page addresses
+   * @returns {Map} normalized page URL -> array of { hreflang, href }
+   */
+  getSitemapAlternates(sitemaps, normalize) {
+    const alternates = new Map();
+    for (const sitemap of sitemaps) {
+      for (const entry of Array.isArray(sitemap.urls) ? sitemap.urls : []) {
+        if (!entry.alternates?.length) continue;
+        try {
+          const url = normalize(entry.loc);
+          alternates.set(url, [...(alternates.get(url) || []), ...entry.alternates]);
+        } catch (error) {
+          // Ignore sitemap entries that are not valid URLs
+        }
+      }
+    }
+    return alternates;
+  }
+
+  /**
+   * Recompute indexability once canonicals are resolved
+   * Also flags pages that robots.txt disallows for search engines, which SiteScope-Bot may still crawl
+   */
+  async evaluateIndexability(jobId) {
+    const job = await this.prisma.crawlJob.findUnique({ where: { id: jobId }, select: { robotsTxtContent: true } });
+    const robotsData = job?.robotsTxtContent ? this.robotsCrawler.parseRobotsTxt(job.robotsTxtContent) : null;
+
+    const pages = await this.prisma.internalLink.findMany({
+      where: { jobId },
+      select: {
+        id: true,
+        address: true,
+        statusCode: true,
+        contentType: true,
+        redirectUrl: true,
+        metaRobots: true,
+        botMetaRobots: true,
+        xRobotsTag: true,
+        canonicalUrl: true,
+        indexability: true,
+        indexabilityStatus: true,
+        blockedByRobotsTxt: true
+      }
+    });
+
+    const counts = {};
+    for (const page of pages) {
+      let blockedByRobotsTxt = false;
+      if (robotsData) {
+        const urlObj = new URL(page.address);
+        const rule = this.robotsCrawler.findMatchingRule(robotsData, `${urlObj.pathname}${urlObj.search}`, this.INDEXABILITY_USER_AGENT);
+        blockedByRobotsTxt = rule?.type === 'disallow';
+      }
+
+      const indexabilityStatus = getIndexabilityStatus({ ...page, blockedByRobotsTxt });
+      const indexability = indexabilityStatus ? 'Non-Indexable' : 'Indexable';
+      counts[indexabilityStatus || 'indexable'] = (counts[indexabilityStatus || 'indexable'] || 0) + 1;
+
+      if (indexability !== page.indexability || indexabilityStatus !== page.indexabilityStatus || blockedByRobotsTxt !== page.blockedByRobotsTxt) {
+        await this.prisma.internalLink.update({
+          where: { id: page.id },
+          data: { indexability, indexabilityStatus, blockedByRobotsTxt }
+        });
+      }
+    }
+
+    console.log(`✅ Indexability for job ${jobId}:`, counts);
+  }
+
   /**
    * Update external link inlink counts
    */
@@ -787,8 +1900,177 @@ class CrawlProcessor {
     }
   }
 
+  /**
+   * Verify link targets after the crawl
+   * Internal targets that were crawled take the status of their page. Every unique external URL and
+   * every uncrawled internal target is requested, and the result is stored on LinkCheck, ExternalLink
+   * and Inlink records.
+   */
+  async verifyLinkTargets(jobId) {
+    const job = await this.prisma.crawlJob.findUnique({ where: { id: jobId } });
+
+    // Crawled internal targets already have a status: link each inlink to its page
+    await this.prisma.$executeRaw`
+      UPDATE "Inlink" i
+      SET "statusCode" = p."statusCode",
+          "status" = p."status",
+          "toInternalLinkId" = p."id",
+          "updatedAt" = NOW()
+      FROM "InternalLink" p
+      WHERE i."jobId" = ${jobId}::uuid
+        AND i."type" = 'internal'
+        AND p."jobId" = i."jobId"
+        AND p."address" = i."toAddress"
+    `;
+
+    const [externalLinks, uncrawledTargets, robotsBlocked, pages, redirectSources, sitemaps] = await Promise.all([
+      this.prisma.externalLink.findMany({ where: { jobId }, select: { address: true } }),
+      this.prisma.inlink.findMany({
+        where: { jobId, type: 'internal', toInternalLinkId: null },
+        select: { toAddress: true },
+        distinct: ['toAddress']
+      }),
+      job.respectRobotsTxt
+        ? this.prisma.robotsBlockedUrl.findMany({ where: { jobId }, select: { address: true } })
+        : [],
+      this.prisma.internalLink.findMany({
+        where: { jobId },
+        select: { address: true, canonicalLinkElement: true, canonicalLinkElements: true, httpCanonical: true, hreflangs: true }
+      }),
+      this.prisma.redirectChain.findMany({ where: { jobId }, select: { sourceUrl: true } }),
+      this.prisma.sitemap.findMany({ where: { jobId }, select: { urls: true } })
+    ]);
+
+    // Internal URLs disallowed by robots.txt are not requested
+    const blockedUrls = new Set(robotsBlocked.map(blocked => blocked.address));
+    const targetTypes = new Map();
+    externalLinks.forEach(link => targetTypes.set(link.address, 'external'));
+    uncrawledTargets
+      .filter(link => !blockedUrls.has(link.toAddress))
+      .forEach(link => targetTypes.set(link.toAddress, 'internal'));
+
+    // Canonical and hreflang targets that were neither crawled nor redirected during the crawl are checked too
+    const normalize = url => this.normalizeUrl(url, job.ignoreUrlParameters);
+    const knownUrls = new Set([...pages.map(page => page.address), ...redirectSources.map(chain => chain.sourceUrl)]);
+    const sitemapAlternates = this.getSitemapAlternates(sitemaps, normalize);
+    for (const page of pages) {
+      const canonical = this.canonicalValidator.resolveCanonical(page, normalize);
+      const alternates = this.hreflangValidator.collectAlternates(page, sitemapAlternates.get(page.address) || [], normalize);
+      const targets = [...(canonical ? [canonical.url] : []), ...alternates.map(alternate => alternate.url)];
+
+      for (const target of targets) {
+        if (!knownUrls.has(target) && !blockedUrls.has(target) && !targetTypes.has(target)) {
+          targetTypes.set(target, this.isValidInternalUrl(target, job.url) ? 'internal' : 'external');
+        }
+      }
+    }
+
+    // Only web URLs can be checked (skips mailto:, tel:, javascript: and the like)
+    const urls = Array.from(targetTypes.keys()).filter(url => /^https?:\/\//i.test(url));
+    if (urls.length === 0) {
+      return;
+    }
+
+    console.log(`🔗 Verifying ${urls.length} link targets for job ${jobId}...`);
+    const results = await this.linkChecker.checkUrls(urls, () => this.isJobHalted(jobId));
+
+    await this.prisma.linkCheck.deleteMany({ where: { jobId, url: { in: Array.from(results.keys()) } } });
+    await this.prisma.linkCheck.createMany({
+      data: Array.from(results, ([url, result]) => ({ jobId, url, type: targetTypes.get(url), ...result })),
+      skipDuplicates: true
+    });
+
+    const checked = Array.from(results);
+    await this.inBatches(checked.filter(([url]) => targetTypes.get(url) === 'external'), batch => this.prisma.$executeRaw`
+      UPDATE "ExternalLink" AS "link" SET "status" = "result"."status", "contentType" = "result"."contentType"
+      FROM (VALUES ${Prisma.join(batch.map(([url, result]) => Prisma.sql`(${url}, ${result.status}, ${result.contentType})`))})
+        AS "result"("url", "status", "contentType")
+      WHERE "link"."jobId" = ${jobId}::uuid AND "link"."address" = "result"."url"
+    `);
+    await this.inBatches(checked, batch => this.prisma.$executeRaw`
+      UPDATE "Inlink" AS "link" SET "statusCode" = "result"."statusCode", "status" = "result"."status"
+      FROM (VALUES ${Prisma.join(batch.map(([url, result]) => Prisma.sql`(${url}, ${result.statusCode}::int, ${result.status})`))})
+        AS "result"("url", "statusCode", "status")
+      WHERE "link"."jobId" = ${jobId}::uuid AND "link"."toAddress" = "result"."url"
+    `);
+
+    const broken = Array.from(results.values()).filter(result => result.statusCode === null || result.statusCode >= 400).length;
+    console.log(`✅ Verified ${results.size} link targets for job ${jobId} (${broken} broken)`);
+  }
+
+  /**
+   * Request the images that were never loaded while crawling, such as lazy images below the fold
+   * Stores their status, content type and Content-Length
+   */
+  async checkImages(jobId) {
+    const images = await this.prisma.image.findMany({
+      where: { jobId, statusCode: null, error: null },
+      select: { id: true, url: true }
+    });
+    if (images.length === 0) {
+      return;
+    }
+
+    const results = await this.linkChecker.checkUrls(images.map(image => image.url), () => this.isJobHalted(jobId));
+
+    const checked = images.filter(image => results.has(image.url)).map(image => {
+      const result = results.get(image.url);
+      const format = this.getImageFormat(result.contentType, result.finalUrl || image.url);
+      return Prisma.sql`(${image.id}::int, ${result.statusCode}::int, ${result.contentType}, ${format}, ${result.contentLength}::int, ${result.error})`;
+    });
+    await this.inBatches(checked, batch => this.prisma.$executeRaw`
+      UPDATE "Image" AS "image"
+      SET "statusCode" = "result"."statusCode", "contentType" = "result"."contentType", "format" = "result"."format",
+        "transferBytes" = "result"."transferBytes", "error" = "result"."error"
+      FROM (VALUES ${Prisma.join(batch)}) AS "result"("id", "statusCode", "contentType", "format", "transferBytes", "error")
+      WHERE "image"."id" = "result"."id"
+    `);
+
+    console.log(`✅ Checked ${results.size} images for job ${jobId}`);
+  }
+
   // ==================== UTILITY METHODS ====================
 
+  /**
+   * Run a write for each batch of RESULT_BATCH_SIZE items
+   * @param {Array} items - Items to write
+   * @param {Function} write - async (batch) => void
+   */
+  async inBatches(items, write) {
+    for (let i = 0; i < items.length; i += this.RESULT_BATCH_SIZE) {
+      await write(items.slice(i, i + this.RESULT_BATCH_SIZE));
+    }
+  }
+
+  /**
+   * Load the addresses of pages already saved for a job
+   * @param {string} jobId - The job ID
+   * @returns {Promise<Set>} Set of crawled URLs
+   */
+  async loadCrawledUrls(jobId) {
+    const pages = await this.prisma.internalLink.findMany({
+      where: { jobId },
+      select: { address: true }
+    });
+    return new Set(pages.map(page => page.address));
+  }
+
+  /**
+   * Rebuild sampled crawl post type counters from already crawled URLs
+   * @param {Set} crawledUrls - URLs crawled by an earlier run
+   * @returns {Map} Post type -> number of pages crawled
+   */
+  buildPostTypeCounters(crawledUrls) {
+    const postTypeCounters = new Map();
+    for (const url of crawledUrls) {
+      if (this.getUrlLevel(url) > 1) {
+        const postType = this.detectPostType(url);
+        postTypeCounters.set(postType, (postTypeCounters.get(postType) || 0) + 1);
+      }
+    }
+    return postTypeCounters;
+  }
+
   /**
    * Check if a page should be skipped
    */
@@ -1023,7 +2305,7 @@ class CrawlProcessor {
   /**
    * Enqueue internal links for crawling
    */
-  async enqueueInternalLinks(internalLinks, enqueueLinks, crawledUrls, job, postTypeCounters = new Map(), domainTracker = null) {
+  async enqueueInternalLinks(internalLinks, enqueueLinks, crawledUrls, job, postTypeCounters = new Map(), domainTracker = null, robotsData = null, sourceUrl = null, depth = null) {
     // Check if we've reached the max pages limit before enqueuing new links
     const currentCount = await this.prisma.internalLink.count({ where: { jobId: job.id } });
     if (currentCount >= job.maxPages) {
@@ -1050,16 +2332,76 @@ class CrawlProcessor {
         return currentCount < this.SAMPLED_CRAWL_PAGES_PER_TYPE; // Only enqueue if we haven't reached the limit for this post type
       });
     }
+
+    // Drop URLs disallowed for our user agent (and record them for the report)
+    urls = await this.applyRobotsTxt([...new Set(urls)], job, robotsData, sourceUrl);
+
+    // Record the URLs in the frontier; only URLs it did not know yet need enqueueing
+    const childDepth = depth !== null ? depth + 1 : null;
+    urls = await this.addToFrontier(job.id, urls, { depth: childDepth, source: 'link', foundOn: sourceUrl });
     
     if (urls.length > 0) {
       try {
-        await enqueueLinks({ urls });
+        await enqueueLinks({ urls, userData: { depth: childDepth } });
       } catch (error) {
         console.error(`Error enqueuing links: ${error.message}`);
       }
     }
   }
 
+  /**
+   * Filter URLs through robots.txt rules for our user agent.
+   * Blocked URLs are recorded against the job so reports can list them.
+   * @param {Array<string>} urls - Candidate URLs to crawl
+   * @param {Object} job - The crawl job
+   * @param {Object|null} robotsData - Parsed robots.txt data
+   * @param {string|null} foundOn - Where the URLs were discovered (page URL, 'sitemap' or 'start-url')
+   * @returns {Promise<Array<string>>} URLs that may be crawled
+   */
+  async applyRobotsTxt(urls, job, robotsData, foundOn = null) {
+    if (!job.respectRobotsTxt || !robotsData) {
+      return urls;
+    }
+
+    const allowed = [];
+    const blocked = [];
+
+    for (const url of urls) {
+      const rule = this.getBlockingRobotsRule(url, robotsData);
+      if (rule) {
+        blocked.push({ address: url, rule });
+      } else {
+        allowed.push(url);
+      }
+    }
+
+    if (blocked.length > 0) {
+      await this.saveRobotsBlockedUrls(job.id, blocked, foundOn);
+    }
+
+    return allowed;
+  }
+
+  /**
+   * Get the robots.txt Disallow rule blocking a URL for our user agent
+   * @param {string} url - The URL to check
+   * @param {Object} robotsData - Parsed robots.txt data
+   * @returns {Object|null} The matching Disallow rule, or null if the URL may be crawled
+   */
+  getBlockingRobotsRule(url, robotsData) {
+    try {
+      const urlObj = new URL(url);
+      const rule = this.robotsCrawler.findMatchingRule(
+        robotsData,
+        `${urlObj.pathname}${urlObj.search}`,
+        this.robotsCrawler.userAgent
+      );
+      return rule && rule.type === 'disallow' ? rule : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Normalize URL for consistent comparison
    * @param {string} url - The URL to normalize
@@ -1137,29 +2479,6 @@ class CrawlProcessor {
     }
   }
 
-  /**
-   * Take screenshot of page
-   */
-  async takeScreenshot(page, jobId, url) {
-    try {
-      const screenshotsDir = path.join(process.cwd(), 'storage', 'screenshots', jobId.toString());
-      if (!fs.existsSync(screenshotsDir)) {
-        fs.mkdirSync(screenshotsDir, { recursive: true });
-      }
-
-      const urlObj = new URL(url);
-      const filename = `${urlObj.hostname}_${urlObj.pathname.replace(/[^a-zA-Z0-9]/g, '_')}_${Date.now()}.png`;
-      const screenshotPath = path.join(screenshotsDir, filename);
-
-      await page.screenshot({ path: screenshotPath, fullPage: true });
-      return `/screenshots/${jobId}/${filename}`;
-      
-    } catch (error) {
-      console.error('📸 Screenshot error:', error);
-      return null;
-    }
-  }
-
   // ==================== ROBOTS.TXT AND SITEMAP PROCESSING ====================
 
   /**
@@ -1309,33 +2628,39 @@ class CrawlProcessor {
     return 'F';
   }
 
-  getStatusText(statusCode) {
-    const statusTexts = {
-      200: 'OK', 301: 'Moved Permanently', 302: 'Found', 404: 'Not Found',
-      500: 'Internal Server Error'
-    };
-    return statusTexts[statusCode] || 'Unknown';
-  }
+  /**
+   * Image format from the content type, or from the file extension when there is none
+   * @returns {string|null} e.g. jpeg, png, webp, avif, svg
+   */
+  getImageFormat(contentType, url) {
+    const mimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+    if (mimeType.startsWith('image/')) {
+      const subtype = mimeType.substring(6);
+      return { 'svg+xml': 'svg', 'jpg': 'jpeg', 'pjpeg': 'jpeg', 'x-icon': 'ico', 'vnd.microsoft.icon': 'ico' }[subtype] || subtype;
+    }
 
-  determineIndexability(pageData) {
-    if (pageData.metaRobots?.toLowerCase().includes('noindex')) {
-      return 'Non-Indexable';
+    try {
+      const extension = new URL(url).pathname.split('.').pop().toLowerCase();
+      const formats = { jpg: 'jpeg', jpeg: 'jpeg', png: 'png', gif: 'gif', webp: 'webp', avif: 'avif', svg: 'svg', bmp: 'bmp', ico: 'ico', tif: 'tiff', tiff: 'tiff', jxl: 'jxl' };
+      return formats[extension] || null;
+    } catch (error) {
+      return null;
     }
-    return 'Indexable';
   }
 
-  getIndexabilityStatus(pageData) {
-    return this.determineIndexability(pageData);
+  getStatusText(statusCode) {
+    return http.STATUS_CODES[statusCode] || 'Unknown';
   }
 
-  getReadabilityRating(fleschScore) {
-    if (fleschScore >= 90) return 'Very Easy';
-    if (fleschScore >= 80) return 'Easy';
-    if (fleschScore >= 70) return 'Fairly Easy';
-    if (fleschScore >= 60) return 'Standard';
-    if (fleschScore >= 50) return 'Fairly Difficult';
-    if (fleschScore >= 30) return 'Difficult';
-    return 'Very Difficult';
+  /**
+   * Map a CDP protocol identifier (h2, http/1.1, h3, ...) to an HTTP version
+   */
+  getHttpVersion(protocol) {
+    if (!protocol) return null;
+
+    const versions = { 'http/0.9': '0.9', 'http/1.0': '1.0', 'http/1.1': '1.1', 'h2': '2', 'h2c': '2', 'h3': '3', 'quic': '3' };
+    const normalized = protocol.toLowerCase();
+    return versions[normalized] || (normalized.startsWith('h3') ? '3' : protocol);
   }
 
   // ==================== DATABASE UTILITIES ====================
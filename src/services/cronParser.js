@@ -0,0 +1,234 @@
+/**
+ * Cron Parser
+ *
+ * Parses standard 5-field cron expressions and finds the next time they match
+ * in a time zone. Used by ScheduleService for recurring crawls.
+ */
+class CronParser {
+  constructor() {
+    // Standard 5-field cron syntax: lists, ranges, steps and month/day names
+    this.FIELDS = [
+      { name: 'minute', min: 0, max: 59 },
+      { name: 'hour', min: 0, max: 23 },
+      { name: 'day', min: 1, max: 31 },
+      { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], firstName: 1 },
+      { name: 'weekday', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], firstName: 0 }
+    ];
+    this.EXPECTED = 'minute hour day-of-month month day-of-week, e.g. "0 6 * * 1" for every Monday at 6:00';
+    // Expressions such as "0 0 30 2 *" never match; give up after this many days
+    this.MAX_SEARCH_DAYS = 366 * 5;
+
+    this.dateFormats = new Map();
+  }
+
+  /**
+   * Parse a 5-field cron expression
+   * @param {string} expression - e.g. "0 6 * * 1-5"
+   * @returns {Object|null} Allowed values per field, or null if the expression is invalid
+   */
+  parse(expression) {
+    const fields = String(expression).trim().split(/\s+/);
+    if (fields.length !== this.FIELDS.length) {
+      return null;
+    }
+
+    const parsed = {};
+    for (const [index, field] of this.FIELDS.entries()) {
+      const values = this.parseField(fields[index], field);
+      if (!values) {
+        return null;
+      }
+      parsed[field.name] = values;
+    }
+
+    // 7 is another name for Sunday
+    parsed.weekday = [...new Set(parsed.weekday.map(day => day % 7))].sort((a, b) => a - b);
+    // Like cron, when both the day of month and the day of week are restricted, either one matching is enough
+    parsed.eitherDay = !fields[2].startsWith('*') && !fields[4].startsWith('*');
+
+    return parsed;
+  }
+
+  /**
+   * Parse one field: "*", "5", "1-5", "*\/15", "10-50/10", "mon-fri" or a comma-separated list of these
+   * @returns {Array|null} Sorted allowed values, or null if the field is invalid
+   */
+  parseField(text, { min, max, names, firstName }) {
+    const toNumber = (value) => {
+      if (/^\d+$/.test(value)) return parseInt(value);
+      const index = names ? names.indexOf(value) : -1;
+      return index >= 0 ? index + firstName : null;
+    };
+
+    const values = new Set();
+    for (const part of text.toLowerCase().split(',')) {
+      const match = part.match(/^(\*|[a-z0-9]+)(?:-([a-z0-9]+))?(?:\/(\d+))?$/);
+      if (!match || (match[1] === '*' && match[2])) {
+        return null;
+      }
+
+      const [, from, to, stepText] = match;
+      const step = stepText ? parseInt(stepText) : 1;
+      const start = from === '*' ? min : toNumber(from);
+      // "5/15" runs from 5 to the end of the range
+      const end = from === '*' ? max : to ? toNumber(to) : stepText ? max : start;
+
+      if (start === null || end === null || start < min || end > max || start > end || step < 1) {
+        return null;
+      }
+      for (let value = start; value <= end; value += step) {
+        values.add(value);
+      }
+    }
+
+    return [...values].sort((a, b) => a - b);
+  }
+
+  /**
+   * Next time a cron expression matches, strictly after a date
+   * Daylight saving time is handled like cron does: a time skipped when the clocks go
+   * forward runs right after the change, and a time repeated when they go back runs
+   * once, unless the expression runs every hour.
+   * @param {string} expression - Cron expression
+   * @param {string} timezone - IANA time zone the expression is evaluated in
+   * @param {Date} after - Start of the search (now by default)
+   * @returns {Date|null} Start of the matching minute, or null if the expression never matches
+   */
+  getNextRun(expression, timezone, after = new Date()) {
+    const cron = this.parse(expression);
+    if (!cron) {
+      return null;
+    }
+
+    const MINUTE = 60 * 1000;
+    const limit = after.getTime() + this.MAX_SEARCH_DAYS * 24 * 60 * MINUTE;
+    const everyHour = cron.hour.length === 24;
+    let previousTime = Math.floor(after.getTime() / MINUTE) * MINUTE;
+    let previous = this.getLocalTime(new Date(previousTime), timezone);
+    let time = previousTime + MINUTE;
+
+    // Walk forward in local time, skipping whole days, then hours, then minutes that can't match.
+    // Jumps are computed in minutes of the local clock, so days of 23 or 25 hours are walked correctly.
+    while (time <= limit) {
+      const local = this.getLocalTime(new Date(time), timezone);
+
+      // The local clock moved further than real time: the clocks went forward
+      const skippedMinutes = this.toWallMinutes(local) - this.toWallMinutes(previous) - (time - previousTime) / MINUTE;
+      if (skippedMinutes > 0 && this.matchesSkippedMinute(cron, local, skippedMinutes)) {
+        return new Date(time);
+      }
+      previousTime = time;
+      previous = local;
+
+      if (!this.matchesDate(cron, local)) {
+        // To 23:00, then to midnight
+        time += (local.hour < 23 ? (23 - local.hour) * 60 - local.minute : 60 - local.minute) * MINUTE;
+        continue;
+      }
+
+      if (!cron.hour.includes(local.hour)) {
+        time += (60 - local.minute) * MINUTE;
+        continue;
+      }
+
+      if (!cron.minute.includes(local.minute)) {
+        const nextMinute = cron.minute.find(minute => minute > local.minute) ?? 60;
+        time += (nextMinute - local.minute) * MINUTE;
+        continue;
+      }
+
+      if (!everyHour && this.isRepeatedMinute(time, local, timezone)) {
+        time += MINUTE;
+        continue;
+      }
+
+      return new Date(time);
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a local date matches the day of month, month and day of week fields
+   */
+  matchesDate(cron, local) {
+    const dayMatches = cron.day.includes(local.day);
+    const weekdayMatches = cron.weekday.includes(local.weekday);
+    return cron.month.includes(local.month)
+      && (cron.eitherDay ? dayMatches || weekdayMatches : dayMatches && weekdayMatches);
+  }
+
+  /**
+   * Whether the expression matches one of the local times the clocks skipped right before a time
+   * @param {Object} cron - Parsed expression
+   * @param {Object} local - Local time right after the skipped minutes
+   * @param {number} skippedMinutes - How many minutes the clocks skipped
+   */
+  matchesSkippedMinute(cron, local, skippedMinutes) {
+    for (let minutesBefore = 1; minutesBefore <= skippedMinutes; minutesBefore++) {
+      const wallClock = new Date((this.toWallMinutes(local) - minutesBefore) * 60 * 1000);
+      const skipped = {
+        month: wallClock.getUTCMonth() + 1,
+        day: wallClock.getUTCDate(),
+        weekday: wallClock.getUTCDay(),
+        hour: wallClock.getUTCHours(),
+        minute: wallClock.getUTCMinutes()
+      };
+      if (this.matchesDate(cron, skipped) && cron.hour.includes(skipped.hour) && cron.minute.includes(skipped.minute)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Whether the local time of a date already occurred earlier, because the clocks went back
+   * (by an hour, or by half an hour in a few time zones)
+   */
+  isRepeatedMinute(time, local, timezone) {
+    return [30, 60].some(minutes => (
+      this.toWallMinutes(this.getLocalTime(new Date(time - minutes * 60 * 1000), timezone)) === this.toWallMinutes(local)
+    ));
+  }
+
+  /**
+   * Local time as minutes since the epoch, as if the time zone were UTC
+   */
+  toWallMinutes(local) {
+    return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute) / (60 * 1000);
+  }
+
+  /**
+   * Wall-clock time of a date in a time zone
+   * @returns {Object} { year, month, day, weekday, hour, minute } with weekday 0 for Sunday
+   */
+  getLocalTime(date, timezone) {
+    if (!this.dateFormats.has(timezone)) {
+      this.dateFormats.set(timezone, new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        weekday: 'short',
+        hour: 'numeric',
+        minute: 'numeric'
+      }));
+    }
+
+    const parts = Object.fromEntries(
+      this.dateFormats.get(timezone).formatToParts(date).map(part => [part.type, part.value])
+    );
+
+    return {
+      year: parseInt(parts.year),
+      month: parseInt(parts.month),
+      day: parseInt(parts.day),
+      weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+      hour: parseInt(parts.hour),
+      minute: parseInt(parts.minute)
+    };
+  }
+}
+
+module.exports = CronParser;
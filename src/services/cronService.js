@@ -1,5 +1,8 @@
 const cron = require('node-cron');
 const EmailVerificationService = require('./emailVerificationService');
+const ScreenshotService = require('./screenshotService');
+const RetentionService = require('./retentionService');
+const ScheduleService = require('./scheduleService');
 
 /**
  * Cron Service for scheduling background tasks
@@ -7,6 +10,9 @@ const EmailVerificationService = require('./emailVerificationService');
 class CronService {
   constructor() {
     this.emailVerificationService = new EmailVerificationService();
+    this.screenshotService = new ScreenshotService();
+    this.retentionService = new RetentionService();
+    this.scheduleService = new ScheduleService();
   }
 
   /**
@@ -15,6 +21,15 @@ class CronService {
   start() {
     console.log('⏰ Starting cron service...');
 
+    // Create the jobs of the crawl schedules that are due (every minute, so no log unless a job is created)
+    cron.schedule('* * * * *', async () => {
+      try {
+        await this.scheduleService.runDueSchedules();
+      } catch (error) {
+        console.error('❌ Error while running due crawl schedules:', error);
+      }
+    });
+
     // Schedule cleanup of expired verification codes (e.g., every hour)
     cron.schedule('0 * * * *', async () => {
       console.log('Running scheduled task: cleanupExpiredCodes');
@@ -28,6 +43,32 @@ class CronService {
       }
     });
 
+    // Remove the screenshots of jobs that were deleted (daily at 3am)
+    cron.schedule('0 3 * * *', async () => {
+      console.log('Running scheduled task: removeOrphanedScreenshots');
+      try {
+        const count = await this.screenshotService.removeOrphanedScreenshots();
+        if (count > 0) {
+          console.log(`🗑️ Removed the screenshots of ${count} deleted jobs.`);
+        }
+      } catch (error) {
+        console.error('❌ Error during scheduled cleanup of orphaned screenshots:', error);
+      }
+    });
+
+    // Drop data older than the retention policy allows and the stored screenshots and HTML no page uses any more (daily at 3:30am)
+    cron.schedule('30 3 * * *', async () => {
+      console.log('Running scheduled task: applyRetentionPolicy');
+      try {
+        const result = await this.retentionService.applyRetentionPolicy();
+        if (result.deletedJobs > 0 || result.htmlDroppedPages > 0 || result.screenshotsDroppedPages > 0 || result.removedArtifacts > 0) {
+          console.log(`🗑️ Retention: deleted ${result.deletedJobs} jobs, dropped the HTML of ${result.htmlDroppedPages} pages and the screenshots of ${result.screenshotsDroppedPages} pages, removed ${result.removedArtifacts} artifacts (${Math.round(result.freedBytes / 1024)} KB).`);
+        }
+      } catch (error) {
+        console.error('❌ Error while applying the retention policy:', error);
+      }
+    });
+
     console.log('✅ Cron service started');
   }
 
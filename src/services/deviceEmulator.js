@@ -0,0 +1,48 @@
+/**
+ * Device Emulator
+ *
+ * Renders pages as a desktop or mobile browser: viewport, device scale
+ * factor, touch support and user agent (including client hints). The mobile
+ * device follows the Moto G Power Lighthouse emulates. Jobs crawled as both
+ * devices render every page as mobile first, the way mobile-first indexing
+ * sees it, and then again as desktop.
+ */
+class DeviceEmulator {
+  constructor() {
+    this.DEVICES = {
+      desktop: {
+        viewport: { width: 1350, height: 940, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/139.0.0.0 Safari/537.36 (compatible; SiteScope-Bot/1.0)',
+        userAgentMetadata: { platform: 'Windows', platformVersion: '10.0.0', architecture: 'x86', model: '', mobile: false }
+      },
+      mobile: {
+        viewport: { width: 412, height: 823, deviceScaleFactor: 1.75, isMobile: true, hasTouch: true },
+        userAgent: 'Mozilla/5.0 (Linux; Android 11; moto g power (2022)) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/139.0.0.0 Mobile Safari/537.36 (compatible; SiteScope-Bot/1.0)',
+        userAgentMetadata: { platform: 'Android', platformVersion: '11', architecture: '', model: 'moto g power (2022)', mobile: true }
+      }
+    };
+    this.DEVICE_OPTIONS = ['desktop', 'mobile', 'both'];
+  }
+
+  /**
+   * Devices a job renders each page as
+   * @param {string} option - The job's device option
+   * @returns {Array} Device names; the first one is the primary rendering stored on the page
+   */
+  getDevices(option) {
+    return option === 'both' ? ['mobile', 'desktop'] : [option || 'desktop'];
+  }
+
+  /**
+   * Emulate a device on a page before it navigates
+   * @param {Object} page - Puppeteer page
+   * @param {string} device - desktop or mobile
+   */
+  async emulate(page, device) {
+    const { viewport, userAgent, userAgentMetadata } = this.DEVICES[device];
+    await page.setViewport(viewport);
+    await page.setUserAgent(userAgent, userAgentMetadata);
+  }
+}
+
+module.exports = DeviceEmulator;
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+
+/**
+ * Duplicate Content Detector
+ *
+ * Fingerprints page text with MinHash and finds near-duplicate pages using
+ * locality-sensitive hashing (LSH), so only pages that share a band of their
+ * signature are compared instead of every pair of pages.
+ */
+class DuplicateDetector {
+  constructor() {
+    // Minimum estimated similarity (0-1) for two pages to count as near-duplicates
+    this.SIMILARITY_THRESHOLD = parseFloat(process.env.NEAR_DUPLICATE_THRESHOLD) || 0.9;
+    this.SHINGLE_SIZE = 5; // Words per shingle
+    this.NUM_HASHES = 128; // MinHash signature length
+    // 16 bands of 8 rows: pairs above ~0.7 similarity are very likely to share a band
+    this.BANDS = 16;
+    this.ROWS_PER_BAND = this.NUM_HASHES / this.BANDS;
+
+    // Fixed seeds so signatures stay comparable across processes and restarts
+    this.seeds = Array.from({ length: this.NUM_HASHES }, (_, i) => this.hashString(`sitescope-minhash-${i}`));
+  }
+
+  // ==================== FINGERPRINTING ====================
+
+  /**
+   * Fingerprint the main text of a page
+   * @param {string} text - Main text of the page
+   * @returns {Object|null} { contentHash, signature } or null if the page has no text
+   */
+  fingerprint(text) {
+    const words = (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    if (words.length === 0) {
+      return null;
+    }
+
+    const contentHash = crypto.createHash('sha1').update(words.join(' ')).digest('hex');
+
+    const shingles = new Set();
+    if (words.length <= this.SHINGLE_SIZE) {
+      shingles.add(this.hashString(words.join(' ')));
+    } else {
+      for (let i = 0; i <= words.length - this.SHINGLE_SIZE; i++) {
+        shingles.add(this.hashString(words.slice(i, i + this.SHINGLE_SIZE).join(' ')));
+      }
+    }
+
+    const signature = new Array(this.NUM_HASHES).fill(0xffffffff);
+    for (const shingle of shingles) {
+      for (let i = 0; i < this.NUM_HASHES; i++) {
+        const value = this.mix(shingle ^ this.seeds[i]);
+        if (value < signature[i]) {
+          signature[i] = value;
+        }
+      }
+    }
+
+    return { contentHash, signature };
+  }
+
+  /**
+   * 32-bit FNV-1a hash of a string
+   */
+  hashString(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Scramble a 32-bit value (murmur3 finalizer), giving one hash function per seed
+   */
+  mix(value) {
+    let hash = value >>> 0;
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+  }
+
+  // ==================== DETECTION ====================
+
+  /**
+   * Estimated Jaccard similarity of two signatures
+   */
+  similarity(signatureA, signatureB) {
+    let matches = 0;
+    for (let i = 0; i < this.NUM_HASHES; i++) {
+      if (signatureA[i] === signatureB[i]) matches++;
+    }
+    return matches / this.NUM_HASHES;
+  }
+
+  /**
+   * Find near-duplicate pages
+   * Pages with identical text are collapsed first, so large sets of exact duplicates
+   * don't produce a quadratic number of candidate pairs.
+   * @param {Array} pages - Array of { id, contentHash, signature }
+   * @returns {Map} page id -> { closestId, similarity, count, groupId } for pages with duplicates
+   */
+  findNearDuplicates(pages) {
+    // Group exact duplicates; each group is compared through its first page
+    const groupsByHash = new Map();
+    for (const page of pages) {
+      if (!groupsByHash.has(page.contentHash)) {
+        groupsByHash.set(page.contentHash, []);
+      }
+      groupsByHash.get(page.contentHash).push(page);
+    }
+    const groups = Array.from(groupsByHash.values());
+
+    // LSH: groups whose signatures share a band become candidate pairs
+    const buckets = new Map();
+    groups.forEach((group, groupIndex) => {
+      const signature = group[0].signature;
+      for (let band = 0; band < this.BANDS; band++) {
+        const start = band * this.ROWS_PER_BAND;
+        const key = `${band}:${signature.slice(start, start + this.ROWS_PER_BAND).join(',')}`;
+        if (!buckets.has(key)) {
+          buckets.set(key, []);
+        }
+        buckets.get(key).push(groupIndex);
+      }
+    });
+
+    // Verify candidates against the threshold
+    const neighbors = groups.map(() => []);
+    const compared = new Set();
+    for (const bucket of buckets.values()) {
+      for (let i = 0; i < bucket.length; i++) {
+        for (let j = i + 1; j < bucket.length; j++) {
+          const pairKey = `${bucket[i]}:${bucket[j]}`;
+          if (compared.has(pairKey)) continue;
+          compared.add(pairKey);
+
+          const score = this.similarity(groups[bucket[i]][0].signature, groups[bucket[j]][0].signature);
+          if (score >= this.SIMILARITY_THRESHOLD) {
+            neighbors[bucket[i]].push({ groupIndex: bucket[j], similarity: score });
+            neighbors[bucket[j]].push({ groupIndex: bucket[i], similarity: score });
+          }
+        }
+      }
+    }
+
+    // Connected groups form a duplicate cluster, identified by its lowest page id
+    const parents = groups.map((_, index) => index);
+    const find = (index) => {
+      while (parents[index] !== index) {
+        parents[index] = parents[parents[index]];
+        index = parents[index];
+      }
+      return index;
+    };
+    neighbors.forEach((groupNeighbors, index) => {
+      groupNeighbors.forEach(neighbor => { parents[find(neighbor.groupIndex)] = find(index); });
+    });
+
+    const clusterIds = new Map();
+    groups.forEach((group, index) => {
+      const root = find(index);
+      const lowestId = Math.min(...group.map(page => page.id));
+      clusterIds.set(root, Math.min(clusterIds.get(root) ?? Infinity, lowestId));
+    });
+
+    const results = new Map();
+    groups.forEach((group, index) => {
+      const groupNeighbors = neighbors[index];
+      if (group.length === 1 && groupNeighbors.length === 0) {
+        return;
+      }
+
+      const nearCount = groupNeighbors.reduce((sum, neighbor) => sum + groups[neighbor.groupIndex].length, 0);
+      const closestNeighbor = groupNeighbors.reduce((best, neighbor) => (
+        !best || neighbor.similarity > best.similarity ? neighbor : best
+      ), null);
+
+      for (const page of group) {
+        // An exact copy is always the closest match
+        const exactCopy = group.find(other => other.id !== page.id);
+        results.set(page.id, {
+          closestId: exactCopy ? exactCopy.id : groups[closestNeighbor.groupIndex][0].id,
+          similarity: exactCopy ? 1 : closestNeighbor.similarity,
+          count: group.length - 1 + nearCount,
+          groupId: clusterIds.get(find(index))
+        });
+      }
+    });
+
+    return results;
+  }
+}
+
+module.exports = DuplicateDetector;
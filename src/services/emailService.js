@@ -169,7 +169,8 @@ class EmailService {
         avgWordsPerPage,
         statusCodes,
         indexablePages,
-        avgPageSize
+        avgPageSize,
+        issueCounts
       ] = await Promise.all([
         this.prisma.internalLink.count({ where: { jobId } }),
         this.prisma.internalLink.aggregate({
@@ -195,9 +196,16 @@ class EmailService {
         this.prisma.internalLink.aggregate({
           where: { jobId },
           _avg: { sizeBytes: true }
+        }),
+        this.prisma.issue.groupBy({
+          by: ['type', 'severity'],
+          where: { jobId },
+          _count: { _all: true }
         })
       ]);
 
+      const severityOrder = ['high', 'medium', 'low'];
+
       return {
         totalPages,
         avgResponseTime: Math.round(avgResponseTime._avg?.responseTime || 0),
@@ -209,7 +217,12 @@ class EmailService {
         statusCodeBreakdown: statusCodes.reduce((acc, item) => {
           acc[item.statusCode] = item._count.statusCode;
           return acc;
-        }, {})
+        }, {}),
+        totalIssues: issueCounts.reduce((sum, item) => sum + item._count._all, 0),
+        // Most severe and most frequent issue types first
+        issueBreakdown: issueCounts
+          .map(item => ({ type: item.type, severity: item.severity, count: item._count._all }))
+          .sort((a, b) => severityOrder.indexOf(a.severity) - severityOrder.indexOf(b.severity) || b.count - a.count)
       };
 
     } catch (error) {
@@ -254,6 +267,10 @@ class EmailService {
       avgResponseTime: stats.avgResponseTime || 0,
       indexablePages: stats.indexablePages || 0,
       nonIndexablePages: stats.nonIndexablePages || 0,
+      totalIssues: stats.totalIssues || 0,
+      issueBreakdown: (stats.issueBreakdown || []).length > 0
+        ? stats.issueBreakdown.map(issue => `• ${issue.type} (${issue.severity}): ${issue.count}`).join('\n')
+        : 'No issues found',
       topPages: jobData.internalLinks.slice(0, 5).map((page, index) => 
         `${index + 1}. ${page.title || page.address} (Score: ${page.linkScore || 0})`
       ).join('\n'),
@@ -271,6 +288,17 @@ class EmailService {
           </li>
         `).join('');
       }
+      if (key.trim() === 'issueBreakdown') {
+        if (!stats.issueBreakdown?.length) {
+          return '<li class="page-item"><p class="page-title">No issues found</p></li>';
+        }
+        return stats.issueBreakdown.map(issue => `
+          <li class="page-item">
+            <p class="page-title">${issue.type}: ${issue.count}</p>
+            <p class="page-url">Severity: ${issue.severity}</p>
+          </li>
+        `).join('');
+      }
       return replacements[key.trim()];
     });
 
@@ -0,0 +1,262 @@
+const ExcelJS = require('exceljs');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const ReportService = require('./reportService');
+const ArtifactStorage = require('./artifactStorage');
+const ScreenshotService = require('./screenshotService');
+
+/**
+ * Crawl Data Export Service
+ *
+ * Streams job data as CSV, XLSX or JSON Lines. Rows are read from the
+ * database in id-ordered batches and written as they arrive, so large jobs
+ * are exported without holding every row in memory.
+ */
+class ExportService {
+  constructor(prisma = new PrismaClient()) {
+    this.prisma = prisma;
+    this.BATCH_SIZE = 1000;
+    this.XLSX_CELL_LIMIT = 32767; // Maximum characters in an Excel cell
+    this.reportService = new ReportService(prisma);
+    this.artifactStorage = new ArtifactStorage(prisma);
+    this.screenshotService = new ScreenshotService(prisma);
+
+    this.FORMATS = {
+      csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+      xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+      jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' }
+    };
+
+    // Table datasets export every column by default, except raw documents that are only included on request
+    const columnsOf = (fieldEnum, ...extra) => [...new Set([...Object.values(fieldEnum).filter(field => field !== 'jobId'), ...extra])];
+    const screenshotUrls = Object.keys(this.screenshotService.URL_FIELDS);
+    this.DATASETS = {
+      pages: { model: 'internalLink', columns: columnsOf(Prisma.InternalLinkScalarFieldEnum, ...screenshotUrls), excludedByDefault: ['htmlContent', 'contentFingerprint'] },
+      inlinks: { model: 'inlink', columns: columnsOf(Prisma.InlinkScalarFieldEnum), excludedByDefault: [] },
+      external: { model: 'externalLink', columns: columnsOf(Prisma.ExternalLinkScalarFieldEnum), excludedByDefault: [] },
+      sitemaps: { model: 'sitemap', columns: columnsOf(Prisma.SitemapScalarFieldEnum), excludedByDefault: ['content'] },
+      issues: { model: null, columns: ['issue', 'severity', 'url', 'detail'], excludedByDefault: [] }
+    };
+  }
+
+  /**
+   * Parse and validate the query string of the export endpoint
+   * @param {Object} query - Express req.query
+   * @returns {Object} { options } on success, { error, expected } for an invalid parameter
+   */
+  parseExportQuery(query) {
+    const format = query.format || 'csv';
+    const dataset = query.dataset || 'pages';
+
+    if (!this.FORMATS[format]) {
+      return { error: 'Invalid format', expected: Object.keys(this.FORMATS).join(', ') };
+    }
+
+    if (!this.DATASETS[dataset]) {
+      return { error: 'Invalid dataset', expected: Object.keys(this.DATASETS).join(', ') };
+    }
+
+    const { columns: available, excludedByDefault } = this.DATASETS[dataset];
+    let columns = available.filter(column => !excludedByDefault.includes(column));
+
+    if (query.columns) {
+      columns = query.columns.split(',').map(column => column.trim()).filter(Boolean);
+      if (columns.length === 0 || columns.some(column => !available.includes(column))) {
+        return { error: 'Invalid columns', expected: `Comma-separated list of: ${available.join(', ')}` };
+      }
+    }
+
+    return { options: { format, dataset, columns } };
+  }
+
+  /**
+   * File name offered to the client for an export
+   */
+  getFilename(jobId, { format, dataset }) {
+    return `job-${jobId}-${dataset}.${this.FORMATS[format].extension}`;
+  }
+
+  /**
+   * Stream an export to a writable stream
+   * @param {string} jobId - The job ID
+   * @param {Object} options - Options returned by parseExportQuery
+   * @param {Writable} stream - Destination (the HTTP response)
+   * @returns {Promise<number>} Number of rows written
+   */
+  async streamExport(jobId, { format, dataset, columns }, stream) {
+    const writer = this.createWriter(format, dataset, columns, stream);
+    let rowCount = 0;
+
+    await writer.start();
+    for await (const row of this.readRows(jobId, dataset, columns)) {
+      await writer.writeRow(row);
+      rowCount++;
+    }
+    await writer.end();
+
+    return rowCount;
+  }
+
+  /**
+   * Read the rows of a dataset in batches
+   */
+  async *readRows(jobId, dataset, columns) {
+    const { model } = this.DATASETS[dataset];
+
+    if (!model) {
+      // Issues are combined from the crawl data and the stored SEO audit findings
+      yield* this.reportService.streamCrawlIssues(jobId, this.BATCH_SIZE);
+      return;
+    }
+
+    const select = { id: true };
+    // Screenshot URLs are built from the keys pages store
+    const urlFields = model === 'internalLink' ? this.screenshotService.URL_FIELDS : {};
+    columns.forEach(column => { select[urlFields[column] || column] = true; });
+    // The HTML of pages crawled since artifact storage is read from storage
+    const loadHtml = model === 'internalLink' && columns.includes('htmlContent');
+    if (loadHtml) {
+      select.htmlKey = true;
+    }
+
+    let lastId = 0;
+    while (true) {
+      const batch = await this.prisma[model].findMany({
+        where: { jobId, id: { gt: lastId } },
+        select,
+        orderBy: { id: 'asc' },
+        take: this.BATCH_SIZE
+      });
+
+      if (loadHtml) {
+        for (const row of batch) {
+          if (row.htmlKey) {
+            row.htmlContent = await this.artifactStorage.getText(row.htmlKey);
+          }
+        }
+      }
+      if (model === 'internalLink') {
+        batch.forEach(row => this.screenshotService.withUrls(jobId, row));
+      }
+
+      yield* batch;
+
+      if (batch.length < this.BATCH_SIZE) {
+        return;
+      }
+      lastId = batch[batch.length - 1].id;
+    }
+  }
+
+  // ==================== WRITERS ====================
+
+  /**
+   * Create a row writer for the format
+   * @returns {Object} { start, writeRow, end }
+   */
+  createWriter(format, dataset, columns, stream) {
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+      const worksheet = workbook.addWorksheet(dataset);
+      worksheet.columns = columns.map(column => ({ header: column, key: column }));
+
+      return {
+        start: async () => {},
+        writeRow: async (row) => {
+          worksheet.addRow(columns.map(column => this.toXlsxValue(row[column]))).commit();
+          // The zip is piped to the stream: hold further rows while the client is behind
+          await this.drain(stream);
+        },
+        end: async () => {
+          worksheet.commit();
+          await workbook.commit();
+        }
+      };
+    }
+
+    if (format === 'jsonl') {
+      return {
+        start: async () => {},
+        writeRow: async (row) => {
+          const line = {};
+          columns.forEach(column => { line[column] = row[column] ?? null; });
+          await this.write(stream, `${JSON.stringify(line)}\n`);
+        },
+        end: async () => {}
+      };
+    }
+
+    return {
+      // The byte order mark makes Excel open the file as UTF-8
+      start: async () => this.write(stream, `\uFEFF${columns.map(column => this.toCsvValue(column)).join(',')}\r\n`),
+      writeRow: async (row) => {
+        await this.write(stream, `${columns.map(column => this.toCsvValue(row[column])).join(',')}\r\n`);
+      },
+      end: async () => {}
+    };
+  }
+
+  /**
+   * Write a chunk, waiting for the stream to drain when its buffer is full
+   */
+  async write(stream, chunk) {
+    stream.write(chunk);
+    await this.drain(stream);
+  }
+
+  /**
+   * Wait until a stream whose buffer is full has drained
+   * @throws {Error} When the client closed the stream
+   */
+  async drain(stream) {
+    if (stream.writableNeedDrain && !stream.destroyed) {
+      await new Promise(resolve => {
+        const done = () => {
+          stream.off('drain', done);
+          stream.off('close', done);
+          resolve();
+        };
+        stream.on('drain', done);
+        stream.on('close', done);
+      });
+    }
+
+    if (stream.destroyed) {
+      throw new Error('Export stream was closed by the client');
+    }
+  }
+
+  toCsvValue(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    let text = this.toText(value);
+
+    // Keep spreadsheet apps from evaluating text cells as formulas
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  toXlsxValue(value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    if (value instanceof Date || typeof value === 'number' || typeof value === 'boolean') {
+      return value;
+    }
+
+    return this.toText(value).slice(0, this.XLSX_CELL_LIMIT);
+  }
+
+  toText(value) {
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+}
+
+module.exports = ExportService;
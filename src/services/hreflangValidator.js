@@ -0,0 +1,210 @@
+const CanonicalValidator = require('./canonicalValidator');
+
+// ISO 639-1 language codes
+const LANGUAGE_CODES = new Set((
+  'aa ab ae af ak am an ar as av ay az ba be bg bh bi bm bn bo br bs ca ce ch co cr cs cu cv cy ' +
+  'da de dv dz ee el en eo es et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu ' +
+  'hy hz ia id ie ig ii ik io is it iu ja jv ka kg ki kj kk kl km kn ko kr ks ku kv kw ky la lb ' +
+  'lg li ln lo lt lu lv mg mh mi mk ml mn mr ms mt my na nb nd ne ng nl nn no nr nv ny oc oj om ' +
+  'or os pa pi pl ps pt qu rm rn ro ru rw sa sc sd se sg si sk sl sm sn so sq sr ss st su sv sw ' +
+  'ta te tg th ti tk tl tn to tr ts tt tw ty ug uk ur uz ve vi vo wa wo xh yi yo za zh zu'
+).split(' '));
+
+// ISO 3166-1 alpha-2 region codes
+const REGION_CODES = new Set((
+  'AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ BR ' +
+  'BS BT BV BW BY BZ CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ ' +
+  'EC EE EG EH ER ES ET FI FJ FK FM FO FR GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW ' +
+  'GY HK HM HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO JP KE KG KH KI KM KN KP KR KW KY ' +
+  'KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR MS MT MU MV ' +
+  'MW MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM PN PR PS PT PW PY ' +
+  'QA RE RO RS RU RW SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF TG ' +
+  'TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG UM US UY UZ VA VC VE VG VI VN VU WF WS YE YT ZA ZM ZW'
+).split(' '));
+
+// Frequent mistakes, reported with the code that was probably meant
+const REGION_SUGGESTIONS = { UK: 'GB' };
+const LANGUAGE_SUGGESTIONS = { jp: 'ja', cn: 'zh', gr: 'el', se: 'sv', dk: 'da', cz: 'cs', ua: 'uk', kr: 'ko' };
+
+/**
+ * Hreflang Validator
+ *
+ * Collects the hreflang annotations of every page (HTML link elements, HTTP
+ * Link headers and sitemap xhtml:link entries), validates their language and
+ * region codes, and resolves each alternate against the crawled pages,
+ * redirects and link checks of a job to find missing return links and
+ * alternates that are not 200 or not canonical.
+ */
+class HreflangValidator {
+  constructor() {
+    this.canonicalValidator = new CanonicalValidator();
+  }
+
+  // ==================== DECLARATIONS ====================
+
+  /**
+   * Extract the hreflang alternates of an HTTP Link header
+   * @param {string} value - Header value, e.g. <https://example.com/fr/>; rel="alternate"; hreflang="fr"
+   * @returns {Array} Array of { hreflang, href }
+   */
+  parseLinkHeader(value) {
+    const alternates = [];
+    if (!value) {
+      return alternates;
+    }
+
+    const entryPattern = /<([^>]*)>([^,<]*)/g;
+    let match;
+    while ((match = entryPattern.exec(value)) !== null) {
+      const params = match[2];
+      const rel = params.match(/;\s*rel\s*=\s*("([^"]*)"|[^;\s]+)/i);
+      const hreflang = params.match(/;\s*hreflang\s*=\s*("([^"]*)"|[^;\s]+)/i);
+      if (!rel || !hreflang) continue;
+
+      if ((rel[2] ?? rel[1]).toLowerCase().split(/\s+/).includes('alternate')) {
+        alternates.push({ hreflang: (hreflang[2] ?? hreflang[1]).trim(), href: match[1].trim() });
+      }
+    }
+
+    return alternates;
+  }
+
+  /**
+   * Check an hreflang value
+   * Accepted forms are x-default, language, language-REGION, language-Script and language-Script-REGION
+   * @param {string} value - hreflang attribute value
+   * @returns {Object|null} null when valid, otherwise { reason, suggestion }
+   */
+  checkCode(value) {
+    const code = (value || '').trim();
+    if (code.toLowerCase() === 'x-default') {
+      return null;
+    }
+
+    const parts = code.split(/[-_]/);
+    const language = parts[0].toLowerCase();
+    const script = parts.length > 1 && /^[a-z]{4}$/i.test(parts[1]) ? parts[1] : null;
+    const region = parts.length > (script ? 2 : 1) ? parts[parts.length - 1] : null;
+
+    if (parts.length > (script ? 3 : 2) || !/^[a-z]{2,3}$/i.test(language)) {
+      return { reason: 'malformed', suggestion: null };
+    }
+    if (code.includes('_')) {
+      return { reason: 'malformed', suggestion: code.replace(/_/g, '-') };
+    }
+    if (!LANGUAGE_CODES.has(language)) {
+      return { reason: 'unknown-language', suggestion: LANGUAGE_SUGGESTIONS[language] || null };
+    }
+    if (region && !REGION_CODES.has(region.toUpperCase())) {
+      const suggestion = REGION_SUGGESTIONS[region.toUpperCase()];
+      return { reason: 'unknown-region', suggestion: suggestion ? `${language}-${suggestion}` : null };
+    }
+
+    return null;
+  }
+
+  /**
+   * Merge the declared alternates of a page into one list
+   * An hreflang/URL pair declared in several places is listed once with all its sources
+   * @param {Object} page - Page with address and hreflangs ([{ hreflang, href, source }])
+   * @param {Array} sitemapAlternates - Alternates listed for the page in the sitemaps
+   * @param {Function} normalize - URL normalizer used for page addresses
+   * @returns {Array} Array of { hreflang, url, sources }
+   */
+  collectAlternates(page, sitemapAlternates, normalize) {
+    const declared = [
+      ...(Array.isArray(page.hreflangs) ? page.hreflangs : []),
+      ...sitemapAlternates.map(alternate => ({ ...alternate, source: 'sitemap' }))
+    ];
+
+    const alternates = new Map();
+    for (const { hreflang, href, source } of declared) {
+      if (!hreflang || !href?.trim()) continue;
+
+      let url;
+      try {
+        const parsed = new URL(href.trim(), page.address);
+        if (!['http:', 'https:'].includes(parsed.protocol)) continue;
+        url = normalize(parsed.toString());
+      } catch (error) {
+        continue;
+      }
+
+      const key = `${hreflang.trim().toLowerCase()} ${url}`;
+      if (!alternates.has(key)) {
+        alternates.set(key, { hreflang: hreflang.trim(), url, sources: [] });
+      }
+      if (!alternates.get(key).sources.includes(source)) {
+        alternates.get(key).sources.push(source);
+      }
+    }
+
+    return Array.from(alternates.values());
+  }
+
+  // ==================== VALIDATION ====================
+
+  /**
+   * Validate the hreflang annotations of every page of a job
+   * @param {Array} pages - Every crawled page with address, statusCode, canonicalUrl and hreflangs
+   * @param {Object} data - { sitemapAlternates (Map url -> alternates), redirectChains, linkChecks, normalize }
+   * @returns {Map} page id -> array of { hreflang, url, sources, invalidCode, suggestion, isSelf, targetStatusCode, targetRedirectUrl, targetCanonicalUrl, hasReturnLink }
+   */
+  validate(pages, { sitemapAlternates = new Map(), redirectChains = [], linkChecks = [], normalize = url => url }) {
+    const pagesByAddress = new Map(pages.map(page => [page.address, page]));
+    const chainsBySource = new Map(redirectChains.map(chain => [chain.sourceUrl, chain]));
+    const checksByUrl = new Map(linkChecks.map(check => [check.url, check]));
+    const lookup = { pagesByAddress, chainsBySource, checksByUrl, normalize };
+
+    const alternatesByAddress = new Map();
+    for (const page of pages) {
+      const alternates = this.collectAlternates(page, sitemapAlternates.get(page.address) || [], normalize);
+      if (alternates.length > 0) {
+        alternatesByAddress.set(page.address, alternates);
+      }
+    }
+
+    const results = new Map();
+    for (const page of pages) {
+      const alternates = alternatesByAddress.get(page.address);
+      if (!alternates) continue;
+
+      results.set(page.id, alternates.map(alternate => {
+        const invalid = this.checkCode(alternate.hreflang);
+        const isSelf = alternate.url === page.address;
+        const target = isSelf
+          ? { statusCode: page.statusCode, redirectUrl: null, resolvedUrl: page.address }
+          : this.canonicalValidator.lookupTarget(alternate.url, lookup);
+        const targetPage = target.redirectUrl ? null : pagesByAddress.get(target.resolvedUrl);
+
+        // Return links can only be checked on crawled, successful alternates
+        let hasReturnLink = null;
+        if (isSelf) {
+          hasReturnLink = true;
+        } else if (targetPage && targetPage.statusCode >= 200 && targetPage.statusCode < 300) {
+          hasReturnLink = (alternatesByAddress.get(targetPage.address) || [])
+            .some(back => back.url === page.address);
+        }
+
+        return {
+          hreflang: alternate.hreflang,
+          url: alternate.url,
+          sources: alternate.sources,
+          invalidCode: invalid?.reason || null,
+          suggestion: invalid?.suggestion || null,
+          isSelf,
+          targetStatusCode: target.statusCode,
+          targetRedirectUrl: target.redirectUrl,
+          targetCanonicalUrl: targetPage?.canonicalUrl && targetPage.canonicalUrl !== targetPage.address
+            ? targetPage.canonicalUrl
+            : null,
+          hasReturnLink
+        };
+      }));
+    }
+
+    return results;
+  }
+}
+
+module.exports = HreflangValidator;
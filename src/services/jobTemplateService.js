@@ -0,0 +1,107 @@
+const PerformanceCollector = require('./performanceCollector');
+const DeviceEmulator = require('./deviceEmulator');
+const { parseRulesConfig } = require('../rules');
+
+/**
+ * Job Template Service
+ *
+ * Validates the settings a crawl job is created with. POST /api/jobs and crawl
+ * schedules (whose job template is turned into a job on every run) share it,
+ * so both accept exactly the same settings.
+ */
+class JobTemplateService {
+  constructor() {
+    this.performanceCollector = new PerformanceCollector();
+    this.deviceEmulator = new DeviceEmulator();
+
+    this.BOOLEAN_OPTIONS = [
+      'takeScreenshots', 'captureAboveTheFold', 'sampledCrawl', 'ignoreUrlParameters',
+      'requireEmailVerification', 'respectRobotsTxt'
+    ];
+  }
+
+  /**
+   * Validate job settings and apply their defaults
+   * @param {Object} body - Settings as sent by the client
+   * @param {Object} defaults - Defaults that differ from a one-off job (e.g. { requireEmailVerification: false })
+   * @returns {Object} { template } with the CrawlJob fields, or { error, ...details } for the 400 response
+   */
+  parseJobTemplate(body, defaults = {}) {
+    const {
+      url, maxPages, ai, email,
+      takeScreenshots = defaults.takeScreenshots ?? true,
+      captureAboveTheFold = defaults.captureAboveTheFold ?? false,
+      sampledCrawl = defaults.sampledCrawl ?? false,
+      ignoreUrlParameters = defaults.ignoreUrlParameters ?? false,
+      requireEmailVerification = defaults.requireEmailVerification ?? true,
+      respectRobotsTxt = defaults.respectRobotsTxt ?? true,
+      rules,
+      performanceProfile = 'none'
+    } = body || {};
+    // Without a device, pages are rendered as the device the performance profile measures
+    const device = body?.device ?? this.performanceCollector.PROFILES[performanceProfile]?.device ?? 'desktop';
+
+    // Validate required fields
+    if (!url || !maxPages || ai === undefined || !email) {
+      return {
+        error: 'Missing required fields',
+        required: ['url', 'maxPages', 'ai', 'email']
+      };
+    }
+
+    // Validate field types
+    if (typeof url !== 'string' || typeof maxPages !== 'number' || typeof ai !== 'boolean' || typeof email !== 'string') {
+      return {
+        error: 'Invalid field types',
+        expected: {
+          url: 'string',
+          maxPages: 'number',
+          ai: 'boolean',
+          email: 'string',
+          takeScreenshots: 'boolean (optional, default: true)',
+          ignoreUrlParameters: 'boolean (optional, default: false)',
+          respectRobotsTxt: 'boolean (optional, default: true)'
+        }
+      };
+    }
+
+    const options = { takeScreenshots, captureAboveTheFold, sampledCrawl, ignoreUrlParameters, requireEmailVerification, respectRobotsTxt };
+    for (const name of this.BOOLEAN_OPTIONS) {
+      if (typeof options[name] !== 'boolean') {
+        return { error: 'Invalid field types', expected: { [name]: 'boolean' } };
+      }
+    }
+
+    if (!this.deviceEmulator.DEVICE_OPTIONS.includes(device)) {
+      return { error: 'Invalid device', allowed: this.deviceEmulator.DEVICE_OPTIONS };
+    }
+
+    if (!this.performanceCollector.PROFILE_NAMES.includes(performanceProfile)) {
+      return { error: 'Invalid performanceProfile', allowed: this.performanceCollector.PROFILE_NAMES };
+    }
+
+    // Performance is measured on the primary rendering, so the profile must be for that device
+    const primaryDevice = this.deviceEmulator.getDevices(device)[0];
+    const profileDevice = this.performanceCollector.PROFILES[performanceProfile]?.device;
+    if (profileDevice && profileDevice !== primaryDevice) {
+      return {
+        error: 'performanceProfile does not match device',
+        allowed: this.performanceCollector.PROFILE_NAMES
+          .filter(name => [undefined, primaryDevice].includes(this.performanceCollector.PROFILES[name]?.device))
+      };
+    }
+
+    if (rules !== undefined) {
+      const rulesConfig = parseRulesConfig(rules);
+      if (rulesConfig.error) {
+        return { error: rulesConfig.error, expected: rulesConfig.expected };
+      }
+    }
+
+    return {
+      template: { url, maxPages, ai, email, ...options, rules, device, performanceProfile }
+    };
+  }
+}
+
+module.exports = JobTemplateService;
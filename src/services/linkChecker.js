@@ -0,0 +1,278 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Link Checker Service
+ *
+ * Verifies that link targets respond, using HEAD requests with a GET fallback.
+ * Requests run concurrently with a per-host concurrency limit and a minimum
+ * gap between requests to the same host.
+ *
+ * Link targets come from the crawled site, so requests to loopback, private,
+ * link-local and other reserved addresses are refused, including after a
+ * redirect: otherwise a page could make the server probe its own network.
+ */
+class LinkChecker {
+  constructor() {
+    this.userAgent = 'SiteScope-Bot/1.0';
+    this.CONCURRENCY = parseInt(process.env.LINK_CHECK_CONCURRENCY) || 10;
+    this.PER_HOST_CONCURRENCY = parseInt(process.env.LINK_CHECK_PER_HOST_CONCURRENCY) || 2;
+    this.PER_HOST_DELAY = parseInt(process.env.LINK_CHECK_PER_HOST_DELAY) || 250; // ms between requests to the same host
+    this.TIMEOUT = parseInt(process.env.LINK_CHECK_TIMEOUT) || 10000; // 10 seconds
+    this.MAX_REDIRECTS = 10;
+    // How often the shouldStop callback of checkUrls is asked
+    this.STOP_CHECK_INTERVAL = 5000; // 5 seconds
+    this.BLOCKED_ADDRESSES = this.createBlockList();
+  }
+
+  /**
+   * Check a list of URLs
+   * @param {Array<string>} urls - URLs to check
+   * @param {Function|null} shouldStop - Optional async callback, asked every STOP_CHECK_INTERVAL;
+   *   no more URLs are requested once it returns true
+   * @returns {Promise<Map>} url -> { statusCode, status, contentType, finalUrl, contentLength, error }
+   */
+  async checkUrls(urls, shouldStop = null) {
+    const results = new Map();
+    const queue = this.interleaveByHost(urls);
+    const hostStates = new Map();
+    let stopped = false;
+
+    let checkingStop = false;
+    const stopTimer = shouldStop && setInterval(async () => {
+      if (checkingStop) return;
+      checkingStop = true;
+      try {
+        stopped = stopped || await shouldStop();
+      } catch (error) {
+        console.error('❌ Failed to check whether link checking should stop:', error.message);
+      } finally {
+        checkingStop = false;
+      }
+    }, this.STOP_CHECK_INTERVAL);
+
+    const worker = async () => {
+      while (queue.length > 0 && !stopped) {
+        const url = queue.shift();
+        const host = this.getHost(url);
+
+        await this.acquireHost(hostStates, host);
+        try {
+          results.set(url, await this.checkUrl(url));
+        } finally {
+          hostStates.get(host).active--;
+        }
+      }
+    };
+
+    const workerCount = Math.min(this.CONCURRENCY, queue.length);
+    try {
+      await Promise.all(Array.from({ length: workerCount }, worker));
+    } finally {
+      clearInterval(stopTimer);
+    }
+
+    return results;
+  }
+
+  /**
+   * Check a single URL, falling back to GET when HEAD fails or is rejected
+   * @param {string} url - URL to check
+   * @returns {Promise<Object>} { statusCode, status, contentType, finalUrl, contentLength, error }
+   */
+  async checkUrl(url) {
+    let result = await this.request(url, 'HEAD');
+
+    // Many servers reject or mishandle HEAD, so confirm failures with a GET
+    if (result.error || result.statusCode >= 400) {
+      result = await this.request(url, 'GET');
+    }
+
+    return result;
+  }
+
+  /**
+   * Send a single request, following redirects
+   */
+  async request(url, method) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.TIMEOUT);
+
+    try {
+      let currentUrl = url;
+      let response = await this.send(currentUrl, method, controller.signal);
+      for (let redirects = 0; response.statusCode >= 300 && response.statusCode < 400 && response.headers.location; redirects++) {
+        if (redirects === this.MAX_REDIRECTS) {
+          throw Object.assign(new Error('Too many redirects'), { code: 'ETOOMANYREDIRECTS' });
+        }
+        // Every hop is checked again; like fetch, a 303 is followed with a GET unless this is a HEAD request
+        currentUrl = new URL(response.headers.location, currentUrl).href;
+        response = await this.send(currentUrl, response.statusCode === 303 && method !== 'HEAD' ? 'GET' : method, controller.signal);
+      }
+
+      return {
+        statusCode: response.statusCode,
+        status: http.STATUS_CODES[response.statusCode] || 'Unknown',
+        contentType: response.headers['content-type'] || null,
+        finalUrl: currentUrl !== url ? currentUrl : null,
+        contentLength: parseInt(response.headers['content-length']) || null,
+        error: null
+      };
+    } catch (error) {
+      const isTimeout = error.name === 'AbortError';
+      const isBlocked = error.code === 'EBLOCKEDADDRESS';
+      return {
+        statusCode: null,
+        status: isTimeout ? 'Timeout' : isBlocked ? 'Blocked' : 'Connection Error',
+        contentType: null,
+        finalUrl: null,
+        contentLength: null,
+        error: isTimeout ? `No response within ${this.TIMEOUT}ms` : isBlocked ? error.message : (error.code || error.message)
+      };
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * Send one request without following redirects
+   * Host names are resolved through lookup(), which refuses blocked addresses at connection time,
+   * so a host can't pass a check and then resolve to another address
+   * @returns {Promise<Object>} { statusCode, headers }; the body is not read
+   */
+  send(url, method, signal) {
+    return new Promise((resolve, reject) => {
+      const target = new URL(url);
+      if (!['http:', 'https:'].includes(target.protocol)) {
+        return reject(Object.assign(new Error(`Unsupported protocol ${target.protocol}`), { code: 'EPROTOCOL' }));
+      }
+
+      // IP addresses are connected to without a lookup
+      const hostname = target.hostname.replace(/^\[|\]$/g, '');
+      if (net.isIP(hostname) && this.isBlockedAddress(hostname)) {
+        return reject(this.blockedError(target.hostname, hostname));
+      }
+
+      const client = target.protocol === 'https:' ? https : http;
+      const request = client.request(target, {
+        method,
+        headers: { 'User-Agent': this.userAgent },
+        lookup: (host, options, callback) => this.lookup(host, options, callback),
+        signal
+      }, response => {
+        // Only the status matters, don't download the body
+        response.destroy();
+        resolve({ statusCode: response.statusCode, headers: response.headers });
+      });
+      request.on('error', reject);
+      request.end();
+    });
+  }
+
+  /**
+   * dns.lookup that fails when the host resolves to a blocked address
+   */
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        return callback(error);
+      }
+
+      const blocked = addresses.find(({ address }) => this.isBlockedAddress(address));
+      if (blocked) {
+        return callback(this.blockedError(hostname, blocked.address));
+      }
+
+      if (options.all) {
+        return callback(null, addresses);
+      }
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  isBlockedAddress(address) {
+    return this.BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+  }
+
+  blockedError(host, address) {
+    return Object.assign(new Error(`${host} resolves to the non-public address ${address}`), { code: 'EBLOCKEDADDRESS' });
+  }
+
+  /**
+   * Loopback, private, shared, link-local (cloud metadata services), multicast and other reserved ranges
+   */
+  createBlockList() {
+    const blockList = new net.BlockList();
+
+    [
+      ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+      ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+      ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+    ].forEach(([network, prefix]) => blockList.addSubnet(network, prefix, 'ipv4'));
+
+    // IPv4-mapped addresses are checked against the IPv4 ranges by BlockList; NAT64 ones are blocked whole
+    [
+      ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64],
+      ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+    ].forEach(([network, prefix]) => blockList.addSubnet(network, prefix, 'ipv6'));
+
+    return blockList;
+  }
+
+  /**
+   * Wait until a request to the host is allowed by the per-host limits
+   */
+  async acquireHost(hostStates, host) {
+    if (!hostStates.has(host)) {
+      hostStates.set(host, { active: 0, nextRequestAt: 0 });
+    }
+    const state = hostStates.get(host);
+
+    while (state.active >= this.PER_HOST_CONCURRENCY || Date.now() < state.nextRequestAt) {
+      const wait = Math.max(state.nextRequestAt - Date.now(), 50);
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+
+    state.active++;
+    state.nextRequestAt = Date.now() + this.PER_HOST_DELAY;
+  }
+
+  /**
+   * Order URLs round-robin by host so workers don't all wait on the same host
+   */
+  interleaveByHost(urls) {
+    const byHost = new Map();
+    for (const url of new Set(urls)) {
+      const host = this.getHost(url);
+      if (!byHost.has(host)) {
+        byHost.set(host, []);
+      }
+      byHost.get(host).push(url);
+    }
+
+    const interleaved = [];
+    const groups = Array.from(byHost.values());
+    const longestGroup = Math.max(0, ...groups.map(group => group.length));
+    for (let i = 0; i < longestGroup; i++) {
+      for (const group of groups) {
+        if (i < group.length) {
+          interleaved.push(group[i]);
+        }
+      }
+    }
+
+    return interleaved;
+  }
+
+  getHost(url) {
+    try {
+      return new URL(url).host;
+    } catch (error) {
+      return url;
+    }
+  }
+}
+
+module.exports = LinkChecker;
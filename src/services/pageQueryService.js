@@ -0,0 +1,422 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { INDEXABILITY_STATUSES } = require('../rules/helpers/pageSignals');
+const ScreenshotService = require('./screenshotService');
+
+/**
+ * Page Query Service
+ *
+ * Lists the crawled pages of a job with keyset (cursor) pagination, field
+ * selection, sorting and filters, and builds the per-job page counts shown
+ * on the job endpoints.
+ */
+class PageQueryService {
+  constructor(prisma = new PrismaClient()) {
+    this.prisma = prisma;
+    this.screenshotService = new ScreenshotService(prisma);
+    this.DEFAULT_LIMIT = 50;
+    this.MAX_LIMIT = 500;
+
+    // Every page column can be selected, and the screenshot URLs built from the keys; raw HTML is only returned when asked for
+    this.FIELDS = [...new Set([
+      ...Object.values(Prisma.InternalLinkScalarFieldEnum).filter(field => field !== 'jobId'),
+      ...Object.keys(this.screenshotService.URL_FIELDS)
+    ])];
+    this.DEFAULT_FIELDS = [
+      'id', 'address', 'statusCode', 'status', 'indexability', 'indexabilityStatus', 'title',
+      'wordCount', 'responseTime', 'crawlDepth', 'crawlTimestamp'
+    ];
+
+    this.SORT_FIELDS = [
+      'address', 'title', 'statusCode', 'indexability', 'sizeBytes', 'transferredBytes',
+      'totalTransferredBytes', 'co2Mg', 'responseTime', 'ttfb', 'firstContentfulPaint',
+      'largestContentfulPaint', 'cumulativeLayoutShift', 'totalBlockingTime', 'domContentLoaded',
+      'loadTime', 'requestCount', 'jsBytes', 'cssBytes', 'imageBytes', 'fontBytes', 'wordCount',
+      'sentenceCount', 'avgWordsPerSentence', 'fleschReadingEaseScore', 'textRatio', 'crawlDepth', 'folderDepth',
+      'linkScore', 'inlinks', 'uniqueInlinks', 'percentOfTotal', 'outlinks', 'uniqueOutlinks',
+      'externalOutlinks', 'uniqueExternalOutlinks', 'numberOfNearDuplicates',
+      'semanticSimilarityScore', 'semanticRelevanceScore', 'lastModified', 'crawlTimestamp'
+    ];
+    // Sort columns that can't be null, and the ones whose cursor value is a date
+    this.REQUIRED_SORT_FIELDS = ['address', 'crawlTimestamp'];
+    this.DATE_SORT_FIELDS = ['lastModified', 'crawlTimestamp'];
+
+    this.INDEXABILITY_VALUES = ['Indexable', 'Non-Indexable'];
+    this.INDEXABILITY_STATUSES = INDEXABILITY_STATUSES;
+    this.CONTENT_FILTERS = ['missing', 'duplicate'];
+    this.MAX_REGEX_LENGTH = 200;
+  }
+
+  // ==================== QUERY PARSING ====================
+
+  /**
+   * Parse and validate the query string of the pages endpoint
+   * @param {Object} query - Express req.query
+   * @returns {Promise<Object>} { options } on success, { error, expected } for an invalid parameter
+   */
+  async parsePageQuery(query) {
+    const options = {
+      limit: Math.min(Math.max(parseInt(query.limit) || this.DEFAULT_LIMIT, 1), this.MAX_LIMIT),
+      fields: this.DEFAULT_FIELDS,
+      sort: query.sort || 'crawlTimestamp',
+      order: query.order || 'asc',
+      cursor: null,
+      statusCodeRanges: null,
+      indexability: query.indexability || null,
+      indexabilityStatus: query.indexabilityStatus || null,
+      wordCount: null,
+      responseTime: null,
+      title: query.title || null,
+      metaDescription: query.metaDescription || null,
+      addressPrefix: query.addressPrefix || null,
+      addressRegex: query.addressRegex || null
+    };
+
+    if (query.fields) {
+      options.fields = query.fields.split(',').map(field => field.trim()).filter(Boolean);
+      if (options.fields.length === 0 || options.fields.some(field => !this.FIELDS.includes(field))) {
+        return { error: 'Invalid fields', expected: `Comma-separated list of: ${this.FIELDS.join(', ')}` };
+      }
+    }
+
+    if (!this.SORT_FIELDS.includes(options.sort)) {
+      return { error: 'Invalid sort', expected: `One of: ${this.SORT_FIELDS.join(', ')}` };
+    }
+
+    if (!['asc', 'desc'].includes(options.order)) {
+      return { error: 'Invalid order', expected: 'asc or desc' };
+    }
+
+    if (query.cursor) {
+      options.cursor = this.decodeCursor(query.cursor, options.sort);
+      if (!options.cursor) {
+        return { error: 'Invalid cursor', expected: 'nextCursor from a previous response with the same sort' };
+      }
+    }
+
+    if (query.statusCode) {
+      options.statusCodeRanges = this.parseStatusCodeRanges(query.statusCode);
+      if (!options.statusCodeRanges) {
+        return { error: 'Invalid statusCode', expected: 'Comma-separated codes (404), classes (4xx) or ranges (500-599)' };
+      }
+    }
+
+    if (options.indexability && !this.INDEXABILITY_VALUES.includes(options.indexability)) {
+      return { error: 'Invalid indexability', expected: this.INDEXABILITY_VALUES.join(' or ') };
+    }
+
+    if (options.indexabilityStatus && !this.INDEXABILITY_STATUSES.includes(options.indexabilityStatus)) {
+      return { error: 'Invalid indexabilityStatus', expected: `One of: ${this.INDEXABILITY_STATUSES.join(', ')}` };
+    }
+
+    for (const metric of ['wordCount', 'responseTime']) {
+      const range = this.parseNumberRange(query, metric);
+      if (range === false) {
+        return { error: `Invalid ${metric} range`, expected: 'Non-negative integers' };
+      }
+      options[metric] = range;
+    }
+
+    for (const field of ['title', 'metaDescription']) {
+      if (options[field] && !this.CONTENT_FILTERS.includes(options[field])) {
+        return { error: `Invalid ${field}`, expected: this.CONTENT_FILTERS.join(' or ') };
+      }
+    }
+
+    if (options.addressRegex && !(await this.isValidRegex(options.addressRegex))) {
+      return { error: 'Invalid addressRegex', expected: `A POSIX regular expression of at most ${this.MAX_REGEX_LENGTH} characters` };
+    }
+
+    return { options };
+  }
+
+  /**
+   * Check a pattern with PostgreSQL's regex parser, which the filter runs with
+   * JavaScript's RegExp accepts syntax PostgreSQL rejects and the other way round
+   */
+  async isValidRegex(pattern) {
+    if (pattern.length > this.MAX_REGEX_LENGTH) {
+      return false;
+    }
+
+    try {
+      await this.prisma.$queryRaw`SELECT '' ~ ${pattern} AS "matches"`;
+      return true;
+    } catch (error) {
+      // invalid_regular_expression
+      if (error.meta?.code === '2201B') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Parse "404", "4xx" and "500-599" style status code filters
+   * @returns {Array|null} Array of [min, max] pairs, or null if invalid
+   */
+  parseStatusCodeRanges(value) {
+    const ranges = [];
+
+    for (const part of value.split(',').map(item => item.trim().toLowerCase())) {
+      let match;
+      if ((match = part.match(/^([1-5])xx$/))) {
+        const base = parseInt(match[1]) * 100;
+        ranges.push([base, base + 99]);
+      } else if ((match = part.match(/^(\d{3})-(\d{3})$/))) {
+        const min = parseInt(match[1]);
+        const max = parseInt(match[2]);
+        if (min > max) return null;
+        ranges.push([min, max]);
+      } else if (/^\d{3}$/.test(part)) {
+        ranges.push([parseInt(part), parseInt(part)]);
+      } else {
+        return null;
+      }
+    }
+
+    return ranges;
+  }
+
+  /**
+   * Parse the minX / maxX query parameters of a metric
+   * @returns {Object|null|false} { gte, lte } filter, null when not given, false when invalid
+   */
+  parseNumberRange(query, metric) {
+    const suffix = metric[0].toUpperCase() + metric.slice(1);
+    const range = {};
+
+    for (const [param, operator] of [[`min${suffix}`, 'gte'], [`max${suffix}`, 'lte']]) {
+      if (query[param] === undefined) continue;
+
+      const value = Number(query[param]);
+      if (!Number.isInteger(value) || value < 0) {
+        return false;
+      }
+      range[operator] = value;
+    }
+
+    return Object.keys(range).length > 0 ? range : null;
+  }
+
+  // ==================== CURSORS ====================
+
+  /**
+   * Encode the position after a page as an opaque cursor
+   */
+  encodeCursor(page, sort) {
+    const value = page[sort] instanceof Date ? page[sort].toISOString() : page[sort];
+    return Buffer.from(JSON.stringify({ s: sort, v: value ?? null, id: page.id })).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor created for the same sort column
+   * @returns {Object|null} { value, id } or null if the cursor is invalid
+   */
+  decodeCursor(cursor, sort) {
+    try {
+      const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (decoded.s !== sort || !Number.isInteger(decoded.id)) {
+        return null;
+      }
+
+      const value = decoded.v !== null && this.DATE_SORT_FIELDS.includes(sort) ? new Date(decoded.v) : decoded.v;
+      return { value, id: decoded.id };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Build the condition selecting the rows after the cursor
+   * Rows are ordered by the sort column (nulls last), then by id
+   */
+  buildCursorCondition(sort, order, cursor) {
+    const column = Prisma.raw(`"${sort}"`);
+    const after = Prisma.raw(order === 'asc' ? '>' : '<');
+
+    if (cursor.value === null) {
+      return Prisma.sql`(${column} IS NULL AND "id" ${after} ${cursor.id})`;
+    }
+
+    const conditions = [
+      Prisma.sql`${column} ${after} ${cursor.value}`,
+      Prisma.sql`(${column} = ${cursor.value} AND "id" ${after} ${cursor.id})`
+    ];
+    if (!this.REQUIRED_SORT_FIELDS.includes(sort)) {
+      conditions.push(Prisma.sql`${column} IS NULL`);
+    }
+
+    return Prisma.sql`(${Prisma.join(conditions, ' OR ')})`;
+  }
+
+  // ==================== LISTING ====================
+
+  /**
+   * List the pages of a job
+   * The filters run as one SQL query that returns the ids of the page; the
+   * selected columns are then read for those ids only
+   * @param {string} jobId - The job ID
+   * @param {Object} options - Options returned by parsePageQuery
+   * @returns {Promise<Object>} { pages, total, limit, nextCursor, hasMore }
+   */
+  async listPages(jobId, options) {
+    const where = this.buildWhere(jobId, options);
+    const pageWhere = options.cursor
+      ? Prisma.sql`${where} AND ${this.buildCursorCondition(options.sort, options.order, options.cursor)}`
+      : where;
+
+    // Sort and order are validated against fixed lists
+    const direction = Prisma.raw(options.order === 'asc' ? 'ASC' : 'DESC');
+    const [idRows, [{ total }]] = await Promise.all([
+      this.prisma.$queryRaw`
+        SELECT "id" FROM "InternalLink"
+        WHERE ${pageWhere}
+        ORDER BY ${Prisma.raw(`"${options.sort}"`)} ${direction} NULLS LAST, "id" ${direction}
+        LIMIT ${options.limit + 1}
+      `,
+      this.prisma.$queryRaw`SELECT COUNT(*)::int AS "total" FROM "InternalLink" WHERE ${where}`
+    ]);
+
+    const hasMore = idRows.length > options.limit;
+    const ids = idRows.slice(0, options.limit).map(row => row.id);
+
+    // The sort column and id are always read so the next cursor can be built
+    const select = {};
+    new Set([...options.fields, 'id', options.sort]).forEach(field => {
+      select[this.screenshotService.URL_FIELDS[field] || field] = true;
+    });
+
+    const rowsById = new Map((await this.prisma.internalLink.findMany({ where: { id: { in: ids } }, select }))
+      .map(row => [row.id, row]));
+    const rows = ids.map(id => rowsById.get(id)).filter(Boolean);
+    const lastRow = rows[rows.length - 1];
+
+    const pages = rows.map(row => {
+      this.screenshotService.withUrls(jobId, row);
+      const page = {};
+      options.fields.forEach(field => { page[field] = row[field]; });
+      return page;
+    });
+
+    return {
+      pages,
+      total,
+      limit: options.limit,
+      nextCursor: hasMore && lastRow ? this.encodeCursor(lastRow, options.sort) : null,
+      hasMore
+    };
+  }
+
+  /**
+   * Build the SQL condition for the filters
+   * Each filter is a single condition, so large jobs never expand into lists of ids or values
+   * @returns {Prisma.Sql} Condition on "InternalLink" rows
+   */
+  buildWhere(jobId, options) {
+    const conditions = [Prisma.sql`"jobId" = ${jobId}::uuid`];
+
+    if (options.statusCodeRanges) {
+      const ranges = options.statusCodeRanges.map(([min, max]) => Prisma.sql`"statusCode" BETWEEN ${min} AND ${max}`);
+      conditions.push(Prisma.sql`(${Prisma.join(ranges, ' OR ')})`);
+    }
+
+    if (options.indexability) {
+      conditions.push(Prisma.sql`"indexability" = ${options.indexability}`);
+    }
+
+    if (options.indexabilityStatus) {
+      conditions.push(Prisma.sql`"indexabilityStatus" = ${options.indexabilityStatus}`);
+    }
+
+    for (const metric of ['wordCount', 'responseTime']) {
+      const range = options[metric];
+      if (!range) continue;
+      if (range.gte !== undefined) conditions.push(Prisma.sql`${Prisma.raw(`"${metric}"`)} >= ${range.gte}`);
+      if (range.lte !== undefined) conditions.push(Prisma.sql`${Prisma.raw(`"${metric}"`)} <= ${range.lte}`);
+    }
+
+    for (const field of ['title', 'metaDescription']) {
+      const column = Prisma.raw(`"${field}"`);
+      if (options[field] === 'missing') {
+        conditions.push(Prisma.sql`(${column} IS NULL OR ${column} = '')`);
+      } else if (options[field] === 'duplicate') {
+        // Non-empty values used by more than one page of the job
+        conditions.push(Prisma.sql`${column} IN (
+          SELECT ${column} FROM "InternalLink"
+          WHERE "jobId" = ${jobId}::uuid AND ${column} <> ''
+          GROUP BY ${column}
+          HAVING COUNT(*) > 1
+        )`);
+      }
+    }
+
+    if (options.addressPrefix) {
+      conditions.push(Prisma.sql`starts_with("address", ${options.addressPrefix})`);
+    }
+
+    if (options.addressRegex) {
+      // Prisma has no regex filter, so match with PostgreSQL's POSIX regex operator
+      conditions.push(Prisma.sql`"address" ~ ${options.addressRegex}`);
+    }
+
+    return Prisma.join(conditions, ' AND ');
+  }
+
+  // ==================== SUMMARIES ====================
+
+  /**
+   * Count the pages of jobs by status code class and indexability
+   * @param {Array<string>} jobIds - Job IDs
+   * @returns {Promise<Map>} jobId -> { total, statusCodes, indexable, nonIndexable, nonIndexableByReason }
+   */
+  async getPageSummaries(jobIds) {
+    const summaries = new Map(jobIds.map(jobId => [jobId, {
+      total: 0,
+      statusCodes: { '2xx': 0, '3xx': 0, '4xx': 0, '5xx': 0, other: 0 },
+      indexable: 0,
+      nonIndexable: 0,
+      nonIndexableByReason: Object.fromEntries(INDEXABILITY_STATUSES.map(status => [status, 0]))
+    }]));
+
+    if (jobIds.length === 0) {
+      return summaries;
+    }
+
+    const [byStatusCode, byIndexability] = await Promise.all([
+      this.prisma.internalLink.groupBy({
+        by: ['jobId', 'statusCode'],
+        where: { jobId: { in: jobIds } },
+        _count: { _all: true }
+      }),
+      this.prisma.internalLink.groupBy({
+        by: ['jobId', 'indexability', 'indexabilityStatus'],
+        where: { jobId: { in: jobIds } },
+        _count: { _all: true }
+      })
+    ]);
+
+    for (const row of byStatusCode) {
+      const summary = summaries.get(row.jobId);
+      const statusClass = row.statusCode >= 200 && row.statusCode < 600 ? `${Math.floor(row.statusCode / 100)}xx` : 'other';
+
+      summary.total += row._count._all;
+      summary.statusCodes[statusClass] += row._count._all;
+    }
+
+    for (const row of byIndexability) {
+      const summary = summaries.get(row.jobId);
+      if (row.indexability === 'Indexable') {
+        summary.indexable += row._count._all;
+      } else if (row.indexability === 'Non-Indexable') {
+        summary.nonIndexable += row._count._all;
+        if (row.indexabilityStatus in summary.nonIndexableByReason) {
+          summary.nonIndexableByReason[row.indexabilityStatus] += row._count._all;
+        }
+      }
+    }
+
+    return summaries;
+  }
+}
+
+module.exports = PageQueryService;
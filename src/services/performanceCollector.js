@@ -0,0 +1,161 @@
+const { PredefinedNetworkConditions } = require('puppeteer');
+
+/**
+ * Performance Collector
+ *
+ * Measures how a page loads inside the browser: navigation timing (TTFB,
+ * DOMContentLoaded, load), paint and layout metrics recorded with
+ * PerformanceObserver (FCP, LCP, CLS, long tasks) and the bytes downloaded per
+ * resource type. Jobs can choose a profile that renders the pages as a
+ * desktop or mobile device and throttles CPU and network, so results resemble
+ * what real visitors see.
+ */
+class PerformanceCollector {
+  constructor() {
+    // Lighthouse-like presets; device is the device the pages must be rendered as (see DeviceEmulator)
+    // and cpuSlowdown the CPU throttling rate (1 = no throttling)
+    this.PROFILES = {
+      none: null,
+      desktop: { device: 'desktop', cpuSlowdown: 1, network: null },
+      mobile: { device: 'mobile', cpuSlowdown: 1, network: null },
+      'mobile-slow-4g': { device: 'mobile', cpuSlowdown: 4, network: PredefinedNetworkConditions['Slow 4G'] },
+      'mobile-slow-3g': { device: 'mobile', cpuSlowdown: 4, network: PredefinedNetworkConditions['Slow 3G'] }
+    };
+    this.PROFILE_NAMES = Object.keys(this.PROFILES);
+
+    // Long tasks block the main thread for the part of their duration above 50ms
+    this.LONG_TASK_THRESHOLD = 50;
+
+    // CDP resource types reported as byte totals
+    this.BYTE_FIELDS = { Script: 'jsBytes', Stylesheet: 'cssBytes', Image: 'imageBytes', Font: 'fontBytes' };
+  }
+
+  /**
+   * Prepare a page before it navigates: throttle it as the profile says and start the observers
+   * The page must already emulate the profile's device
+   * @param {Object} page - Puppeteer page
+   * @param {string} profileName - One of PROFILE_NAMES
+   */
+  async prepare(page, profileName) {
+    try {
+      const profile = this.PROFILES[profileName] || null;
+      if (profile) {
+        await page.emulateCPUThrottling(profile.cpuSlowdown > 1 ? profile.cpuSlowdown : null);
+        await page.emulateNetworkConditions(profile.network);
+      }
+
+      await page.evaluateOnNewDocument(this.installObservers);
+    } catch (error) {
+      console.error('❌ Failed to prepare performance measurement:', error.message);
+    }
+  }
+
+  /**
+   * Runs in the page before any of its scripts and keeps the observed values on window
+   */
+  installObservers() {
+    const observed = { fcp: null, lcp: null, cls: 0, longTasks: [] };
+    window.__sitescopePerformance = observed;
+
+    const observe = (type, callback) => {
+      try {
+        new PerformanceObserver(list => list.getEntries().forEach(callback)).observe({ type, buffered: true });
+      } catch (error) {
+        // Entry type not supported by this browser
+      }
+    };
+
+    observe('paint', entry => {
+      if (entry.name === 'first-contentful-paint') {
+        observed.fcp = entry.startTime;
+      }
+    });
+
+    // The last candidate reported before the metrics are read is the LCP
+    observe('largest-contentful-paint', entry => {
+      observed.lcp = entry.startTime;
+    });
+
+    // CLS is the largest session window: shifts less than 1s apart, at most 5s long, ignoring shifts after user input
+    let session = { value: 0, start: 0, last: 0 };
+    observe('layout-shift', entry => {
+      if (entry.hadRecentInput) return;
+
+      if (session.value > 0 && entry.startTime - session.last < 1000 && entry.startTime - session.start < 5000) {
+        session.value += entry.value;
+      } else {
+        session = { value: entry.value, start: entry.startTime, last: entry.startTime };
+      }
+      session.last = entry.startTime;
+      observed.cls = Math.max(observed.cls, session.value);
+    });
+
+    observe('longtask', entry => {
+      observed.longTasks.push({ startTime: entry.startTime, duration: entry.duration });
+    });
+  }
+
+  /**
+   * Read the performance metrics of a loaded page
+   * @param {Object} page - Puppeteer page prepared with prepare()
+   * @param {Object|null} networkData - Network summary of the page (resourceCount, bytesByType)
+   * @returns {Promise<Object>} Page columns; timings are milliseconds from navigation start
+   */
+  async collect(page, networkData = null) {
+    let timings = null;
+    try {
+      timings = await page.evaluate((longTaskThreshold) => {
+        const [navigation] = performance.getEntriesByType('navigation');
+        const observed = window.__sitescopePerformance || null;
+        const fcp = observed?.fcp ?? null;
+        const longTasks = observed?.longTasks || [];
+
+        return {
+          ttfb: navigation ? navigation.responseStart : null,
+          responseEnd: navigation ? navigation.responseEnd : null,
+          domContentLoaded: navigation?.domContentLoadedEventEnd || null,
+          loadTime: navigation?.loadEventEnd || null,
+          firstContentfulPaint: fcp,
+          largestContentfulPaint: observed?.lcp ?? null,
+          cumulativeLayoutShift: observed ? observed.cls : null,
+          longTaskCount: observed ? longTasks.length : null,
+          longTaskDuration: observed ? longTasks.reduce((sum, task) => sum + task.duration, 0) : null,
+          // Like Lighthouse, only tasks after the first contentful paint block the page
+          totalBlockingTime: observed && fcp !== null
+            ? longTasks
+              .filter(task => task.startTime >= fcp)
+              .reduce((sum, task) => sum + Math.max(task.duration - longTaskThreshold, 0), 0)
+            : null
+        };
+      }, this.LONG_TASK_THRESHOLD);
+    } catch (error) {
+      console.error('❌ Failed to read performance metrics:', error.message);
+    }
+
+    const round = value => (typeof value === 'number' ? Math.round(value) : null);
+    const metrics = {
+      // Time until the HTML document finished downloading
+      responseTime: round(timings?.responseEnd),
+      ttfb: round(timings?.ttfb),
+      firstContentfulPaint: round(timings?.firstContentfulPaint),
+      largestContentfulPaint: round(timings?.largestContentfulPaint),
+      cumulativeLayoutShift: typeof timings?.cumulativeLayoutShift === 'number'
+        ? Math.round(timings.cumulativeLayoutShift * 10000) / 10000
+        : null,
+      totalBlockingTime: round(timings?.totalBlockingTime),
+      longTaskCount: timings?.longTaskCount ?? null,
+      longTaskDuration: round(timings?.longTaskDuration),
+      domContentLoaded: round(timings?.domContentLoaded),
+      loadTime: round(timings?.loadTime),
+      requestCount: networkData?.resourceCount ?? null
+    };
+
+    for (const [type, field] of Object.entries(this.BYTE_FIELDS)) {
+      metrics[field] = networkData ? networkData.bytesByType[type] || 0 : null;
+    }
+
+    return metrics;
+  }
+}
+
+module.exports = PerformanceCollector;
@@ -0,0 +1,1145 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const DuplicateDetector = require('./duplicateDetector');
+const { rules, SEVERITIES } = require('../rules');
+const { getCanonicalDeclarations } = require('../rules/helpers/pageSignals');
+const { getStructuredData, RICH_RESULT_TYPES } = require('../rules/helpers/structuredData');
+
+// Crawled page a redirect ends on, for client-side redirects whose target status is unknown at crawl time
+const REDIRECT_TARGET_JOIN = Prisma.sql`
+  LEFT JOIN "InternalLink" AS "target" ON "chain"."finalStatusCode" IS NULL
+    AND "target"."jobId" = "chain"."jobId" AND "target"."address" = "chain"."finalUrl"
+`;
+// JSON arrays of a page row, empty when the column holds something else
+const HREFLANG_ALTERNATES = Prisma.sql`(CASE WHEN jsonb_typeof("page"."hreflangAlternates") = 'array' THEN "page"."hreflangAlternates" ELSE '[]'::jsonb END)`;
+const STRUCTURED_DATA_ENTITIES = Prisma.sql`(CASE WHEN jsonb_typeof("page"."structuredData"->'entities') = 'array' THEN "page"."structuredData"->'entities' ELSE '[]'::jsonb END)`;
+const STRUCTURED_DATA_ERRORS = Prisma.sql`(CASE WHEN jsonb_typeof("page"."structuredData"->'errors') = 'array' THEN "page"."structuredData"->'errors' ELSE '[]'::jsonb END)`;
+
+/**
+ * Crawl Report Service
+ *
+ * Builds the per-job reports exposed under /api/jobs/:id, computed from
+ * the data the crawl processor stored for the job.
+ */
+class ReportService {
+  constructor(prisma = new PrismaClient()) {
+    this.prisma = prisma;
+    this.REDIRECT_ISSUES = ['chain', 'loop', 'non200'];
+    this.REDIRECT_TYPES = ['http', 'meta-refresh', 'javascript'];
+    this.LINK_TYPES = ['internal', 'external'];
+    this.DUPLICATE_TYPES = ['exact', 'near'];
+    this.ISSUE_SEVERITIES = SEVERITIES;
+    this.ISSUE_CATEGORIES = [...new Set(rules.map(rule => rule.category))];
+    this.CANONICAL_STATUSES = ['self', 'canonicalized', 'missing'];
+    this.CANONICAL_ISSUES = rules.filter(rule => rule.category === 'canonicals').map(rule => rule.id);
+    this.HREFLANG_ISSUES = rules.filter(rule => rule.category === 'hreflang').map(rule => rule.id);
+    this.STRUCTURED_DATA_FORMATS = ['json-ld', 'microdata', 'rdfa'];
+    this.IMAGE_ISSUES = rules.filter(rule => rule.category === 'images').map(rule => rule.id);
+    this.STRUCTURED_DATA_ISSUES = rules.filter(rule => rule.category === 'structured-data').map(rule => rule.id);
+    this.PERFORMANCE_METRICS = [
+      'ttfb', 'firstContentfulPaint', 'largestContentfulPaint', 'cumulativeLayoutShift', 'totalBlockingTime',
+      'domContentLoaded', 'loadTime', 'responseTime', 'requestCount', 'totalTransferredBytes',
+      'jsBytes', 'cssBytes', 'imageBytes', 'fontBytes'
+    ];
+    this.PERFORMANCE_PERCENTILES = [50, 75, 90, 95];
+    // [good up to, poor above] per metric as published on web.dev; TBT stands in for INP, which needs user input
+    this.WEB_VITAL_THRESHOLDS = {
+      ttfb: [800, 1800],
+      firstContentfulPaint: [1800, 3000],
+      largestContentfulPaint: [2500, 4000],
+      cumulativeLayoutShift: [0.1, 0.25],
+      totalBlockingTime: [200, 600]
+    };
+    this.CORE_WEB_VITALS = ['largestContentfulPaint', 'cumulativeLayoutShift', 'totalBlockingTime'];
+    this.PERFORMANCE_RATINGS = ['good', 'needs-improvement', 'poor'];
+    this.duplicateDetector = new DuplicateDetector();
+  }
+
+  // ==================== REDIRECTS ====================
+
+  /**
+   * Build the redirect report for a job
+   * Flags chains (more than one hop), loops and redirects whose final target does not return 200
+   * @param {string} jobId - The job ID
+   * @param {Object} options - { issue, type, limit, offset }
+   * @returns {Promise<Object>} { summary, redirects, total, hasMore }
+   */
+  async getRedirectReport(jobId, { issue = null, type = null, limit = 50, offset = 0 } = {}) {
+    const [totalRedirects, chains, loops, typeCounts, [{ redirectsToNon200, total }], redirects] = await Promise.all([
+      this.prisma.redirectChain.count({ where: { jobId } }),
+      this.prisma.redirectChain.count({ where: { jobId, hopCount: { gt: 1 } } }),
+      this.prisma.redirectChain.count({ where: { jobId, isLoop: true } }),
+      this.prisma.redirectChain.groupBy({ by: ['redirectType'], where: { jobId }, _count: { _all: true } }),
+      this.prisma.$queryRaw`
+        SELECT
+          COUNT(*) FILTER (WHERE ${this.redirectCondition({ issue: 'non200' })})::int AS "redirectsToNon200",
+          COUNT(*) FILTER (WHERE ${this.redirectCondition({ issue, type })})::int AS "total"
+        FROM "RedirectChain" AS "chain" ${REDIRECT_TARGET_JOIN}
+        WHERE "chain"."jobId" = ${jobId}::uuid
+      `,
+      this.findRedirects(jobId, { issue, type, limit, offset })
+    ]);
+
+    const inlinkCounts = redirects.length > 0
+      ? await this.prisma.inlink.groupBy({
+          by: ['toAddress'],
+          where: { jobId, type: 'internal', toAddress: { in: redirects.map(redirect => redirect.sourceUrl) } },
+          _count: { _all: true }
+        })
+      : [];
+    const inlinksByAddress = new Map(inlinkCounts.map(row => [row.toAddress, row._count._all]));
+
+    const summary = {
+      totalRedirects,
+      chains,
+      loops,
+      redirectsToNon200,
+      byType: Object.fromEntries(this.REDIRECT_TYPES.map(redirectType => [
+        redirectType,
+        typeCounts.find(row => row.redirectType === redirectType)?._count._all || 0
+      ]))
+    };
+
+    return {
+      summary,
+      redirects: redirects.map(({ isChain, isLoop, redirectsToNon200: toNon200, ...redirect }) => ({
+        ...redirect,
+        inlinks: inlinksByAddress.get(redirect.sourceUrl) || 0,
+        isChain,
+        isLoop,
+        redirectsToNon200: toNon200
+      })),
+      total,
+      hasMore: offset + redirects.length < total
+    };
+  }
+
+  /**
+   * Find the redirects of a job, sorted by source URL
+   * @param {string} jobId - The job ID
+   * @param {Object} options - { issue, type, limit, offset }; no limit returns every redirect
+   * @returns {Promise<Array>} Array of { sourceUrl, finalUrl, redirectType, hopCount, hops, targetStatusCode, isChain, isLoop, redirectsToNon200 }
+   */
+  async findRedirects(jobId, { issue = null, type = null, limit = null, offset = 0 } = {}) {
+    // Client-side redirect targets have no status at crawl time; the crawled page provides it when there is one
+    const chains = await this.prisma.$queryRaw`
+      SELECT
+        "chain"."sourceUrl", "chain"."finalUrl", "chain"."redirectType", "chain"."hopCount", "chain"."hops", "chain"."isLoop",
+        COALESCE("chain"."finalStatusCode", "target"."statusCode") AS "targetStatusCode"
+      FROM "RedirectChain" AS "chain" ${REDIRECT_TARGET_JOIN}
+      WHERE "chain"."jobId" = ${jobId}::uuid AND ${this.redirectCondition({ issue, type })}
+      ORDER BY "chain"."sourceUrl"
+      ${this.limitClause(limit, offset)}
+    `;
+
+    return chains.map(chain => ({
+      sourceUrl: chain.sourceUrl,
+      finalUrl: chain.finalUrl,
+      redirectType: chain.redirectType,
+      hopCount: chain.hopCount,
+      hops: chain.hops,
+      targetStatusCode: chain.targetStatusCode,
+      isChain: chain.hopCount > 1,
+      isLoop: chain.isLoop,
+      redirectsToNon200: !chain.isLoop && chain.targetStatusCode !== null && chain.targetStatusCode !== 200
+    }));
+  }
+
+  /**
+   * SQL condition on "chain" rows (joined with their "target" page) for the redirect filters
+   */
+  redirectCondition({ issue = null, type = null }) {
+    const conditions = [];
+    if (type) conditions.push(Prisma.sql`"chain"."redirectType" = ${type}`);
+    if (issue === 'chain') conditions.push(Prisma.sql`"chain"."hopCount" > 1`);
+    if (issue === 'loop') conditions.push(Prisma.sql`"chain"."isLoop"`);
+    if (issue === 'non200') {
+      conditions.push(Prisma.sql`NOT "chain"."isLoop" AND COALESCE("chain"."finalStatusCode", "target"."statusCode") <> 200`);
+    }
+    return conditions.length > 0 ? Prisma.join(conditions, ' AND ') : Prisma.sql`TRUE`;
+  }
+
+  // ==================== BROKEN LINKS ====================
+
+  /**
+   * Build the broken links report for a job
+   * A target is broken when it returned 4xx/5xx or no response at all. Crawled pages come from
+   * the crawl itself, everything else from the post-crawl link verification.
+   * @param {string} jobId - The job ID
+   * @param {Object} options - { type, limit, offset }
+   * @returns {Promise<Object>} { summary, brokenLinks, total, hasMore }
+   */
+  async getBrokenLinksReport(jobId, { type = null, limit = 50, offset = 0 } = {}) {
+    const [brokenPages, checkCounts, [{ linksToBrokenTargets }], pageTargets] = await Promise.all([
+      this.prisma.internalLink.count({ where: { jobId, statusCode: { gte: 400 } } }),
+      this.prisma.linkCheck.groupBy({
+        by: ['type'],
+        where: { jobId, OR: [{ statusCode: null }, { statusCode: { gte: 400 } }] },
+        _count: { _all: true }
+      }),
+      this.prisma.$queryRaw`
+        SELECT COUNT(*)::int AS "linksToBrokenTargets" FROM "Inlink"
+        WHERE "jobId" = ${jobId}::uuid AND "toAddress" IN (SELECT "url" FROM (${this.brokenTargetsQuery(jobId)}) AS "target")
+      `,
+      this.findBrokenTargets(jobId, { type, limit, offset })
+    ]);
+
+    const failedChecks = type => checkCounts.find(row => row.type === type)?._count._all || 0;
+    const summary = {
+      brokenTargets: brokenPages + checkCounts.reduce((sum, row) => sum + row._count._all, 0),
+      internal: brokenPages + failedChecks('internal'),
+      external: failedChecks('external'),
+      brokenLinks: linksToBrokenTargets
+    };
+    const total = type ? summary[type] : summary.brokenTargets;
+
+    const urls = pageTargets.map(target => target.url);
+    // Every page and anchor text linking to the targets on this page of results
+    const [sourceCounts, inlinks] = urls.length > 0
+      ? await Promise.all([
+          this.prisma.inlink.groupBy({
+            by: ['toAddress'],
+            where: { jobId, toAddress: { in: urls } },
+            _count: { _all: true }
+          }),
+          this.prisma.inlink.findMany({
+            where: { jobId, toAddress: { in: urls } },
+            select: { toAddress: true, fromAddress: true, anchorText: true, altText: true, follow: true, linkPosition: true },
+            orderBy: [{ fromAddress: 'asc' }, { linkPosition: 'asc' }]
+          })
+        ])
+      : [[], []];
+    const sourcesByAddress = new Map(sourceCounts.map(row => [row.toAddress, row._count._all]));
+
+    const brokenLinks = pageTargets.map(target => ({
+      ...target,
+      inlinks: sourcesByAddress.get(target.url) || 0,
+      sources: inlinks
+        .filter(inlink => inlink.toAddress === target.url)
+        .map(inlink => ({
+          page: inlink.fromAddress,
+          anchorText: inlink.anchorText,
+          altText: inlink.altText,
+          follow: inlink.follow,
+          linkPosition: inlink.linkPosition
+        }))
+    }));
+
+    return {
+      summary,
+      brokenLinks,
+      total,
+      hasMore: offset + pageTargets.length < total
+    };
+  }
+
+  /**
+   * Find the broken link targets of a job, sorted by URL
+   * @param {string} jobId - The job ID
+   * @param {Object} options - { type, limit, offset }; no limit returns every target
+   * @returns {Promise<Array>} Array of { url, type, statusCode, status, contentType, finalUrl, error, crawled }
+   */
+  async findBrokenTargets(jobId, { type = null, limit = null, offset = 0 } = {}) {
+    return await this.prisma.$queryRaw`
+      SELECT * FROM (${this.brokenTargetsQuery(jobId)}) AS "target"
+      WHERE ${type ? Prisma.sql`"type" = ${type}` : Prisma.sql`TRUE`}
+      ORDER BY "url"
+      ${this.limitClause(limit, offset)}
+    `;
+  }
+
+  /**
+   * SQL selecting the broken link targets of a job: crawled pages that returned 4xx/5xx
+   * and verified links that failed
+   */
+  brokenTargetsQuery(jobId) {
+    return Prisma.sql`
+      SELECT "address" AS "url", 'internal' AS "type", "statusCode", "status", "contentType",
+        NULL AS "finalUrl", NULL AS "error", TRUE AS "crawled"
+      FROM "InternalLink"
+      WHERE "jobId" = ${jobId}::uuid AND "statusCode" >= 400
+      UNION ALL
+      SELECT "url", "type", "statusCode", "status", "contentType", "finalUrl", "error", FALSE AS "crawled"
+      FROM "LinkCheck"
+      WHERE "jobId" = ${jobId}::uuid AND ("statusCode" IS NULL OR "statusCode" >= 400)
+    `;
+  }
+
+  // ==================== DUPLICATES ====================
+
+  /**
+   * Build the duplicate content report for a job
+   * Clusters contain pages connected by exact or near-duplicate matches; a cluster is exact
+   * when all of its pages have identical main text.
+   * @param {string} jobId - The job ID
+   * @param {Object} options - { type, limit, offset }
+   * @returns {Promise<Object>} { summary, clusters, total, hasMore }
+   */
+  async getDuplicatesReport(jobId, { type = null, limit = 50, offset = 0 } = {}) {
+    const groups = Prisma.sql`
+      SELECT
+        "duplicateGroupId" AS "groupId",
+        COUNT(*)::int AS "size",
+        CASE WHEN COUNT(DISTINCT COALESCE("contentHash", '')) = 1 THEN 'exact' ELSE 'near' END AS "type"
+      FROM "InternalLink"
+      WHERE "jobId" = ${jobId}::uuid AND "duplicateGroupId" IS NOT NULL
+      GROUP BY "duplicateGroupId"
+    `;
+
+    const [[counts], pageGroups] = await Promise.all([
+      this.prisma.$queryRaw`
+        SELECT
+          COUNT(*)::int AS "clusters",
+          COUNT(*) FILTER (WHERE "type" = 'exact')::int AS "exactClusters",
+          COUNT(*) FILTER (WHERE "type" = 'near')::int AS "nearClusters",
+          COALESCE(SUM("size"), 0)::int AS "pagesWithDuplicates"
+        FROM (${groups}) AS "cluster"
+      `,
+      this.prisma.$queryRaw`
+        SELECT * FROM (${groups}) AS "cluster"
+        WHERE ${type ? Prisma.sql`"type" = ${type}` : Prisma.sql`TRUE`}
+        ORDER BY "size" DESC, "groupId" ASC
+        LIMIT ${limit} OFFSET ${offset}
+      `
+    ]);
+
+    const pages = pageGroups.length > 0
+      ? await this.prisma.internalLink.findMany({
+          where: { jobId, duplicateGroupId: { in: pageGroups.map(group => group.groupId) } },
+          select: {
+            id: true,
+            address: true,
+            title: true,
+            wordCount: true,
+            closestNearDuplicateMatch: true,
+            nearDuplicateSimilarity: true,
+            numberOfNearDuplicates: true,
+            duplicateGroupId: true
+          },
+          orderBy: { id: 'asc' }
+        })
+      : [];
+
+    const clusters = pageGroups.map(group => ({
+      groupId: group.groupId,
+      type: group.type,
+      size: group.size,
+      pages: pages.filter(page => page.duplicateGroupId === group.groupId).map(page => ({
+        id: page.id,
+        url: page.address,
+        title: page.title,
+        wordCount: page.wordCount,
+        closestMatch: page.closestNearDuplicateMatch,
+        similarity: page.nearDuplicateSimilarity,
+        numberOfDuplicates: page.numberOfNearDuplicates
+      }))
+    }));
+
+    const summary = {
+      threshold: this.duplicateDetector.SIMILARITY_THRESHOLD,
+      ...counts
+    };
+    const total = type ? counts[`${type}Clusters`] : counts.clusters;
+
+    return {
+      summary,
+      clusters,
+      total,
+      hasMore: offset + clusters.length < total
+    };
+  }
+
+  // ==================== CANONICALS ====================
+
+  /**
+   * Build the canonicalization report for a job
+   * Lists every successfully crawled page with the canonical it declares, what the canonical resolved
+   * to after the crawl and the canonical issues the audit rules found for it.
+   * @param {string} jobId - The job ID
+   * @param {Object} options - { status, issue, limit, offset }
+   * @returns {Promise<Object>} { summary, canonicals, total, hasMore }
+   */
+  async getCanonicalsReport(jobId, { status = null, issue = null, limit = 50, offset = 0 } = {}) {
+    const where = { jobId, statusCode: { gte: 200, lt: 300 } };
+    const statusWhere = {
+      self: { canonicalUrl: { equals: this.prisma.internalLink.fields.address } },
+      canonicalized: { canonicalUrl: { not: '' }, NOT: { canonicalUrl: { equals: this.prisma.internalLink.fields.address } } },
+      missing: { OR: [{ canonicalUrl: null }, { canonicalUrl: '' }] }
+    };
+    const filteredWhere = { AND: [where] };
+    if (status) filteredWhere.AND.push(statusWhere[status]);
+    if (issue) filteredWhere.AND.push({ issues: { some: { type: issue } } });
+
+    const [totalPages, statusCounts, issueCounts, total, pages] = await Promise.all([
+      this.prisma.internalLink.count({ where }),
+      Promise.all(this.CANONICAL_STATUSES.map(canonicalStatus => this.prisma.internalLink.count({
+        where: { AND: [where, statusWhere[canonicalStatus]] }
+      }))),
+      this.countPagesByIssue(jobId, 'canonicals'),
+      this.prisma.internalLink.count({ where: filteredWhere }),
+      this.prisma.internalLink.findMany({
+        where: filteredWhere,
+        select: {
+          id: true,
+          address: true,
+          indexability: true,
+          canonicalLinkElement: true,
+          canonicalLinkElements: true,
+          httpCanonical: true,
+          canonicalUrl: true,
+          canonicalSource: true,
+          canonicalTargetStatusCode: true,
+          canonicalRedirectUrl: true,
+          canonicalChain: true,
+          canonicalIsLoop: true
+        },
+        orderBy: [{ address: 'asc' }, { id: 'asc' }],
+        skip: offset,
+        take: limit
+      })
+    ]);
+
+    const issuesByPage = await this.loadIssueTypes(jobId, 'canonicals', pages.map(page => page.id));
+
+    const canonicals = pages.map(page => {
+      const declarations = getCanonicalDeclarations(page);
+      let canonicalStatus = 'missing';
+      if (page.canonicalUrl) {
+        canonicalStatus = page.canonicalUrl === page.address ? 'self' : 'canonicalized';
+      }
+
+      return {
+        id: page.id,
+        url: page.address,
+        indexability: page.indexability,
+        status: canonicalStatus,
+        canonicalUrl: page.canonicalUrl,
+        source: page.canonicalSource,
+        htmlCanonicals: declarations.elements,
+        httpCanonical: declarations.http,
+        targetStatusCode: page.canonicalTargetStatusCode,
+        redirectUrl: page.canonicalRedirectUrl,
+        chain: page.canonicalChain,
+        isLoop: page.canonicalIsLoop,
+        issues: issuesByPage.get(page.id) || []
+      };
+    });
+
+    const summary = {
+      totalPages,
+      ...Object.fromEntries(this.CANONICAL_STATUSES.map((canonicalStatus, i) => [canonicalStatus, statusCounts[i]])),
+      byIssue: Object.fromEntries(this.CANONICAL_ISSUES.map(type => [type, issueCounts.get(type) || 0]))
+    };
+
+    return {
+      summary,
+      canonicals,
+      total,
+      hasMore: offset + canonicals.length < total
+    };
+  }
+
+  // ==================== HREFLANG ====================
+
+  /**
+   * Build the hreflang matrix of a job
+   * One row per page that declares hreflang annotations (in the HTML, the HTTP Link header or a sitemap),
+   * with the URL it lists for each hreflang value and the hreflang issues the audit rules found for it.
+   * @param {string} jobId - The job ID
+   * @param {Object} options - { hreflang, issue, limit, offset }
+   * @returns {Promise<Object>} { summary, hreflangs, matrix, total, hasMore }
+   */
+  async getHreflangReport(jobId, { hreflang = null, issue = null, limit = 50, offset = 0 } = {}) {
+    const where = Prisma.sql`"page"."jobId" = ${jobId}::uuid AND "page"."hreflangAlternates" IS NOT NULL`;
+    const conditions = [where];
+    if (hreflang) {
+      conditions.push(Prisma.sql`EXISTS (
+        SELECT 1 FROM jsonb_array_elements(${HREFLANG_ALTERNATES}) AS "alternate"
+        WHERE lower("alternate"->>'hreflang') = ${hreflang.toLowerCase()}
+      )`);
+    }
+    if (issue) {
+      conditions.push(Prisma.sql`EXISTS (SELECT 1 FROM "Issue" WHERE "Issue"."pageId" = "page"."id" AND "Issue"."type" = ${issue})`);
+    }
+    const filteredWhere = Prisma.join(conditions, ' AND ');
+
+    const [[{ totalPages, total }], hreflangCounts, issueCounts, pageIds] = await Promise.all([
+      this.prisma.$queryRaw`
+        SELECT COUNT(*)::int AS "totalPages", COUNT(*) FILTER (WHERE ${filteredWhere})::int AS "total"
+        FROM "InternalLink" AS "page"
+        WHERE ${where}
+      `,
+      this.prisma.$queryRaw`
+        SELECT lower("alternate"->>'hreflang') AS "hreflang", COUNT(DISTINCT "page"."id")::int AS "pages"
+        FROM "InternalLink" AS "page", jsonb_array_elements(${HREFLANG_ALTERNATES}) AS "alternate"
+        WHERE ${where}
+        GROUP BY 1
+        ORDER BY 1
+      `,
+      this.countPagesByIssue(jobId, 'hreflang'),
+      this.prisma.$queryRaw`
+        SELECT "page"."id" FROM "InternalLink" AS "page"
+        WHERE ${filteredWhere}
+        ORDER BY "page"."address", "page"."id"
+        LIMIT ${limit} OFFSET ${offset}
+      `
+    ]);
+
+    const ids = pageIds.map(row => row.id);
+    const [pages, issuesByPage] = await Promise.all([
+      this.findPagesById(ids, { id: true, address: true, statusCode: true, language: true, hreflangAlternates: true }),
+      this.loadIssueTypes(jobId, 'hreflang', ids)
+    ]);
+
+    const matrix = pages.map(page => {
+      const alternates = {};
+      for (const alternate of page.hreflangAlternates) {
+        const code = alternate.hreflang.toLowerCase();
+        // Several URLs for one value are kept so the conflict is visible
+        alternates[code] = [...(alternates[code] || []), alternate.url];
+      }
+
+      return {
+        id: page.id,
+        url: page.address,
+        statusCode: page.statusCode,
+        language: page.language,
+        self: page.hreflangAlternates.filter(alternate => alternate.isSelf).map(alternate => alternate.hreflang),
+        alternates,
+        details: page.hreflangAlternates,
+        issues: issuesByPage.get(page.id) || []
+      };
+    });
+
+    const summary = {
+      totalPages,
+      byHreflang: Object.fromEntries(hreflangCounts.map(row => [row.hreflang, row.pages])),
+      byIssue: Object.fromEntries(this.HREFLANG_ISSUES.map(type => [type, issueCounts.get(type) || 0]))
+    };
+
+    return {
+      summary,
+      hreflangs: hreflangCounts.map(row => row.hreflang),
+      matrix,
+      total,
+      hasMore: offset + matrix.length < total
+    };
+  }
+
+  // ==================== STRUCTURED DATA ====================
+
+  /**
+   * Build the structured data report for a job
+   * Shows which schema.org types are used across the site (type coverage) and lists every successfully
+   * crawled page with its entities, parse errors and the structured data issues the audit rules found.
+   * @param {string} jobId - The job ID
+   * @param {Object} options - { type, format, issue, limit, offset }
+   * @returns {Promise<Object>} { summary, coverage, pages, total, hasMore }
+   */
+  async getStructuredDataReport(jobId, { type = null, format = null, issue = null, limit = 50, offset = 0 } = {}) {
+    const where = Prisma.sql`"page"."jobId" = ${jobId}::uuid AND "page"."statusCode" >= 200 AND "page"."statusCode" < 300`;
+    const conditions = [where];
+    if (type) {
+      conditions.push(Prisma.sql`EXISTS (
+        SELECT 1 FROM jsonb_array_elements(${STRUCTURED_DATA_ENTITIES}) AS "entity"
+        WHERE "entity"->'type' @> jsonb_build_array(${type}::text)
+      )`);
+    }
+    if (format) {
+      conditions.push(Prisma.sql`EXISTS (
+        SELECT 1 FROM jsonb_array_elements(${STRUCTURED_DATA_ENTITIES}) AS "entity"
+        WHERE "entity"->>'format' = ${format}
+      )`);
+    }
+    if (issue) {
+      conditions.push(Prisma.sql`EXISTS (SELECT 1 FROM "Issue" WHERE "Issue"."pageId" = "page"."id" AND "Issue"."type" = ${issue})`);
+    }
+    const filteredWhere = Prisma.join(conditions, ' AND ');
+
+    const [[counts], formatCounts, coverage, issueCounts, pageIds] = await Promise.all([
+      this.prisma.$queryRaw`
+        SELECT
+          COUNT(*)::int AS "totalPages",
+          COUNT(*) FILTER (WHERE jsonb_array_length(${STRUCTURED_DATA_ENTITIES}) > 0)::int AS "pagesWithStructuredData",
+          COUNT(*) FILTER (WHERE jsonb_array_length(${STRUCTURED_DATA_ERRORS}) > 0)::int AS "pagesWithErrors",
+          COUNT(*) FILTER (WHERE ${filteredWhere})::int AS "total"
+        FROM "InternalLink" AS "page"
+        WHERE ${where}
+      `,
+      this.prisma.$queryRaw`
+        SELECT "entity"->>'format' AS "format", COUNT(DISTINCT "page"."id")::int AS "pages"
+        FROM "InternalLink" AS "page", jsonb_array_elements(${STRUCTURED_DATA_ENTITIES}) AS "entity"
+        WHERE ${where}
+        GROUP BY 1
+      `,
+      this.prisma.$queryRaw`
+        SELECT
+          "entityType" AS "type",
+          COUNT(DISTINCT "page"."id")::int AS "pages",
+          COUNT(*)::int AS "entities",
+          COUNT(DISTINCT "page"."id") FILTER (WHERE EXISTS (
+            SELECT 1 FROM "Issue" WHERE "Issue"."pageId" = "page"."id" AND "Issue"."category" = 'structured-data'
+          ))::int AS "pagesWithIssues",
+          array_agg(DISTINCT "entity"->>'format') AS "formats"
+        FROM "InternalLink" AS "page",
+          jsonb_array_elements(${STRUCTURED_DATA_ENTITIES}) AS "entity",
+          jsonb_array_elements_text("entity"->'type') AS "entityType"
+        WHERE ${where}
+        GROUP BY "entityType"
+        ORDER BY "pages" DESC, "type" ASC
+      `,
+      this.countPagesByIssue(jobId, 'structured-data'),
+      this.prisma.$queryRaw`
+        SELECT "page"."id" FROM "InternalLink" AS "page"
+        WHERE ${filteredWhere}
+        ORDER BY "page"."address", "page"."id"
+        LIMIT ${limit} OFFSET ${offset}
+      `
+    ]);
+
+    const ids = pageIds.map(row => row.id);
+    const [pages, issuesByPage] = await Promise.all([
+      this.findPagesById(ids, { id: true, address: true, structuredData: true }),
+      this.loadIssueTypes(jobId, 'structured-data', ids)
+    ]);
+
+    const rows = pages.map(page => {
+      const { entities, errors } = getStructuredData(page);
+
+      return {
+        id: page.id,
+        url: page.address,
+        types: [...new Set(entities.flatMap(entity => entity.type))],
+        formats: [...new Set(entities.map(entity => entity.format))],
+        entities,
+        errors,
+        issues: issuesByPage.get(page.id) || []
+      };
+    });
+
+    const summary = {
+      totalPages: counts.totalPages,
+      pagesWithStructuredData: counts.pagesWithStructuredData,
+      pagesWithErrors: counts.pagesWithErrors,
+      byFormat: Object.fromEntries(this.STRUCTURED_DATA_FORMATS.map(structuredDataFormat => [
+        structuredDataFormat,
+        formatCounts.find(row => row.format === structuredDataFormat)?.pages || 0
+      ])),
+      byIssue: Object.fromEntries(this.STRUCTURED_DATA_ISSUES.map(issueType => [issueType, issueCounts.get(issueType) || 0]))
+    };
+
+    return {
+      summary,
+      coverage: coverage.map(typeCoverage => ({
+        type: typeCoverage.type,
+        richResult: RICH_RESULT_TYPES.includes(typeCoverage.type),
+        pages: typeCoverage.pages,
+        entities: typeCoverage.entities,
+        pagesWithIssues: typeCoverage.pagesWithIssues,
+        formats: typeCoverage.formats
+      })),
+      pages: rows,
+      total: counts.total,
+      hasMore: offset + rows.length < counts.total
+    };
+  }
+
+  // ==================== IMAGES ====================
+
+  /**
+   * Build the image inventory of a job
+   * Every distinct image with its format, size and status, the pages it appears on (with the alt text,
+   * dimensions and loading attributes of each <img>) and the image issues the audit rules found.
+   * @param {string} jobId - The job ID
+   * @param {Object} options - { issue, format, limit, offset }
+   * @returns {Promise<Object>} { summary, images, total, hasMore }
+   */
+  async getImagesReport(jobId, { issue = null, format = null, limit = 50, offset = 0 } = {}) {
+    // Image issues are stored on the page and point to the image through details.imageUrl
+    const conditions = [Prisma.sql`"image"."jobId" = ${jobId}::uuid`];
+    if (format) {
+      conditions.push(Prisma.sql`COALESCE(NULLIF("image"."format", ''), 'unknown') = ${format}`);
+    }
+    if (issue) {
+      conditions.push(Prisma.sql`EXISTS (
+        SELECT 1 FROM "Issue"
+        WHERE "Issue"."jobId" = "image"."jobId" AND "Issue"."type" = ${issue} AND "Issue"."details"->>'imageUrl' = "image"."url"
+      )`);
+    }
+    const filteredWhere = Prisma.join(conditions, ' AND ');
+
+    const [totals, totalOccurrences, formatCounts, issueCounts, [{ total }], imageIds] = await Promise.all([
+      this.prisma.image.aggregate({ where: { jobId }, _count: { _all: true }, _sum: { transferBytes: true } }),
+      this.prisma.imageOccurrence.count({ where: { jobId } }),
+      this.prisma.image.groupBy({ by: ['format'], where: { jobId }, _count: { _all: true } }),
+      this.prisma.$queryRaw`
+        SELECT "Issue"."type", COUNT(DISTINCT "image"."id")::int AS "images"
+        FROM "Issue"
+        JOIN "Image" AS "image" ON "image"."jobId" = "Issue"."jobId" AND "image"."url" = "Issue"."details"->>'imageUrl'
+        WHERE "Issue"."jobId" = ${jobId}::uuid AND "Issue"."category" = 'images'
+        GROUP BY "Issue"."type"
+      `,
+      this.prisma.$queryRaw`SELECT COUNT(*)::int AS "total" FROM "Image" AS "image" WHERE ${filteredWhere}`,
+      this.prisma.$queryRaw`
+        SELECT "image"."id" FROM "Image" AS "image"
+        WHERE ${filteredWhere}
+        ORDER BY "image"."url"
+        LIMIT ${limit} OFFSET ${offset}
+      `
+    ]);
+
+    const ids = imageIds.map(row => row.id);
+    const imagesById = new Map((ids.length > 0
+      ? await this.prisma.image.findMany({
+          where: { id: { in: ids } },
+          include: {
+            occurrences: {
+              select: {
+                pageId: true,
+                src: true,
+                alt: true,
+                widthAttribute: true,
+                heightAttribute: true,
+                renderedWidth: true,
+                renderedHeight: true,
+                loading: true,
+                srcset: true,
+                sizes: true,
+                page: { select: { address: true } }
+              },
+              orderBy: { pageId: 'asc' }
+            }
+          }
+        })
+      : []).map(image => [image.id, image]));
+    const images = ids.map(id => imagesById.get(id)).filter(Boolean);
+
+    const imageIssues = images.length > 0
+      ? await this.prisma.$queryRaw`
+          SELECT DISTINCT "details"->>'imageUrl' AS "imageUrl", "type" FROM "Issue"
+          WHERE "jobId" = ${jobId}::uuid AND "category" = 'images'
+            AND "details"->>'imageUrl' IN (${Prisma.join(images.map(image => image.url))})
+        `
+      : [];
+    const issuesByImage = new Map();
+    for (const imageIssue of imageIssues) {
+      if (!issuesByImage.has(imageIssue.imageUrl)) {
+        issuesByImage.set(imageIssue.imageUrl, []);
+      }
+      issuesByImage.get(imageIssue.imageUrl).push(imageIssue.type);
+    }
+
+    const rows = images.map(image => ({
+      id: image.id,
+      url: image.url,
+      format: image.format,
+      contentType: image.contentType,
+      statusCode: image.statusCode,
+      transferBytes: image.transferBytes,
+      naturalWidth: image.naturalWidth,
+      naturalHeight: image.naturalHeight,
+      error: image.error,
+      issues: issuesByImage.get(image.url) || [],
+      pageCount: new Set(image.occurrences.map(occurrence => occurrence.pageId)).size,
+      pages: image.occurrences.map(({ page, ...occurrence }) => ({ url: page.address, ...occurrence }))
+    }));
+
+    const formats = {};
+    formatCounts.forEach(row => {
+      const key = row.format || 'unknown';
+      formats[key] = (formats[key] || 0) + row._count._all;
+    });
+
+    const summary = {
+      totalImages: totals._count._all,
+      totalOccurrences,
+      totalBytes: totals._sum.transferBytes || 0,
+      byFormat: formats,
+      byIssue: Object.fromEntries(this.IMAGE_ISSUES.map(type => [
+        type,
+        issueCounts.find(row => row.type === type)?.images || 0
+      ]))
+    };
+
+    return {
+      summary,
+      images: rows,
+      total,
+      hasMore: offset + rows.length < total
+    };
+  }
+
+  // ==================== PERFORMANCE ====================
+
+  /**
+   * Build the performance report of a job
+   * Percentiles of every metric across the measured pages, how many pages are good, need improvement
+   * or are poor for each web vital, and the pages sorted by a metric (slowest first). A page is rated
+   * by its worst Core Web Vital.
+   * @param {string} jobId - The job ID
+   * @param {Object} options - { rating, sort, limit, offset }
+   * @returns {Promise<Object>} { summary, pages, total, hasMore }
+   */
+  async getPerformanceReport(jobId, { rating = null, sort = 'largestContentfulPaint', limit = 50, offset = 0 } = {}) {
+    const where = Prisma.sql`"jobId" = ${jobId}::uuid AND "ttfb" IS NOT NULL`;
+    const vitals = Object.keys(this.WEB_VITAL_THRESHOLDS);
+    // Ratings are compared by their index in PERFORMANCE_RATINGS, so a page's rating is the highest one
+    const pageRating = Prisma.sql`GREATEST(${Prisma.join(this.CORE_WEB_VITALS.map(metric => this.ratingIndex(metric)), ', ')})`;
+    const filteredWhere = rating
+      ? Prisma.sql`${where} AND ${pageRating} = ${this.PERFORMANCE_RATINGS.indexOf(rating)}`
+      : where;
+    const fractions = this.PERFORMANCE_PERCENTILES.map(percentile => percentile / 100);
+
+    const [job, [counts], pageIds] = await Promise.all([
+      this.prisma.crawlJob.findUnique({
+        where: { id: jobId },
+        select: { performanceProfile: true }
+      }),
+      this.prisma.$queryRaw`
+        SELECT
+          COUNT(*)::int AS "measuredPages",
+          COUNT(*) FILTER (WHERE ${filteredWhere})::int AS "total",
+          ${Prisma.join(this.PERFORMANCE_METRICS.map(metric => Prisma.sql`
+            percentile_cont(ARRAY[${Prisma.join(fractions)}]::float8[]) WITHIN GROUP (ORDER BY ${Prisma.raw(`"${metric}"`)}) AS ${Prisma.raw(`"p:${metric}"`)}
+          `), ', ')},
+          ${Prisma.join(vitals.flatMap(metric => this.PERFORMANCE_RATINGS.map((value, i) => Prisma.sql`
+            COUNT(*) FILTER (WHERE ${this.ratingIndex(metric)} = ${i})::int AS ${Prisma.raw(`"${metric}:${value}"`)}
+          `)), ', ')},
+          ${Prisma.join(this.PERFORMANCE_RATINGS.map((value, i) => Prisma.sql`
+            COUNT(*) FILTER (WHERE ${pageRating} = ${i})::int AS ${Prisma.raw(`"rating:${value}"`)}
+          `), ', ')}
+        FROM "InternalLink"
+        WHERE ${where}
+      `,
+      this.prisma.$queryRaw`
+        SELECT "id" FROM "InternalLink"
+        WHERE ${filteredWhere}
+        ORDER BY ${Prisma.raw(`"${sort}"`)} DESC NULLS LAST, "address", "id"
+        LIMIT ${limit} OFFSET ${offset}
+      `
+    ]);
+
+    const pages = await this.findPagesById(pageIds.map(row => row.id), {
+      id: true,
+      address: true,
+      ...Object.fromEntries(this.PERFORMANCE_METRICS.map(metric => [metric, true]))
+    });
+
+    const rows = pages.map(({ id, address, ...metrics }) => {
+      const ratings = Object.fromEntries(vitals.map(metric => [
+        metric,
+        this.rateMetric(metric, metrics[metric])
+      ]));
+      const vitalRatings = this.CORE_WEB_VITALS.map(metric => ratings[metric]).filter(Boolean);
+
+      return {
+        id,
+        url: address,
+        ...metrics,
+        ratings,
+        rating: vitalRatings.length > 0
+          ? this.PERFORMANCE_RATINGS[Math.max(...vitalRatings.map(value => this.PERFORMANCE_RATINGS.indexOf(value)))]
+          : null
+      };
+    });
+
+    const summary = {
+      profile: job?.performanceProfile || 'none',
+      measuredPages: counts.measuredPages,
+      percentiles: Object.fromEntries(this.PERFORMANCE_METRICS.map(metric => [
+        metric,
+        Object.fromEntries(this.PERFORMANCE_PERCENTILES.map((percentile, i) => [
+          `p${percentile}`,
+          this.round(counts[`p:${metric}`]?.[i] ?? null, metric === 'cumulativeLayoutShift' ? 4 : 0)
+        ]))
+      ])),
+      webVitals: Object.fromEntries(vitals.map(metric => [
+        metric,
+        Object.fromEntries(this.PERFORMANCE_RATINGS.map(value => [value, counts[`${metric}:${value}`]]))
+      ])),
+      byRating: Object.fromEntries(this.PERFORMANCE_RATINGS.map(value => [value, counts[`rating:${value}`]]))
+    };
+
+    return {
+      summary,
+      pages: rows,
+      total: counts.total,
+      hasMore: offset + rows.length < counts.total
+    };
+  }
+
+  /**
+   * Rate a metric value as good, needs-improvement or poor
+   * @returns {string|null} null when the value was not measured
+   */
+  rateMetric(metric, value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    const [good, poor] = this.WEB_VITAL_THRESHOLDS[metric];
+    if (value <= good) return 'good';
+    return value <= poor ? 'needs-improvement' : 'poor';
+  }
+
+  /**
+   * SQL expression rating a metric like rateMetric(), as an index in PERFORMANCE_RATINGS (NULL when not measured)
+   */
+  ratingIndex(metric) {
+    const [good, poor] = this.WEB_VITAL_THRESHOLDS[metric];
+    const column = Prisma.raw(`"${metric}"`);
+    return Prisma.sql`(CASE WHEN ${column} IS NULL THEN NULL WHEN ${column} <= ${good} THEN 0 WHEN ${column} <= ${poor} THEN 1 ELSE 2 END)`;
+  }
+
+  /**
+   * Round a value to some decimal places
+   * @returns {number|null} null when there is no value
+   */
+  round(value, decimals = 0) {
+    if (value === null) {
+      return null;
+    }
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+  }
+
+  // ==================== PAGES AND ISSUES ====================
+
+  /**
+   * LIMIT / OFFSET clause of a query; a null limit returns every row
+   */
+  limitClause(limit, offset) {
+    return limit === null
+      ? Prisma.sql`OFFSET ${offset}`
+      : Prisma.sql`LIMIT ${limit} OFFSET ${offset}`;
+  }
+
+  /**
+   * Read pages by id, in the order of the ids
+   * @param {Array<number>} ids - Page IDs, e.g. one page of report results
+   * @param {Object} select - Prisma select
+   * @returns {Promise<Array>} The pages
+   */
+  async findPagesById(ids, select) {
+    if (ids.length === 0) {
+      return [];
+    }
+    const pages = await this.prisma.internalLink.findMany({ where: { id: { in: ids } }, select });
+    const pagesById = new Map(pages.map(page => [page.id, page]));
+    return ids.map(id => pagesById.get(id)).filter(Boolean);
+  }
+
+  /**
+   * The issue types the audit rules found on some pages
+   * @param {string} jobId - The job ID
+   * @param {string} category - Rule category, e.g. canonicals
+   * @param {Array<number>} pageIds - Page IDs
+   * @returns {Promise<Map>} pageId -> Array of issue types
+   */
+  async loadIssueTypes(jobId, category, pageIds) {
+    const issues = pageIds.length > 0
+      ? await this.prisma.issue.findMany({
+          where: { jobId, category, pageId: { in: pageIds } },
+          select: { pageId: true, type: true },
+          distinct: ['pageId', 'type']
+        })
+      : [];
+
+    const issuesByPage = new Map();
+    for (const { pageId, type } of issues) {
+      if (!issuesByPage.has(pageId)) {
+        issuesByPage.set(pageId, []);
+      }
+      issuesByPage.get(pageId).push(type);
+    }
+    return issuesByPage;
+  }
+
+  /**
+   * Count the pages with each issue type of a rule category
+   * @param {string} jobId - The job ID
+   * @param {string} category - Rule category, e.g. canonicals
+   * @returns {Promise<Map>} issue type -> number of pages
+   */
+  async countPagesByIssue(jobId, category) {
+    const counts = await this.prisma.$queryRaw`
+      SELECT "type", COUNT(DISTINCT "pageId")::int AS "pages" FROM "Issue"
+      WHERE "jobId" = ${jobId}::uuid AND "category" = ${category}
+      GROUP BY "type"
+    `;
+    return new Map(counts.map(row => [row.type, row.pages]));
+  }
+
+  // ==================== ISSUES ====================
+
+  /**
+   * Build the SEO issues report for a job from the stored audit rule findings
+   * @param {string} jobId - The job ID
+   * @param {Object} options - { type, severity, category, limit, offset }
+   * @returns {Promise<Object>} { summary, issues, total, hasMore }
+   */
+  async getIssuesReport(jobId, { type = null, severity = null, category = null, limit = 50, offset = 0 } = {}) {
+    const where = { jobId };
+    if (type) where.type = type;
+    if (severity) where.severity = severity;
+    if (category) where.category = category;
+
+    const [typeCounts, total, issues] = await Promise.all([
+      this.prisma.issue.groupBy({
+        by: ['type', 'severity'],
+        where: { jobId },
+        _count: { _all: true }
+      }),
+      this.prisma.issue.count({ where }),
+      this.prisma.issue.findMany({
+        where,
+        select: { id: true, pageId: true, url: true, type: true, category: true, severity: true, message: true, details: true },
+        orderBy: [{ url: 'asc' }, { id: 'asc' }],
+        skip: offset,
+        take: limit
+      })
+    ]);
+
+    const summary = {
+      totalIssues: typeCounts.reduce((sum, row) => sum + row._count._all, 0),
+      bySeverity: Object.fromEntries(this.ISSUE_SEVERITIES.map(issueSeverity => [
+        issueSeverity,
+        typeCounts.filter(row => row.severity === issueSeverity).reduce((sum, row) => sum + row._count._all, 0)
+      ])),
+      byType: typeCounts
+        .sort((a, b) => b._count._all - a._count._all)
+        .reduce((counts, row) => ({ ...counts, [row.type]: (counts[row.type] || 0) + row._count._all }), {})
+    };
+
+    return {
+      summary,
+      issues,
+      total,
+      hasMore: offset + issues.length < total
+    };
+  }
+
+  /**
+   * Stream the problems found by the crawl and the SEO audit as flat rows
+   * Every source is read in id-ordered batches, so rows come grouped by source
+   * (broken links, redirects, duplicates, robots.txt blocks, audit findings) rather than sorted by URL.
+   * @param {string} jobId - The job ID
+   * @param {number} batchSize - Rows read per query
+   * @returns {AsyncGenerator<Object>} Rows of { issue, severity, url, detail }
+   */
+  async *streamCrawlIssues(jobId, batchSize = 1000) {
+    const brokenTarget = (type, target) => ({
+      issue: type === 'internal' ? 'broken-internal-link' : 'broken-external-link',
+      severity: 'high',
+      url: target.url,
+      detail: target.statusCode ? `${target.statusCode} ${target.status}` : `${target.status}: ${target.error}`
+    });
+
+    const brokenPages = this.findManyInBatches('internalLink', {
+      where: { jobId, statusCode: { gte: 400 } },
+      select: { address: true, statusCode: true, status: true }
+    }, batchSize);
+    for await (const page of brokenPages) {
+      yield brokenTarget('internal', { url: page.address, statusCode: page.statusCode, status: page.status });
+    }
+
+    const failedChecks = this.findManyInBatches('linkCheck', {
+      where: { jobId, OR: [{ statusCode: null }, { statusCode: { gte: 400 } }] },
+      select: { url: true, type: true, statusCode: true, status: true, error: true }
+    }, batchSize);
+    for await (const check of failedChecks) {
+      yield brokenTarget(check.type, check);
+    }
+
+    const problemRedirects = Prisma.join(
+      this.REDIRECT_ISSUES.map(issue => Prisma.sql`(${this.redirectCondition({ issue })})`),
+      ' OR '
+    );
+    const redirects = this.inBatches((lastId, take) => this.prisma.$queryRaw`
+      SELECT
+        "chain"."id", "chain"."sourceUrl", "chain"."finalUrl", "chain"."hopCount", "chain"."isLoop",
+        COALESCE("chain"."finalStatusCode", "target"."statusCode") AS "targetStatusCode"
+      FROM "RedirectChain" AS "chain" ${REDIRECT_TARGET_JOIN}
+      WHERE "chain"."jobId" = ${jobId}::uuid AND "chain"."id" > ${lastId} AND (${problemRedirects})
+      ORDER BY "chain"."id"
+      LIMIT ${take}
+    `, batchSize);
+    for await (const redirect of redirects) {
+      if (redirect.isLoop) {
+        yield { issue: 'redirect-loop', severity: 'high', url: redirect.sourceUrl, detail: `Loops after ${redirect.hopCount} hops` };
+        continue;
+      }
+      if (redirect.targetStatusCode !== null && redirect.targetStatusCode !== 200) {
+        yield { issue: 'redirect-to-non-200', severity: 'medium', url: redirect.sourceUrl, detail: `${redirect.finalUrl} returns ${redirect.targetStatusCode}` };
+      }
+      if (redirect.hopCount > 1) {
+        yield { issue: 'redirect-chain', severity: 'low', url: redirect.sourceUrl, detail: `${redirect.hopCount} hops to ${redirect.finalUrl}` };
+      }
+    }
+
+    const duplicatePages = this.findManyInBatches('internalLink', {
+      where: { jobId, duplicateGroupId: { not: null } },
+      select: { address: true, closestNearDuplicateMatch: true, nearDuplicateSimilarity: true }
+    }, batchSize);
+    for await (const page of duplicatePages) {
+      const exact = page.nearDuplicateSimilarity === 1;
+      yield {
+        issue: exact ? 'exact-duplicate' : 'near-duplicate',
+        severity: exact ? 'medium' : 'low',
+        url: page.address,
+        detail: `${Math.round(page.nearDuplicateSimilarity * 100)}% similar to ${page.closestNearDuplicateMatch}`
+      };
+    }
+
+    const robotsBlocked = this.findManyInBatches('robotsBlockedUrl', {
+      where: { jobId },
+      select: { address: true, matchedRule: true }
+    }, batchSize);
+    for await (const blocked of robotsBlocked) {
+      yield { issue: 'blocked-by-robots-txt', severity: 'low', url: blocked.address, detail: blocked.matchedRule };
+    }
+
+    // Findings stored by the audit rules
+    const pageIssues = this.findManyInBatches('issue', {
+      where: { jobId },
+      select: { type: true, severity: true, url: true, message: true }
+    }, batchSize);
+    for await (const pageIssue of pageIssues) {
+      yield { issue: pageIssue.type, severity: pageIssue.severity, url: pageIssue.url, detail: pageIssue.message };
+    }
+  }
+
+  /**
+   * Read rows of a model in id-ordered batches
+   * @param {string} model - Prisma model name
+   * @param {Object} query - { where, select }; the id is always selected
+   * @param {number} batchSize - Rows read per query
+   * @returns {AsyncGenerator<Object>} The rows, one at a time
+   */
+  findManyInBatches(model, { where, select }, batchSize) {
+    return this.inBatches((lastId, take) => this.prisma[model].findMany({
+      where: { ...where, id: { gt: lastId } },
+      select: { ...select, id: true },
+      orderBy: { id: 'asc' },
+      take
+    }), batchSize);
+  }
+
+  /**
+   * Page through rows with an id cursor
+   * @param {Function} fetchBatch - (lastId, take) => Promise of rows with an `id`, ordered by id, after lastId
+   * @param {number} batchSize - Rows read per query
+   * @returns {AsyncGenerator<Object>} The rows, one at a time
+   */
+  async *inBatches(fetchBatch, batchSize) {
+    let lastId = 0;
+    while (true) {
+      const batch = await fetchBatch(lastId, batchSize);
+      yield* batch;
+      if (batch.length < batchSize) {
+        return;
+      }
+      lastId = batch[batch.length - 1].id;
+    }
+  }
+}
+
+module.exports = ReportService;
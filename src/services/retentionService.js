@@ -0,0 +1,367 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const ScreenshotService = require('./screenshotService');
+const ArtifactStorage = require('./artifactStorage');
+
+/**
+ * Retention Service
+ *
+ * Deletes crawl jobs with everything they stored (database rows through the
+ * schema's cascades, legacy screenshot files and the artifacts no other job
+ * uses), applies the retention policy configured with RETENTION_* variables
+ * and reports the storage used by each job and user.
+ */
+class RetentionService {
+  constructor(prisma = new PrismaClient()) {
+    this.prisma = prisma;
+    this.screenshotService = new ScreenshotService(prisma);
+    this.artifactStorage = new ArtifactStorage(prisma);
+
+    // Days after which data of a job is dropped; unset or 0 keeps it forever
+    const days = (value) => (parseInt(value) > 0 ? parseInt(value) : null);
+    this.POLICY = {
+      htmlDays: days(process.env.RETENTION_HTML_DAYS),
+      screenshotDays: days(process.env.RETENTION_SCREENSHOT_DAYS),
+      jobDays: days(process.env.RETENTION_JOB_DAYS)
+    };
+
+    // Artifacts of deleted jobs used this recently may belong to a page of another job that is being saved
+    this.ARTIFACT_GRACE_PERIOD = 10 * 60 * 1000; // 10 minutes
+
+    // Tables whose rows belong to a job, measured by the storage report
+    this.JOB_TABLES = [
+      'InternalLink', 'ExternalLink', 'Inlink', 'Sitemap', 'RobotsBlockedUrl', 'FrontierUrl',
+      'RedirectChain', 'LinkCheck', 'Issue', 'Image', 'ImageOccurrence', 'PageRendering'
+    ];
+  }
+
+  // ==================== DELETION ====================
+
+  /**
+   * IDs of the jobs deleteJobs would delete: running jobs are skipped and must be stopped first
+   * @param {Object} where - Prisma filter on CrawlJob
+   * @returns {Promise<Array>} Job IDs
+   */
+  async findDeletableJobs(where) {
+    const jobs = await this.prisma.crawlJob.findMany({
+      where: { AND: [where, { status: { not: 'running' } }] },
+      select: { id: true },
+      orderBy: { createdAt: 'asc' }
+    });
+    return jobs.map(job => job.id);
+  }
+
+  /**
+   * Delete jobs with all their data
+   * @param {Object} where - Prisma filter on CrawlJob
+   * @returns {Promise<Object>} { deletedJobs, jobIds, removedArtifacts, freedBytes }
+   */
+  async deleteJobs(where) {
+    const candidates = await this.findDeletableJobs(where);
+
+    const keys = new Set();
+    const jobIds = [];
+    for (const jobId of candidates) {
+      const jobKeys = await this.artifactStorage.getReferencedKeys({ jobId });
+
+      // Pages, links, issues and every other row of the job are removed by the cascades;
+      // the status check skips a job a worker claimed in the meantime
+      const { count } = await this.prisma.crawlJob.deleteMany({ where: { id: jobId, status: { not: 'running' } } });
+      if (count === 0) continue;
+
+      jobKeys.forEach(key => keys.add(key));
+      jobIds.push(jobId);
+      await this.screenshotService.deleteJobScreenshots(jobId);
+      await this.dropRequestQueue(jobId);
+    }
+
+    const artifacts = keys.size > 0
+      ? await this.artifactStorage.removeUnreferencedArtifacts({ keys: [...keys], gracePeriod: this.ARTIFACT_GRACE_PERIOD })
+      : { count: 0, bytes: 0 };
+
+    if (jobIds.length > 0) {
+      console.log(`🗑️ Deleted ${jobIds.length} jobs and ${artifacts.count} artifacts (${Math.round(artifacts.bytes / 1024)} KB)`);
+    }
+
+    return { deletedJobs: jobIds.length, jobIds, removedArtifacts: artifacts.count, freedBytes: artifacts.bytes };
+  }
+
+  /**
+   * Drop the Crawlee request queue a stopped or paused job left on disk
+   */
+  async dropRequestQueue(jobId) {
+    try {
+      const { RequestQueue } = require('crawlee');
+      const requestQueue = await RequestQueue.open(`job-${jobId}`);
+      await requestQueue.drop();
+    } catch (error) {
+      console.error(`❌ Failed to drop the request queue of job ${jobId}:`, error.message);
+    }
+  }
+
+  // ==================== RETENTION POLICY ====================
+
+  /**
+   * Apply the retention policy, then remove the artifacts nothing refers to any more
+   * @returns {Promise<Object>} { deletedJobs, htmlDroppedPages, screenshotsDroppedPages, removedArtifacts, freedBytes }
+   */
+  async applyRetentionPolicy() {
+    const result = { deletedJobs: 0, htmlDroppedPages: 0, screenshotsDroppedPages: 0, removedArtifacts: 0, freedBytes: 0 };
+
+    if (this.POLICY.jobDays) {
+      const deleted = await this.deleteJobs({ createdAt: { lt: this.daysAgo(this.POLICY.jobDays) } });
+      result.deletedJobs = deleted.deletedJobs;
+      result.removedArtifacts += deleted.removedArtifacts;
+      result.freedBytes += deleted.freedBytes;
+    }
+
+    if (this.POLICY.htmlDays) {
+      const { count } = await this.prisma.internalLink.updateMany({
+        where: {
+          job: { createdAt: { lt: this.daysAgo(this.POLICY.htmlDays) } },
+          OR: [{ htmlContent: { not: null } }, { htmlKey: { not: null } }]
+        },
+        data: { htmlContent: null, htmlKey: null }
+      });
+      result.htmlDroppedPages = count;
+    }
+
+    if (this.POLICY.screenshotDays) {
+      const jobs = await this.prisma.crawlJob.findMany({
+        where: {
+          createdAt: { lt: this.daysAgo(this.POLICY.screenshotDays) },
+          internalLinks: { some: { OR: [{ screenshotKey: { not: null } }, { thumbnailKey: { not: null } }] } }
+        },
+        select: { id: true }
+      });
+
+      for (const job of jobs) {
+        const { count } = await this.prisma.internalLink.updateMany({
+          where: { jobId: job.id },
+          data: { screenshotKey: null, thumbnailKey: null, aboveTheFoldKey: null }
+        });
+        result.screenshotsDroppedPages += count;
+        await this.screenshotService.deleteJobScreenshots(job.id);
+      }
+    }
+
+    // Also collects the HTML and screenshots dropped above
+    const artifacts = await this.artifactStorage.removeUnreferencedArtifacts();
+    result.removedArtifacts += artifacts.count;
+    result.freedBytes += artifacts.bytes;
+
+    return result;
+  }
+
+  daysAgo(days) {
+    return new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  }
+
+  // ==================== STORAGE USAGE ====================
+
+  /**
+   * Storage used in total, by each user and by a page of jobs
+   * Of the jobs, only those on the page are measured; the database total is the size of the job tables on disk.
+   * Artifacts shared by several jobs (or users) count towards each of them, so their totals can add up to more than the summary
+   * @param {Object} options - { limit, offset } for the jobs
+   * @returns {Promise<Object>} { summary, users, jobs, total, hasMore }
+   */
+  async getStorageReport({ limit = 100, offset = 0 } = {}) {
+    const [total, jobs, userCounts, databaseBytes, legacyScreenshotBytes, artifactTotals] = await Promise.all([
+      this.prisma.crawlJob.count(),
+      this.prisma.crawlJob.findMany({
+        select: { id: true, url: true, status: true, userId: true, createdAt: true, pagesCrawled: true },
+        orderBy: [{ pagesCrawled: 'desc' }, { createdAt: 'desc' }, { id: 'asc' }],
+        skip: offset,
+        take: limit
+      }),
+      this.prisma.crawlJob.groupBy({
+        by: ['userId'],
+        _count: { _all: true },
+        _sum: { pagesCrawled: true }
+      }),
+      this.getDatabaseBytes(),
+      this.screenshotService.getLegacyScreenshotSizes(),
+      this.prisma.artifact.aggregate({ _count: { key: true }, _sum: { size: true, storedSize: true } })
+    ]);
+
+    const jobIds = jobs.map(job => job.id);
+    const [jobDatabaseBytes, jobArtifactBytes, userDatabaseBytes, userArtifactBytes, legacyOwners, owners] = await Promise.all([
+      this.getDatabaseBytesByJob(jobIds),
+      this.getArtifactBytesByJob(jobIds),
+      this.getDatabaseBytesByUser(),
+      this.getArtifactBytesByUser(),
+      this.prisma.crawlJob.findMany({
+        where: { id: { in: [...legacyScreenshotBytes.keys()] } },
+        select: { id: true, userId: true }
+      }),
+      this.prisma.user.findMany({
+        where: { id: { in: userCounts.map(row => row.userId).filter(userId => userId !== null) } },
+        select: { id: true, email: true, name: true }
+      })
+    ]);
+
+    const rows = jobs.map(job => {
+      const row = {
+        jobId: job.id,
+        url: job.url,
+        status: job.status,
+        userId: job.userId,
+        createdAt: job.createdAt,
+        pagesCrawled: job.pagesCrawled,
+        databaseBytes: jobDatabaseBytes.get(job.id) || 0,
+        artifactBytes: jobArtifactBytes.get(job.id) || 0,
+        legacyScreenshotBytes: legacyScreenshotBytes.get(job.id) || 0
+      };
+      row.totalBytes = row.databaseBytes + row.artifactBytes + row.legacyScreenshotBytes;
+      return row;
+    });
+
+    const userLegacyScreenshotBytes = new Map();
+    for (const job of legacyOwners) {
+      userLegacyScreenshotBytes.set(job.userId, (userLegacyScreenshotBytes.get(job.userId) || 0) + legacyScreenshotBytes.get(job.id));
+    }
+
+    // Jobs created before ownership was tracked are grouped under a null user
+    const usersById = new Map(owners.map(user => [user.id, user]));
+    const users = userCounts.map(row => {
+      const user = {
+        userId: row.userId,
+        email: usersById.get(row.userId)?.email || null,
+        name: usersById.get(row.userId)?.name || null,
+        jobs: row._count._all,
+        pagesCrawled: row._sum.pagesCrawled || 0,
+        databaseBytes: userDatabaseBytes.get(row.userId) || 0,
+        artifactBytes: userArtifactBytes.get(row.userId) || 0,
+        legacyScreenshotBytes: userLegacyScreenshotBytes.get(row.userId) || 0
+      };
+      user.totalBytes = user.databaseBytes + user.artifactBytes + user.legacyScreenshotBytes;
+      return user;
+    }).sort((a, b) => b.totalBytes - a.totalBytes || b.pagesCrawled - a.pagesCrawled);
+
+    const summary = {
+      jobs: total,
+      databaseBytes,
+      artifactCount: artifactTotals._count.key,
+      artifactBytes: artifactTotals._sum.storedSize || 0,
+      artifactUncompressedBytes: artifactTotals._sum.size || 0,
+      legacyScreenshotBytes: [...legacyScreenshotBytes.values()].reduce((sum, bytes) => sum + bytes, 0),
+      retentionPolicy: this.POLICY
+    };
+    summary.totalBytes = summary.databaseBytes + summary.artifactBytes + summary.legacyScreenshotBytes;
+
+    return {
+      summary,
+      users,
+      jobs: rows,
+      total,
+      hasMore: offset + rows.length < total
+    };
+  }
+
+  /**
+   * Disk space of the job table and JOB_TABLES, including their indexes and TOAST data
+   * @returns {Promise<number>} Bytes
+   */
+  async getDatabaseBytes() {
+    const tables = ['CrawlJob', ...this.JOB_TABLES].map(table => Prisma.sql`pg_total_relation_size(${`"${table}"`}::regclass)`);
+    const [{ bytes }] = await this.prisma.$queryRaw`SELECT (${Prisma.join(tables, ' + ')})::bigint AS bytes`;
+    return Number(bytes);
+  }
+
+  /**
+   * Bytes of the database rows of some jobs (the job row and the rows of JOB_TABLES)
+   * @param {Array<string>} jobIds - Job IDs
+   * @returns {Promise<Map>} jobId -> bytes
+   */
+  async getDatabaseBytesByJob(jobIds) {
+    if (jobIds.length === 0) {
+      return new Map();
+    }
+
+    const sizes = await this.prisma.$queryRaw`
+      SELECT "jobId", SUM(bytes)::bigint AS bytes FROM (${this.jobRowSizes(jobIds)}) sizes
+      GROUP BY "jobId"
+    `;
+
+    return new Map(sizes.map(size => [size.jobId, Number(size.bytes)]));
+  }
+
+  /**
+   * Bytes of the database rows of every job, totalled per owner
+   * @returns {Promise<Map>} userId (null for jobs without owner) -> bytes
+   */
+  async getDatabaseBytesByUser() {
+    const sizes = await this.prisma.$queryRaw`
+      SELECT j."userId", SUM(sizes.bytes)::bigint AS bytes
+      FROM (${this.jobRowSizes()}) sizes
+      JOIN "CrawlJob" j ON j."id" = sizes."jobId"
+      GROUP BY j."userId"
+    `;
+
+    return new Map(sizes.map(size => [size.userId, Number(size.bytes)]));
+  }
+
+  /**
+   * SQL selecting ("jobId", bytes) rows: the size of each job row and of its rows in each of JOB_TABLES
+   * @param {Array<string>|null} jobIds - Jobs to measure (every job by default)
+   */
+  jobRowSizes(jobIds = null) {
+    const ofJobs = (column) => (jobIds
+      ? Prisma.sql`${Prisma.raw(column)} IN (${Prisma.join(jobIds.map(jobId => Prisma.sql`${jobId}::uuid`))})`
+      : Prisma.sql`TRUE`);
+    const tables = this.JOB_TABLES.map(table => Prisma.sql`
+      SELECT "jobId", SUM(pg_column_size(t.*))::bigint AS bytes FROM ${Prisma.raw(`"${table}"`)} t
+      WHERE ${ofJobs('"jobId"')} GROUP BY "jobId"
+    `);
+
+    return Prisma.sql`
+      SELECT "id" AS "jobId", pg_column_size(j.*)::bigint AS bytes FROM "CrawlJob" j WHERE ${ofJobs('"id"')}
+      UNION ALL ${Prisma.join(tables, ' UNION ALL ')}
+    `;
+  }
+
+  /**
+   * Stored bytes of the artifacts some jobs refer to
+   * @param {Array<string>} jobIds - Job IDs
+   * @returns {Promise<Map>} jobId -> bytes
+   */
+  async getArtifactBytesByJob(jobIds) {
+    if (jobIds.length === 0) {
+      return new Map();
+    }
+
+    const ofJobs = Prisma.sql`l."jobId" IN (${Prisma.join(jobIds.map(jobId => Prisma.sql`${jobId}::uuid`))})`;
+    return this.sumArtifactBytes(Prisma.sql`l."jobId"`, ofJobs);
+  }
+
+  /**
+   * Stored bytes of the artifacts the jobs of each owner refer to; an artifact used by several jobs of a user counts once
+   * @returns {Promise<Map>} userId (null for jobs without owner) -> bytes
+   */
+  async getArtifactBytesByUser() {
+    return this.sumArtifactBytes(Prisma.sql`j."userId"`, Prisma.sql`TRUE`);
+  }
+
+  /**
+   * Total the stored size of the distinct artifacts referenced by pages, grouped by a column of the page ("l") or its job ("j")
+   * @returns {Promise<Map>} group value -> bytes
+   */
+  async sumArtifactBytes(owner, condition) {
+    const sizes = await this.prisma.$queryRaw`
+      SELECT refs."owner", SUM(a."storedSize")::bigint AS bytes
+      FROM (
+        SELECT DISTINCT ${owner} AS "owner", k.key
+        FROM "InternalLink" l
+        JOIN "CrawlJob" j ON j."id" = l."jobId"
+        CROSS JOIN LATERAL unnest(ARRAY[l."htmlKey", l."screenshotKey", l."thumbnailKey", l."aboveTheFoldKey"]) AS k(key)
+        WHERE ${condition} AND k.key IS NOT NULL
+      ) refs
+      JOIN "Artifact" a ON a."key" = refs.key
+      GROUP BY refs."owner"
+    `;
+
+    return new Map(sizes.map(size => [size.owner, Number(size.bytes)]));
+  }
+}
+
+module.exports = RetentionService;
@@ -95,7 +95,9 @@ class RobotsCrawler {
       }
     };
 
-    let currentUserAgent = null;
+    // Consecutive User-agent lines form a single group sharing the rules below them
+    let currentUserAgents = [];
+    let groupHasRules = false;
 
     for (const line of lines) {
       // Skip comments
@@ -105,13 +107,19 @@ class RobotsCrawler {
       if (colonIndex === -1) continue;
 
       const directive = line.substring(0, colonIndex).trim().toLowerCase();
-      const value = line.substring(colonIndex + 1).trim();
+      // Strip trailing inline comments (e.g. "Disallow: /admin # private")
+      const value = line.substring(colonIndex + 1).replace(/\s+#.*$/, '').trim();
 
       switch (directive) {
         case 'user-agent':
-          currentUserAgent = value.toLowerCase();
-          if (!result.userAgents[currentUserAgent]) {
-            result.userAgents[currentUserAgent] = {
+          if (groupHasRules) {
+            currentUserAgents = [];
+            groupHasRules = false;
+          }
+          const agent = value.toLowerCase();
+          currentUserAgents.push(agent);
+          if (!result.userAgents[agent]) {
+            result.userAgents[agent] = {
               disallow: [],
               allow: [],
               crawlDelay: null
@@ -120,30 +128,33 @@ class RobotsCrawler {
           break;
 
         case 'disallow':
-          if (currentUserAgent) {
-            result.userAgents[currentUserAgent].disallow.push(value);
+          groupHasRules = true;
+          for (const agent of currentUserAgents) {
+            result.userAgents[agent].disallow.push(value);
           }
           result.rules.disallow.push({
-            userAgent: currentUserAgent,
+            userAgent: currentUserAgents[0] || null,
             path: value
           });
           break;
 
         case 'allow':
-          if (currentUserAgent) {
-            result.userAgents[currentUserAgent].allow.push(value);
+          groupHasRules = true;
+          for (const agent of currentUserAgents) {
+            result.userAgents[agent].allow.push(value);
           }
           result.rules.allow.push({
-            userAgent: currentUserAgent,
+            userAgent: currentUserAgents[0] || null,
             path: value
           });
           break;
 
         case 'crawl-delay':
-          const delay = parseInt(value);
+          groupHasRules = true;
+          const delay = parseFloat(value);
           if (!isNaN(delay)) {
-            if (currentUserAgent) {
-              result.userAgents[currentUserAgent].crawlDelay = delay;
+            for (const agent of currentUserAgents) {
+              result.userAgents[agent].crawlDelay = delay;
             }
             result.crawlDelay = delay;
           }
@@ -169,44 +180,78 @@ class RobotsCrawler {
   /**
    * Check if a path is allowed for a specific user agent
    * @param {Object} robotsData - Parsed robots.txt data
-   * @param {string} path - Path to check
+   * @param {string} path - Path to check (including query string)
    * @param {string} userAgent - User agent to check for (defaults to '*')
    * @returns {boolean} Whether the path is allowed
    */
   isPathAllowed(robotsData, path, userAgent = '*') {
-    if (!robotsData.userAgents) return true;
+    const rule = this.findMatchingRule(robotsData, path, userAgent);
+    return !rule || rule.type === 'allow';
+  }
 
-    const agents = [userAgent.toLowerCase(), '*'];
-    
-    for (const agent of agents) {
-      const rules = robotsData.userAgents[agent];
-      if (!rules) continue;
-
-      // Check disallow rules first (more restrictive)
-      for (const disallowPath of rules.disallow) {
-        if (this.pathMatches(path, disallowPath)) {
-          // Check if there's a more specific allow rule
-          for (const allowPath of rules.allow) {
-            if (this.pathMatches(path, allowPath) && allowPath.length > disallowPath.length) {
-              return true;
-            }
-          }
-          return false;
-        }
-      }
+  /**
+   * Find the rule that decides whether a path may be crawled.
+   * Follows the Google/RFC 9309 precedence: the longest matching pattern wins,
+   * and Allow wins over Disallow when both match with the same length.
+   * @param {Object} robotsData - Parsed robots.txt data
+   * @param {string} path - Path to check (including query string)
+   * @param {string} userAgent - User agent to check for (defaults to '*')
+   * @returns {Object|null} Matching rule ({ type, path, userAgent }) or null if no rule applies
+   */
+  findMatchingRule(robotsData, path, userAgent = '*') {
+    if (!robotsData || !robotsData.userAgents) return null;
 
-      // If no disallow rule matched, check allow rules
-      if (rules.allow.length > 0) {
-        for (const allowPath of rules.allow) {
-          if (this.pathMatches(path, allowPath)) {
-            return true;
-          }
+    const agent = this.resolveUserAgentGroup(robotsData, userAgent);
+    if (!agent) return null;
+
+    const rules = robotsData.userAgents[agent];
+    let bestMatch = null;
+
+    for (const type of ['disallow', 'allow']) {
+      for (const pattern of rules[type]) {
+        if (!this.pathMatches(path, pattern)) continue;
+
+        const isLonger = !bestMatch || pattern.length > bestMatch.path.length;
+        const winsTie = bestMatch && pattern.length === bestMatch.path.length && type === 'allow';
+        if (isLonger || winsTie) {
+          bestMatch = { type, path: pattern, userAgent: agent };
         }
-        return false; // Explicit allow rules present but none matched
       }
     }
 
-    return true; // No rules found, assume allowed
+    return bestMatch;
+  }
+
+  /**
+   * Pick the robots.txt group that applies to a user agent.
+   * A group naming our product token takes precedence over the '*' group. As RFC 9309
+   * requires, the whole token must match (case-insensitively): "User-agent: site" does
+   * not apply to sitescope-bot.
+   * @param {Object} robotsData - Parsed robots.txt data
+   * @param {string} userAgent - Full user agent string or product token
+   * @returns {string|null} Key into robotsData.userAgents, or null if no group applies
+   */
+  resolveUserAgentGroup(robotsData, userAgent = '*') {
+    const token = this.getProductToken(userAgent);
+
+    if (token !== '*') {
+      // Group names are stored lowercased; a version written after the token ("SiteScope-Bot/1.0") is ignored
+      const specific = Object.keys(robotsData.userAgents)
+        .find(agent => agent !== '*' && this.getProductToken(agent) === token);
+      if (specific) return specific;
+    }
+
+    return robotsData.userAgents['*'] ? '*' : null;
+  }
+
+  /**
+   * Reduce a user agent string to the lowercase product token used in robots.txt
+   * (e.g. "SiteScope-Bot/1.0" -> "sitescope-bot")
+   * @param {string} userAgent - User agent string
+   * @returns {string} Product token
+   */
+  getProductToken(userAgent = '*') {
+    return userAgent.split('/')[0].trim().toLowerCase() || '*';
   }
 
   /**
@@ -216,23 +261,19 @@ class RobotsCrawler {
    * @returns {boolean} Whether the path matches the pattern
    */
   pathMatches(path, pattern) {
+    // An empty pattern (e.g. "Disallow:") matches nothing
     if (!pattern) return false;
-    if (pattern === '/') return path === '/';
-    if (pattern === '') return true;
 
     // Convert robots.txt pattern to regex
     // * matches any sequence of characters
-    // $ at the end means exact match to end of path
-    let regexPattern = pattern
-      .replace(/\*/g, '.*')
-      .replace(/\$$/, '$');
-    
-    // If pattern doesn't end with $ or *, it's a prefix match
-    if (!pattern.endsWith('$') && !pattern.endsWith('*')) {
-      regexPattern = '^' + regexPattern;
-    } else {
-      regexPattern = '^' + regexPattern;
-    }
+    // $ at the end anchors the match to the end of the path
+    // Anything else is a prefix match
+    const anchored = pattern.endsWith('$');
+    const body = anchored ? pattern.slice(0, -1) : pattern;
+    const regexPattern = '^' + body
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*') + (anchored ? '$' : '');
 
     try {
       const regex = new RegExp(regexPattern);
@@ -250,18 +291,14 @@ class RobotsCrawler {
    * @returns {number|null} Crawl delay in seconds, or null if not specified
    */
   getCrawlDelay(robotsData, userAgent = '*') {
-    if (!robotsData.userAgents) return null;
+    if (!robotsData || !robotsData.userAgents) return null;
 
-    const agents = [userAgent.toLowerCase(), '*'];
-    
-    for (const agent of agents) {
-      const rules = robotsData.userAgents[agent];
-      if (rules && rules.crawlDelay !== null) {
-        return rules.crawlDelay;
-      }
+    const agent = this.resolveUserAgentGroup(robotsData, userAgent);
+    if (agent && robotsData.userAgents[agent].crawlDelay !== null) {
+      return robotsData.userAgents[agent].crawlDelay;
     }
 
-    return robotsData.crawlDelay || null;
+    return null;
   }
 }
 
@@ -0,0 +1,281 @@
+const { PrismaClient } = require('@prisma/client');
+const JobTemplateService = require('./jobTemplateService');
+const CronParser = require('./cronParser');
+
+/**
+ * Schedule Service
+ *
+ * Recurring crawls. A schedule holds a cron expression evaluated in its time
+ * zone and the settings of the jobs to create; CronService calls
+ * runDueSchedules() every minute, which turns each due schedule into a new
+ * pending CrawlJob linked to it through scheduleId. A run is skipped while
+ * the previous run of the schedule is still pending or running.
+ */
+class ScheduleService {
+  constructor(prisma = new PrismaClient()) {
+    this.prisma = prisma;
+    this.jobTemplateService = new JobTemplateService();
+    // Evaluates the cron expressions of schedules in their time zone
+    this.cronParser = new CronParser();
+
+    this.STATUSES = ['active', 'paused'];
+    // Runs in these statuses keep the next run from starting, so slow crawls don't pile up
+    this.ACTIVE_RUN_STATUSES = ['pending', 'running'];
+    // Nobody is there to enter a verification code each time a schedule runs
+    this.TEMPLATE_DEFAULTS = { requireEmailVerification: false };
+    this.DUE_BATCH_SIZE = 100;
+  }
+
+  // ==================== VALIDATION ====================
+
+  /**
+   * Validate the body of a create or update request
+   * @param {Object} body - Request body: { name, cronExpression, timezone, jobTemplate }
+   * @param {Object|null} existing - The schedule being updated; fields missing from the body keep its values
+   * @returns {Object} { data } with the CrawlSchedule fields to write, or { error, ...details } for the 400 response
+   */
+  parseScheduleInput(body, existing = null) {
+    const { name, cronExpression, timezone, jobTemplate } = body || {};
+    const data = {};
+
+    if (!existing && (!cronExpression || !jobTemplate)) {
+      return { error: 'Missing required fields', required: ['cronExpression', 'jobTemplate'] };
+    }
+
+    if (name !== undefined) {
+      if (name !== null && typeof name !== 'string') {
+        return { error: 'Invalid field types', expected: { name: 'string' } };
+      }
+      data.name = name;
+    }
+
+    if (cronExpression !== undefined) {
+      if (typeof cronExpression !== 'string' || !this.cronParser.parse(cronExpression)) {
+        return { error: 'Invalid cronExpression', expected: this.cronParser.EXPECTED };
+      }
+      data.cronExpression = cronExpression.trim().replace(/\s+/g, ' ');
+    }
+
+    if (timezone !== undefined) {
+      if (typeof timezone !== 'string' || !this.isValidTimezone(timezone)) {
+        return { error: 'Invalid timezone', expected: 'IANA time zone, e.g. Europe/Paris' };
+      }
+      data.timezone = timezone;
+    }
+
+    if (jobTemplate !== undefined) {
+      const { template, error, ...details } = this.jobTemplateService.parseJobTemplate(jobTemplate, this.TEMPLATE_DEFAULTS);
+      if (error) {
+        return { error: `Invalid jobTemplate: ${error}`, ...details };
+      }
+      data.jobTemplate = template;
+    }
+
+    // The next run changes with the expression or the time zone
+    const status = existing?.status || 'active';
+    if (status === 'active' && (data.cronExpression || data.timezone || !existing)) {
+      data.nextRunAt = this.cronParser.getNextRun(data.cronExpression || existing.cronExpression, data.timezone || existing?.timezone || 'UTC');
+      if (!data.nextRunAt) {
+        return { error: 'cronExpression never matches', expected: this.cronParser.EXPECTED };
+      }
+    }
+
+    return { data };
+  }
+
+  isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // ==================== SCHEDULES ====================
+
+  async createSchedule(userId, data) {
+    return this.prisma.crawlSchedule.create({
+      data: { timezone: 'UTC', ...data, userId }
+    });
+  }
+
+  async updateSchedule(scheduleId, data) {
+    return this.prisma.crawlSchedule.update({ where: { id: scheduleId }, data });
+  }
+
+  /**
+   * Delete a schedule; the jobs it created are kept and no longer linked to it
+   */
+  async deleteSchedule(scheduleId) {
+    await this.prisma.crawlSchedule.delete({ where: { id: scheduleId } });
+  }
+
+  async pauseSchedule(scheduleId) {
+    return this.updateSchedule(scheduleId, { status: 'paused', nextRunAt: null });
+  }
+
+  /**
+   * Resume a paused schedule from its next occurrence; runs missed while paused are not made up
+   */
+  async resumeSchedule(schedule) {
+    return this.updateSchedule(schedule.id, {
+      status: 'active',
+      nextRunAt: this.cronParser.getNextRun(schedule.cronExpression, schedule.timezone)
+    });
+  }
+
+  /**
+   * List schedules with their number of runs
+   * @param {Object} where - Prisma filter
+   * @param {Object} options - { take, skip }
+   * @returns {Promise<Object>} { schedules, total }
+   */
+  async listSchedules(where, { take, skip }) {
+    const [schedules, total] = await Promise.all([
+      this.prisma.crawlSchedule.findMany({
+        where,
+        include: { _count: { select: { jobs: true } } },
+        orderBy: { createdAt: 'desc' },
+        take,
+        skip
+      }),
+      this.prisma.crawlSchedule.count({ where })
+    ]);
+
+    return { schedules: schedules.map(schedule => this.formatSchedule(schedule)), total };
+  }
+
+  async getSchedule(scheduleId) {
+    const schedule = await this.prisma.crawlSchedule.findUnique({
+      where: { id: scheduleId },
+      include: { _count: { select: { jobs: true } } }
+    });
+    return schedule ? this.formatSchedule(schedule) : null;
+  }
+
+  formatSchedule({ _count, ...schedule }) {
+    return { ...schedule, runCount: _count?.jobs ?? 0 };
+  }
+
+  /**
+   * Jobs created by a schedule, newest first
+   * Each run carries the ID of the run before it, so consecutive runs can be compared
+   * @param {string} scheduleId - The schedule ID
+   * @param {Object} options - { take, skip }
+   * @returns {Promise<Object>} { runs, total }
+   */
+  async getRuns(scheduleId, { take, skip }) {
+    const [jobs, total] = await Promise.all([
+      this.prisma.crawlJob.findMany({
+        where: { scheduleId },
+        select: {
+          id: true, url: true, status: true, createdAt: true, startedAt: true, completedAt: true,
+          pagesCrawled: true, totalUniquePagesFound: true, errorMessage: true
+        },
+        orderBy: { createdAt: 'desc' },
+        // One more run than requested provides the previous run of the last one
+        take: take + 1,
+        skip
+      }),
+      this.prisma.crawlJob.count({ where: { scheduleId } })
+    ]);
+
+    const runs = jobs.slice(0, take).map((job, index) => ({
+      ...job,
+      previousJobId: jobs[index + 1]?.id || null
+    }));
+
+    return { runs, total };
+  }
+
+  // ==================== RUNS ====================
+
+  /**
+   * Create the jobs of the schedules that are due
+   * @returns {Promise<number>} Number of jobs created
+   */
+  async runDueSchedules() {
+    const now = new Date();
+    const due = await this.prisma.crawlSchedule.findMany({
+      where: { status: 'active', nextRunAt: { lte: now } },
+      orderBy: { nextRunAt: 'asc' },
+      take: this.DUE_BATCH_SIZE
+    });
+
+    let created = 0;
+    for (const schedule of due) {
+      // Claim the occurrence first: several server processes run this task
+      const { count } = await this.prisma.crawlSchedule.updateMany({
+        where: { id: schedule.id, status: 'active', nextRunAt: schedule.nextRunAt },
+        data: { nextRunAt: this.cronParser.getNextRun(schedule.cronExpression, schedule.timezone, now) }
+      });
+      if (count === 0) continue;
+
+      try {
+        const { job, activeRun, error } = await this.createRun(schedule);
+        if (job) {
+          created++;
+          console.log(`📅 Schedule ${schedule.id} started job ${job.id} for ${job.url}`);
+        } else if (activeRun) {
+          console.log(`⏭️ Schedule ${schedule.id} skipped: job ${activeRun.id} is still ${activeRun.status}`);
+        } else {
+          console.error(`❌ Schedule ${schedule.id} has an invalid job template: ${error}`);
+        }
+      } catch (error) {
+        console.error(`❌ Failed to run schedule ${schedule.id}:`, error.message);
+      }
+    }
+
+    return created;
+  }
+
+  /**
+   * Create a job from a schedule's template, unless its previous run is still active
+   * @param {Object} schedule - The schedule
+   * @returns {Promise<Object>} { job } for the new job, { activeRun } when a run is still active,
+   *   { error } when the stored template is no longer valid
+   */
+  async createRun(schedule) {
+    const activeRun = await this.prisma.crawlJob.findFirst({
+      where: { scheduleId: schedule.id, status: { in: this.ACTIVE_RUN_STATUSES } },
+      select: { id: true, status: true }
+    });
+    if (activeRun) {
+      return { activeRun };
+    }
+
+    // Settings accepted when the schedule was saved can become invalid, e.g. when an audit rule is removed
+    const { template, error } = this.jobTemplateService.parseJobTemplate(schedule.jobTemplate, this.TEMPLATE_DEFAULTS);
+    if (error) {
+      return { error };
+    }
+
+    const job = await this.prisma.crawlJob.create({
+      data: {
+        ...template,
+        crawlSitemap: true,
+        userId: schedule.userId,
+        scheduleId: schedule.id
+      }
+    });
+    await this.prisma.crawlSchedule.update({ where: { id: schedule.id }, data: { lastRunAt: job.createdAt } });
+
+    if (job.requireEmailVerification) {
+      // Required here because the verification module opens its own database client when loaded
+      const EmailVerificationService = require('./emailVerificationService');
+      const verificationService = new EmailVerificationService();
+      try {
+        await verificationService.sendVerificationEmail(job.id);
+      } catch (error) {
+        console.error(`❌ Failed to send the verification email of scheduled job ${job.id}:`, error.message);
+      } finally {
+        await verificationService.close();
+      }
+    }
+
+    return { job };
+  }
+}
+
+module.exports = ScheduleService;
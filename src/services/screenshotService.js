@@ -0,0 +1,214 @@
+const path = require('path');
+const fs = require('fs');
+const { PrismaClient } = require('@prisma/client');
+const ArtifactStorage = require('./artifactStorage');
+
+/**
+ * Screenshot Service
+ *
+ * Captures page screenshots into artifact storage: a full-page PNG, a JPEG
+ * thumbnail of the visible area and, when the job asks for it, a PNG of the
+ * area above the fold. Screenshots are served to users who can access the job
+ * through GET /api/jobs/:id/screenshots/:file. Screenshots taken before
+ * artifact storage remain files in storage/screenshots/<jobId>/.
+ */
+class ScreenshotService {
+  constructor(prisma = new PrismaClient()) {
+    this.prisma = prisma;
+    this.artifactStorage = new ArtifactStorage(prisma);
+    this.SCREENSHOTS_DIR = path.join(process.cwd(), 'storage', 'screenshots');
+    this.THUMBNAIL_WIDTH = 320; // pixels
+    this.THUMBNAIL_QUALITY = 70;
+    // Names of the legacy files; anything else is refused so requests can't leave the job's directory
+    this.FILE_PATTERN = /^[\w.-]+\.(png|jpg)$/;
+    // Pages store the key of each screenshot; responses carry the URL it is served from
+    this.URL_FIELDS = {
+      screenshotUrl: 'screenshotKey',
+      thumbnailUrl: 'thumbnailKey',
+      aboveTheFoldScreenshotUrl: 'aboveTheFoldKey'
+    };
+  }
+
+  /**
+   * Capture the screenshots of a loaded page
+   * @param {Object} page - Puppeteer page
+   * @param {Object} options - { aboveTheFold }
+   * @returns {Promise<Object>} { screenshotKey, thumbnailKey, aboveTheFoldKey }; a key is null when its capture failed
+   */
+  async capture(page, { aboveTheFold = false } = {}) {
+    const keys = { screenshotKey: null, thumbnailKey: null, aboveTheFoldKey: null };
+
+    try {
+      const viewport = await page.evaluate(() => ({
+        width: window.innerWidth,
+        height: window.innerHeight,
+        pixelRatio: window.devicePixelRatio || 1
+      }));
+      const visibleArea = { x: 0, y: 0, width: viewport.width, height: viewport.height };
+
+      const fullPage = await page.screenshot({ fullPage: true });
+      keys.screenshotKey = await this.artifactStorage.put(fullPage, 'png');
+
+      const thumbnail = await page.screenshot({
+        type: 'jpeg',
+        quality: this.THUMBNAIL_QUALITY,
+        clip: { ...visibleArea, scale: this.THUMBNAIL_WIDTH / (viewport.width * viewport.pixelRatio) }
+      });
+      keys.thumbnailKey = await this.artifactStorage.put(thumbnail, 'jpg');
+
+      if (aboveTheFold) {
+        const fold = await page.screenshot({ clip: visibleArea });
+        keys.aboveTheFoldKey = await this.artifactStorage.put(fold, 'png');
+      }
+    } catch (error) {
+      console.error('📸 Screenshot error:', error);
+    }
+
+    return keys;
+  }
+
+  /**
+   * API path a screenshot is served from
+   * @param {string} jobId - The job ID
+   * @param {string} file - Artifact key (or, for legacy screenshots, file name)
+   */
+  getUrl(jobId, file) {
+    return `/api/jobs/${jobId}/screenshots/${file}`;
+  }
+
+  /**
+   * Add the screenshot URLs of a page read with its key columns
+   * @param {string} jobId - The job ID
+   * @param {Object} page - Page with screenshotKey, thumbnailKey and/or aboveTheFoldKey
+   * @returns {Object} The page, with the URL of each key it was read with
+   */
+  withUrls(jobId, page) {
+    for (const [field, keyField] of Object.entries(this.URL_FIELDS)) {
+      if (keyField in page) {
+        page[field] = page[keyField] ? this.getUrl(jobId, page[keyField]) : null;
+      }
+    }
+    return page;
+  }
+
+  /**
+   * Read a screenshot of a job
+   * Artifacts are shared between jobs, so a key is only served for the jobs with a page that uses it
+   * @param {string} jobId - The job ID
+   * @param {string} file - Key of the screenshot (or, for legacy screenshots, file name)
+   * @returns {Promise<Object|null>} { body, contentType } or { filePath } for legacy files; null if the job has no such screenshot
+   */
+  async getScreenshot(jobId, file) {
+    if (!this.artifactStorage.isKey(file)) {
+      const filePath = await this.resolveFile(jobId, file);
+      return filePath ? { filePath } : null;
+    }
+
+    const page = await this.prisma.internalLink.findFirst({
+      where: { jobId, OR: Object.values(this.URL_FIELDS).map(keyField => ({ [keyField]: file })) },
+      select: { id: true }
+    });
+    if (!page) {
+      return null;
+    }
+
+    return this.artifactStorage.get(file);
+  }
+
+  /**
+   * Absolute path of a legacy screenshot file of a job
+   * @param {string} jobId - The job ID
+   * @param {string} fileName - File name from the screenshot URL
+   * @returns {Promise<string|null>} Path of the file, or null if the name is invalid or the file does not exist
+   */
+  async resolveFile(jobId, fileName) {
+    if (!this.FILE_PATTERN.test(fileName || '')) {
+      return null;
+    }
+
+    const filePath = path.join(this.SCREENSHOTS_DIR, jobId.toString(), fileName);
+    try {
+      const stats = await fs.promises.stat(filePath);
+      return stats.isFile() ? filePath : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // ==================== CLEANUP ====================
+
+  /**
+   * Delete the legacy screenshot files of a job
+   * Screenshots in artifact storage are removed by ArtifactStorage.removeUnreferencedArtifacts once no page uses them
+   * @param {string} jobId - The job ID
+   */
+  async deleteJobScreenshots(jobId) {
+    await fs.promises.rm(path.join(this.SCREENSHOTS_DIR, jobId.toString()), { recursive: true, force: true });
+  }
+
+  /**
+   * Delete the legacy screenshot directories of jobs that no longer exist
+   * @returns {Promise<number>} Number of directories removed
+   */
+  async removeOrphanedScreenshots() {
+    const jobIds = await this.listJobDirectories();
+    if (jobIds.length === 0) {
+      return 0;
+    }
+
+    const existing = await this.prisma.crawlJob.findMany({
+      where: { id: { in: jobIds } },
+      select: { id: true }
+    });
+    const existingIds = new Set(existing.map(job => job.id));
+    const orphaned = jobIds.filter(jobId => !existingIds.has(jobId));
+
+    for (const jobId of orphaned) {
+      await this.deleteJobScreenshots(jobId);
+    }
+
+    return orphaned.length;
+  }
+
+  /**
+   * Disk space used by the legacy screenshot files of each job
+   * @returns {Promise<Map>} jobId -> bytes
+   */
+  async getLegacyScreenshotSizes() {
+    const sizes = new Map();
+
+    for (const jobId of await this.listJobDirectories()) {
+      const directory = path.join(this.SCREENSHOTS_DIR, jobId);
+      let bytes = 0;
+      for (const file of await fs.promises.readdir(directory, { withFileTypes: true })) {
+        if (file.isFile()) {
+          bytes += (await fs.promises.stat(path.join(directory, file.name))).size;
+        }
+      }
+      sizes.set(jobId, bytes);
+    }
+
+    return sizes;
+  }
+
+  /**
+   * Job IDs that have a legacy screenshot directory; other entries are ignored
+   * @returns {Promise<Array<string>>} Job IDs
+   */
+  async listJobDirectories() {
+    // Required here because the middleware module opens its own database client when loaded
+    const { isUuid } = require('../middleware/auth');
+
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.SCREENSHOTS_DIR, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return entries.filter(entry => entry.isDirectory() && isUuid(entry.name)).map(entry => entry.name);
+  }
+}
+
+module.exports = ScreenshotService;
@@ -0,0 +1,256 @@
+const { PrismaClient, Prisma } = require("@prisma/client");
+const { rules, resolveRules } = require("../rules");
+const { getIndexability, normalizeText, INDEXABILITY_FIELDS } = require("../rules/helpers/pageSignals");
+
+/**
+ * SEO Audit Service
+ *
+ * Runs the audit rules in src/rules against every successful page once a
+ * crawl has finished, and stores each finding as an Issue row. Rules can be
+ * disabled or configured per job through the job's `rules` object, which the
+ * rule registry (src/rules/index.js) validates and resolves.
+ */
+class SeoAuditService {
+  constructor(prisma = new PrismaClient()) {
+    this.prisma = prisma;
+    this.BATCH_SIZE = 1000;
+    // Rules can read every stored page field except raw documents
+    this.PAGE_FIELDS = Object.values(Prisma.InternalLinkScalarFieldEnum)
+      .filter(field => !['htmlContent', 'contentFingerprint'].includes(field));
+
+    const unknownFields = rules.flatMap(rule => [...rule.fields, ...rule.countedFields]
+      .filter(field => !this.PAGE_FIELDS.includes(field))
+      .map(field => `${rule.id}: ${field}`));
+    if (unknownFields.length > 0) {
+      throw new Error(`Audit rules declare unknown page fields (${unknownFields.join(', ')})`);
+    }
+  }
+
+  // ==================== AUDIT ====================
+
+  /**
+   * Run the job's rules against every successful page and store the findings
+   * Pages are read in batches with only the fields the enabled rules declare.
+   * Previous findings of the job are replaced, so the audit can be re-run
+   * @param {string} jobId - The job ID
+   * @returns {Promise<Object>} Number of findings per issue type
+   */
+  async auditJob(jobId) {
+    const job = await this.prisma.crawlJob.findUnique({
+      where: { id: jobId },
+      select: { id: true, url: true, rules: true }
+    });
+    if (!job) {
+      return {};
+    }
+
+    const resolvedRules = resolveRules(job.rules);
+    const select = { id: true, address: true, statusCode: true };
+    resolvedRules.forEach(({ rule }) => rule.fields.forEach(field => { select[field] = true; }));
+    const valueCounts = await this.countValues(jobId, resolvedRules.flatMap(({ rule }) => rule.countedFields));
+
+    await this.prisma.issue.deleteMany({ where: { jobId } });
+
+    const counts = {};
+    // Rule id -> { pages, url, message } of the pages a rule failed on
+    const failures = new Map();
+
+    let lastId = 0;
+    while (true) {
+      const pages = await this.prisma.internalLink.findMany({
+        where: { jobId, id: { gt: lastId }, statusCode: { gte: 200, lt: 300 } },
+        select,
+        orderBy: { id: 'asc' },
+        take: this.BATCH_SIZE
+      });
+      if (pages.length === 0) {
+        break;
+      }
+
+      const siteContext = this.buildSiteContext(job, {
+        valueCounts,
+        ...await this.loadBatchData(jobId, pages, resolvedRules, select)
+      });
+
+      const findings = [];
+      for (const page of pages) {
+        for (const { rule, severity, options } of resolvedRules) {
+          let pageFindings;
+          try {
+            pageFindings = this.toArray(rule.check(page, siteContext, options));
+          } catch (error) {
+            // A page a rule can't handle should not hide the rule's findings on the other pages
+            const failure = failures.get(rule.id) || { pages: 0, url: page.address, message: error.message };
+            failure.pages++;
+            failures.set(rule.id, failure);
+            continue;
+          }
+
+          for (const finding of pageFindings) {
+            findings.push({
+              jobId,
+              pageId: page.id,
+              url: page.address,
+              type: rule.id,
+              category: rule.category,
+              severity,
+              message: finding.message,
+              details: finding.details ?? undefined
+            });
+            counts[rule.id] = (counts[rule.id] || 0) + 1;
+          }
+        }
+      }
+
+      for (let i = 0; i < findings.length; i += this.BATCH_SIZE) {
+        await this.prisma.issue.createMany({ data: findings.slice(i, i + this.BATCH_SIZE) });
+      }
+
+      if (pages.length < this.BATCH_SIZE) {
+        break;
+      }
+      lastId = pages[pages.length - 1].id;
+    }
+
+    for (const [ruleId, { pages, url, message }] of failures) {
+      console.error(`❌ Audit rule ${ruleId} failed on ${pages} page(s) of job ${jobId}, first on ${url}:`, message);
+    }
+
+    return counts;
+  }
+
+  /**
+   * How many indexable pages use each normalized value of some fields, for siteContext.countValues()
+   * @param {string} jobId - The job ID
+   * @param {Array} fields - Page fields to count
+   * @returns {Promise<Map>} field -> Map of normalized value -> page count
+   */
+  async countValues(jobId, fields) {
+    const valueCounts = new Map([...new Set(fields)].map(field => [field, new Map()]));
+    if (valueCounts.size === 0) {
+      return valueCounts;
+    }
+
+    const select = { id: true };
+    [...INDEXABILITY_FIELDS, ...valueCounts.keys()].forEach(field => { select[field] = true; });
+
+    let lastId = 0;
+    while (true) {
+      const pages = await this.prisma.internalLink.findMany({
+        where: { jobId, id: { gt: lastId }, statusCode: { gte: 200, lt: 300 } },
+        select,
+        orderBy: { id: 'asc' },
+        take: this.BATCH_SIZE
+      });
+
+      for (const page of pages) {
+        if (getIndexability(page) === 'Non-Indexable') continue;
+        for (const [field, counts] of valueCounts) {
+          if (typeof page[field] !== 'string' || !page[field].trim()) continue;
+          const key = normalizeText(page[field]);
+          counts.set(key, (counts.get(key) || 0) + 1);
+        }
+      }
+
+      if (pages.length < this.BATCH_SIZE) {
+        return valueCounts;
+      }
+      lastId = pages[pages.length - 1].id;
+    }
+  }
+
+  /**
+   * Load what the rules need besides a batch of pages: their images, their renderings
+   * and the other pages the rules link them to (e.g. canonical targets)
+   * @returns {Promise<Object>} { images, renderings, linkedPages }
+   */
+  async loadBatchData(jobId, pages, resolvedRules, select) {
+    const pageIds = pages.map(page => page.id);
+    const linkedAddresses = new Set();
+    for (const { rule } of resolvedRules.filter(({ rule }) => rule.linkedPages)) {
+      pages.forEach(page => rule.linkedPages(page).forEach(address => { if (address) linkedAddresses.add(address); }));
+    }
+
+    const [images, renderings, linkedPages] = await Promise.all([
+      this.prisma.imageOccurrence.findMany({ where: { jobId, pageId: { in: pageIds } }, include: { image: true } }),
+      this.prisma.pageRendering.findMany({ where: { jobId, pageId: { in: pageIds } } }),
+      linkedAddresses.size > 0
+        ? this.prisma.internalLink.findMany({ where: { jobId, address: { in: [...linkedAddresses] } }, select })
+        : []
+    ]);
+
+    return { images, renderings, linkedPages };
+  }
+
+  /**
+   * Build the site context passed to every rule
+   * @param {Object} job - The crawl job
+   * @param {Object} data - { valueCounts, images, renderings, linkedPages } for the pages being audited
+   */
+  buildSiteContext(job, { valueCounts = new Map(), images = [], renderings = [], linkedPages = [] } = {}) {
+    const imagesByPage = new Map();
+    for (const occurrence of images) {
+      if (!imagesByPage.has(occurrence.pageId)) {
+        imagesByPage.set(occurrence.pageId, []);
+      }
+      imagesByPage.get(occurrence.pageId).push(occurrence);
+    }
+    const renderingsByKey = new Map(renderings.map(rendering => [`${rendering.pageId} ${rendering.device}`, rendering]));
+    const pagesByAddress = new Map(linkedPages.map(page => [page.address, page]));
+
+    return {
+      job,
+
+      /**
+       * Another page of the job, with the same fields as the audited pages
+       * @param {string} address - Address returned by the rule's linkedPages()
+       * @returns {Object|null} The page, or null if it was not crawled
+       */
+      getPage(address) {
+        return pagesByAddress.get(address) || null;
+      },
+
+      /**
+       * The <img> elements of a page
+       * @param {Object} page - Audited page
+       * @returns {Array} Image occurrences ({ src, alt, renderedWidth, ..., image: { url, format, statusCode, transferBytes, ... } })
+       */
+      getImages(page) {
+        return imagesByPage.get(page.id) || [];
+      },
+
+      /**
+       * How a page rendered on a device
+       * @param {Object} page - Audited page
+       * @param {string} device - desktop or mobile
+       * @returns {Object|null} Page rendering ({ viewportWidth, documentWidth, smallTapTargets, contentSimilarity, ... }) or null if the job did not render the page as that device
+       */
+      getRendering(page, device) {
+        return renderingsByKey.get(`${page.id} ${device}`) || null;
+      },
+
+      /**
+       * How many indexable pages use each normalized value of a field
+       * @param {string} field - Page field listed in the rule's countedFields, e.g. title
+       * @returns {Map} normalized value -> page count
+       */
+      countValues(field) {
+        return valueCounts.get(field) || new Map();
+      }
+    };
+  }
+
+  toArray(findings) {
+    if (!findings) return [];
+    return Array.isArray(findings) ? findings : [findings];
+  }
+
+  /**
+   * Close database connection
+   */
+  async close() {
+    await this.prisma.$disconnect();
+  }
+}
+
+module.exports = SeoAuditService;
@@ -266,6 +266,7 @@ class SitemapCrawler {
     const lastModRegex = /<lastmod>(.*?)<\/lastmod>/i;
     const changeFreqRegex = /<changefreq>(.*?)<\/changefreq>/i;
     const priorityRegex = /<priority>(.*?)<\/priority>/i;
+    const alternateRegex = /<xhtml:link\b([^>]*)\/?>/gi;
 
     let match;
     const urls = [];
@@ -314,6 +315,19 @@ class SitemapCrawler {
           }
         }
 
+        // hreflang annotations: <xhtml:link rel="alternate" hreflang="fr" href="..."/>
+        const alternates = [];
+        let alternateMatch;
+        while ((alternateMatch = alternateRegex.exec(urlBlock)) !== null) {
+          const attributes = this.parseAttributes(alternateMatch[1]);
+          if (attributes.rel?.toLowerCase() === 'alternate' && attributes.hreflang && attributes.href) {
+            alternates.push({ hreflang: attributes.hreflang, href: attributes.href });
+          }
+        }
+        if (alternates.length > 0) {
+          urlData.alternates = alternates;
+        }
+
         urls.push(urlData);
       }
     }
@@ -324,6 +338,21 @@ class SitemapCrawler {
     return result;
   }
 
+  /**
+   * Parse the attributes of an XML tag
+   * @param {string} source - Attribute part of the tag, e.g. rel="alternate" hreflang="fr"
+   * @returns {Object} attribute name (lowercase) -> value
+   */
+  parseAttributes(source) {
+    const attributes = {};
+    const attributeRegex = /([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = attributeRegex.exec(source)) !== null) {
+      attributes[match[1].toLowerCase()] = (match[3] ?? match[4]).trim().replace(/&amp;/g, '&');
+    }
+    return attributes;
+  }
+
   /**
    * Extract URLs from all sitemaps for crawling
    * @param {Array} sitemaps - Array of sitemap data objects
@@ -0,0 +1,56 @@
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Local Storage Driver
+ *
+ * Keeps artifacts as files under a directory (storage/artifacts by default),
+ * spread over sub-directories named after the first two characters of the
+ * key so no directory grows too large.
+ */
+class LocalDriver {
+  constructor({ directory } = {}) {
+    this.directory = directory || path.join(process.cwd(), 'storage', 'artifacts');
+  }
+
+  getPath(key) {
+    return path.join(this.directory, key.slice(0, 2), key);
+  }
+
+  /**
+   * Store an object, replacing any object with the same key
+   * @param {string} key - Artifact key
+   * @param {Buffer} body - Stored bytes
+   */
+  async put(key, body) {
+    const filePath = this.getPath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write to a temporary file first so readers never see a partial artifact
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.promises.writeFile(tempPath, body);
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  /**
+   * Read an object
+   * @returns {Promise<Buffer|null>} Stored bytes, or null if the object does not exist
+   */
+  async get(key) {
+    try {
+      return await fs.promises.readFile(this.getPath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an object; deleting a missing object is not an error
+   */
+  async delete(key) {
+    await fs.promises.rm(this.getPath(key), { force: true });
+  }
+}
+
+module.exports = LocalDriver;
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+
+/**
+ * S3 Storage Driver
+ *
+ * Keeps artifacts as objects of a bucket on any S3-compatible service (AWS S3,
+ * MinIO, Cloudflare R2, ...). Requests are signed with AWS Signature Version 4
+ * and use path-style URLs (<endpoint>/<bucket>/<key>), which every
+ * S3-compatible service supports, so no SDK is needed.
+ */
+class S3Driver {
+  constructor({ endpoint, region, bucket, accessKeyId, secretAccessKey, timeout } = {}) {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+
+    this.region = region || 'us-east-1';
+    this.endpoint = (endpoint || `https://s3.${this.region}.amazonaws.com`).replace(/\/+$/, '');
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.timeout = timeout || 30000; // 30 seconds
+  }
+
+  /**
+   * Store an object, replacing any object with the same key
+   * @param {string} key - Artifact key
+   * @param {Buffer} body - Stored bytes
+   * @param {Object} options - { contentType }
+   */
+  async put(key, body, { contentType } = {}) {
+    const headers = contentType ? { 'content-type': contentType } : {};
+    const response = await this.request('PUT', key, body, headers);
+    if (!response.ok) {
+      throw await this.toError(response, 'PUT', key);
+    }
+  }
+
+  /**
+   * Read an object
+   * @returns {Promise<Buffer|null>} Stored bytes, or null if the object does not exist
+   */
+  async get(key) {
+    const response = await this.request('GET', key);
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw await this.toError(response, 'GET', key);
+    }
+
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  /**
+   * Delete an object; S3 also answers 204 when the object does not exist
+   */
+  async delete(key) {
+    const response = await this.request('DELETE', key);
+    if (!response.ok && response.status !== 404) {
+      throw await this.toError(response, 'DELETE', key);
+    }
+  }
+
+  // ==================== REQUEST SIGNING ====================
+
+  /**
+   * Send a signed request for an object of the bucket
+   */
+  async request(method, key, body = null, headers = {}) {
+    const url = new URL(`${this.endpoint}/${this.encodePath(this.bucket)}/${this.encodePath(key)}`);
+    // fetch sets the host header itself, from the same URL
+    const { host, ...signedHeaders } = this.sign({ method, url, headers, body, date: new Date() });
+
+    return fetch(url, {
+      method,
+      headers: signedHeaders,
+      body: body || undefined,
+      signal: AbortSignal.timeout(this.timeout)
+    });
+  }
+
+  /**
+   * Add the AWS Signature Version 4 headers to a request
+   * @param {Object} request - { method, url, headers, body, date }
+   * @returns {Object} Headers to send, including host, x-amz-date, x-amz-content-sha256 and authorization
+   */
+  sign({ method, url, headers, body, date }) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+
+    const signed = {
+      ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+      host: url.host,
+      'x-amz-content-sha256': this.hash(body || ''),
+      'x-amz-date': amzDate
+    };
+    const names = Object.keys(signed).sort();
+
+    const canonicalQuery = [...url.searchParams.entries()]
+      .map(([name, value]) => [this.encodePath(name), this.encodePath(value)])
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([name, value]) => `${name}=${value}`)
+      .join('&');
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQuery,
+      names.map(name => `${name}:${signed[name]}\n`).join(''),
+      names.join(';'),
+      signed['x-amz-content-sha256']
+    ].join('\n');
+
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, this.hash(canonicalRequest)].join('\n');
+
+    let signingKey = `AWS4${this.secretAccessKey}`;
+    for (const part of [dateStamp, this.region, 's3', 'aws4_request']) {
+      signingKey = crypto.createHmac('sha256', signingKey).update(part).digest();
+    }
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return {
+      ...signed,
+      authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+    };
+  }
+
+  hash(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+  }
+
+  /**
+   * URI-encode each segment of a path the way SigV4 expects (RFC 3986, keeping slashes)
+   */
+  encodePath(value) {
+    return value
+      .split('/')
+      .map(segment => encodeURIComponent(segment).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`))
+      .join('/');
+  }
+
+  async toError(response, method, key) {
+    const detail = (await response.text().catch(() => '')).match(/<Code>([^<]+)<\/Code>/)?.[1];
+    return new Error(`S3 ${method} ${key} failed with status ${response.status}${detail ? ` (${detail})` : ''}`);
+  }
+}
+
+module.exports = S3Driver;
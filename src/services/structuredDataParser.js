@@ -0,0 +1,143 @@
+/**
+ * Structured Data Parser
+ *
+ * Turns the JSON-LD blocks, Microdata items and RDFa items extracted from a
+ * page into one list of schema.org entities of the form
+ * { format, type: [...], id, properties }, where property values are strings,
+ * nested entities ({ type, id, properties }) or arrays of those.
+ */
+class StructuredDataParser {
+  constructor() {
+    // Entities stored per page, to keep pathological pages from bloating the row
+    this.MAX_ENTITIES = 100;
+    this.MAX_DEPTH = 10;
+    this.SCHEMA_PREFIX = /^(https?:\/\/schema\.org\/|schema:)/i;
+  }
+
+  /**
+   * Parse the raw structured data of a page
+   * @param {Object} raw - { jsonLd: [string], microdata: [item], rdfa: [item] } as extracted in the browser
+   * @returns {Object|null} { entities, errors } or null when the page has no structured data
+   */
+  parse(raw) {
+    if (!raw) {
+      return null;
+    }
+
+    const entities = [];
+    const errors = [];
+
+    (raw.jsonLd || []).forEach((block, index) => {
+      let data;
+      try {
+        data = JSON.parse(block);
+      } catch (error) {
+        errors.push({ format: 'json-ld', block: index, message: error.message });
+        return;
+      }
+
+      for (const node of this.flattenJsonLd(data)) {
+        const entity = this.fromJsonLd(node, 0);
+        if (entity.type.length === 0) {
+          errors.push({ format: 'json-ld', block: index, message: 'Entity without @type' });
+          continue;
+        }
+        entities.push({ format: 'json-ld', ...entity });
+      }
+    });
+
+    for (const format of ['microdata', 'rdfa']) {
+      for (const item of raw[format] || []) {
+        const entity = this.fromItem(item, 0);
+        if (entity.type.length === 0) {
+          errors.push({ format, block: null, message: format === 'microdata' ? 'Item without itemtype' : 'Item without typeof' });
+          continue;
+        }
+        entities.push({ format, ...entity });
+      }
+    }
+
+    if (entities.length === 0 && errors.length === 0) {
+      return null;
+    }
+
+    return { entities: entities.slice(0, this.MAX_ENTITIES), errors };
+  }
+
+  /**
+   * Top-level nodes of a JSON-LD document (arrays and @graph are unwrapped)
+   */
+  flattenJsonLd(data) {
+    if (Array.isArray(data)) {
+      return data.flatMap(node => this.flattenJsonLd(node));
+    }
+    if (data && typeof data === 'object') {
+      return Array.isArray(data['@graph']) ? this.flattenJsonLd(data['@graph']) : [data];
+    }
+    return [];
+  }
+
+  fromJsonLd(node, depth) {
+    const entity = { type: this.normalizeTypes(node['@type']), id: node['@id'] || null, properties: {} };
+    if (depth >= this.MAX_DEPTH) {
+      return entity;
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+      if (key.startsWith('@')) continue;
+      entity.properties[this.normalizeName(key)] = this.jsonLdValue(value, depth);
+    }
+    return entity;
+  }
+
+  jsonLdValue(value, depth) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.jsonLdValue(item, depth));
+    }
+    if (value && typeof value === 'object') {
+      if ('@value' in value) return value['@value'];
+      // A bare reference such as { "@id": "#organization" } is kept as the id
+      if (!value['@type'] && Object.keys(value).every(key => key === '@id')) return value['@id'];
+      return this.fromJsonLd(value, depth + 1);
+    }
+    return value;
+  }
+
+  /**
+   * Normalize a Microdata or RDFa item extracted in the browser
+   * @param {Object} item - { type, vocab?, properties: { name: [values] } }
+   */
+  fromItem(item, depth) {
+    const vocab = item.vocab || '';
+    const types = (item.type || '').split(/\s+/).filter(Boolean)
+      .map(type => (/^[a-z]+:|^https?:/i.test(type) ? type : `${vocab}${type}`));
+
+    const entity = { type: this.normalizeTypes(types), id: null, properties: {} };
+    if (depth >= this.MAX_DEPTH) {
+      return entity;
+    }
+
+    for (const [name, values] of Object.entries(item.properties || {})) {
+      const normalized = values.map(value => (value && typeof value === 'object'
+        ? this.fromItem({ vocab, ...value }, depth + 1)
+        : value));
+      entity.properties[this.normalizeName(name)] = normalized.length === 1 ? normalized[0] : normalized;
+    }
+    return entity;
+  }
+
+  /**
+   * schema.org types without their vocabulary prefix; other vocabularies keep their full IRI
+   */
+  normalizeTypes(types) {
+    return [].concat(types || [])
+      .filter(type => typeof type === 'string' && type.trim())
+      .map(type => type.trim().replace(this.SCHEMA_PREFIX, ''));
+  }
+
+  normalizeName(name) {
+    return name.replace(this.SCHEMA_PREFIX, '');
+  }
+}
+
+module.exports = StructuredDataParser;
@@ -0,0 +1,204 @@
+const os = require("os");
+const { Prisma } = require("@prisma/client");
+
+/**
+ * Crawl Worker Pool
+ *
+ * Claims crawl jobs from the database and runs up to MAX_CONCURRENT_JOBS of
+ * them at once in this process. A claim is a lease kept alive by heartbeats:
+ * a job whose worker stops sending them is reclaimed by another worker, and a
+ * worker whose claim is released (the job was stopped or paused, or reclaimed)
+ * gives the job up.
+ *
+ * The pool only manages claims; the processor passed in crawls the jobs:
+ * - processJob(job): crawls a claimed job
+ * - teardownCrawler(jobId, reason): stops the live crawler of a job whose claim was lost
+ * - executeWithRetry(operation, name): runs a database operation with reconnects
+ */
+class WorkerPool {
+  constructor(prisma, processor) {
+    this.prisma = prisma;
+    this.processor = processor;
+    this.isProcessing = false;
+    // How many jobs this process crawls at once
+    this.MAX_CONCURRENT_JOBS = parseInt(process.env.CRAWL_WORKER_CONCURRENCY) || 2;
+    // A claimed job whose heartbeat is older than this is considered abandoned and can be reclaimed
+    this.JOB_LEASE_TIMEOUT = parseInt(process.env.CRAWL_JOB_LEASE_TIMEOUT) || 120000; // 2 minutes
+    this.HEARTBEAT_INTERVAL = 30000; // 30 seconds
+    // Identifies this process when claiming jobs
+    this.workerId = `${os.hostname()}-${process.pid}`;
+    // Jobs currently processed by this worker: jobId -> { promise, heartbeat }
+    this.activeJobs = new Map();
+  }
+
+  /**
+   * Fill the pool with pending crawl jobs
+   * Claims jobs until MAX_CONCURRENT_JOBS are running in this process
+   */
+  async fill() {
+    if (this.isProcessing) {
+      return; // Prevent overlapping claim rounds
+    }
+
+    try {
+      this.isProcessing = true;
+
+      while (this.activeJobs.size < this.MAX_CONCURRENT_JOBS) {
+        const job = await this.claimNextJob();
+        if (!job) break;
+
+        console.log(`🚀 Processing job ${job.id}: ${job.url} (${this.activeJobs.size + 1}/${this.MAX_CONCURRENT_JOBS} workers busy)`);
+        this.runClaimedJob(job);
+      }
+    } catch (error) {
+      console.error('❌ Error processing jobs:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Run a claimed job in the background, keeping its claim alive until it finishes
+   * @param {Object} job - The claimed job
+   */
+  runClaimedJob(job) {
+    const heartbeat = setInterval(() => this.sendHeartbeat(job.id), this.HEARTBEAT_INTERVAL);
+
+    const promise = this.processor.processJob(job)
+      .catch(error => {
+        console.error(`❌ Unexpected error in job ${job.id}:`, error);
+      })
+      .finally(() => {
+        clearInterval(heartbeat);
+        this.activeJobs.delete(job.id);
+        // A worker slot is free, look for the next job right away
+        this.fill();
+      });
+
+    this.activeJobs.set(job.id, { promise, heartbeat });
+  }
+
+  /**
+   * Renew the claim of a running job
+   * The claim is gone when the job was stopped or paused by another process, or reclaimed
+   * after missed heartbeats: the crawler is torn down now rather than at the next page
+   * @param {string} jobId - The job ID
+   * @returns {Promise<boolean>} True if this worker still holds the claim
+   */
+  async sendHeartbeat(jobId) {
+    try {
+      const { count } = await this.prisma.crawlJob.updateMany({
+        where: { id: jobId, workerId: this.workerId },
+        data: { heartbeatAt: new Date() }
+      });
+      if (count === 0) {
+        await this.processor.teardownCrawler(jobId, 'claim released');
+        return false;
+      }
+    } catch (error) {
+      console.error(`❌ Failed to send heartbeat for job ${jobId}:`, error.message);
+    }
+    return true;
+  }
+
+  /**
+   * Atomically claim the next job to process
+   * @returns {Promise<Object|null>} The claimed job or null if there is nothing to do
+   */
+  async claimNextJob() {
+    const staleBefore = new Date(Date.now() - this.JOB_LEASE_TIMEOUT);
+
+    const claimed = await this.processor.executeWithRetry(
+      () => this.prisma.$queryRaw(this.buildClaimQuery(staleBefore)),
+      'claim next job'
+    );
+
+    if (claimed.length === 0) {
+      return null;
+    }
+
+    return await this.prisma.crawlJob.findUnique({ where: { id: claimed[0].id } });
+  }
+
+  /**
+   * SQL claiming the next job for this worker
+   *
+   * Candidates are pending jobs and running jobs whose worker stopped sending
+   * heartbeats. The row is locked with FOR UPDATE SKIP LOCKED and moved to
+   * 'running' in the same statement, so two workers never claim the same job.
+   * For fairness, jobs of owners with the fewest running jobs go first, then
+   * the oldest job.
+   * @param {Date} staleBefore - Running jobs with an older heartbeat are abandoned
+   * @returns {Prisma.Sql} Query returning the claimed job's id, or no row
+   */
+  buildClaimQuery(staleBefore) {
+    return Prisma.sql`
+      WITH candidate AS (
+        SELECT j."id"
+        FROM "CrawlJob" j
+        WHERE j."canContinue" = true
+          AND (
+            j."status" = 'pending'
+            OR (j."status" = 'running' AND (j."heartbeatAt" IS NULL OR j."heartbeatAt" < ${staleBefore}))
+          )
+        ORDER BY (
+          SELECT COUNT(*)
+          FROM "CrawlJob" r
+          WHERE r."status" = 'running'
+            AND r."heartbeatAt" >= ${staleBefore}
+            AND r."userId" IS NOT DISTINCT FROM j."userId"
+        ) ASC, j."createdAt" ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      UPDATE "CrawlJob" c
+      SET "status" = 'running',
+          "workerId" = ${this.workerId},
+          "heartbeatAt" = NOW(),
+          "updatedAt" = NOW()
+      FROM candidate
+      WHERE c."id" = candidate."id"
+      RETURNING c."id"
+    `;
+  }
+
+  /**
+   * Check whether a job was stopped or paused since it started running,
+   * or was reclaimed by another worker after this one missed its heartbeats
+   * @param {string} jobId - The job ID
+   * @returns {Promise<boolean>} True if the crawl should not continue
+   */
+  async isJobHalted(jobId) {
+    const job = await this.prisma.crawlJob.findUnique({
+      where: { id: jobId },
+      select: { status: true, workerId: true }
+    });
+    if (!job || ['stopped', 'paused'].includes(job.status)) {
+      return true;
+    }
+    return !!job.workerId && job.workerId !== this.workerId;
+  }
+
+  /**
+   * Stop sending heartbeats and release the jobs claimed by this worker,
+   * so another worker can pick them up right away
+   */
+  async release() {
+    for (const { heartbeat } of this.activeJobs.values()) {
+      clearInterval(heartbeat);
+    }
+
+    if (this.activeJobs.size > 0) {
+      try {
+        await this.prisma.crawlJob.updateMany({
+          where: { id: { in: [...this.activeJobs.keys()] }, workerId: this.workerId },
+          data: { workerId: null, heartbeatAt: null }
+        });
+      } catch (error) {
+        console.error('❌ Failed to release claimed jobs:', error.message);
+      }
+    }
+  }
+}
+
+module.exports = WorkerPool;
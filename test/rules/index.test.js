@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { rules, SEVERITIES, listRules, parseRulesConfig, resolveRules } = require('../../src/rules');
+
+describe('rule registry', () => {
+  it('loads every rule with a unique id and a valid severity', () => {
+    const ids = rules.map(rule => rule.id);
+    assert.ok(ids.length > 0);
+    assert.equal(new Set(ids).size, ids.length);
+    for (const rule of rules) {
+      assert.ok(SEVERITIES.includes(rule.severity), rule.id);
+      assert.equal(typeof rule.check, 'function', rule.id);
+    }
+  });
+
+  describe('listRules', () => {
+    it('describes each rule without its check', () => {
+      const titleTooLong = listRules().find(rule => rule.id === 'title-too-long');
+      assert.deepEqual(titleTooLong, {
+        id: 'title-too-long',
+        category: 'titles',
+        severity: 'low',
+        description: 'The title is longer than search results usually display',
+        enabledByDefault: true,
+        options: { maxLength: 60 }
+      });
+    });
+  });
+
+  describe('parseRulesConfig', () => {
+    it('accepts booleans and known settings', () => {
+      const config = { 'title-missing': false, 'title-too-long': { severity: 'high', options: { maxLength: 70 } } };
+      assert.deepEqual(parseRulesConfig(config), { rules: config });
+    });
+
+    it('rejects unknown rules, severities and options', () => {
+      assert.equal(parseRulesConfig({ 'no-such-rule': true }).error, 'Unknown rule: no-such-rule');
+      assert.equal(parseRulesConfig({ 'title-missing': { severity: 'urgent' } }).error, 'Invalid configuration for rule title-missing');
+      assert.equal(parseRulesConfig({ 'title-missing': { colour: 'red' } }).error, 'Invalid configuration for rule title-missing');
+      assert.equal(parseRulesConfig({ 'title-too-long': { options: { minLength: 1 } } }).error, 'Invalid option minLength for rule title-too-long');
+      assert.equal(parseRulesConfig({ 'title-too-long': { options: { maxLength: '70' } } }).error, 'Invalid option maxLength for rule title-too-long');
+      assert.equal(parseRulesConfig([]).error, 'Invalid rules');
+    });
+  });
+
+  describe('resolveRules', () => {
+    it('runs the rules enabled by default when the job has no configuration', () => {
+      assert.deepEqual(
+        resolveRules(null).map(({ rule }) => rule.id),
+        rules.filter(rule => rule.enabledByDefault).map(rule => rule.id)
+      );
+    });
+
+    it('applies per-job switches, severities and options over the defaults', () => {
+      const resolved = resolveRules({
+        'title-missing': false,
+        'title-too-long': { severity: 'high', options: { maxLength: 70 } }
+      });
+      assert.equal(resolved.find(({ rule }) => rule.id === 'title-missing'), undefined);
+
+      const titleTooLong = resolved.find(({ rule }) => rule.id === 'title-too-long');
+      assert.equal(titleTooLong.severity, 'high');
+      assert.deepEqual(titleTooLong.options, { maxLength: 70 });
+    });
+  });
+});
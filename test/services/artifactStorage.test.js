@@ -0,0 +1,117 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ArtifactStorage = require('../../src/services/artifactStorage');
+
+/**
+ * In-memory stand-in for the Artifact table and the key columns of pages
+ */
+function createPrisma({ pages = [] } = {}) {
+  const artifacts = new Map();
+  const prisma = {
+    artifacts,
+    artifact: {
+      updateMany: async ({ where, data }) => {
+        if (!artifacts.has(where.key)) return { count: 0 };
+        Object.assign(artifacts.get(where.key), data);
+        return { count: 1 };
+      },
+      upsert: async ({ where, create }) => {
+        if (!artifacts.has(where.key)) artifacts.set(where.key, { ...create, lastUsedAt: new Date() });
+        return artifacts.get(where.key);
+      },
+      findUnique: async ({ where }) => artifacts.get(where.key) || null,
+      findMany: async ({ where, take = Infinity }) => [...artifacts.values()]
+        .filter(artifact => artifact.key > where.key.gt && artifact.lastUsedAt < where.lastUsedAt.lt)
+        .slice(0, take),
+      deleteMany: async ({ where }) => ({ count: artifacts.delete(where.key) ? 1 : 0 })
+    },
+    internalLink: {
+      findMany: async ({ where, take }) => pages.filter(page => page.id > where.id.gt).slice(0, take)
+    }
+  };
+  return prisma;
+}
+
+describe('ArtifactStorage', () => {
+  const savedDirectory = process.env.STORAGE_LOCAL_DIR;
+  let directory;
+  before(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'artifacts-'));
+    process.env.STORAGE_LOCAL_DIR = directory;
+  });
+  after(async () => {
+    process.env.STORAGE_LOCAL_DIR = savedDirectory;
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  });
+
+  describe('put and get', () => {
+    it('stores identical content once, keyed by its hash', async () => {
+      const prisma = createPrisma();
+      const storage = new ArtifactStorage(prisma);
+
+      const key = await storage.put(Buffer.from('png bytes'), 'png');
+      assert.equal(await storage.put(Buffer.from('png bytes'), 'png'), key);
+      assert.match(key, /^[0-9a-f]{64}\.png$/);
+      assert.equal(prisma.artifacts.size, 1);
+
+      const artifact = await storage.get(key);
+      assert.equal(artifact.body.toString(), 'png bytes');
+      assert.equal(artifact.contentType, 'image/png');
+    });
+
+    it('compresses text and reads it back', async () => {
+      const prisma = createPrisma();
+      const storage = new ArtifactStorage(prisma);
+      const html = `<html>${'<p>text</p>'.repeat(200)}</html>`;
+
+      const key = await storage.put(html, 'html');
+
+      assert.equal(prisma.artifacts.get(key).contentEncoding, 'gzip');
+      assert.ok(prisma.artifacts.get(key).storedSize < html.length);
+      assert.equal(await storage.getText(key), html);
+    });
+
+    it('refuses anything but a key', async () => {
+      const storage = new ArtifactStorage(createPrisma());
+      assert.equal(await storage.get('../../etc/passwd'), null);
+      await assert.rejects(storage.put('x', 'exe'), /Unsupported artifact type/);
+    });
+  });
+
+  describe('getReferencedKeys', () => {
+    it('reads the HTML and screenshot keys of every page in batches, skipping legacy file names', async () => {
+      const key = name => `${name.repeat(64)}.png`;
+      const prisma = createPrisma({
+        pages: [
+          { id: 1, htmlKey: `${'a'.repeat(64)}.html`, screenshotKey: key('b'), thumbnailKey: null, aboveTheFoldKey: key('c') },
+          { id: 2, htmlKey: null, screenshotKey: 'https___example_com_1700000000000.png', thumbnailKey: key('b'), aboveTheFoldKey: null },
+          { id: 3, htmlKey: null, screenshotKey: key('d'), thumbnailKey: null, aboveTheFoldKey: null }
+        ]
+      });
+      const storage = new ArtifactStorage(prisma);
+      storage.GC_BATCH_SIZE = 2;
+
+      assert.deepEqual([...await storage.getReferencedKeys()].sort(), [`${'a'.repeat(64)}.html`, key('b'), key('c'), key('d')]);
+    });
+  });
+
+  describe('removeUnreferencedArtifacts', () => {
+    it('deletes the artifacts no page uses once the grace period is over', async () => {
+      const prisma = createPrisma();
+      const storage = new ArtifactStorage(prisma);
+      const used = await storage.put(Buffer.from('used'), 'png');
+      const unused = await storage.put(Buffer.from('unused'), 'png');
+      prisma.internalLink.findMany = async ({ where }) => (where.id.gt === 0 ? [{ id: 1, screenshotKey: used }] : []);
+
+      assert.deepEqual(await storage.removeUnreferencedArtifacts(), { count: 0, bytes: 0 });
+
+      const removed = await storage.removeUnreferencedArtifacts({ gracePeriod: -1000 });
+      assert.deepEqual(removed, { count: 1, bytes: 6 });
+      assert.equal(await storage.get(unused), null);
+      assert.ok(await storage.get(used));
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CanonicalValidator = require('../../src/services/canonicalValidator');
+
+const canonicalValidator = new CanonicalValidator();
+
+describe('CanonicalValidator', () => {
+  describe('parseLinkHeader', () => {
+    it('groups URLs by rel, in header order', () => {
+      const links = canonicalValidator.parseLinkHeader('<https://example.com/a>; rel="canonical", <https://example.com/b>; rel=preload\n<https://example.com/c>; rel="canonical alternate"');
+      assert.deepEqual(links, {
+        canonical: ['https://example.com/a', 'https://example.com/c'],
+        preload: ['https://example.com/b'],
+        alternate: ['https://example.com/c']
+      });
+    });
+
+    it('skips entries without rel', () => {
+      assert.deepEqual(canonicalValidator.parseLinkHeader('<https://example.com/a>; type="text/html"'), {});
+      assert.deepEqual(canonicalValidator.parseLinkHeader(null), {});
+    });
+  });
+
+  describe('resolveCanonical', () => {
+    const normalize = url => url;
+
+    it('resolves relative canonicals against the page address', () => {
+      const page = { address: 'https://example.com/a/b', canonicalLinkElements: ['../c'] };
+      assert.deepEqual(canonicalValidator.resolveCanonical(page, normalize), { url: 'https://example.com/c', source: 'html' });
+    });
+
+    it('prefers the HTML element over the HTTP header', () => {
+      const page = { address: 'https://example.com/', canonicalLinkElements: ['/html'], httpCanonical: '/http' };
+      assert.equal(canonicalValidator.resolveCanonical(page, normalize).source, 'html');
+      assert.equal(canonicalValidator.resolveCanonical({ ...page, canonicalLinkElements: [] }, normalize).source, 'http');
+    });
+
+    it('ignores empty and non-http canonicals', () => {
+      assert.equal(canonicalValidator.resolveCanonical({ address: 'https://example.com/', canonicalLinkElements: ['  '] }, normalize), null);
+      assert.equal(canonicalValidator.resolveCanonical({ address: 'https://example.com/', canonicalLinkElements: ['mailto:a@b.c'] }, normalize), null);
+    });
+  });
+
+  describe('validate', () => {
+    const page = (id, address, canonical, statusCode = 200) => ({ id, address, statusCode, canonicalLinkElements: canonical ? [canonical] : [] });
+
+    it('accepts self-referencing canonicals', () => {
+      const results = canonicalValidator.validate([page(1, 'https://example.com/', 'https://example.com/')], {});
+      assert.deepEqual(results.get(1), {
+        canonicalUrl: 'https://example.com/',
+        canonicalSource: 'html',
+        canonicalTargetStatusCode: 200,
+        canonicalRedirectUrl: null,
+        canonicalChain: null,
+        canonicalIsLoop: false
+      });
+    });
+
+    it('reports the status of the canonical target', () => {
+      const results = canonicalValidator.validate([
+        page(1, 'https://example.com/a', 'https://example.com/gone'),
+        page(2, 'https://example.com/gone', null, 404)
+      ], {});
+      assert.equal(results.get(1).canonicalTargetStatusCode, 404);
+      assert.equal(results.has(2), false);
+    });
+
+    it('follows redirects and link checks of uncrawled targets', () => {
+      const results = canonicalValidator.validate([
+        page(1, 'https://example.com/a', 'https://example.com/old'),
+        page(2, 'https://example.com/b', 'https://example.com/external')
+      ], {
+        redirectChains: [{ sourceUrl: 'https://example.com/old', finalUrl: 'https://example.com/new', finalStatusCode: 200 }],
+        linkChecks: [{ url: 'https://example.com/external', statusCode: 410, finalUrl: null }]
+      });
+      assert.equal(results.get(1).canonicalRedirectUrl, 'https://example.com/new');
+      assert.equal(results.get(1).canonicalTargetStatusCode, 200);
+      assert.equal(results.get(2).canonicalTargetStatusCode, 410);
+    });
+
+    it('reports canonical chains', () => {
+      const results = canonicalValidator.validate([
+        page(1, 'https://example.com/a', 'https://example.com/b'),
+        page(2, 'https://example.com/b', 'https://example.com/c'),
+        page(3, 'https://example.com/c', 'https://example.com/c')
+      ], {});
+      assert.deepEqual(results.get(1).canonicalChain, ['https://example.com/b', 'https://example.com/c']);
+      assert.equal(results.get(1).canonicalIsLoop, false);
+      assert.equal(results.get(2).canonicalChain, null);
+    });
+
+    it('detects canonical loops', () => {
+      const results = canonicalValidator.validate([
+        page(1, 'https://example.com/a', 'https://example.com/b'),
+        page(2, 'https://example.com/b', 'https://example.com/a')
+      ], {});
+      assert.equal(results.get(1).canonicalIsLoop, true);
+      assert.equal(results.get(2).canonicalIsLoop, true);
+    });
+
+    it('detects a canonical that redirects back to the page', () => {
+      const results = canonicalValidator.validate([page(1, 'https://example.com/a', 'https://example.com/old')], {
+        redirectChains: [{ sourceUrl: 'https://example.com/old', finalUrl: 'https://example.com/a', finalStatusCode: 200 }]
+      });
+      assert.equal(results.get(1).canonicalIsLoop, true);
+    });
+  });
+});
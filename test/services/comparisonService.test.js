@@ -0,0 +1,214 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Prisma } = require('@prisma/client');
+const ComparisonService = require('../../src/services/comparisonService');
+
+/**
+ * Prisma stand-in for a comparison: $queryRaw answers the page pair query with the given rows
+ * (keyed the way normalizeAddress keys them) and the count query with the given counts
+ */
+function createPrisma({ pairs = [], counts = { pages: 0, baselinePages: 0, matchedPages: 0 } } = {}) {
+  const prisma = {
+    rawQueries: [],
+    async $queryRaw(strings, ...values) {
+      const query = Prisma.sql(strings, ...values);
+      prisma.rawQueries.push(query);
+      return query.text.includes('COUNT(') ? [counts] : pairs;
+    }
+  };
+  return prisma;
+}
+
+const page = (id, address, fields = {}) => ({
+  id,
+  key: address,
+  address,
+  statusCode: 200,
+  title: 'Home',
+  metaDescription: null,
+  h1: null,
+  canonicalUrl: null,
+  canonicalLinkElement: null,
+  indexability: 'Indexable',
+  indexabilityStatus: null,
+  wordCount: 100,
+  inlinks: 3,
+  outlinks: 10,
+  externalOutlinks: 2,
+  ...fields
+});
+
+const job = (id, fields = {}) => ({ id, updatedAt: new Date('2026-05-01T00:00:00Z'), ignoreUrlParameters: false, ...fields });
+
+/**
+ * A comparison service whose issue source yields the given issues per job
+ */
+function createService(prisma, issuesByJob = {}) {
+  const service = new ComparisonService(prisma);
+  service.reportService.streamCrawlIssues = async function* (jobId) {
+    yield* issuesByJob[jobId] || [];
+  };
+  return service;
+}
+
+describe('ComparisonService', () => {
+  const comparisonService = new ComparisonService(createPrisma());
+
+  describe('normalizeAddress', () => {
+    it('drops fragments and trailing slashes but keeps the root', () => {
+      assert.equal(comparisonService.normalizeAddress('https://example.com/docs/#intro'), 'https://example.com/docs');
+      assert.equal(comparisonService.normalizeAddress('https://example.com/'), 'https://example.com/');
+      assert.equal(comparisonService.normalizeAddress('https://example.com/a/?b=1'), 'https://example.com/a?b=1');
+    });
+
+    it('sorts query parameters by name and keeps repeated names in order', () => {
+      assert.equal(comparisonService.normalizeAddress('https://example.com/?b=2&a=1&b=1'), 'https://example.com/?a=1&b=2&b=1');
+      assert.equal(comparisonService.normalizeAddress('https://example.com/search?&q=x&'), 'https://example.com/search?q=x');
+      assert.equal(comparisonService.normalizeAddress('https://example.com/search?'), 'https://example.com/search');
+    });
+
+    it('drops query parameters when they are ignored', () => {
+      assert.equal(comparisonService.normalizeAddress('https://example.com/list/?page=2', true), 'https://example.com/list');
+    });
+  });
+
+  describe('comparePages', () => {
+    it('reports changed values and count deltas', () => {
+      const changes = comparisonService.comparePages(
+        page(1, 'https://example.com/a'),
+        page(2, 'https://example.com/a', { title: 'New title', canonicalLinkElement: 'https://example.com/b', wordCount: 80, externalOutlinks: 4 })
+      );
+
+      assert.deepEqual(changes, {
+        title: { before: 'Home', after: 'New title' },
+        canonical: { before: null, after: 'https://example.com/b' },
+        wordCount: { before: 100, after: 80, delta: -20 },
+        internalOutlinks: { before: 8, after: 6, delta: -2 }
+      });
+    });
+  });
+
+  describe('buildComparison', () => {
+    it('reports added, removed and changed pages and counts the unchanged ones', async () => {
+      const prisma = createPrisma({
+        pairs: [
+          { page: page(1, 'https://example.com/new'), baselinePage: null },
+          { page: null, baselinePage: page(11, 'https://example.com/old') },
+          { page: page(2, 'https://example.com/a', { statusCode: 404 }), baselinePage: page(12, 'https://example.com/a') },
+          // Columns differ but no compared field does
+          { page: page(3, 'https://example.com/b', { outlinks: 12, externalOutlinks: 4 }), baselinePage: page(13, 'https://example.com/b') }
+        ],
+        counts: { pages: 10, baselinePages: 9, matchedPages: 8 }
+      });
+
+      const { summary, changes } = await createService(prisma).buildComparison(job('job-2'), job('job-1'));
+
+      assert.deepEqual(changes.map(entry => [entry.url, entry.change]), [
+        ['https://example.com/a', 'changed'],
+        ['https://example.com/new', 'added'],
+        ['https://example.com/old', 'removed']
+      ]);
+      assert.deepEqual(changes[0].changes, { statusCode: { before: 200, after: 404 } });
+      assert.equal(summary.pages, 10);
+      assert.equal(summary.changed, 1);
+      assert.equal(summary.unchanged, 7);
+      assert.equal(summary.byChange.statusCode, 1);
+    });
+
+    it('reports new and resolved issues of pages in both crawls and of URLs that are not pages', async () => {
+      const issue = (name, url, severity = 'high') => ({ issue: name, severity, url, detail: null });
+      const prisma = createPrisma({
+        pairs: [
+          { page: page(2, 'https://example.com/a'), baselinePage: page(12, 'https://example.com/a') },
+          { page: page(3, 'https://example.com/new'), baselinePage: null }
+        ],
+        counts: { pages: 2, baselinePages: 1, matchedPages: 1 }
+      });
+      const service = createService(prisma, {
+        'job-2': [issue('missing-title', 'https://example.com/a/#top'), issue('broken-external-link', 'https://other.example/'), issue('missing-h1', 'https://example.com/new')],
+        'job-1': [issue('missing-h1', 'https://example.com/a'), issue('missing-h1', 'https://example.com/a')]
+      });
+
+      const { summary, changes } = await service.buildComparison(job('job-2'), job('job-1'));
+
+      assert.deepEqual(changes.map(entry => [entry.url, entry.newIssues.map(i => i.issue), entry.resolvedIssues.map(i => i.issue)]), [
+        ['https://example.com/a', ['missing-title'], ['missing-h1']],
+        ['https://example.com/new', [], []],
+        ['https://other.example/', ['broken-external-link'], []]
+      ]);
+      assert.equal(summary.changed, 1);
+      assert.equal(summary.newIssues, 2);
+      // The URLs whose issues changed are matched with the pages in SQL
+      const pairQuery = prisma.rawQueries.find(query => query.text.includes('row_to_json'));
+      assert.deepEqual(pairQuery.values.find(Array.isArray).sort(), ['https://example.com/a', 'https://example.com/new', 'https://other.example/']);
+    });
+
+    it('only matches addresses without parameters when either job ignores them', async () => {
+      const prisma = createPrisma();
+      await createService(prisma).buildComparison(job('job-2', { ignoreUrlParameters: true }), job('job-1'));
+
+      const pairQuery = prisma.rawQueries.find(query => query.text.includes('row_to_json'));
+      assert.match(pairQuery.text, /split_part\("address", '#', 1\)/);
+      assert.ok(!pairQuery.text.includes('string_agg'));
+      assert.ok(comparisonService.addressKeySql(false).text.includes('string_agg'));
+    });
+  });
+
+  describe('getComparison', () => {
+    it('shares one comparison per job pair until either job is updated', async () => {
+      const service = new ComparisonService(createPrisma());
+      let builds = 0;
+      service.buildComparison = async () => ({ summary: { build: ++builds }, changes: [] });
+
+      await Promise.all([service.getComparison(job('job-2'), job('job-1')), service.getComparison(job('job-2'), job('job-1'))]);
+      assert.equal(builds, 1);
+
+      await service.getComparison(job('job-2', { updatedAt: new Date('2026-05-02T00:00:00Z') }), job('job-1'));
+      assert.equal(builds, 2);
+    });
+
+    it('drops the oldest comparisons once they hold too many changes, and never keeps a larger one', async () => {
+      const service = new ComparisonService(createPrisma());
+      service.CACHE_MAX_CHANGES = 5;
+      service.buildComparison = async (current) => ({ summary: {}, changes: new Array(current.size).fill({}) });
+
+      await service.getComparison(job('small', { size: 2 }), job('base'));
+      await service.getComparison(job('medium', { size: 3 }), job('base'));
+      assert.equal(service.cache.size, 2);
+
+      await service.getComparison(job('other', { size: 1 }), job('base'));
+      assert.deepEqual([...service.cache.keys()].map(key => key.split('@')[0]), ['medium', 'other']);
+
+      await service.getComparison(job('huge', { size: 6 }), job('base'));
+      assert.equal(service.cache.size, 0);
+    });
+
+    it('forgets failed comparisons', async () => {
+      const service = new ComparisonService(createPrisma());
+      service.buildComparison = async () => { throw new Error('database unavailable'); };
+
+      await assert.rejects(service.getComparison(job('job-2'), job('job-1')), /database unavailable/);
+      await new Promise(setImmediate);
+      assert.equal(service.cache.size, 0);
+    });
+  });
+
+  describe('toCsvRows', () => {
+    const changes = [
+      { url: 'https://example.com/a', change: 'changed', changes: { wordCount: { before: 10, after: 15, delta: 5 } }, newIssues: [{ issue: 'missing-h1', severity: 'medium', detail: null }], resolvedIssues: [] },
+      { url: 'https://example.com/b', change: 'removed', changes: {}, newIssues: [], resolvedIssues: [] }
+    ];
+
+    it('yields one row per changed field or issue', () => {
+      assert.deepEqual([...comparisonService.toCsvRows(changes)], [
+        { url: 'https://example.com/a', change: 'wordCount', before: 10, after: 15, delta: 5 },
+        { url: 'https://example.com/a', change: 'newIssues', after: 'missing-h1', detail: 'medium' },
+        { url: 'https://example.com/b', change: 'removed' }
+      ]);
+    });
+
+    it('only yields the rows of the requested change', () => {
+      assert.deepEqual([...comparisonService.toCsvRows(changes, 'removed')], [{ url: 'https://example.com/b', change: 'removed' }]);
+    });
+  });
+});
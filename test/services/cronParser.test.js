@@ -0,0 +1,109 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CronParser = require('../../src/services/cronParser');
+
+const cronParser = new CronParser();
+const nextRun = (expression, timezone, after) => cronParser.getNextRun(expression, timezone, new Date(after))?.toISOString() ?? null;
+
+describe('CronParser', () => {
+  describe('parse', () => {
+    it('expands lists, ranges, steps and names', () => {
+      const cron = cronParser.parse('0,30 9-17/4 * jan,jul mon-fri');
+      assert.deepEqual(cron.minute, [0, 30]);
+      assert.deepEqual(cron.hour, [9, 13, 17]);
+      assert.deepEqual(cron.month, [1, 7]);
+      assert.deepEqual(cron.weekday, [1, 2, 3, 4, 5]);
+    });
+
+    it('runs "5/15" from 5 to the end of the range', () => {
+      assert.deepEqual(cronParser.parse('5/15 * * * *').minute, [5, 20, 35, 50]);
+      assert.deepEqual(cronParser.parse('*/15 * * * *').minute, [0, 15, 30, 45]);
+    });
+
+    it('treats 7 as Sunday', () => {
+      assert.deepEqual(cronParser.parse('0 0 * * 7').weekday, [0]);
+      assert.deepEqual(cronParser.parse('0 0 * * 5-7').weekday, [0, 5, 6]);
+    });
+
+    it('only ORs the day of month and day of week when both are restricted', () => {
+      assert.equal(cronParser.parse('0 0 1 * 1').eitherDay, true);
+      assert.equal(cronParser.parse('0 0 1 * *').eitherDay, false);
+      assert.equal(cronParser.parse('0 0 * * 1').eitherDay, false);
+    });
+
+    it('rejects invalid expressions', () => {
+      for (const expression of ['', '* * * *', '* * * * * *', '60 * * * *', '* 24 * * *', '* * 0 * *', '* * * 13 *', '* * * * 8', '5-1 * * * *', '*/0 * * * *', '*-5 * * * *', 'abc * * * *']) {
+        assert.equal(cronParser.parse(expression), null, expression);
+      }
+    });
+  });
+
+  describe('getNextRun', () => {
+    it('returns the next matching minute, strictly after the date', () => {
+      assert.equal(nextRun('0 6 * * *', 'UTC', '2026-06-01T05:59:30Z'), '2026-06-01T06:00:00.000Z');
+      assert.equal(nextRun('0 6 * * *', 'UTC', '2026-06-01T06:00:00Z'), '2026-06-02T06:00:00.000Z');
+    });
+
+    it('evaluates the expression in the time zone', () => {
+      assert.equal(nextRun('0 6 * * *', 'Europe/Paris', '2026-06-01T00:00:00Z'), '2026-06-01T04:00:00.000Z');
+      // Half-hour offset
+      assert.equal(nextRun('0 6 * * *', 'Asia/Kolkata', '2026-06-01T00:00:00Z'), '2026-06-01T00:30:00.000Z');
+    });
+
+    it('runs when either the day of month or the day of week matches', () => {
+      // Monday 2026-06-01 12:00 has passed; the next Monday comes before the next 1st
+      assert.equal(nextRun('0 12 1 * 1', 'UTC', '2026-06-01T13:00:00Z'), '2026-06-08T12:00:00.000Z');
+      // Tuesday 2026-09-01 is the 1st, not a Monday
+      assert.equal(nextRun('0 12 1 * 1', 'UTC', '2026-08-31T13:00:00Z'), '2026-09-01T12:00:00.000Z');
+    });
+
+    it('requires both when only one of them is restricted', () => {
+      assert.equal(nextRun('0 12 1 * *', 'UTC', '2026-06-01T13:00:00Z'), '2026-07-01T12:00:00.000Z');
+      // "*/2" starts with "*": the next Monday on an odd day, not the next Monday
+      assert.equal(nextRun('0 12 */2 * 1', 'UTC', '2026-06-01T13:00:00Z'), '2026-06-15T12:00:00.000Z');
+    });
+
+    it('runs 7 on Sundays', () => {
+      assert.equal(nextRun('0 12 * * 7', 'UTC', '2026-06-01T13:00:00Z'), '2026-06-07T12:00:00.000Z');
+    });
+
+    it('runs "5/15" at 5, 20, 35 and 50 past the hour', () => {
+      assert.equal(nextRun('5/15 * * * *', 'UTC', '2026-06-01T10:05:00Z'), '2026-06-01T10:20:00.000Z');
+      assert.equal(nextRun('5/15 * * * *', 'UTC', '2026-06-01T10:50:00Z'), '2026-06-01T11:05:00.000Z');
+    });
+
+    it('waits for a leap year and gives up on dates that never exist', () => {
+      assert.equal(nextRun('0 0 29 2 *', 'UTC', '2026-01-01T00:00:00Z'), '2028-02-29T00:00:00.000Z');
+      assert.equal(nextRun('0 0 30 2 *', 'UTC', '2026-01-01T00:00:00Z'), null);
+    });
+
+    describe('daylight saving time', () => {
+      // New York skips 02:00-02:59 on 2026-03-08 and repeats 01:00-01:59 on 2026-11-01
+
+      it('runs a time the clocks skip right after the change', () => {
+        // 02:30 does not exist: the run happens at 03:00 EDT
+        assert.equal(nextRun('30 2 * * *', 'America/New_York', '2026-03-08T05:00:00Z'), '2026-03-08T07:00:00.000Z');
+        assert.equal(nextRun('30 2 * * *', 'America/New_York', '2026-03-08T07:00:00Z'), '2026-03-09T06:30:00.000Z');
+      });
+
+      it('walks 23-hour days to the right local time', () => {
+        assert.equal(nextRun('0 9 * * *', 'America/New_York', '2026-03-07T15:00:00Z'), '2026-03-08T13:00:00.000Z');
+      });
+
+      it('runs a repeated time once', () => {
+        assert.equal(nextRun('30 1 * * *', 'America/New_York', '2026-11-01T04:00:00Z'), '2026-11-01T05:30:00.000Z');
+        assert.equal(nextRun('30 1 * * *', 'America/New_York', '2026-11-01T05:30:00Z'), '2026-11-02T06:30:00.000Z');
+      });
+
+      it('keeps running expressions that run every hour through the repeated hour', () => {
+        assert.equal(nextRun('*/30 * * * *', 'America/New_York', '2026-11-01T05:30:00Z'), '2026-11-01T06:00:00.000Z');
+      });
+
+      it('handles half-hour changes', () => {
+        // Lord Howe Island skips 02:00-02:29 on 2026-10-04
+        assert.equal(nextRun('15 2 * * *', 'Australia/Lord_Howe', '2026-10-03T12:00:00Z'), '2026-10-03T15:30:00.000Z');
+        assert.equal(nextRun('30 2 * * *', 'Australia/Lord_Howe', '2026-10-03T12:00:00Z'), '2026-10-03T15:30:00.000Z');
+      });
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const DuplicateDetector = require('../../src/services/duplicateDetector');
+
+const duplicateDetector = new DuplicateDetector();
+
+// Deterministic filler text: word i of a page is "w<seed + i>"
+const words = (count, seed = 0) => Array.from({ length: count }, (_, i) => `w${seed + i}`);
+const page = (id, text) => ({ id, ...duplicateDetector.fingerprint(text) });
+
+describe('DuplicateDetector', () => {
+  describe('fingerprint', () => {
+    it('returns null for pages without text', () => {
+      assert.equal(duplicateDetector.fingerprint(''), null);
+      assert.equal(duplicateDetector.fingerprint(' , . '), null);
+    });
+
+    it('ignores case and punctuation', () => {
+      const a = duplicateDetector.fingerprint('Hello, World! This is a page.');
+      const b = duplicateDetector.fingerprint('hello world this is a page');
+      assert.equal(a.contentHash, b.contentHash);
+      assert.deepEqual(a.signature, b.signature);
+    });
+
+    it('produces signatures of NUM_HASHES values', () => {
+      const { signature } = duplicateDetector.fingerprint(words(50).join(' '));
+      assert.equal(signature.length, duplicateDetector.NUM_HASHES);
+    });
+  });
+
+  describe('similarity', () => {
+    it('estimates the Jaccard similarity of the shingles', () => {
+      // 1000 words with 20 changed share about 900 of the 1000 5-word shingles
+      const base = words(1000);
+      const changed = base.map((word, i) => (i % 50 === 0 ? `x${i}` : word));
+      const score = duplicateDetector.similarity(
+        duplicateDetector.fingerprint(base.join(' ')).signature,
+        duplicateDetector.fingerprint(changed.join(' ')).signature
+      );
+      assert.ok(score > 0.7 && score < 0.95, `similarity ${score}`);
+    });
+
+    it('is low for unrelated text', () => {
+      const score = duplicateDetector.similarity(
+        duplicateDetector.fingerprint(words(500).join(' ')).signature,
+        duplicateDetector.fingerprint(words(500, 10000).join(' ')).signature
+      );
+      assert.ok(score < 0.1, `similarity ${score}`);
+    });
+  });
+
+  describe('findNearDuplicates', () => {
+    it('reports exact copies with similarity 1', () => {
+      const text = words(200).join(' ');
+      const results = duplicateDetector.findNearDuplicates([page(1, text), page(2, text), page(3, words(200, 5000).join(' '))]);
+
+      assert.deepEqual(results.get(1), { closestId: 2, similarity: 1, count: 1, groupId: 1 });
+      assert.deepEqual(results.get(2), { closestId: 1, similarity: 1, count: 1, groupId: 1 });
+      assert.equal(results.has(3), false);
+    });
+
+    it('finds pages that differ by one word', () => {
+      const base = words(1000);
+      const edited = [...base];
+      edited[500] = 'changed';
+      const results = duplicateDetector.findNearDuplicates([page(7, base.join(' ')), page(3, edited.join(' '))]);
+
+      assert.equal(results.get(7).closestId, 3);
+      assert.equal(results.get(3).closestId, 7);
+      assert.ok(results.get(7).similarity >= duplicateDetector.SIMILARITY_THRESHOLD);
+      // The cluster is identified by its lowest page id
+      assert.equal(results.get(7).groupId, 3);
+    });
+
+    it('counts exact copies and near-duplicates together', () => {
+      const base = words(1000);
+      const edited = [...base];
+      edited[10] = 'changed';
+      const results = duplicateDetector.findNearDuplicates([
+        page(1, base.join(' ')),
+        page(2, base.join(' ')),
+        page(3, edited.join(' '))
+      ]);
+
+      assert.equal(results.get(1).count, 2);
+      assert.equal(results.get(1).closestId, 2);
+      assert.equal(results.get(3).count, 2);
+      assert.equal(results.get(3).groupId, 1);
+    });
+
+    it('does not report pages below the threshold', () => {
+      const results = duplicateDetector.findNearDuplicates([
+        page(1, words(300).join(' ')),
+        page(2, words(300, 150).join(' '))
+      ]);
+      assert.equal(results.size, 0);
+    });
+  });
+});
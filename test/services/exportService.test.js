@@ -0,0 +1,212 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { PassThrough } = require('node:stream');
+const ExportService = require('../../src/services/exportService');
+
+/**
+ * In-memory stand-in for the Prisma models an export reads
+ * findMany records its arguments and honours where (gt, gte, not null, OR), take and select;
+ * $queryRaw returns the queued batches of raw rows one call at a time
+ */
+function createPrisma(models = {}, rawBatches = []) {
+  const matches = (row, where) => Object.entries(where).every(([field, condition]) => {
+    if (field === 'jobId') return true;
+    if (field === 'OR') return condition.some(alternative => matches(row, alternative));
+    if (condition && typeof condition === 'object') {
+      if ('gt' in condition && !(row[field] > condition.gt)) return false;
+      if ('gte' in condition && !(row[field] >= condition.gte)) return false;
+      if ('not' in condition && row[field] === condition.not) return false;
+      return true;
+    }
+    return row[field] === condition;
+  });
+  const findMany = (model, rows) => async (args) => {
+    prisma.queries.push({ model, ...args });
+    const { where = {}, take, select } = args;
+    return rows
+      .filter(row => matches(row, where))
+      .slice(0, take)
+      .map(row => Object.fromEntries(Object.keys(select).filter(field => field in row).map(field => [field, row[field]])));
+  };
+
+  const prisma = {
+    queries: [],
+    rawBatches: [...rawBatches],
+    async $queryRaw() {
+      prisma.queries.push({ model: 'raw' });
+      return prisma.rawBatches.shift() || [];
+    }
+  };
+  for (const model of ['internalLink', 'linkCheck', 'robotsBlockedUrl', 'issue']) {
+    prisma[model] = { findMany: findMany(model, models[model] || []) };
+  }
+  return prisma;
+}
+
+/**
+ * Collect what an export writes to a stream that never fills up
+ */
+function createSink() {
+  const sink = new PassThrough();
+  const chunks = [];
+  sink.on('data', chunk => chunks.push(chunk));
+  sink.text = () => Buffer.concat(chunks).toString('utf8');
+  return sink;
+}
+
+const page = (id, fields = {}) => ({
+  id,
+  address: `https://example.com/${id}`,
+  statusCode: 200,
+  title: `Page ${id}`,
+  duplicateGroupId: null,
+  ...fields
+});
+
+describe('ExportService', () => {
+  const exportService = new ExportService(createPrisma());
+
+  describe('parseExportQuery', () => {
+    it('exports every page column but the raw documents as CSV by default', () => {
+      const { options } = exportService.parseExportQuery({});
+      assert.equal(options.format, 'csv');
+      assert.equal(options.dataset, 'pages');
+      assert.ok(options.columns.includes('address'));
+      assert.ok(!options.columns.includes('htmlContent'));
+      assert.ok(!options.columns.includes('jobId'));
+    });
+
+    it('accepts a list of columns, including excluded ones', () => {
+      const { options } = exportService.parseExportQuery({ columns: 'address, htmlContent' });
+      assert.deepEqual(options.columns, ['address', 'htmlContent']);
+    });
+
+    it('rejects unknown formats, datasets and columns', () => {
+      assert.equal(exportService.parseExportQuery({ format: 'pdf' }).error, 'Invalid format');
+      assert.equal(exportService.parseExportQuery({ dataset: 'users' }).error, 'Invalid dataset');
+      assert.equal(exportService.parseExportQuery({ columns: 'address,password' }).error, 'Invalid columns');
+      assert.equal(exportService.parseExportQuery({ columns: ' , ' }).error, 'Invalid columns');
+    });
+  });
+
+  describe('toCsvValue', () => {
+    it('quotes values with separators, quotes and line breaks', () => {
+      assert.equal(exportService.toCsvValue('plain'), 'plain');
+      assert.equal(exportService.toCsvValue('a,b'), '"a,b"');
+      assert.equal(exportService.toCsvValue('say "hi"'), '"say ""hi"""');
+      assert.equal(exportService.toCsvValue('two\nlines'), '"two\nlines"');
+    });
+
+    it('keeps text from being evaluated as a formula', () => {
+      assert.equal(exportService.toCsvValue('=HYPERLINK("x")'), '"\'=HYPERLINK(""x"")"');
+      assert.equal(exportService.toCsvValue(-1), '-1');
+    });
+
+    it('writes empty cells, ISO dates and JSON', () => {
+      assert.equal(exportService.toCsvValue(null), '');
+      assert.equal(exportService.toCsvValue(new Date('2026-01-02T03:04:05Z')), '2026-01-02T03:04:05.000Z');
+      assert.equal(exportService.toCsvValue({ a: 1 }), '"{""a"":1}"');
+    });
+  });
+
+  describe('toXlsxValue', () => {
+    it('keeps native values and cuts text to the Excel cell limit', () => {
+      assert.equal(exportService.toXlsxValue(3), 3);
+      assert.equal(exportService.toXlsxValue(null), null);
+      assert.equal(exportService.toXlsxValue('x'.repeat(40000)).length, exportService.XLSX_CELL_LIMIT);
+    });
+  });
+
+  describe('streamExport', () => {
+    it('reads pages in id-ordered batches', async () => {
+      const prisma = createPrisma({ internalLink: [1, 2, 3, 4, 5].map(id => page(id)) });
+      const service = new ExportService(prisma);
+      service.BATCH_SIZE = 2;
+      const sink = createSink();
+
+      const rowCount = await service.streamExport('job-1', { format: 'csv', dataset: 'pages', columns: ['id', 'address'] }, sink);
+
+      assert.equal(rowCount, 5);
+      assert.deepEqual(prisma.queries.map(query => query.where.id.gt), [0, 2, 4]);
+      assert.ok(prisma.queries.every(query => query.take === 2));
+      assert.equal(sink.text(), '\uFEFFid,address\r\n' + [1, 2, 3, 4, 5].map(id => `${id},https://example.com/${id}\r\n`).join(''));
+    });
+
+    it('streams issues from every source in batches instead of loading them at once', async () => {
+      const prisma = createPrisma({
+        internalLink: [
+          page(1, { statusCode: 404, status: 'Not Found' }),
+          page(2, { duplicateGroupId: 'group-1', closestNearDuplicateMatch: 'https://example.com/3', nearDuplicateSimilarity: 0.9 })
+        ],
+        linkCheck: [{ id: 1, url: 'https://other.example/', type: 'external', statusCode: null, status: 'Error', error: 'ENOTFOUND' }],
+        robotsBlockedUrl: [{ id: 1, address: 'https://example.com/private', matchedRule: 'Disallow: /private' }],
+        issue: [1, 2, 3].map(id => ({ id, type: 'missing-title', severity: 'high', url: `https://example.com/${id}`, message: 'No title' }))
+      }, [[
+        { id: 7, sourceUrl: 'https://example.com/loop', finalUrl: 'https://example.com/loop', hopCount: 2, isLoop: true, targetStatusCode: null },
+        { id: 8, sourceUrl: 'https://example.com/old', finalUrl: 'https://example.com/gone', hopCount: 3, isLoop: false, targetStatusCode: 404 }
+      ]]);
+      const service = new ExportService(prisma);
+      service.BATCH_SIZE = 2;
+      const sink = createSink();
+
+      await service.streamExport('job-1', { format: 'jsonl', dataset: 'issues', columns: ['issue', 'url', 'detail'] }, sink);
+
+      const rows = sink.text().trim().split('\n').map(line => JSON.parse(line));
+      assert.deepEqual(rows.map(row => row.issue), [
+        'broken-internal-link', 'broken-external-link',
+        'redirect-loop', 'redirect-to-non-200', 'redirect-chain',
+        'near-duplicate', 'blocked-by-robots-txt', 'missing-title', 'missing-title', 'missing-title'
+      ]);
+      assert.equal(rows[1].detail, 'Error: ENOTFOUND');
+      assert.equal(rows[4].detail, '3 hops to https://example.com/gone');
+      assert.equal(rows[5].detail, '90% similar to https://example.com/3');
+      // Every query reads one batch after the previous one's last id
+      assert.ok(prisma.queries.filter(query => query.model !== 'raw').every(query => query.take === 2 && 'gt' in query.where.id));
+      assert.deepEqual(prisma.queries.filter(query => query.model === 'issue').map(query => query.where.id.gt), [0, 2]);
+    });
+
+    it('waits for the client before writing more XLSX rows', async () => {
+      const rows = Array.from({ length: 3000 }, (_, index) => page(index + 1, { title: `${index}-${Math.random().toString(36).repeat(8)}` }));
+      const service = new ExportService(createPrisma({ internalLink: rows }));
+      const sink = new PassThrough();
+      let rowCount = null;
+
+      const exported = service.streamExport('job-1', { format: 'xlsx', dataset: 'pages', columns: ['title'] }, sink)
+        .then(count => { rowCount = count; });
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      assert.equal(rowCount, null);
+      assert.ok(sink.writableLength <= sink.writableHighWaterMark);
+
+      sink.resume();
+      await exported;
+      assert.equal(rowCount, 3000);
+    });
+  });
+
+  describe('drain', () => {
+    it('waits for a full stream to drain', async () => {
+      const stream = Object.assign(new EventEmitter(), { writableNeedDrain: true, destroyed: false });
+      let drained = false;
+      const waiting = exportService.drain(stream).then(() => { drained = true; });
+
+      await new Promise(setImmediate);
+      assert.equal(drained, false);
+      stream.writableNeedDrain = false;
+      stream.emit('drain');
+      await waiting;
+      assert.equal(drained, true);
+    });
+
+    it('fails once the client closed the stream', async () => {
+      const stream = Object.assign(new EventEmitter(), { writableNeedDrain: true, destroyed: false });
+      const waiting = exportService.drain(stream);
+
+      stream.destroyed = true;
+      stream.emit('close');
+      await assert.rejects(waiting, /closed by the client/);
+      await assert.rejects(exportService.write(Object.assign(new EventEmitter(), { write() {}, destroyed: true }), 'x'), /closed by the client/);
+    });
+  });
+});
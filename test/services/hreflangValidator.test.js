@@ -0,0 +1,105 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const HreflangValidator = require('../../src/services/hreflangValidator');
+
+const hreflangValidator = new HreflangValidator();
+
+describe('HreflangValidator', () => {
+  describe('parseLinkHeader', () => {
+    it('keeps alternates with an hreflang', () => {
+      const alternates = hreflangValidator.parseLinkHeader('<https://example.com/fr/>; rel="alternate"; hreflang="fr", <https://example.com/>; rel=canonical, <https://example.com/de/>; rel=alternate; hreflang=de');
+      assert.deepEqual(alternates, [
+        { hreflang: 'fr', href: 'https://example.com/fr/' },
+        { hreflang: 'de', href: 'https://example.com/de/' }
+      ]);
+    });
+  });
+
+  describe('checkCode', () => {
+    it('accepts languages, regions, scripts and x-default', () => {
+      for (const code of ['en', 'en-GB', 'en-gb', 'zh-Hant', 'zh-Hant-TW', 'x-default', 'X-Default']) {
+        assert.equal(hreflangValidator.checkCode(code), null, code);
+      }
+    });
+
+    it('reports unknown codes with a suggestion when one is likely', () => {
+      assert.deepEqual(hreflangValidator.checkCode('en-UK'), { reason: 'unknown-region', suggestion: 'en-GB' });
+      assert.deepEqual(hreflangValidator.checkCode('jp'), { reason: 'unknown-language', suggestion: 'ja' });
+      assert.deepEqual(hreflangValidator.checkCode('en-XX'), { reason: 'unknown-region', suggestion: null });
+    });
+
+    it('reports malformed codes', () => {
+      assert.deepEqual(hreflangValidator.checkCode('en_GB'), { reason: 'malformed', suggestion: 'en-GB' });
+      assert.deepEqual(hreflangValidator.checkCode('english'), { reason: 'malformed', suggestion: null });
+      assert.deepEqual(hreflangValidator.checkCode('en-GB-x-y'), { reason: 'malformed', suggestion: null });
+    });
+  });
+
+  describe('collectAlternates', () => {
+    it('merges the same alternate declared in several places', () => {
+      const page = {
+        address: 'https://example.com/',
+        hreflangs: [
+          { hreflang: 'fr', href: '/fr/', source: 'html' },
+          { hreflang: 'FR', href: 'https://example.com/fr/', source: 'http' }
+        ]
+      };
+      const alternates = hreflangValidator.collectAlternates(page, [{ hreflang: 'fr', href: 'https://example.com/fr/' }], url => url);
+      assert.deepEqual(alternates, [{ hreflang: 'fr', url: 'https://example.com/fr/', sources: ['html', 'http', 'sitemap'] }]);
+    });
+  });
+
+  describe('validate', () => {
+    const page = (id, address, hreflangs, extra = {}) => ({
+      id,
+      address,
+      statusCode: 200,
+      canonicalUrl: address,
+      hreflangs: Object.entries(hreflangs).map(([hreflang, href]) => ({ hreflang, href, source: 'html' })),
+      ...extra
+    });
+
+    it('checks return links between crawled alternates', () => {
+      const results = hreflangValidator.validate([
+        page(1, 'https://example.com/en', { en: 'https://example.com/en', fr: 'https://example.com/fr' }),
+        page(2, 'https://example.com/fr', { fr: 'https://example.com/fr', en: 'https://example.com/en' }),
+        page(3, 'https://example.com/de', { de: 'https://example.com/de', en: 'https://example.com/en' })
+      ], {});
+
+      const byLang = id => Object.fromEntries(results.get(id).map(alternate => [alternate.hreflang, alternate]));
+      assert.equal(byLang(1).en.isSelf, true);
+      assert.equal(byLang(1).fr.hasReturnLink, true);
+      // /en does not link back to /de
+      assert.equal(byLang(3).en.hasReturnLink, false);
+    });
+
+    it('reports alternates that are not 200 or not canonical', () => {
+      const results = hreflangValidator.validate([
+        page(1, 'https://example.com/en', { fr: 'https://example.com/fr', de: 'https://example.com/de', es: 'https://example.com/es' }),
+        page(2, 'https://example.com/fr', {}, { statusCode: 404 }),
+        page(3, 'https://example.com/de', {}, { canonicalUrl: 'https://example.com/en' })
+      ], {
+        redirectChains: [{ sourceUrl: 'https://example.com/es', finalUrl: 'https://example.com/es/', finalStatusCode: 200 }]
+      });
+
+      const byLang = Object.fromEntries(results.get(1).map(alternate => [alternate.hreflang, alternate]));
+      assert.equal(byLang.fr.targetStatusCode, 404);
+      // Return links are only checked on successful alternates
+      assert.equal(byLang.fr.hasReturnLink, null);
+      assert.equal(byLang.de.targetCanonicalUrl, 'https://example.com/en');
+      assert.equal(byLang.es.targetRedirectUrl, 'https://example.com/es/');
+      assert.equal(byLang.es.hasReturnLink, null);
+    });
+
+    it('merges sitemap alternates and flags invalid codes', () => {
+      const results = hreflangValidator.validate([page(1, 'https://example.com/', {})], {
+        sitemapAlternates: new Map([['https://example.com/', [{ hreflang: 'en-UK', href: 'https://example.com/uk' }]]])
+      });
+      const [alternate] = results.get(1);
+      assert.deepEqual(alternate.sources, ['sitemap']);
+      assert.equal(alternate.invalidCode, 'unknown-region');
+      assert.equal(alternate.suggestion, 'en-GB');
+      assert.equal(alternate.targetStatusCode, null);
+    });
+  });
+});
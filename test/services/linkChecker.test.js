@@ -0,0 +1,150 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const LinkChecker = require('../../src/services/linkChecker');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('LinkChecker', () => {
+  const linkChecker = new LinkChecker();
+
+  describe('isBlockedAddress', () => {
+    it('blocks loopback, private, link-local and reserved IPv4 addresses', () => {
+      for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1', '255.255.255.255']) {
+        assert.equal(linkChecker.isBlockedAddress(address), true, address);
+      }
+      for (const address of ['93.184.216.34', '8.8.8.8', '172.32.0.1']) {
+        assert.equal(linkChecker.isBlockedAddress(address), false, address);
+      }
+    });
+
+    it('blocks loopback, unique local, link-local and IPv4-mapped IPv6 addresses', () => {
+      for (const address of ['::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:169.254.169.254', 'ff02::1']) {
+        assert.equal(linkChecker.isBlockedAddress(address), true, address);
+      }
+      assert.equal(linkChecker.isBlockedAddress('2606:4700:4700::1111'), false);
+      assert.equal(linkChecker.isBlockedAddress('::ffff:8.8.8.8'), false);
+    });
+  });
+
+  describe('request', () => {
+    it('refuses addresses and host names that are not public', async () => {
+      for (const url of ['http://127.0.0.1/', 'http://169.254.169.254/latest/meta-data/', 'http://[::1]:8080/', 'http://localhost/']) {
+        const result = await linkChecker.request(url, 'HEAD');
+        assert.equal(result.status, 'Blocked', url);
+        assert.equal(result.statusCode, null);
+        assert.match(result.error, /non-public address/);
+      }
+    });
+
+    it('refuses protocols other than HTTP(S)', async () => {
+      const result = await linkChecker.request('file:///etc/passwd', 'GET');
+      assert.equal(result.status, 'Connection Error');
+      assert.equal(result.error, 'EPROTOCOL');
+    });
+
+    describe('against a local server', () => {
+      let server;
+      let origin;
+      const requests = [];
+      // The server is on loopback, so only 127.0.0.2 is refused here
+      const checker = new LinkChecker();
+      checker.isBlockedAddress = address => address === '127.0.0.2';
+
+      before(async () => {
+        server = http.createServer((req, res) => {
+          requests.push(`${req.method} ${req.url}`);
+          const { port } = server.address();
+          const redirects = {
+            '/moved': `http://127.0.0.1:${port}/page`,
+            '/internal': `http://127.0.0.2:${port}/admin`,
+            '/loop': '/loop'
+          };
+          if (redirects[req.url]) {
+            res.writeHead(301, { Location: redirects[req.url] });
+            return res.end();
+          }
+          res.writeHead(req.url === '/page' ? 200 : 404, { 'Content-Type': 'text/html', 'Content-Length': 5 });
+          res.end('hello');
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        origin = `http://127.0.0.1:${server.address().port}`;
+      });
+
+      after(() => new Promise(resolve => server.close(resolve)));
+
+      it('follows redirects and reports the final URL', async () => {
+        const result = await checker.request(`${origin}/moved`, 'HEAD');
+        assert.deepEqual(result, {
+          statusCode: 200,
+          status: 'OK',
+          contentType: 'text/html',
+          finalUrl: `${origin}/page`,
+          contentLength: 5,
+          error: null
+        });
+      });
+
+      it('checks the address of every redirect', async () => {
+        const result = await checker.request(`${origin}/internal`, 'GET');
+        assert.equal(result.status, 'Blocked');
+        assert.ok(!requests.includes('GET /admin'));
+      });
+
+      it('stops after too many redirects', async () => {
+        const result = await checker.request(`${origin}/loop`, 'HEAD');
+        assert.equal(result.error, 'ETOOMANYREDIRECTS');
+      });
+
+      it('confirms failed HEAD requests with a GET', async () => {
+        requests.length = 0;
+        const result = await checker.checkUrl(`${origin}/missing`);
+        assert.equal(result.statusCode, 404);
+        assert.deepEqual(requests, ['HEAD /missing', 'GET /missing']);
+      });
+    });
+  });
+
+  describe('checkUrls', () => {
+    it('asks whether to stop on a timer rather than before every URL', async () => {
+      const checker = new LinkChecker();
+      checker.CONCURRENCY = 1;
+      checker.STOP_CHECK_INTERVAL = 20;
+      checker.checkUrl = async () => {
+        await wait(5);
+        return { statusCode: 200 };
+      };
+      let stopChecks = 0;
+      const urls = Array.from({ length: 100 }, (_, index) => `https://site-${index}.example/`);
+
+      const results = await checker.checkUrls(urls, async () => ++stopChecks >= 2);
+
+      assert.equal(stopChecks, 2);
+      assert.ok(results.size > 0 && results.size < urls.length, `${results.size} URLs checked`);
+    });
+
+    it('keeps checking when the stop check fails', async () => {
+      const checker = new LinkChecker();
+      checker.STOP_CHECK_INTERVAL = 1;
+      checker.checkUrl = async () => {
+        await wait(5);
+        return { statusCode: 200 };
+      };
+      const urls = ['https://a.example/', 'https://b.example/'];
+
+      const results = await checker.checkUrls(urls, async () => { throw new Error('database unavailable'); });
+
+      assert.equal(results.size, 2);
+    });
+  });
+
+  describe('interleaveByHost', () => {
+    it('alternates between hosts so one host does not hold up the queue', () => {
+      assert.deepEqual(linkChecker.interleaveByHost([
+        'https://a.example/1', 'https://a.example/2', 'https://a.example/3', 'https://b.example/1', 'https://c.example/1'
+      ]), [
+        'https://a.example/1', 'https://b.example/1', 'https://c.example/1', 'https://a.example/2', 'https://a.example/3'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,226 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Prisma } = require('@prisma/client');
+const PageQueryService = require('../../src/services/pageQueryService');
+
+/**
+ * Prisma stand-in: $queryRaw records the built SQL and answers with the handler's rows
+ */
+function createPrisma(handleRaw = () => [], models = {}) {
+  const prisma = {
+    rawQueries: [],
+    async $queryRaw(strings, ...values) {
+      const query = Prisma.sql(strings, ...values);
+      prisma.rawQueries.push(query);
+      return handleRaw(query);
+    },
+    ...models
+  };
+  return prisma;
+}
+
+const compact = sql => sql.replace(/\s+/g, ' ').trim();
+
+describe('PageQueryService', () => {
+  const pageQueryService = new PageQueryService(createPrisma());
+
+  describe('parseStatusCodeRanges', () => {
+    it('reads codes, classes and ranges', () => {
+      assert.deepEqual(pageQueryService.parseStatusCodeRanges('404'), [[404, 404]]);
+      assert.deepEqual(pageQueryService.parseStatusCodeRanges('4XX'), [[400, 499]]);
+      assert.deepEqual(pageQueryService.parseStatusCodeRanges('200, 3xx,500-503'), [[200, 200], [300, 399], [500, 503]]);
+    });
+
+    it('rejects anything else', () => {
+      for (const value of ['6xx', '503-500', '40', 'abc', '200,']) {
+        assert.equal(pageQueryService.parseStatusCodeRanges(value), null, value);
+      }
+    });
+  });
+
+  describe('parseNumberRange', () => {
+    it('builds a gte/lte filter from minX and maxX', () => {
+      assert.deepEqual(pageQueryService.parseNumberRange({ minWordCount: '100', maxWordCount: '500' }, 'wordCount'), { gte: 100, lte: 500 });
+      assert.deepEqual(pageQueryService.parseNumberRange({ maxResponseTime: '0' }, 'responseTime'), { lte: 0 });
+      assert.equal(pageQueryService.parseNumberRange({}, 'wordCount'), null);
+    });
+
+    it('rejects negative and fractional values', () => {
+      assert.equal(pageQueryService.parseNumberRange({ minWordCount: '-1' }, 'wordCount'), false);
+      assert.equal(pageQueryService.parseNumberRange({ maxWordCount: '1.5' }, 'wordCount'), false);
+    });
+  });
+
+  describe('cursors', () => {
+    it('round-trips the sort value and id', () => {
+      const cursor = pageQueryService.encodeCursor({ id: 42, wordCount: 300 }, 'wordCount');
+      assert.deepEqual(pageQueryService.decodeCursor(cursor, 'wordCount'), { value: 300, id: 42 });
+    });
+
+    it('restores dates and null values', () => {
+      const crawledAt = new Date('2026-03-01T10:00:00Z');
+      const dated = pageQueryService.encodeCursor({ id: 1, crawlTimestamp: crawledAt }, 'crawlTimestamp');
+      assert.deepEqual(pageQueryService.decodeCursor(dated, 'crawlTimestamp'), { value: crawledAt, id: 1 });
+
+      const empty = pageQueryService.encodeCursor({ id: 2, lastModified: null }, 'lastModified');
+      assert.deepEqual(pageQueryService.decodeCursor(empty, 'lastModified'), { value: null, id: 2 });
+    });
+
+    it('refuses cursors of another sort and malformed cursors', () => {
+      const cursor = pageQueryService.encodeCursor({ id: 42, wordCount: 300 }, 'wordCount');
+      assert.equal(pageQueryService.decodeCursor(cursor, 'title'), null);
+      assert.equal(pageQueryService.decodeCursor('not-a-cursor', 'wordCount'), null);
+      assert.equal(pageQueryService.decodeCursor(Buffer.from('{"s":"wordCount","v":1,"id":"1"}').toString('base64url'), 'wordCount'), null);
+    });
+
+    it('continues after the cursor row, with null sort values last', () => {
+      const condition = pageQueryService.buildCursorCondition('wordCount', 'asc', { value: 300, id: 42 });
+      assert.equal(compact(condition.text), '("wordCount" > $1 OR ("wordCount" = $2 AND "id" > $3) OR "wordCount" IS NULL)');
+      assert.deepEqual(condition.values, [300, 300, 42]);
+
+      const descending = pageQueryService.buildCursorCondition('address', 'desc', { value: 'https://example.com/b', id: 7 });
+      assert.equal(compact(descending.text), '("address" < $1 OR ("address" = $2 AND "id" < $3))');
+
+      const inNulls = pageQueryService.buildCursorCondition('wordCount', 'asc', { value: null, id: 9 });
+      assert.equal(compact(inNulls.text), '("wordCount" IS NULL AND "id" > $1)');
+    });
+  });
+
+  describe('parsePageQuery', () => {
+    it('applies the defaults', async () => {
+      const { options } = await pageQueryService.parsePageQuery({});
+      assert.equal(options.limit, pageQueryService.DEFAULT_LIMIT);
+      assert.equal(options.sort, 'crawlTimestamp');
+      assert.equal(options.order, 'asc');
+      assert.deepEqual(options.fields, pageQueryService.DEFAULT_FIELDS);
+    });
+
+    it('caps the limit', async () => {
+      assert.equal((await pageQueryService.parsePageQuery({ limit: '10000' })).options.limit, pageQueryService.MAX_LIMIT);
+      assert.equal((await pageQueryService.parsePageQuery({ limit: '-5' })).options.limit, 1);
+    });
+
+    it('reports the first invalid parameter', async () => {
+      const cases = [
+        [{ fields: 'address,password' }, 'Invalid fields'],
+        [{ sort: 'htmlContent' }, 'Invalid sort'],
+        [{ order: 'up' }, 'Invalid order'],
+        [{ cursor: 'nope' }, 'Invalid cursor'],
+        [{ statusCode: '7xx' }, 'Invalid statusCode'],
+        [{ indexability: 'maybe' }, 'Invalid indexability'],
+        [{ minWordCount: 'many' }, 'Invalid wordCount range'],
+        [{ title: 'short' }, 'Invalid title']
+      ];
+      for (const [query, error] of cases) {
+        assert.equal((await pageQueryService.parsePageQuery(query)).error, error, JSON.stringify(query));
+      }
+    });
+
+    it('validates regexes with PostgreSQL', async () => {
+      const prisma = createPrisma(query => {
+        if (query.values[0] === '(') {
+          throw Object.assign(new Error('invalid regular expression'), { meta: { code: '2201B' } });
+        }
+        return [{ matches: false }];
+      });
+      const service = new PageQueryService(prisma);
+
+      assert.equal((await service.parsePageQuery({ addressRegex: '^/blog/' })).options.addressRegex, '^/blog/');
+      assert.equal((await service.parsePageQuery({ addressRegex: '(' })).error, 'Invalid addressRegex');
+      assert.equal((await service.parsePageQuery({ addressRegex: 'a'.repeat(201) })).error, 'Invalid addressRegex');
+      assert.equal(prisma.rawQueries.length, 2);
+    });
+
+    it('passes on database errors other than an invalid regex', async () => {
+      const service = new PageQueryService(createPrisma(() => { throw new Error('connection lost'); }));
+      await assert.rejects(service.parsePageQuery({ addressRegex: '^/' }), /connection lost/);
+    });
+  });
+
+  describe('buildWhere', () => {
+    it('turns every filter into one condition', async () => {
+      const { options } = await pageQueryService.parsePageQuery({
+        statusCode: '4xx,500', indexability: 'Non-Indexable', minWordCount: '10', title: 'duplicate', metaDescription: 'missing', addressPrefix: 'https://example.com/blog/'
+      });
+      const where = compact(pageQueryService.buildWhere('job-1', options).text);
+
+      assert.match(where, /^"jobId" = \$1::uuid AND \("statusCode" BETWEEN \$2 AND \$3 OR "statusCode" BETWEEN \$4 AND \$5\) AND "indexability" = \$6 AND "wordCount" >= \$7/);
+      assert.match(where, /"title" IN \( SELECT "title" FROM "InternalLink" WHERE "jobId" = \$8::uuid AND "title" <> '' GROUP BY "title" HAVING COUNT\(\*\) > 1 \)/);
+      assert.match(where, /\("metaDescription" IS NULL OR "metaDescription" = ''\)/);
+      assert.match(where, /starts_with\("address", \$9\)$/);
+    });
+  });
+
+  describe('listPages', () => {
+    it('reads the selected fields for the ids of the page and returns a cursor after the last one', async () => {
+      const rows = [3, 1, 2].map(id => ({ id, address: `https://example.com/${id}`, wordCount: id * 100 }));
+      const prisma = createPrisma(
+        query => (query.text.includes('COUNT(*)') ? [{ total: 10 }] : rows.map(({ id }) => ({ id }))),
+        {
+          internalLink: {
+            findMany: async ({ where, select }) => rows
+              .filter(row => where.id.in.includes(row.id))
+              .map(row => Object.fromEntries(Object.keys(select).map(field => [field, row[field]])))
+          }
+        }
+      );
+      const service = new PageQueryService(prisma);
+      const { options } = await service.parsePageQuery({ limit: '2', fields: 'address', sort: 'wordCount', order: 'desc' });
+
+      const result = await service.listPages('job-1', options);
+
+      assert.deepEqual(result.pages, [{ address: 'https://example.com/3' }, { address: 'https://example.com/1' }]);
+      assert.equal(result.total, 10);
+      assert.equal(result.hasMore, true);
+      assert.deepEqual(service.decodeCursor(result.nextCursor, 'wordCount'), { value: 100, id: 1 });
+      assert.match(compact(prisma.rawQueries[0].text), /ORDER BY "wordCount" DESC NULLS LAST, "id" DESC LIMIT \$\d+$/);
+      assert.equal(prisma.rawQueries[0].values.at(-1), 3);
+    });
+  });
+
+  describe('screenshot URLs', () => {
+    it('are read from the stored keys', async () => {
+      const key = `${'f'.repeat(64)}.jpg`;
+      let select;
+      const service = new PageQueryService(createPrisma(
+        query => (query.text.includes('COUNT(*)') ? [{ total: 1 }] : [{ id: 5 }]),
+        { internalLink: { findMany: async (args) => { select = args.select; return [{ id: 5, crawlTimestamp: new Date(), thumbnailKey: key }]; } } }
+      ));
+      const { options } = await service.parsePageQuery({ fields: 'thumbnailUrl' });
+
+      const { pages } = await service.listPages('job-1', options);
+
+      assert.deepEqual(select, { thumbnailKey: true, id: true, crawlTimestamp: true });
+      assert.deepEqual(pages, [{ thumbnailUrl: `/api/jobs/job-1/screenshots/${key}` }]);
+    });
+  });
+
+  describe('getPageSummaries', () => {
+    it('counts pages by status code class and indexability', async () => {
+      const service = new PageQueryService(createPrisma(() => [], {
+        internalLink: {
+          groupBy: async ({ by }) => (by.includes('statusCode')
+            ? [
+                { jobId: 'job-1', statusCode: 200, _count: { _all: 5 } },
+                { jobId: 'job-1', statusCode: 404, _count: { _all: 2 } },
+                { jobId: 'job-1', statusCode: 0, _count: { _all: 1 } }
+              ]
+            : [
+                { jobId: 'job-1', indexability: 'Indexable', indexabilityStatus: null, _count: { _all: 5 } },
+                { jobId: 'job-1', indexability: 'Non-Indexable', indexabilityStatus: 'noindex-meta', _count: { _all: 3 } }
+              ])
+        }
+      }));
+
+      const summaries = await service.getPageSummaries(['job-1', 'job-2']);
+      const summary = summaries.get('job-1');
+
+      assert.equal(summary.total, 8);
+      assert.deepEqual(summary.statusCodes, { '2xx': 5, '3xx': 0, '4xx': 2, '5xx': 0, other: 1 });
+      assert.equal(summary.indexable, 5);
+      assert.equal(summary.nonIndexable, 3);
+      assert.equal(summary.nonIndexableByReason['noindex-meta'], 3);
+      assert.equal(summaries.get('job-2').total, 0);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Prisma } = require('@prisma/client');
+const RetentionService = require('../../src/services/retentionService');
+
+/**
+ * Prisma stand-in for the storage report: $queryRaw answers the size queries by what they group by
+ */
+function createPrisma({ jobs = [], users = [], sizes = {} }) {
+  const prisma = {
+    rawQueries: [],
+    async $queryRaw(strings, ...values) {
+      const query = Prisma.sql(strings, ...values);
+      prisma.rawQueries.push(query);
+      if (query.text.includes('pg_total_relation_size')) return [{ bytes: 5000n }];
+      const byUser = query.text.includes('j."userId"');
+      if (query.text.includes('"Artifact"')) {
+        return byUser ? sizes.userArtifacts : sizes.jobArtifacts;
+      }
+      return byUser ? sizes.userDatabase : sizes.jobDatabase;
+    },
+    crawlJob: {
+      count: async () => jobs.length,
+      findMany: async ({ where, skip = 0, take = Infinity }) => {
+        const found = where?.id ? jobs.filter(job => where.id.in.includes(job.id)) : jobs;
+        return found.slice(skip, skip + take);
+      },
+      groupBy: async () => [...new Set(jobs.map(job => job.userId))].map(userId => ({
+        userId,
+        _count: { _all: jobs.filter(job => job.userId === userId).length },
+        _sum: { pagesCrawled: jobs.filter(job => job.userId === userId).reduce((sum, job) => sum + job.pagesCrawled, 0) }
+      })),
+      deleteMany: async ({ where }) => ({ count: prisma.claimed?.includes(where.id) ? 0 : 1 })
+    },
+    user: {
+      findMany: async ({ where }) => users.filter(user => where.id.in.includes(user.id))
+    },
+    artifact: {
+      aggregate: async () => ({ _count: { key: 3 }, _sum: { size: 900, storedSize: 600 } })
+    }
+  };
+  return prisma;
+}
+
+describe('RetentionService', () => {
+  const savedEnv = { ...process.env };
+  afterEach(() => {
+    process.env = { ...savedEnv };
+  });
+
+  describe('POLICY', () => {
+    it('reads the retention days from the environment and treats unset or 0 as forever', () => {
+      process.env.RETENTION_HTML_DAYS = '30';
+      process.env.RETENTION_SCREENSHOT_DAYS = '0';
+      delete process.env.RETENTION_JOB_DAYS;
+
+      assert.deepEqual(new RetentionService({}).POLICY, { htmlDays: 30, screenshotDays: null, jobDays: null });
+    });
+  });
+
+  describe('getStorageReport', () => {
+    const jobs = [
+      { id: 'job-a', url: 'https://a.example', status: 'completed', userId: 1, createdAt: new Date('2026-01-01'), pagesCrawled: 50 },
+      { id: 'job-b', url: 'https://b.example', status: 'completed', userId: 2, createdAt: new Date('2026-01-02'), pagesCrawled: 20 },
+      { id: 'job-c', url: 'https://c.example', status: 'stopped', userId: null, createdAt: new Date('2025-01-01'), pagesCrawled: 5 }
+    ];
+    const createService = () => {
+      const service = new RetentionService(createPrisma({
+        jobs,
+        users: [{ id: 1, email: 'one@example.com', name: 'One' }, { id: 2, email: 'two@example.com', name: 'Two' }],
+        sizes: {
+          jobDatabase: [{ jobId: 'job-a', bytes: 100n }, { jobId: 'job-b', bytes: 40n }],
+          jobArtifacts: [{ owner: 'job-a', bytes: 300n }],
+          userDatabase: [{ userId: 1, bytes: 100n }, { userId: 2, bytes: 40n }, { userId: null, bytes: 10n }],
+          userArtifacts: [{ owner: 1, bytes: 300n }, { owner: 2, bytes: 500n }]
+        }
+      }));
+      service.screenshotService.getLegacyScreenshotSizes = async () => new Map([['job-c', 70], ['deleted-job', 8]]);
+      return service;
+    };
+
+    it('reports the bytes of each user, most storage first', async () => {
+      const report = await createService().getStorageReport({ limit: 2 });
+
+      assert.deepEqual(report.users.map(user => [user.userId, user.databaseBytes, user.artifactBytes, user.legacyScreenshotBytes, user.totalBytes]), [
+        [2, 40, 500, 0, 540],
+        [1, 100, 300, 0, 400],
+        [null, 10, 0, 70, 80]
+      ]);
+      assert.equal(report.users[0].email, 'two@example.com');
+      assert.equal(report.users[2].email, null);
+      assert.equal(report.users[1].pagesCrawled, 50);
+    });
+
+    it('measures only the jobs on the requested page', async () => {
+      const service = createService();
+      const report = await service.getStorageReport({ limit: 2 });
+
+      assert.deepEqual(report.jobs.map(job => [job.jobId, job.totalBytes]), [['job-a', 400], ['job-b', 40]]);
+      assert.equal(report.total, 3);
+      assert.equal(report.hasMore, true);
+      const jobQueries = service.prisma.rawQueries.filter(query => query.values.includes('job-a'));
+      assert.ok(jobQueries.length > 0);
+      assert.ok(jobQueries.every(query => !query.values.includes('job-c')));
+    });
+
+    it('totals the database from the table sizes and every artifact once', async () => {
+      const { summary } = await createService().getStorageReport();
+
+      assert.equal(summary.databaseBytes, 5000);
+      assert.equal(summary.artifactBytes, 600);
+      assert.equal(summary.legacyScreenshotBytes, 78);
+      assert.equal(summary.totalBytes, 5678);
+    });
+  });
+
+  describe('jobRowSizes', () => {
+    it('limits every table to the given jobs', () => {
+      const service = new RetentionService({});
+      const query = service.jobRowSizes(['job-a']);
+
+      assert.equal(query.values.filter(value => value === 'job-a').length, service.JOB_TABLES.length + 1);
+      assert.ok(!service.jobRowSizes().text.includes('IN ('));
+    });
+  });
+
+  describe('deleteJobs', () => {
+    it('skips jobs claimed meanwhile and removes the artifacts of the deleted ones', async () => {
+      const prisma = createPrisma({ jobs: [{ id: 'job-a' }, { id: 'job-b' }] });
+      prisma.claimed = ['job-b'];
+      const service = new RetentionService(prisma);
+      const removedKeys = [];
+      service.artifactStorage.getReferencedKeys = async ({ jobId }) => new Set([`${jobId}-key`, 'shared-key']);
+      service.artifactStorage.removeUnreferencedArtifacts = async ({ keys }) => {
+        removedKeys.push(...keys);
+        return { count: keys.length, bytes: 10 * keys.length };
+      };
+      service.screenshotService.deleteJobScreenshots = async () => {};
+      service.dropRequestQueue = async () => {};
+
+      const result = await service.deleteJobs({});
+
+      assert.deepEqual(result.jobIds, ['job-a']);
+      assert.deepEqual(removedKeys.sort(), ['job-a-key', 'shared-key']);
+      assert.equal(result.freedBytes, 20);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const RobotsCrawler = require('../../src/services/robotsCrawler');
+
+const robotsCrawler = new RobotsCrawler();
+
+describe('RobotsCrawler', () => {
+  describe('resolveUserAgentGroup', () => {
+    it('uses the group naming the product token, case-insensitively', () => {
+      const robotsData = robotsCrawler.parseRobotsTxt('User-agent: *\nDisallow: /\n\nUser-agent: SiteScope-Bot\nDisallow: /private');
+      assert.equal(robotsCrawler.resolveUserAgentGroup(robotsData, 'SiteScope-Bot/1.0'), 'sitescope-bot');
+    });
+
+    it('requires the whole product token to match', () => {
+      const robotsData = robotsCrawler.parseRobotsTxt('User-agent: site\nDisallow: /\n\nUser-agent: *\nDisallow: /admin');
+      assert.equal(robotsCrawler.resolveUserAgentGroup(robotsData, 'SiteScope-Bot/1.0'), '*');
+      assert.equal(robotsCrawler.isPathAllowed(robotsData, '/page', 'SiteScope-Bot/1.0'), true);
+    });
+
+    it('ignores a version written in the group name', () => {
+      const robotsData = robotsCrawler.parseRobotsTxt('User-agent: SiteScope-Bot/2.0\nDisallow: /');
+      assert.equal(robotsCrawler.resolveUserAgentGroup(robotsData, 'SiteScope-Bot/1.0'), 'sitescope-bot/2.0');
+    });
+
+    it('returns null when no group applies', () => {
+      const robotsData = robotsCrawler.parseRobotsTxt('User-agent: Googlebot\nDisallow: /');
+      assert.equal(robotsCrawler.resolveUserAgentGroup(robotsData, 'SiteScope-Bot/1.0'), null);
+      assert.equal(robotsCrawler.isPathAllowed(robotsData, '/', 'SiteScope-Bot/1.0'), true);
+    });
+  });
+
+  describe('parseRobotsTxt', () => {
+    it('shares the rules below consecutive User-agent lines', () => {
+      const robotsData = robotsCrawler.parseRobotsTxt('User-agent: a\nUser-agent: b\nDisallow: /x\n\nUser-agent: c\nDisallow: /y');
+      assert.deepEqual(robotsData.userAgents.a.disallow, ['/x']);
+      assert.deepEqual(robotsData.userAgents.b.disallow, ['/x']);
+      assert.deepEqual(robotsData.userAgents.c.disallow, ['/y']);
+    });
+
+    it('strips comments and collects sitemaps once', () => {
+      const robotsData = robotsCrawler.parseRobotsTxt([
+        '# comment',
+        'User-agent: *',
+        'Disallow: /admin # private',
+        'Sitemap: https://example.com/sitemap.xml',
+        'Sitemap: https://example.com/sitemap.xml'
+      ].join('\n'));
+      assert.deepEqual(robotsData.userAgents['*'].disallow, ['/admin']);
+      assert.deepEqual(robotsData.sitemapUrls, ['https://example.com/sitemap.xml']);
+    });
+  });
+
+  describe('findMatchingRule', () => {
+    it('lets the longest matching pattern win', () => {
+      const robotsData = robotsCrawler.parseRobotsTxt('User-agent: *\nDisallow: /shop\nAllow: /shop/public');
+      assert.equal(robotsCrawler.isPathAllowed(robotsData, '/shop/cart'), false);
+      assert.equal(robotsCrawler.isPathAllowed(robotsData, '/shop/public/item'), true);
+    });
+
+    it('prefers Allow when patterns are equally long', () => {
+      const robotsData = robotsCrawler.parseRobotsTxt('User-agent: *\nDisallow: /page\nAllow: /page');
+      assert.equal(robotsCrawler.findMatchingRule(robotsData, '/page').type, 'allow');
+    });
+
+    it('matches nothing with an empty Disallow', () => {
+      const robotsData = robotsCrawler.parseRobotsTxt('User-agent: *\nDisallow:');
+      assert.equal(robotsCrawler.findMatchingRule(robotsData, '/'), null);
+    });
+  });
+
+  describe('pathMatches', () => {
+    it('supports * wildcards and $ anchors', () => {
+      assert.equal(robotsCrawler.pathMatches('/a/b.pdf', '/*.pdf$'), true);
+      assert.equal(robotsCrawler.pathMatches('/a/b.pdf?x=1', '/*.pdf$'), false);
+      assert.equal(robotsCrawler.pathMatches('/search?q=1', '/*?q='), true);
+    });
+
+    it('treats regex characters literally', () => {
+      assert.equal(robotsCrawler.pathMatches('/a.b', '/a.b'), true);
+      assert.equal(robotsCrawler.pathMatches('/axb', '/a.b'), false);
+    });
+  });
+
+  describe('getCrawlDelay', () => {
+    it('reads the delay of the matching group', () => {
+      const robotsData = robotsCrawler.parseRobotsTxt('User-agent: *\nCrawl-delay: 5\n\nUser-agent: SiteScope-Bot\nCrawl-delay: 2');
+      assert.equal(robotsCrawler.getCrawlDelay(robotsData, 'SiteScope-Bot/1.0'), 2);
+      assert.equal(robotsCrawler.getCrawlDelay(robotsData, 'OtherBot'), 5);
+    });
+  });
+});
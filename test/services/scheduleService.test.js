@@ -0,0 +1,147 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ScheduleService = require('../../src/services/scheduleService');
+
+/**
+ * In-memory stand-in for the schedule and job models a run touches
+ */
+function createPrisma({ schedules = [], jobs = [] } = {}) {
+  const prisma = {
+    schedules,
+    jobs,
+    crawlSchedule: {
+      findMany: async ({ where }) => schedules.filter(schedule => schedule.status === where.status && schedule.nextRunAt <= where.nextRunAt.lte),
+      updateMany: async ({ where, data }) => {
+        const schedule = schedules.find(item => item.id === where.id && item.status === where.status && item.nextRunAt === where.nextRunAt);
+        if (!schedule) return { count: 0 };
+        Object.assign(schedule, data);
+        return { count: 1 };
+      },
+      update: async ({ where, data }) => Object.assign(schedules.find(schedule => schedule.id === where.id), data)
+    },
+    crawlJob: {
+      findFirst: async ({ where }) => jobs.find(job => job.scheduleId === where.scheduleId && where.status.in.includes(job.status)) || null,
+      create: async ({ data }) => {
+        const job = { id: `job-${jobs.length + 1}`, status: 'pending', createdAt: new Date(), ...data };
+        jobs.push(job);
+        return job;
+      },
+      findMany: async ({ where, take, skip = 0 }) => jobs.filter(job => job.scheduleId === where.scheduleId).slice(skip, skip + take),
+      count: async ({ where }) => jobs.filter(job => job.scheduleId === where.scheduleId).length
+    }
+  };
+  return prisma;
+}
+
+const jobTemplate = { url: 'https://example.com', maxPages: 100, ai: false, email: 'owner@example.com' };
+
+describe('ScheduleService', () => {
+  const scheduleService = new ScheduleService(createPrisma());
+
+  describe('parseScheduleInput', () => {
+    it('requires an expression and a job template for a new schedule', () => {
+      assert.equal(scheduleService.parseScheduleInput({ cronExpression: '0 6 * * 1' }).error, 'Missing required fields');
+      assert.equal(scheduleService.parseScheduleInput(null).error, 'Missing required fields');
+    });
+
+    it('normalizes the expression and plans the first run', () => {
+      const { data } = scheduleService.parseScheduleInput({ cronExpression: ' 0  6 * * 1 ', timezone: 'Europe/Paris', jobTemplate });
+
+      assert.equal(data.cronExpression, '0 6 * * 1');
+      assert.equal(data.timezone, 'Europe/Paris');
+      assert.ok(data.nextRunAt > new Date());
+      // Nobody can enter a verification code for a scheduled run
+      assert.equal(data.jobTemplate.requireEmailVerification, false);
+    });
+
+    it('rejects invalid expressions, time zones and job templates', () => {
+      assert.equal(scheduleService.parseScheduleInput({ cronExpression: '0 25 * * *', jobTemplate }).error, 'Invalid cronExpression');
+      assert.equal(scheduleService.parseScheduleInput({ cronExpression: '0 6 * * *', timezone: 'Mars/Olympus', jobTemplate }).error, 'Invalid timezone');
+      assert.equal(scheduleService.parseScheduleInput({ cronExpression: '0 6 * * *', jobTemplate: { url: 'https://example.com' } }).error, 'Invalid jobTemplate: Missing required fields');
+      assert.equal(scheduleService.parseScheduleInput({ cronExpression: '0 6 * * *', name: 5, jobTemplate }).error, 'Invalid field types');
+    });
+
+    it('rejects an expression that never matches', () => {
+      assert.equal(scheduleService.parseScheduleInput({ cronExpression: '0 0 31 2 *', jobTemplate }).error, 'cronExpression never matches');
+    });
+
+    it('only plans the next run again when the timing of an active schedule changes', () => {
+      const existing = { status: 'active', cronExpression: '0 6 * * 1', timezone: 'UTC' };
+
+      assert.deepEqual(scheduleService.parseScheduleInput({ name: 'Weekly' }, existing).data, { name: 'Weekly' });
+      const { data } = scheduleService.parseScheduleInput({ timezone: 'Asia/Tokyo' }, existing);
+      assert.equal(data.nextRunAt.getUTCHours(), 21);
+      assert.equal(scheduleService.parseScheduleInput({ cronExpression: '0 7 * * 1' }, { ...existing, status: 'paused' }).data.nextRunAt, undefined);
+    });
+  });
+
+  describe('getRuns', () => {
+    it('links each run to the run before it', async () => {
+      const jobs = [3, 2, 1].map(index => ({ id: `run-${index}`, scheduleId: 'schedule-1' }));
+      const service = new ScheduleService(createPrisma({ jobs }));
+
+      const { runs, total } = await service.getRuns('schedule-1', { take: 2, skip: 0 });
+
+      assert.deepEqual(runs.map(run => [run.id, run.previousJobId]), [['run-3', 'run-2'], ['run-2', 'run-1']]);
+      assert.equal(total, 3);
+      assert.equal((await service.getRuns('schedule-1', { take: 2, skip: 2 })).runs[0].previousJobId, null);
+    });
+  });
+
+  describe('runDueSchedules', () => {
+    const dueSchedule = (id, fields = {}) => ({
+      id,
+      userId: 1,
+      status: 'active',
+      cronExpression: '0 6 * * *',
+      timezone: 'UTC',
+      nextRunAt: new Date(Date.now() - 60000),
+      jobTemplate: { ...jobTemplate, requireEmailVerification: false },
+      ...fields
+    });
+
+    it('creates a job for each due schedule and plans its next run', async () => {
+      const prisma = createPrisma({ schedules: [dueSchedule('schedule-1')] });
+      const service = new ScheduleService(prisma);
+
+      assert.equal(await service.runDueSchedules(), 1);
+      assert.equal(prisma.jobs[0].scheduleId, 'schedule-1');
+      assert.equal(prisma.jobs[0].crawlSitemap, true);
+      assert.ok(prisma.schedules[0].nextRunAt > new Date());
+      assert.equal(prisma.schedules[0].lastRunAt, prisma.jobs[0].createdAt);
+    });
+
+    it('skips a run while the previous one is still active', async () => {
+      const prisma = createPrisma({
+        schedules: [dueSchedule('schedule-1')],
+        jobs: [{ id: 'job-running', scheduleId: 'schedule-1', status: 'running' }]
+      });
+      const service = new ScheduleService(prisma);
+
+      assert.equal(await service.runDueSchedules(), 0);
+      assert.equal(prisma.jobs.length, 1);
+      // The skipped occurrence is not made up later
+      assert.ok(prisma.schedules[0].nextRunAt > new Date());
+    });
+
+    it('leaves occurrences claimed by another process alone', async () => {
+      const prisma = createPrisma({ schedules: [dueSchedule('schedule-1')] });
+      const service = new ScheduleService(prisma);
+      const claim = prisma.crawlSchedule.updateMany;
+      prisma.crawlSchedule.updateMany = async (args) => {
+        prisma.schedules[0].nextRunAt = new Date(Date.now() + 60000);
+        return claim(args);
+      };
+
+      assert.equal(await service.runDueSchedules(), 0);
+      assert.equal(prisma.jobs.length, 0);
+    });
+
+    it('does not create a job from a template that is no longer valid', async () => {
+      const prisma = createPrisma({ schedules: [dueSchedule('schedule-1', { jobTemplate: { url: 'https://example.com' } })] });
+
+      assert.equal(await new ScheduleService(prisma).runDueSchedules(), 0);
+      assert.equal(prisma.jobs.length, 0);
+    });
+  });
+});
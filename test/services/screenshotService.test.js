@@ -0,0 +1,97 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ScreenshotService = require('../../src/services/screenshotService');
+
+const KEY = `${'e'.repeat(64)}.png`;
+
+/**
+ * Prisma stand-in that answers the page lookup of a screenshot from the given pages
+ */
+function createPrisma(pages = []) {
+  const prisma = {
+    queries: [],
+    internalLink: {
+      findFirst: async ({ where }) => {
+        prisma.queries.push(where);
+        return pages.find(page => page.jobId === where.jobId && where.OR.some(condition =>
+          Object.entries(condition).every(([field, value]) => page[field] === value))) || null;
+      }
+    }
+  };
+  return prisma;
+}
+
+describe('ScreenshotService', () => {
+  describe('capture', () => {
+    it('stores each screenshot as an artifact and returns the keys', async () => {
+      const service = new ScreenshotService(createPrisma());
+      const stored = [];
+      service.artifactStorage.put = async (content, extension) => {
+        stored.push(extension);
+        return `${String(stored.length).repeat(64)}.${extension}`;
+      };
+      const page = {
+        evaluate: async () => ({ width: 1280, height: 800, pixelRatio: 2 }),
+        screenshot: async () => Buffer.from('image')
+      };
+
+      const keys = await service.capture(page, { aboveTheFold: true });
+
+      assert.deepEqual(stored, ['png', 'jpg', 'png']);
+      assert.deepEqual(keys, { screenshotKey: `${'1'.repeat(64)}.png`, thumbnailKey: `${'2'.repeat(64)}.jpg`, aboveTheFoldKey: `${'3'.repeat(64)}.png` });
+    });
+
+    it('keeps the screenshots taken before a failure', async () => {
+      const service = new ScreenshotService(createPrisma());
+      service.artifactStorage.put = async () => KEY;
+      let shots = 0;
+      const page = {
+        evaluate: async () => ({ width: 1280, height: 800 }),
+        screenshot: async () => {
+          if (++shots > 1) throw new Error('Target closed');
+          return Buffer.from('image');
+        }
+      };
+      const consoleError = console.error;
+      console.error = () => {};
+
+      try {
+        assert.deepEqual(await service.capture(page), { screenshotKey: KEY, thumbnailKey: null, aboveTheFoldKey: null });
+      } finally {
+        console.error = consoleError;
+      }
+    });
+  });
+
+  describe('withUrls', () => {
+    it('adds the URL of each key the page was read with', () => {
+      const service = new ScreenshotService(createPrisma());
+      const page = service.withUrls('job-1', { id: 1, screenshotKey: KEY, thumbnailKey: null });
+
+      assert.equal(page.screenshotUrl, `/api/jobs/job-1/screenshots/${KEY}`);
+      assert.equal(page.thumbnailUrl, null);
+      assert.ok(!('aboveTheFoldScreenshotUrl' in page));
+    });
+  });
+
+  describe('getScreenshot', () => {
+    it('only serves an artifact to the jobs with a page that uses it', async () => {
+      const prisma = createPrisma([{ jobId: 'job-1', screenshotKey: null, thumbnailKey: KEY, aboveTheFoldKey: null }]);
+      const service = new ScreenshotService(prisma);
+      service.artifactStorage.get = async key => ({ body: Buffer.from(key), contentType: 'image/png' });
+
+      assert.equal((await service.getScreenshot('job-1', KEY)).contentType, 'image/png');
+      assert.equal(await service.getScreenshot('job-2', KEY), null);
+      assert.deepEqual(prisma.queries[0].OR, [{ screenshotKey: KEY }, { thumbnailKey: KEY }, { aboveTheFoldKey: KEY }]);
+    });
+
+    it('looks legacy screenshots up on disk without reading the database', async () => {
+      const prisma = createPrisma();
+      const service = new ScreenshotService(prisma);
+
+      assert.equal(await service.getScreenshot('job-1', 'missing_1700000000000.png'), null);
+      assert.equal(await service.getScreenshot('job-1', '../secret.png'), null);
+      assert.equal(prisma.queries.length, 0);
+    });
+  });
+});
@@ -0,0 +1,207 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const SeoAuditService = require('../../src/services/seoAuditService');
+const { rules } = require('../../src/rules');
+
+/**
+ * In-memory stand-in for the Prisma models the audit reads and writes
+ * findMany records its arguments and honours where, orderBy id, take and select
+ */
+function createPrisma({ job, pages = [], images = [], renderings = [] }) {
+  const matches = (row, where) => Object.entries(where).every(([field, condition]) => {
+    if (condition && typeof condition === 'object') {
+      if ('gt' in condition && !(row[field] > condition.gt)) return false;
+      if ('gte' in condition && !(row[field] >= condition.gte)) return false;
+      if ('lt' in condition && !(row[field] < condition.lt)) return false;
+      if ('in' in condition && !condition.in.includes(row[field])) return false;
+      return true;
+    }
+    return row[field] === condition;
+  });
+  const findMany = (model, rows) => async (args = {}) => {
+    prisma.queries.push({ model, ...args });
+    const { where = {}, take, orderBy, select } = args;
+    let found = rows.filter(row => matches(row, where));
+    if (orderBy?.id) found.sort((a, b) => a.id - b.id);
+    if (take) found = found.slice(0, take);
+    if (!select) return found;
+    return found.map(row => Object.fromEntries(Object.keys(select).filter(field => field in row).map(field => [field, row[field]])));
+  };
+
+  const prisma = {
+    issues: [],
+    queries: [],
+    crawlJob: { findUnique: async ({ where }) => (where.id === job.id ? job : null) },
+    internalLink: { findMany: findMany('internalLink', pages) },
+    imageOccurrence: { findMany: findMany('imageOccurrence', images) },
+    pageRendering: { findMany: findMany('pageRendering', renderings) },
+    issue: {
+      deleteMany: async ({ where }) => { prisma.issues = prisma.issues.filter(issue => issue.jobId !== where.jobId); },
+      createMany: async ({ data }) => { prisma.issues.push(...data); }
+    }
+  };
+  return prisma;
+}
+
+const page = (id, fields = {}) => ({
+  id,
+  jobId: 'job-1',
+  address: `https://example.com/${id}`,
+  statusCode: 200,
+  title: `Page ${id}`,
+  h1: `Heading ${id}`,
+  headings: [{ level: 1, text: `Heading ${id}` }],
+  htmlContent: '<html></html>',
+  ...fields
+});
+
+describe('SeoAuditService', () => {
+  describe('buildSiteContext', () => {
+    const seoAuditService = new SeoAuditService(createPrisma({ job: { id: 'job-1' } }));
+
+    it('looks up images, renderings and linked pages', () => {
+      const siteContext = seoAuditService.buildSiteContext({ id: 'job-1' }, {
+        images: [{ pageId: 1, src: '/a.png' }],
+        renderings: [{ pageId: 1, device: 'mobile', viewportWidth: 390 }],
+        linkedPages: [page(9)]
+      });
+      assert.deepEqual(siteContext.getImages(page(1)), [{ pageId: 1, src: '/a.png' }]);
+      assert.equal(siteContext.getImages(page(2)).length, 0);
+      assert.equal(siteContext.getRendering(page(1), 'mobile').viewportWidth, 390);
+      assert.equal(siteContext.getRendering(page(1), 'desktop'), null);
+      assert.equal(siteContext.getPage('https://example.com/9').id, 9);
+      assert.equal(siteContext.getPage('https://example.com/8'), null);
+    });
+
+    it('returns empty counts for fields that were not counted', () => {
+      const siteContext = seoAuditService.buildSiteContext({ id: 'job-1' });
+      assert.equal(siteContext.countValues('title').size, 0);
+    });
+  });
+
+  describe('countValues', () => {
+    it('counts normalized values of successful, indexable pages across batches', async () => {
+      const seoAuditService = new SeoAuditService(createPrisma({
+        job: { id: 'job-1' },
+        pages: [
+          page(1, { title: 'Home' }),
+          page(2, { title: 'About' }),
+          page(3, { title: ' home ' }),
+          page(4, { title: 'Home', metaRobots: 'noindex' }),
+          page(5, { title: 'Home', statusCode: 404 }),
+          page(6, { title: 'Home', jobId: 'job-2' })
+        ]
+      }));
+      seoAuditService.BATCH_SIZE = 2;
+
+      const valueCounts = await seoAuditService.countValues('job-1', ['title', 'title']);
+      assert.deepEqual([...valueCounts.keys()], ['title']);
+      assert.equal(valueCounts.get('title').get('home'), 2);
+      assert.equal(valueCounts.get('title').get('about'), 1);
+    });
+  });
+
+  describe('auditJob', () => {
+    let prisma;
+    let service;
+
+    beforeEach(() => {
+      prisma = createPrisma({
+        job: { id: 'job-1', url: 'https://example.com/', rules: { 'title-too-long': { severity: 'high', options: { maxLength: 10 } } } },
+        pages: [
+          page(1, { title: 'Duplicate' }),
+          page(2, { title: 'Duplicate' }),
+          page(3, { title: 'A title that is too long', h1: null, headings: [] }),
+          page(4, { title: null, statusCode: 404 }),
+          page(5, { canonicalUrl: 'https://example.com/6' }),
+          page(6, { metaRobots: 'noindex' })
+        ]
+      });
+      service = new SeoAuditService(prisma);
+      mock.method(console, 'error', () => {});
+    });
+
+    afterEach(() => {
+      mock.restoreAll();
+    });
+
+    it('stores a finding per page and rule with the configured severity', async () => {
+      const counts = await service.auditJob('job-1');
+
+      assert.equal(counts['title-duplicate'], 2);
+      assert.equal(counts['title-too-long'], 1);
+      assert.equal(counts['h1-missing'], 1);
+
+      const tooLong = prisma.issues.find(issue => issue.type === 'title-too-long');
+      assert.equal(tooLong.pageId, 3);
+      assert.equal(tooLong.severity, 'high');
+      assert.equal(tooLong.url, 'https://example.com/3');
+    });
+
+    it('only audits successful pages', async () => {
+      await service.auditJob('job-1');
+      assert.equal(prisma.issues.some(issue => issue.pageId === 4), false);
+    });
+
+    it('replaces the previous findings of the job', async () => {
+      await service.auditJob('job-1');
+      const first = prisma.issues.length;
+      await service.auditJob('job-1');
+      assert.equal(prisma.issues.length, first);
+    });
+
+    it('reads pages in id batches without their HTML', async () => {
+      const unbatched = await service.auditJob('job-1');
+      prisma.queries = [];
+      service.BATCH_SIZE = 2;
+
+      assert.deepEqual(await service.auditJob('job-1'), unbatched);
+      const pageQueries = prisma.queries.filter(query => query.model === 'internalLink' && query.take);
+      // Five successful pages: the value count and the audit each read three batches
+      assert.deepEqual(pageQueries.map(query => query.where.id.gt), [0, 2, 5, 0, 2, 5]);
+      for (const query of pageQueries) {
+        assert.equal(query.take, 2);
+        assert.equal(query.select.htmlContent, undefined);
+      }
+    });
+
+    it('only selects the fields of the enabled rules', async () => {
+      prisma.crawlJob.findUnique = async () => ({
+        id: 'job-1',
+        rules: Object.fromEntries(rules.map(rule => [rule.id, rule.id === 'title-too-long']))
+      });
+      await service.auditJob('job-1');
+
+      const [pageQuery] = prisma.queries.filter(query => query.model === 'internalLink');
+      assert.deepEqual(Object.keys(pageQuery.select), ['id', 'address', 'statusCode', 'title']);
+      assert.deepEqual(pageQuery.where.id, { gt: 0 });
+    });
+
+    it('looks up the pages rules link to outside the batch', async () => {
+      service.BATCH_SIZE = 2;
+      await service.auditJob('job-1');
+
+      const conflict = prisma.issues.find(issue => issue.type === 'canonical-noindex-conflict');
+      assert.equal(conflict.pageId, 5);
+      assert.equal(conflict.message, 'Canonical https://example.com/6 is noindex');
+    });
+
+    it('skips the pages a rule fails on and logs each failing rule once', async () => {
+      mock.method(rules.find(rule => rule.id === 'title-too-long'), 'check', auditedPage => {
+        if (auditedPage.id !== 3) throw new Error('boom');
+        return [{ message: 'too long' }];
+      });
+      const counts = await service.auditJob('job-1');
+
+      assert.equal(counts['title-too-long'], 1);
+      assert.equal(counts['title-duplicate'], 2);
+      const failures = console.error.mock.calls.filter(call => call.arguments[0].includes('title-too-long'));
+      assert.equal(failures.length, 1);
+      assert.match(failures[0].arguments[0], /failed on 4 page\(s\) of job job-1, first on https:\/\/example.com\/1/);
+    });
+
+    it('returns no findings for an unknown job', async () => {
+      assert.deepEqual(await service.auditJob('job-2'), {});
+    });
+  });
+});
@@ -0,0 +1,383 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const WorkerPool = require('../../src/services/workerPool');
+
+/**
+ * Processor whose jobs run until the test finishes them
+ */
+function createProcessor() {
+  const processor = {
+    running: new Map(),
+    tornDown: [],
+    executeWithRetry: operation => operation(),
+    processJob(job) {
+      return new Promise((resolve, reject) => processor.running.set(job.id, { resolve, reject }));
+    },
+    async teardownCrawler(jobId, reason) {
+      processor.tornDown.push({ jobId, reason });
+    }
+  };
+  return processor;
+}
+
+/**
+ * Prisma stand-in: $queryRaw claims the next job of a queue
+ */
+function createPrisma(queue = []) {
+  const prisma = {
+    queue: [...queue],
+    jobs: new Map(),
+    claimQueries: [],
+    updates: [],
+    async $queryRaw(query) {
+      prisma.claimQueries.push({ sql: query.text, values: query.values });
+      const job = prisma.queue.shift();
+      if (!job) return [];
+      prisma.jobs.set(job.id, job);
+      return [{ id: job.id }];
+    },
+    crawlJob: {
+      findUnique: async ({ where }) => prisma.jobs.get(where.id) || null,
+      updateMany: async args => {
+        prisma.updates.push(args);
+        const ids = typeof args.where.id === 'object' ? args.where.id.in : [args.where.id];
+        const count = ids.filter(id => prisma.jobs.get(id)?.workerId === args.where.workerId).length;
+        return { count };
+      }
+    }
+  };
+  return prisma;
+}
+
+// Let fire-and-forget promise chains settle
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('WorkerPool', () => {
+  let processor;
+  let pools;
+  const createPool = prisma => {
+    const pool = new WorkerPool(prisma, processor);
+    pool.MAX_CONCURRENT_JOBS = 2;
+    pool.workerId = 'worker-a';
+    pools.push(pool);
+    return pool;
+  };
+
+  beforeEach(() => {
+    processor = createProcessor();
+    pools = [];
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(async () => {
+    // Finish leftover jobs so their heartbeat timers are cleared
+    for (const { resolve } of processor.running.values()) resolve();
+    await settle();
+    for (const pool of pools) await pool.release();
+    mock.restoreAll();
+  });
+
+  describe('fill', () => {
+    it('claims jobs until the pool is full', async () => {
+      const prisma = createPrisma([{ id: 'a' }, { id: 'b' }, { id: 'c' }]);
+      const pool = createPool(prisma);
+
+      await pool.fill();
+
+      assert.deepEqual([...pool.activeJobs.keys()], ['a', 'b']);
+      assert.equal(prisma.queue.length, 1);
+    });
+
+    it('stops when there is nothing to claim', async () => {
+      const prisma = createPrisma([{ id: 'a' }]);
+      const pool = createPool(prisma);
+
+      await pool.fill();
+
+      assert.deepEqual([...pool.activeJobs.keys()], ['a']);
+      assert.equal(prisma.claimQueries.length, 2);
+    });
+
+    it('does not run overlapping claim rounds', async () => {
+      const prisma = createPrisma([{ id: 'a' }, { id: 'b' }, { id: 'c' }]);
+      const pool = createPool(prisma);
+
+      await Promise.all([pool.fill(), pool.fill(), pool.fill()]);
+
+      assert.equal(pool.activeJobs.size, 2);
+      assert.equal(prisma.claimQueries.length, 2);
+    });
+
+    it('claims the next job when one finishes, even when it fails', async () => {
+      const prisma = createPrisma([{ id: 'a' }, { id: 'b' }, { id: 'c' }, { id: 'd' }]);
+      const pool = createPool(prisma);
+      await pool.fill();
+
+      processor.running.get('a').resolve();
+      await settle();
+      assert.deepEqual([...pool.activeJobs.keys()], ['b', 'c']);
+
+      processor.running.get('b').reject(new Error('crawl crashed'));
+      await settle();
+      assert.deepEqual([...pool.activeJobs.keys()], ['c', 'd']);
+    });
+
+    it('keeps running when a claim fails', async () => {
+      const prisma = createPrisma([{ id: 'a' }]);
+      prisma.$queryRaw = async () => { throw new Error('connection lost'); };
+      const pool = createPool(prisma);
+
+      await pool.fill();
+
+      assert.equal(pool.activeJobs.size, 0);
+      assert.equal(pool.isProcessing, false);
+    });
+  });
+
+  describe('claimNextJob', () => {
+    it('reclaims jobs whose heartbeat is older than the lease timeout', async () => {
+      const prisma = createPrisma([{ id: 'a' }]);
+      const pool = createPool(prisma);
+      pool.JOB_LEASE_TIMEOUT = 60000;
+
+      const startedAt = Date.now();
+      const job = await pool.claimNextJob();
+
+      assert.equal(job.id, 'a');
+      const [{ sql, values }] = prisma.claimQueries;
+      const staleBefore = values.find(value => value instanceof Date);
+      assert.ok(Math.abs(startedAt - 60000 - staleBefore.getTime()) < 1000);
+      assert.ok(values.includes('worker-a'));
+      assert.match(sql, /FOR UPDATE SKIP LOCKED/);
+    });
+
+    it('returns null when nothing is claimable', async () => {
+      const pool = createPool(createPrisma());
+      assert.equal(await pool.claimNextJob(), null);
+    });
+  });
+
+  describe('buildClaimQuery', () => {
+    const staleBefore = new Date('2026-01-01T00:00:00Z');
+    const query = () => createPool(createPrisma()).buildClaimQuery(staleBefore);
+    const compact = sql => sql.replace(/\s+/g, ' ');
+
+    it('locks the candidate row and claims it in the same statement', () => {
+      const sql = compact(query().text);
+
+      assert.match(sql, /^ WITH candidate AS \(.* LIMIT 1 FOR UPDATE SKIP LOCKED \) UPDATE "CrawlJob" c/);
+      assert.match(sql, /SET "status" = 'running', "workerId" = \$\d+, "heartbeatAt" = NOW\(\)/);
+      assert.match(sql, /WHERE c."id" = candidate."id" RETURNING c."id"/);
+      assert.ok(query().values.includes('worker-a'));
+    });
+
+    it('takes pending jobs and running jobs with a stale or missing heartbeat that can continue', () => {
+      const { text, values } = query();
+      const candidates = compact(text).match(/WHERE j."canContinue" = true AND \((.*?)\) ORDER BY/)[1];
+
+      assert.match(candidates, /^ j."status" = 'pending' OR \(j."status" = 'running' AND \(j."heartbeatAt" IS NULL OR j."heartbeatAt" < \$1\)\) $/);
+      assert.equal(values[0], staleBefore);
+    });
+
+    it('orders owners by their live running jobs, then jobs by age', () => {
+      const { text, values } = query();
+      const order = compact(text).match(/ORDER BY \((.*)\) ASC, j."createdAt" ASC LIMIT 1/)[1];
+
+      // Only jobs with a live heartbeat count against their owner; jobs without owner share one slot
+      assert.match(order, /COUNT\(\*\) FROM "CrawlJob" r WHERE r."status" = 'running' AND r."heartbeatAt" >= \$2/);
+      assert.match(order, /r."userId" IS NOT DISTINCT FROM j."userId"/);
+      assert.equal(values[1], staleBefore);
+    });
+  });
+
+  describe('leases', () => {
+    beforeEach(() => {
+      mock.timers.enable({ apis: ['setInterval'] });
+    });
+
+    afterEach(() => {
+      mock.timers.reset();
+    });
+
+    it('sends a heartbeat every interval while the job runs and stops when it ends', async () => {
+      const prisma = createPrisma();
+      prisma.jobs.set('a', { id: 'a', workerId: 'worker-a' });
+      const pool = createPool(prisma);
+
+      pool.runClaimedJob({ id: 'a' });
+      mock.timers.tick(pool.HEARTBEAT_INTERVAL * 2);
+      await settle();
+      assert.equal(prisma.updates.length, 2);
+
+      processor.running.get('a').resolve();
+      await settle();
+      mock.timers.tick(pool.HEARTBEAT_INTERVAL * 2);
+      await settle();
+      assert.equal(prisma.updates.length, 2);
+      assert.equal(pool.activeJobs.size, 0);
+    });
+
+    it('tears the crawler down at the first heartbeat after the job was reclaimed', async () => {
+      const prisma = createPrisma();
+      prisma.jobs.set('a', { id: 'a', workerId: 'worker-a' });
+      const pool = createPool(prisma);
+
+      pool.runClaimedJob({ id: 'a' });
+      mock.timers.tick(pool.HEARTBEAT_INTERVAL);
+      await settle();
+      assert.equal(processor.tornDown.length, 0);
+
+      // Another worker found the heartbeat stale and claimed the job
+      prisma.jobs.get('a').workerId = 'worker-b';
+      mock.timers.tick(pool.HEARTBEAT_INTERVAL);
+      await settle();
+      assert.deepEqual(processor.tornDown, [{ jobId: 'a', reason: 'claim released' }]);
+    });
+  });
+
+  describe('sendHeartbeat', () => {
+    it('renews the claim while this worker holds it', async () => {
+      const prisma = createPrisma();
+      prisma.jobs.set('a', { id: 'a', workerId: 'worker-a' });
+      const pool = createPool(prisma);
+
+      assert.equal(await pool.sendHeartbeat('a'), true);
+      assert.deepEqual(prisma.updates[0].where, { id: 'a', workerId: 'worker-a' });
+      assert.ok(prisma.updates[0].data.heartbeatAt instanceof Date);
+      assert.equal(processor.tornDown.length, 0);
+    });
+
+    it('tears the crawler down once the claim is released or taken', async () => {
+      const prisma = createPrisma();
+      prisma.jobs.set('a', { id: 'a', workerId: null });
+      prisma.jobs.set('b', { id: 'b', workerId: 'worker-b' });
+      const pool = createPool(prisma);
+
+      assert.equal(await pool.sendHeartbeat('a'), false);
+      assert.equal(await pool.sendHeartbeat('b'), false);
+      assert.deepEqual(processor.tornDown.map(({ jobId }) => jobId), ['a', 'b']);
+    });
+
+    it('keeps crawling when the heartbeat cannot be sent', async () => {
+      const prisma = createPrisma();
+      prisma.crawlJob.updateMany = async () => { throw new Error('connection lost'); };
+      const pool = createPool(prisma);
+
+      assert.equal(await pool.sendHeartbeat('a'), true);
+      assert.equal(processor.tornDown.length, 0);
+    });
+  });
+
+  describe('isJobHalted', () => {
+    const halted = async job => {
+      const prisma = createPrisma();
+      if (job) prisma.jobs.set('a', job);
+      return await createPool(prisma).isJobHalted('a');
+    };
+
+    it('halts stopped, paused and deleted jobs', async () => {
+      assert.equal(await halted({ status: 'stopped', workerId: null }), true);
+      assert.equal(await halted({ status: 'paused', workerId: null }), true);
+      assert.equal(await halted(null), true);
+    });
+
+    it('halts jobs claimed by another worker', async () => {
+      assert.equal(await halted({ status: 'running', workerId: 'worker-b' }), true);
+    });
+
+    it('lets this worker continue its own jobs', async () => {
+      assert.equal(await halted({ status: 'running', workerId: 'worker-a' }), false);
+      assert.equal(await halted({ status: 'running', workerId: null }), false);
+    });
+  });
+
+  describe('release', () => {
+    it('releases the claims of active jobs', async () => {
+      const prisma = createPrisma([{ id: 'a' }, { id: 'b' }]);
+      const pool = createPool(prisma);
+      await pool.fill();
+
+      await pool.release();
+
+      assert.deepEqual(prisma.updates.at(-1), {
+        where: { id: { in: ['a', 'b'] }, workerId: 'worker-a' },
+        data: { workerId: null, heartbeatAt: null }
+      });
+    });
+  });
+});
+
+// Runs the claim query against PostgreSQL. TEST_DATABASE_URL must point to a dedicated,
+// migrated database: the tests delete its crawl jobs and users.
+describe('WorkerPool with PostgreSQL', { skip: !process.env.TEST_DATABASE_URL && 'TEST_DATABASE_URL is not set' }, () => {
+  let prisma;
+  let users;
+  const processor = { executeWithRetry: operation => operation() };
+
+  const createJob = (userId, data = {}) => prisma.crawlJob.create({
+    data: { userId, url: 'https://example.com/', maxPages: 10, ai: false, email: 'test@example.com', ...data }
+  });
+  const createPool = workerId => Object.assign(new WorkerPool(prisma, processor), { workerId });
+
+  before(async () => {
+    const { PrismaClient } = require('@prisma/client');
+    prisma = new PrismaClient({ datasourceUrl: process.env.TEST_DATABASE_URL });
+  });
+
+  beforeEach(async () => {
+    await prisma.crawlJob.deleteMany();
+    await prisma.user.deleteMany({ where: { email: { endsWith: '@workerpool.test' } } });
+    users = await Promise.all(['a', 'b'].map(name => prisma.user.create({
+      data: { name, email: `${name}@workerpool.test`, password: 'x' }
+    })));
+  });
+
+  after(async () => {
+    await prisma.crawlJob.deleteMany();
+    await prisma.user.deleteMany({ where: { email: { endsWith: '@workerpool.test' } } });
+    await prisma.$disconnect();
+  });
+
+  it('favours owners with the fewest running jobs, then the oldest job', async () => {
+    const [a, b] = users;
+    await createJob(a.id, { status: 'running', workerId: 'other', heartbeatAt: new Date() });
+    const olderOfA = await createJob(a.id, { createdAt: new Date(Date.now() - 60000) });
+    const newerOfB = await createJob(b.id);
+
+    const pool = createPool('worker-a');
+    assert.equal((await pool.claimNextJob()).id, newerOfB.id);
+    assert.equal((await pool.claimNextJob()).id, olderOfA.id);
+    assert.equal(await pool.claimNextJob(), null);
+  });
+
+  it('reclaims running jobs whose heartbeat is stale', async () => {
+    const pool = createPool('worker-a');
+    const stale = await createJob(users[0].id, { status: 'running', workerId: 'gone', heartbeatAt: new Date(Date.now() - pool.JOB_LEASE_TIMEOUT - 1000) });
+    await createJob(users[0].id, { status: 'running', workerId: 'alive', heartbeatAt: new Date() });
+
+    const claimed = await pool.claimNextJob();
+    assert.equal(claimed.id, stale.id);
+    assert.equal(claimed.workerId, 'worker-a');
+    assert.equal(await pool.claimNextJob(), null);
+  });
+
+  it('skips jobs that cannot continue', async () => {
+    await createJob(users[0].id, { canContinue: false });
+    assert.equal(await createPool('worker-a').claimNextJob(), null);
+  });
+
+  it('never gives the same job to two workers', async () => {
+    await Promise.all(Array.from({ length: 5 }, () => createJob(users[0].id)));
+    const pools = Array.from({ length: 4 }, (_, i) => createPool(`worker-${i}`));
+
+    const claimed = [];
+    await Promise.all(pools.map(async pool => {
+      let job;
+      while ((job = await pool.claimNextJob())) claimed.push(job.id);
+    }));
+
+    assert.equal(claimed.length, 5);
+    assert.equal(new Set(claimed).size, 5);
+  });
+});